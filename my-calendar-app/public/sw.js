@@ -0,0 +1,54 @@
+// public/sw.js
+// 알림 전용 서비스 워커. 알림은 페이지(src/notifications.js)가 띄우고, 여기서는 버튼 클릭만 처리한다.
+//   snooze: 열린 탭에 알려서 다시 알림 시각을 저장하게 한다. 열린 탭이 없으면 같은 버튼으로 직접 다시 띄운다(최선 노력).
+//   dismiss: 닫기만 한다 (울린 기록은 이미 페이지에 저장돼 있음)
+//   본문 클릭: 열린 탭을 앞으로 가져와 해당 날짜로 이동, 없으면 새 탭을 연다
+
+const SNOOZE_MS = 10 * 60 * 1000;
+// 페이지가 data.actions로 보낸 번역된 버튼을 다시 쓴다. 이 값은 actions가 없는 예전 알림용
+const DEFAULT_ACTIONS = [
+  { action: 'snooze', title: 'Snooze 10 min' },
+  { action: 'dismiss', title: 'Dismiss' },
+];
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+const windowClients = () => self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+self.addEventListener('notificationclick', (event) => {
+  const { notification, action } = event;
+  const data = notification.data || {};
+  notification.close();
+
+  if (action === 'dismiss') return;
+
+  if (action === 'snooze') {
+    event.waitUntil(windowClients().then(async (clients) => {
+      if (clients.length > 0) {
+        clients.forEach((client) => client.postMessage({ type: 'reminder-snooze', ...data }));
+        return;
+      }
+      await wait(SNOOZE_MS);
+      await self.registration.showNotification(notification.title, {
+        body: notification.body,
+        tag: notification.tag,
+        data,
+        requireInteraction: true,
+        actions: data.actions || DEFAULT_ACTIONS,
+      });
+    }));
+    return;
+  }
+
+  event.waitUntil(windowClients().then((clients) => {
+    const client = clients[0];
+    if (client) {
+      client.postMessage({ type: 'reminder-open', ...data });
+      return client.focus();
+    }
+    return self.clients.openWindow(`${self.registration.scope}?date=${data.date || ''}`);
+  }));
+});
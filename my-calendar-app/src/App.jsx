@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { 
   ChevronLeft, 
   ChevronRight, 
@@ -20,30 +20,90 @@ import {
   ChevronUp,
   BookOpen,
   ListTodo,
+  ListChecks,
   Save,
   Check,
-  EyeOff // 숨김 아이콘
+  EyeOff, // 숨김 아이콘
+  Repeat,
+  CalendarClock,
+  Download,
+  Upload,
+  DatabaseBackup,
+  Wifi,
+  WifiOff,
+  RefreshCw,
+  Bell,
+  Pin,
+  Archive,
+  RotateCcw,
+  PenLine,
+  Eye,
+  SplitSquareVertical,
+  LayoutTemplate,
+  History,
+  AlarmClock,
+  Forward,
+  ArrowRightToLine,
+  Copy,
+  Lock,
+  Undo2,
+  Redo2,
+  Keyboard
 } from 'lucide-react';
 
-import { 
-  collection, 
-  doc, 
-  onSnapshot, 
-  setDoc, 
-  deleteDoc, 
-  updateDoc,
-  query,
-  getDoc,
-  where,
-  orderBy
-} from 'firebase/firestore';
-import { signInAnonymously, onAuthStateChanged } from 'firebase/auth';
-import { auth, db } from './firebase';
-
-const appId = import.meta.env.VITE_FIREBASE_APP_ID || 'premium-modern-dashboard';
-
-const App = () => {
+import { storage as defaultStorage, arrayUnion, arrayRemove } from './storage';
+import { formatDate, parseDate, addDays, startOfWeek } from './dateUtils';
+import { isRecurring, expandTasks, describeRule, occurrenceId, seriesEditPatch } from './recurrence';
+import { buildCalendarDays, calendarWeekNumbers, selectDisplayTasks } from './calendarData';
+import { getSubtasks, subtaskLabel, allSubtasksDone, dailyProgress } from './subtasks';
+import { colorOf, filterByCategories, sortByName, toggleId, EMPTY_FILTER, DEFAULT_COLOR } from './categories';
+import { parseQuery, isQueryEmpty, searchAll } from './search';
+import { formatTimeRange } from './scheduleLayout';
+import { activeNotices, archivedNotices, unreadCount, isUnread, countdownLabel, restorePatch } from './notices';
+import { collectReminders, dueReminders, markFired, snoozeReminder, pruneReminderState } from './reminders';
+import { notificationPermission, registerReminderWorker, showReminderNotification, onReminderMessage, loadReminderState, saveReminderState } from './notifications';
+import RepeatEditor from './components/RepeatEditor';
+import SubtaskList from './components/SubtaskList';
+import MarkdownView from './components/MarkdownView';
+import { toggleCheckbox } from './markdown';
+import { allTemplates, fillTemplate } from './journalTemplates';
+import { AUTOSAVE_DELAY_MS, loadDraft, saveDraft, clearDraft, nextRevisions } from './journalHistory';
+import NoteHistoryModal from './components/NoteHistoryModal';
+import CheckInPanel from './components/CheckInPanel';
+import { EMPTY_CHECK_IN, MOOD_SETTINGS_ID, checkInOf, sameCheckIn, normalizeMoodSettings, needsMoodMigration, normalizeMood, moodColor, moodLevel } from './mood';
+import { TASK_SETTINGS_ID, normalizeTaskSettings, isOverdue, overdueTasks, postponePatch, postponeCount, postponeLabel } from './overdue';
+import { taskCopy, planBulkAction, allCompleted, describeBulkAction, rangeIds } from './bulkTasks';
+import {
+  PERSONAL_CALENDAR_ID, PERSONAL_CALENDAR, roleOf, canEdit, calendarIdOf, tagCalendar, overlayItems,
+  pendingInvites, inviteIdFromUrl, withoutInviteParam, draftKey,
+} from './calendars';
+import { EMPTY_HISTORY, docChange, patchedDoc, mergedDoc, changesFromOps, pushHistory, undoHistory, redoHistory, historyOps } from './history';
+import { TRASH_COLLECTION, trashDoc, isExpired, sortTrash } from './trash';
+import TrashModal from './components/TrashModal';
+import { LOCALE_SETTINGS_ID, normalizeLocaleSettings, createI18n, weekdayOrder } from './i18n';
+import { shortcutFor, stepId, parseDateQuery, matchCommands } from './shortcuts';
+import CommandPalette from './components/CommandPalette';
+import QuickAdd from './components/QuickAdd';
+import ShortcutHelp from './components/ShortcutHelp';
+import CalendarList from './components/CalendarList';
+import CalendarSettingsModal from './components/CalendarSettingsModal';
+import ReminderEditor from './components/ReminderEditor';
+import SettingsView from './components/SettingsView';
+import CategoryFilter from './components/CategoryFilter';
+import SearchResults from './components/SearchResults';
+import ScheduleView from './components/ScheduleView';
+import AnalyticsView from './components/AnalyticsView';
+import { buildICalendar, parseICalendar, docIdFromUid, occurrenceUid, applyOccurrence, replacedExceptions } from './ics';
+import { buildBackup, splitId, COLLECTIONS } from './backup';
+import BackupModal from './components/BackupModal';
+import AccountModal from './components/AccountModal';
+import { describeUser } from './account';
+
+// storage: 테스트에서는 createStorage('memory')로 만든 인메모리 저장소를 넘긴다
+const App = ({ storage = defaultStorage }) => {
   const [user, setUser] = useState(null);
+  const [profileUser, setProfileUser] = useState(null); // 사이드바 프로필 칩에 보여 줄 사용자
+  const [isAccountOpen, setIsAccountOpen] = useState(false);
   const [loading, setLoading] = useState(true);
   
   // 날짜 관련 상태
@@ -51,122 +111,477 @@ const App = () => {
   const [selectedDate, setSelectedDate] = useState(new Date());
   
   // 데이터 상태
-  const [tasks, setTasks] = useState([]);
+  const [personalTasks, setPersonalTasks] = useState([]); // 개인 캘린더 (공유 캘린더와 겹친 목록은 아래 tasks)
+  const [notes, setNotes] = useState([]); // 개인 캘린더의 전체 노트 (id = YYYY-MM-DD), 기간 집계용
+  const [projects, setProjects] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [templates, setTemplates] = useState([]); // 사용자 일기 템플릿
+  const [settings, setSettings] = useState([]); // 설정 문서 (현재는 무드 척도 'mood'만)
+  const [categoryFilter, setCategoryFilter] = useState(EMPTY_FILTER); // { projectIds, tagIds }
+
+  // 오프라인 상태 / 아직 서버에 반영되지 않은(hasPendingWrites) 문서 id
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [pendingWrites, setPendingWrites] = useState({ tasks: new Set(), notes: new Set(), notices: new Set(), projects: new Set(), tags: new Set(), templates: new Set(), settings: new Set() });
   const [dailyNote, setDailyNote] = useState(''); 
   const [savedDailyNote, setSavedDailyNote] = useState(''); 
-  const [dailyMood, setDailyMood] = useState(null); 
-  const [savedDailyMood, setSavedDailyMood] = useState(null); 
+  const [dailyCheckIn, setDailyCheckIn] = useState(EMPTY_CHECK_IN); // 무드 / 에너지 / 스트레스 / 활동
+  const [savedDailyCheckIn, setSavedDailyCheckIn] = useState(EMPTY_CHECK_IN);
+  const [noteDate, setNoteDate] = useState(null); // 편집기에 불러온 노트의 날짜 (불러오기 전엔 null)
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  // 일기 편집 모드 (브라우저별 설정): 'write' | 'preview' | 'split'
+  const [journalMode, setJournalMode] = useState(() => localStorage.getItem('focusboard.journalMode') || 'write');
   
   // ✨ 공지사항 관련 상태
-  const [notices, setNotices] = useState([]);
+  const [personalNotices, setPersonalNotices] = useState([]);
   const [isNoticeOpen, setIsNoticeOpen] = useState(false); // 공지 목록 열림 여부
+  const [noticeView, setNoticeView] = useState('active'); // 'active' | 'archive' (숨김 + 만료)
   const [isNoticeModalOpen, setIsNoticeModalOpen] = useState(false); // 공지 추가/수정 모달
   const [newNoticeContent, setNewNoticeContent] = useState('');
   const [newNoticeDate, setNewNoticeDate] = useState(new Date().toISOString().split('T')[0]); // YYYY-MM-DD
+  const [newNoticeReminders, setNewNoticeReminders] = useState([]);
   const [editingNoticeId, setEditingNoticeId] = useState(null);
 
   // UI 상태
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [activeTab, setActiveTab] = useState('tasks'); 
+  const [activePage, setActivePage] = useState('calendar'); // 'calendar' | 'analytics' | 'settings'
+  const [calendarView, setCalendarView] = useState('month'); // 'month' | 'week' | 'day'
   const [expandedTaskId, setExpandedTaskId] = useState(null); 
   const [isNoteSaving, setIsNoteSaving] = useState(false); 
   const [showSaveSuccess, setShowSaveSuccess] = useState(false); 
+  const [toast, setToast] = useState(null); // 하단 알림 { message, action: { label, run } | null }
+  const toastTimerRef = useRef(null);
+  const icsInputRef = useRef(null);
+  const [isBackupOpen, setIsBackupOpen] = useState(false);
+  const jumpToTaskDateRef = useRef(null); // 알림 클릭 메시지 처리용 (effect 7)
 
   // 입력 폼 상태
   const [newTask, setNewTask] = useState('');
   const [newPriority, setNewPriority] = useState('medium');
+  const [newStartTime, setNewStartTime] = useState(''); // 'HH:MM', 빈 값이면 종일 일정
+  const [newEndTime, setNewEndTime] = useState('');
+  const [newDate, setNewDate] = useState(formatDate(new Date())); // 일정 날짜 (반복 일정이면 시작일)
+  const [newProjectId, setNewProjectId] = useState(null);
+  const [newTagIds, setNewTagIds] = useState([]);
+  const [newReminders, setNewReminders] = useState([]); // 알림 설정 (시리즈 전체에 적용)
   const [editingId, setEditingId] = useState(null);
   const [taskMemo, setTaskMemo] = useState(''); 
+  // Daily Progress에 체크리스트 진행도까지 반영할지 (브라우저별 설정)
+  const [countSubtasks, setCountSubtasks] = useState(() => localStorage.getItem('focusboard.countSubtasks') === 'true');
+  const [newRepeat, setNewRepeat] = useState(null); // 반복 규칙 (null = 반복 없음)
+  const [editingOccurrence, setEditingOccurrence] = useState(null); // 반복 일정의 특정 발생을 수정 중일 때
+  const [editScope, setEditScope] = useState('occurrence'); // 'occurrence' | 'series'
+  const [pendingDeleteTask, setPendingDeleteTask] = useState(null); // 반복 일정 삭제 범위 선택 대기
+  const [isOverdueOpen, setIsOverdueOpen] = useState(true); // 할 일 탭 위쪽 Overdue 섹션 펼침
+
+  // 여러 할 일 선택 (Select 버튼 / Shift·Ctrl·Cmd-클릭). id는 목록에 보이는 id (반복 일정은 발생 id)
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedTaskIds, setSelectedTaskIds] = useState([]);
+  const selectionAnchorRef = useRef(null); // Shift-클릭 범위의 시작
+  const [bulkDate, setBulkDate] = useState(''); // 일괄 이동 / 복사 대상 날짜
+
+  // 일정 이동/복사 (드래그 앤 드롭 + 키보드용 'Move to date' 모달)
+  const draggedTaskRef = useRef(null); // 드래그 중인 일정 (반복 일정 발생 객체일 수 있어 id 대신 객체 보관)
+  const [dragOverDate, setDragOverDate] = useState(null);
+  const [movingTask, setMovingTask] = useState(null);
+  const [moveTargetDate, setMoveTargetDate] = useState('');
 
   const [searchTerm, setSearchTerm] = useState('');
 
-  // 날짜 포맷 (YYYY-MM-DD)
-  const formatDate = (date) => {
-    const d = new Date(date);
-    const month = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
-    const year = d.getFullYear();
-    return `${year}-${month}-${day}`;
-  };
+  // 공유 캘린더 (보기 설정 / 선택한 캘린더는 브라우저별 설정)
+  const [calendars, setCalendars] = useState([]); // 내가 멤버인 공유 캘린더 문서
+  const [sharedData, setSharedData] = useState({}); // calendarId -> { tasks, notices, notes } (calendarId가 붙은 항목)
+  const [hiddenCalendarIds, setHiddenCalendarIds] = useState(() => JSON.parse(localStorage.getItem('focusboard.hiddenCalendars') || '[]'));
+  const [activeCalendarId, setActiveCalendarId] = useState(() => localStorage.getItem('focusboard.activeCalendar') || PERSONAL_CALENDAR_ID);
+  const [managingCalendarId, setManagingCalendarId] = useState(null);
+  const [myInvites, setMyInvites] = useState([]); // 내 이메일로 온 초대
+  const [linkInvite, setLinkInvite] = useState(null); // ?invite= 링크로 연 초대
+  const [newCalendarId, setNewCalendarId] = useState(PERSONAL_CALENDAR_ID); // 할 일 / 공지 모달에서 저장할 캘린더
+
+  // 되돌리기 / 다시 하기 (이 탭에서 한 작업만) + 휴지통
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  const applyHistoryRef = useRef(null); // 알림의 Undo 버튼용
+  const [trashByCalendar, setTrashByCalendar] = useState({}); // calendarId -> 휴지통 항목
+  const [isTrashOpen, setIsTrashOpen] = useState(false);
+
+  // 명령 팔레트 / 단축키 (shortcuts.js)
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+  const [isShortcutHelpOpen, setIsShortcutHelpOpen] = useState(false);
+  const [focusedTaskId, setFocusedTaskId] = useState(null); // j / k로 고른 할 일 (x로 완료)
+  const runShortcutRef = useRef(null); // effect 15에서 최신 핸들러를 부르기 위한 ref
+  const searchInputRef = useRef(null);
 
-  // 1. Auth 초기화
+  // 1. Auth 초기화 (Firestore 백엔드는 계정이 없으면 익명으로 시작, 로컬 백엔드는 고정 사용자)
   useEffect(() => {
-    const initAuth = async () => {
-      try {
-        await signInAnonymously(auth);
-      } catch (error) {
-        console.error("Auth Error:", error);
-      }
-    };
-    initAuth();
-    const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
+    const unsubscribe = storage.watchUser((currentUser) => {
       setUser(currentUser);
+      setProfileUser(currentUser);
       if (currentUser) setLoading(false);
     });
     return () => unsubscribe();
+  }, [storage]);
+
+  // 현재 사용자의 tasks / notes / notices 저장소
+  const repo = useMemo(() => (user ? storage.forUser(user.uid) : null), [user, storage]);
+
+  // 공유 캘린더: 목록 / 멤버 / 초대는 sharing, 캘린더마다 tasks / notes / notices 저장소
+  const sharing = useMemo(() => (user ? storage.sharing(user) : null), [user, storage]);
+  const calendarIdsKey = calendars.map(c => c.id).join(',');
+  const calendarRepos = useMemo(
+    () => Object.fromEntries(calendarIdsKey.split(',').filter(Boolean).map(id => [id, storage.forCalendar(id)])),
+    [calendarIdsKey, storage]
+  );
+
+  // 언어 / 주 시작 설정 (설정 문서가 없으면 브라우저 언어, 일요일 시작). 화면 문구는 모두 t()로
+  const localeSettings = normalizeLocaleSettings(settings.find(s => s.id === LOCALE_SETTINGS_ID));
+  const i18n = useMemo(
+    () => createI18n({ language: localeSettings.language, weekStart: localeSettings.weekStart }),
+    [localeSettings.language, localeSettings.weekStart]
+  );
+  const { t } = i18n;
+  const profile = describeUser(profileUser, i18n);
+
+  // 내 역할이 붙은 캘린더 목록 (개인 캘린더가 맨 앞, 이름은 화면 언어로)
+  const calendarList = useMemo(() => [
+    { ...PERSONAL_CALENDAR, name: t('calendar.personal'), role: 'owner' },
+    ...sortByName(calendars).map(c => ({ ...c, role: roleOf(c, user && user.uid) })),
+  ], [calendars, user, t]);
+  const calendarOf = (id) => calendarList.find(c => c.id === id) || null;
+  const repoOfCalendar = (id) => (id === PERSONAL_CALENDAR_ID ? repo : calendarRepos[id] || null);
+  // 항목이 속한 캘린더의 저장소. 보기 전용이면 null이라 쓰기 핸들러는 아무것도 하지 않는다
+  const repoFor = (item) => {
+    const calendar = calendarOf(calendarIdOf(item));
+    return calendar && canEdit(calendar.role) ? repoOfCalendar(calendar.id) : null;
+  };
+  const isReadOnly = (item) => !repoFor(item);
+
+  // 선택한 캘린더: 일기를 보고 쓰는 곳, 새 할 일 / 공지의 기본 저장 위치 (없어진 캘린더면 개인 캘린더)
+  const activeCalendar = calendarOf(activeCalendarId) || calendarList[0];
+  const canWriteActive = canEdit(activeCalendar.role);
+  const defaultCalendarId = canWriteActive ? activeCalendar.id : PERSONAL_CALENDAR_ID;
+  const journalRepo = useMemo(
+    () => (activeCalendar.id === PERSONAL_CALENDAR_ID ? repo : storage.forCalendar(activeCalendar.id)),
+    [activeCalendar.id, repo, storage]
+  );
+  const journalNotes = activeCalendar.id === PERSONAL_CALENDAR_ID ? notes : ((sharedData[activeCalendar.id] || {}).notes || []);
+
+  // 개인 캘린더와 보이는 공유 캘린더를 겹친 할 일 / 공지
+  const sharedItems = (name) => Object.fromEntries(Object.entries(sharedData).map(([id, data]) => [id, data[name] || []]));
+  const tasks = useMemo(
+    () => overlayItems(personalTasks, calendars, sharedItems('tasks'), hiddenCalendarIds),
+    [personalTasks, calendars, sharedData, hiddenCalendarIds]
+  );
+  const notices = useMemo(
+    () => overlayItems(personalNotices, calendars, sharedItems('notices'), hiddenCalendarIds)
+      .sort((a, b) => new Date(b.targetDate) - new Date(a.targetDate)),
+    [personalNotices, calendars, sharedData, hiddenCalendarIds]
+  );
+
+  // 온라인/오프라인 감지 (Firestore는 연결이 돌아오면 대기 중인 쓰기를 알아서 다시 보낸다)
+  useEffect(() => {
+    const goOnline = () => setIsOnline(true);
+    const goOffline = () => setIsOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
   }, []);
 
-  // 2. Tasks 구독
+  // 아직 동기화되지 않은 문서 id 모으기
+  const trackPending = (name, pendingIds) => {
+    setPendingWrites(prev => ({ ...prev, [name]: pendingIds }));
+  };
+
+  // 2. Tasks 구독 (서버 반영 완료 시점에도 다시 알림 받음)
   useEffect(() => {
-    if (!user) return;
-    const tasksCollection = collection(db, 'artifacts', appId, 'users', user.uid, 'tasks');
-    const unsubscribe = onSnapshot(
-      query(tasksCollection),
-      (snapshot) => {
-        setTasks(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+    if (!repo) return;
+    const unsubscribe = repo.tasks.subscribe(
+      (items, { pendingIds }) => {
+        setPersonalTasks(items);
+        trackPending('tasks', pendingIds);
       },
       (error) => console.error("Firestore Error:", error)
     );
     return () => unsubscribe();
-  }, [user]);
+  }, [repo]);
 
-  // 3. Daily Note & Mood 구독
+  // 3. Daily Note & Mood 구독 (선택한 캘린더의 일기)
   useEffect(() => {
-    if (!user) return;
+    if (!journalRepo) return;
     const dateStr = formatDate(selectedDate);
+    const key = draftKey(activeCalendar.id, dateStr);
     
     const fetchNote = async () => {
       try {
-        const noteDoc = await getDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'notes', dateStr));
-        if (noteDoc.exists()) {
-          const data = noteDoc.data();
-          setDailyNote(data.content || '');
-          setSavedDailyNote(data.content || ''); 
-          setDailyMood(data.mood || null);
-          setSavedDailyMood(data.mood || null);
+        const data = await journalRepo.notes.get(dateStr);
+        const content = data ? data.content || '' : '';
+        const checkIn = checkInOf(data);
+        setSavedDailyNote(content);
+        setSavedDailyCheckIn(checkIn);
+        // 저장하지 못하고 남은 임시 저장본이 있으면 그걸 편집기에 올린다 (자동 저장이 이어서 저장)
+        const draft = loadDraft(key);
+        const draftCheckIn = draft && checkInOf(draft.checkIn);
+        if (draft && (draft.content !== content || !sameCheckIn(draftCheckIn, checkIn))) {
+          setDailyNote(draft.content);
+          setDailyCheckIn(draftCheckIn);
+          showToast(t('toast.draftRestored'));
         } else {
-          setDailyNote('');
-          setSavedDailyNote('');
-          setDailyMood(null);
-          setSavedDailyMood(null);
+          clearDraft(key);
+          setDailyNote(content);
+          setDailyCheckIn(checkIn);
         }
+        setNoteDate(dateStr);
       } catch (e) {
         console.error("Note Fetch Error:", e);
       }
     };
     fetchNote();
     setShowSaveSuccess(false); 
-  }, [user, selectedDate]);
+  }, [journalRepo, selectedDate]);
 
   // ✨ 4. 공지사항 구독 (오늘 날짜 이후의 활성 공지 또는 모든 공지)
   useEffect(() => {
-    if (!user) return;
-    const noticesCollection = collection(db, 'artifacts', appId, 'users', user.uid, 'notices');
-    
+    if (!repo) return;
     // 간단하게 모든 공지를 가져와서 클라이언트에서 필터링 (복잡한 쿼리 제한 회피)
-    const unsubscribe = onSnapshot(
-      query(noticesCollection),
-      (snapshot) => {
-        const allNotices = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
-        // 날짜순 정렬 (최신순)
-        allNotices.sort((a, b) => new Date(b.targetDate) - new Date(a.targetDate));
-        setNotices(allNotices);
+    const unsubscribe = repo.notices.subscribe(
+      (allNotices, { pendingIds }) => {
+        setPersonalNotices(allNotices); // 날짜순 정렬(최신순)은 공유 캘린더 공지와 합칠 때
+        trackPending('notices', pendingIds);
       },
       (error) => console.error("Notice Error:", error)
     );
     return () => unsubscribe();
-  }, [user]);
+  }, [repo]);
 
+  // 5. 전체 노트 구독 (Analytics 무드 타임라인 등 기간 집계용)
+  useEffect(() => {
+    if (!repo) return;
+    const unsubscribe = repo.notes.subscribe(
+      (items, { pendingIds }) => {
+        setNotes(items);
+        trackPending('notes', pendingIds);
+      },
+      (error) => console.error("Notes Error:", error)
+    );
+    return () => unsubscribe();
+  }, [repo]);
+
+  // 6. 프로젝트 / 태그 / 일기 템플릿 구독
+  useEffect(() => {
+    if (!repo) return;
+    const setters = { projects: setProjects, tags: setTags, templates: setTemplates, settings: setSettings };
+    const unsubscribers = Object.keys(setters).map(name => repo[name].subscribe(
+      (items, { pendingIds }) => {
+        setters[name](items);
+        trackPending(name, pendingIds);
+      },
+      (error) => console.error("Category Error:", error)
+    ));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [repo]);
+
+  // 7. 알림: 서비스 워커 등록 + 알림 버튼(다시 알림 / 본문 클릭) 메시지 처리
+  useEffect(() => {
+    registerReminderWorker();
+    return onReminderMessage((message) => {
+      if (message.type === 'reminder-snooze') {
+        saveReminderState(snoozeReminder(loadReminderState(), message.key, Date.now()));
+      } else if (message.type === 'reminder-open' && message.date) {
+        // 등록 시점이 아니라 지금 렌더의 핸들러로 이동 (저장 안 된 일기 확인이 최신 상태를 봐야 함)
+        if (jumpToTaskDateRef.current(message.date) && message.kind === 'notice') setIsNoticeOpen(true);
+      }
+    });
+  }, []);
+
+  // 8. 알림 시각이 된 할 일 / 공지를 30초마다 확인해서 띄운다 (권한이 있을 때만)
+  useEffect(() => {
+    const check = () => {
+      if (notificationPermission() !== 'granted') return;
+      const now = Date.now();
+      let state = pruneReminderState(loadReminderState(), now);
+      dueReminders(collectReminders({ tasks, notices }, now, i18n), now, state).forEach(entry => {
+        showReminderNotification(entry, i18n).catch((error) => console.error("Notification Error:", error));
+        state = markFired(state, entry.key, now);
+      });
+      saveReminderState(state);
+    };
+    check();
+    const timer = setInterval(check, 30 * 1000);
+    return () => clearInterval(timer);
+  }, [tasks, notices, i18n]);
+
+  // 9. 공지 목록을 열어 둔 동안 보이는 공지는 읽음 처리 (배지에서 빠진다)
+  //    읽음 표시는 문서에 저장되므로 멤버끼리 나눠 쓰는 공유 캘린더 공지는 제외
+  useEffect(() => {
+    if (!repo || !isNoticeOpen) return;
+    const readAt = new Date().toISOString();
+    activeNotices(personalNotices, formatDate(new Date()))
+      .filter(isUnread)
+      .forEach(n => trackWrite(repo.notices.update(n.id, { readAt }), 'write.noticeUpdate'));
+  }, [repo, isNoticeOpen, personalNotices]);
+
+  // 10. 예전 이모지 무드('😄' 등)를 척도 값으로 바꿔 저장 (바꿀 노트가 있을 때만)
+  useEffect(() => {
+    if (!repo) return;
+    notes.filter(needsMoodMigration)
+      .forEach(n => trackWrite(repo.notes.update(n.id, { mood: normalizeMood(n.mood) }), 'write.moodMigration'));
+  }, [repo, notes]);
+
+  // 11. 자동 넘기기: 켜져 있으면 지난 날짜에 남은 할 일을 오늘로 옮긴다 (앱을 켜 둔 채 자정이 지나도 1분 안에 처리)
+  const taskSettings = normalizeTaskSettings(settings.find(s => s.id === TASK_SETTINGS_ID));
+  useEffect(() => {
+    if (!repo || !taskSettings.autoRollover) return;
+    const rollOver = () => {
+      const today = formatDate(new Date());
+      const overdue = overdueTasks(personalTasks, today);
+      if (overdue.length === 0) return;
+      overdue.forEach(t => trackWrite(repo.tasks.update(t.id, postponePatch(t, today, Date.now())), 'write.taskRollover'));
+      showToast(t('toast.autoRolledOver', { count: overdue.length }));
+    };
+    rollOver();
+    const timer = setInterval(rollOver, 60 * 1000);
+    return () => clearInterval(timer);
+  }, [repo, personalTasks, taskSettings.autoRollover]);
+
+  // 12. 공유 캘린더 목록 / 내 이메일로 온 초대 구독
+  useEffect(() => {
+    if (!sharing) return;
+    const unsubscribers = [
+      sharing.subscribeCalendars((items) => setCalendars(items), (error) => console.error("Calendar Error:", error)),
+      sharing.subscribeMyInvites((items) => setMyInvites(items), (error) => console.error("Invite Error:", error)),
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [sharing]);
+
+  // 13. 공유 캘린더의 할 일 / 공지(보이는 캘린더만)와 일기(선택한 캘린더만) 구독. 다른 멤버의 변경도 바로 반영된다
+  useEffect(() => {
+    const subscriptions = Object.entries(calendarRepos).flatMap(([calendarId, calendarRepo]) => [
+      ...(hiddenCalendarIds.includes(calendarId) ? [] : ['tasks', 'notices']),
+      ...(calendarId === activeCalendarId ? ['notes'] : []),
+    ].map(name => ({ key: `${calendarId}/${name}`, unsubscribe: calendarRepo[name].subscribe(
+      (items, { pendingIds }) => {
+        setSharedData(prev => ({ ...prev, [calendarId]: { ...prev[calendarId], [name]: tagCalendar(items, calendarId) } }));
+        trackPending(`${calendarId}/${name}`, pendingIds);
+      },
+      (error) => console.error("Shared Calendar Error:", error)
+    ) })));
+    return () => subscriptions.forEach(({ key, unsubscribe }) => {
+      unsubscribe();
+      trackPending(key, new Set());
+    });
+  }, [calendarRepos, hiddenCalendarIds, activeCalendarId]);
+
+  // 14. 초대 링크(?invite=)로 열면 초대 내용을 보여 주고 주소창에서는 지운다
+  useEffect(() => {
+    if (!sharing) return;
+    const inviteId = inviteIdFromUrl(window.location.href);
+    if (!inviteId) return;
+    window.history.replaceState(null, '', withoutInviteParam(window.location.href));
+    sharing.getInvite(inviteId)
+      .then((invite) => {
+        if (invite) setLinkInvite(invite);
+        else showToast(t('toast.inviteInvalid'));
+      })
+      .catch((error) => console.error("Invite Error:", error));
+  }, [sharing]);
+
+  // 15. 키보드 단축키 (Ctrl+K 팔레트, Ctrl+Z 되돌리기, n / t / 화살표 / j / k / x ...). 동작은 runShortcut
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      const action = shortcutFor(e);
+      if (action && runShortcutRef.current(action)) e.preventDefault();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // 16. 휴지통 구독 (개인 + 고칠 수 있는 공유 캘린더). 30일이 지난 항목은 여기서 지운다
+  const writableSharedKey = calendarList.filter(c => c.id !== PERSONAL_CALENDAR_ID && canEdit(c.role)).map(c => c.id).join(',');
+  useEffect(() => {
+    if (!repo) return;
+    const sources = [
+      [PERSONAL_CALENDAR_ID, repo],
+      ...writableSharedKey.split(',').filter(id => calendarRepos[id]).map(id => [id, calendarRepos[id]]),
+    ];
+    const unsubscribers = sources.map(([calendarId, source]) => source.trash.subscribe(
+      (items) => {
+        const now = Date.now();
+        items.filter(item => isExpired(item, now))
+          .forEach(item => trackWrite(source.trash.remove(item.id), 'write.trashCleanup'));
+        const kept = items.filter(item => !isExpired(item, now));
+        setTrashByCalendar(prev => ({ ...prev, [calendarId]: calendarId === PERSONAL_CALENDAR_ID ? kept : tagCalendar(kept, calendarId) }));
+      },
+      (error) => console.error("Trash Error:", error)
+    ));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [repo, calendarRepos, writableSharedKey]);
+
+  // 17. 문서 언어도 화면 언어에 맞춰서 스크린 리더가 바르게 읽게 한다
+  useEffect(() => {
+    document.documentElement.lang = localeSettings.language;
+  }, [localeSettings.language]);
+
+
+  // --- 되돌리기 / 다시 하기 (history.js) ---
+
+  // 작업을 기록하고 돌려준다 (알림의 Undo 버튼이 바로 그 작업을 되돌릴 수 있게)
+  const remember = (label, changes, mergeKey = null) => {
+    const entry = { label, changes: changes.filter(Boolean), mergeKey };
+    if (entry.changes.length > 0) setHistory(prev => pushHistory(prev, entry));
+    return entry;
+  };
+
+  // 화면에 있는 원본 문서 (반복 일정의 발생이면 시리즈 문서)
+  const sourceDoc = (collection, item) => {
+    const id = item.seriesId || item.id;
+    return (collection === 'tasks' ? tasks : notices)
+      .find(d => d.id === id && calendarIdOf(d) === calendarIdOf(item)) || null;
+  };
+
+  // update(patch)로 바뀌는 문서 하나
+  const patchChange = (collection, item, patch) => {
+    const doc = sourceDoc(collection, item);
+    return doc ? docChange(collection, doc.id, doc, patchedDoc(doc, patch), calendarIdOf(item)) : null;
+  };
+
+  // changes의 이후 상태를 캘린더별 batch로 쓴다 (지우기 + 휴지통처럼 함께 바뀌어야 하는 작업)
+  const writeChanges = (changes, label) => {
+    Object.entries(historyOps({ changes }, 'redo')).forEach(([calendarId, ops]) => {
+      const target = repoOfCalendar(calendarId);
+      if (target) trackWrite(target.batch(ops), label);
+    });
+  };
+
+  // entry: 알림의 Undo 버튼이 되돌릴 작업 (없으면 가장 최근 작업)
+  const applyHistory = (direction, entry) => {
+    const result = direction === 'undo' ? undoHistory(history, entry) : redoHistory(history);
+    if (!result) return;
+    setHistory(result.history);
+    Object.entries(historyOps(result.entry, direction)).forEach(([calendarId, ops]) => {
+      const target = repoOfCalendar(calendarId);
+      if (target) trackWrite(target.batch(ops), direction === 'undo' ? 'write.undo' : 'write.redo');
+    });
+    // 열려 있는 일기를 되돌렸으면 편집기도 그 내용으로
+    const note = result.entry.changes.find(c => c.collection === 'notes' && c.id === noteDate && c.calendarId === activeCalendar.id);
+    if (note) {
+      const data = (direction === 'undo' ? note.before : note.after) || {};
+      clearDraft(draftKey(activeCalendar.id, noteDate));
+      setSavedDailyNote(data.content || '');
+      setDailyNote(data.content || '');
+      setSavedDailyCheckIn(checkInOf(data));
+      setDailyCheckIn(checkInOf(data));
+    }
+    showToast(t(direction === 'undo' ? 'toast.undone' : 'toast.redone', { label: result.entry.label }));
+  };
+  applyHistoryRef.current = applyHistory;
+
+  // 지우기처럼 바로 되돌리고 싶을 작업 뒤의 알림
+  const showUndoToast = (message, entry) => showToast(message, {
+    label: t('toast.undo'),
+    run: () => applyHistoryRef.current('undo', entry),
+  });
 
   // --- 공지사항 관련 핸들러 ---
 
@@ -174,39 +589,62 @@ const App = () => {
   const openNoticeModal = (notice = null) => {
     if (notice) {
       setEditingNoticeId(notice.id);
+      setNewCalendarId(calendarIdOf(notice));
       setNewNoticeContent(notice.content);
       setNewNoticeDate(notice.targetDate);
+      setNewNoticeReminders(notice.reminders || []);
     } else {
       setEditingNoticeId(null);
       setNewNoticeContent('');
+      setNewNoticeReminders([]);
       setNewNoticeDate(formatDate(new Date())); // 오늘 날짜 기본
+      setNewCalendarId(defaultCalendarId);
     }
     setIsNoticeModalOpen(true);
     setIsNoticeOpen(false); // 리스트는 닫기
   };
 
-  // 공지 저장 (추가/수정)
-  const handleSaveNotice = async () => {
-    if (!newNoticeContent.trim() || !user) return;
+  // 쓰기 결과 처리. 오프라인이면 서버가 확인할 때까지 Promise가 끝나지 않지만 로컬 캐시에는
+  // 바로 반영되므로 UI는 기다리지 않는다. 대신 실패하면 콘솔에만 남기지 않고 알림으로 보여준다.
+  // labelKey: 'write.taskSave' 같은 작업 이름의 번역 키
+  const trackWrite = (promise, labelKey) => {
+    promise.catch((error) => {
+      console.error(`${labelKey} Error:`, error);
+      showToast(t('toast.writeFailed', { action: t(labelKey), reason: error.code || error.message }));
+    });
+    return promise;
+  };
+
+  // 공지 저장 (추가/수정). 수정할 때는 공지가 있던 캘린더에 저장
+  const handleSaveNotice = () => {
+    const target = repoOfCalendar(newCalendarId);
+    if (!newNoticeContent.trim() || !target) return;
 
     try {
       if (editingNoticeId) {
-        await updateDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'notices', editingNoticeId), {
+        const patch = {
           content: newNoticeContent,
           targetDate: newNoticeDate,
+          reminders: newNoticeReminders,
           updatedAt: new Date().toISOString()
-        });
+        };
+        remember(t('notice.edit'), [patchChange('notices', { id: editingNoticeId, calendarId: newCalendarId }, patch)]);
+        trackWrite(target.notices.update(editingNoticeId, patch), 'write.noticeSave');
       } else {
         const noticeId = crypto.randomUUID();
-        await setDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'notices', noticeId), {
+        const data = {
           content: newNoticeContent,
           targetDate: newNoticeDate,
+          reminders: newNoticeReminders,
           isHidden: false, // 기본적으로 보임
           createdAt: new Date().toISOString()
-        });
+        };
+        remember(t('notice.add'), [docChange('notices', noticeId, null, data, newCalendarId)]);
+        trackWrite(target.notices.set(noticeId, data), 'write.noticeSave');
       }
       setIsNoticeModalOpen(false);
       // 다시 목록 열어주기 (선택 사항)
+      setNoticeView('active');
       setIsNoticeOpen(true);
     } catch (error) {
       console.error("Notice Save Error:", error);
@@ -214,53 +652,92 @@ const App = () => {
   };
 
   // 공지 숨김 처리 (삭제 대신 숨김 플래그 사용)
-  const toggleNoticeVisibility = async (id, currentStatus) => {
-    if (!user) return;
+  const toggleNoticeVisibility = (notice) => {
+    const target = repoFor(notice);
+    if (!target) return;
     try {
-      await updateDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'notices', id), {
-        isHidden: !currentStatus
-      });
+      const patch = { isHidden: !notice.isHidden };
+      remember(notice.isHidden ? t('notice.show') : t('notice.hide'), [patchChange('notices', notice, patch)]);
+      trackWrite(target.notices.update(notice.id, patch), 'write.noticeUpdate');
     } catch (error) {
       console.error("Notice Hide Error:", error);
     }
   };
   
-  // 공지 삭제 (완전 삭제)
-  const deleteNotice = async (id) => {
-      if(!user) return;
+  // 고정한 공지는 목록 맨 위에 유지
+  const toggleNoticePin = (notice) => {
+    const target = repoFor(notice);
+    if (!target) return;
+    const patch = { pinned: !notice.pinned };
+    remember(notice.pinned ? t('notice.unpin') : t('notice.pin'), [patchChange('notices', notice, patch)]);
+    trackWrite(target.notices.update(notice.id, patch), 'write.noticeUpdate');
+  };
+
+  // 보관함에서 되살리기 (만료된 공지는 오늘 날짜로)
+  const restoreNotice = (notice) => {
+    const target = repoFor(notice);
+    if (!target) return;
+    const patch = restorePatch(notice, formatDate(new Date()));
+    remember(t('notice.restore'), [patchChange('notices', notice, patch)]);
+    trackWrite(target.notices.update(notice.id, patch), 'write.noticeUpdate');
+  };
+
+  // 공지 삭제 (완전 삭제, 알림의 Undo나 Ctrl+Z로만 되돌릴 수 있다)
+  const deleteNotice = (notice) => {
+      const target = repoFor(notice);
+      if(!target) return;
       try {
-          await deleteDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'notices', id));
+          const entry = remember(t('notice.delete'), [docChange('notices', notice.id, sourceDoc('notices', notice) || notice, null, calendarIdOf(notice))]);
+          trackWrite(target.notices.remove(notice.id), 'write.noticeDelete');
+          showUndoToast(t('toast.noticeDeleted'), entry);
       } catch(error) {
           console.error("Notice Delete Error:", error);
       }
   }
 
-  // 표시할 공지 필터링 (숨김 처리된 것 제외, 혹은 관리 모드에서는 다 보여줄 수도 있음)
-  // 여기서는 팝업에는 '숨겨지지 않은' + '오늘 또는 미래의' 공지만 보여주고,
-  // '전체 보기' 같은 관리 화면이 있다면 거기서 다 보여주는 게 좋지만, 
-  // 심플하게 '숨겨지지 않은 공지'만 리스트에 보여줍니다.
-  const visibleNotices = notices.filter(n => !n.isHidden);
-  
-  // 배지 카운트: 오늘 날짜 기준, 보여질 공지 중 아직 날짜가 지나지 않은 것 등 조건 추가 가능
-  // 여기서는 심플하게 '숨겨지지 않은 모든 공지' 개수로 합니다.
-  const noticeCount = visibleNotices.length;
+  // 팝업 목록: 기본은 '숨기지 않은' + '오늘 또는 미래의' 공지, 보관함은 숨김 + 날짜가 지난 공지
+  const todayStr = formatDate(new Date());
+  const visibleNotices = noticeView === 'archive' ? archivedNotices(notices, todayStr) : activeNotices(notices, todayStr);
+  const archivedCount = archivedNotices(notices, todayStr).length;
+
+  // 배지 카운트: 다가오는 개인 공지 중 아직 읽지 않은 것 (공유 캘린더 공지는 읽음 표시를 하지 않는다)
+  const noticeCount = unreadCount(personalNotices, todayStr);
+
+  const pendingCount = Object.values(pendingWrites).reduce((sum, ids) => sum + ids.size, 0);
+  // 공유 캘린더 항목은 '캘린더 id/컬렉션' 키로 따로 모은다
+  const pendingIdsIn = (calendarId, name) => pendingWrites[calendarId === PERSONAL_CALENDAR_ID ? name : `${calendarId}/${name}`] || new Set();
+  const isTaskPending = (task) => pendingIdsIn(calendarIdOf(task), 'tasks').has(task.seriesId || task.id);
+
+  // 공유 캘린더 항목이면 그 캘린더 (개인 항목은 null)
+  const sharedCalendarOf = (item) => (item.calendarId ? calendarOf(item.calendarId) : null);
+  const writableCalendars = calendarList.filter(c => canEdit(c.role));
+
+  // 삭제된 프로젝트 / 태그를 가리키는 id는 무시
+  const projectOf = (task) => projects.find(p => p.id === task.projectId) || null;
+  const tagsOf = (task) => tags.filter(t => (task.tagIds || []).includes(t.id));
 
 
   // --- 기존 핸들러들 ---
 
-  const saveDailyNote = async () => {
-    if (!user) return;
+  const saveDailyNote = () => {
+    if (!journalRepo || !canWriteActive || !noteDate) return;
     setIsNoteSaving(true);
-    const dateStr = formatDate(selectedDate);
+    const dateStr = noteDate;
     try {
-      await setDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'notes', dateStr), {
+      const previous = journalNotes.find(n => n.id === dateStr) || null;
+      const data = {
         content: dailyNote,
-        mood: dailyMood,
+        ...dailyCheckIn,
+        revisions: nextRevisions(previous, dailyNote, dailyCheckIn, Date.now()),
         updatedAt: new Date().toISOString()
-      }, { merge: true });
+      };
+      // 같은 날 일기를 이어서 저장하면(자동 저장) 한 번의 되돌리기로 합친다
+      remember(t('journal.edit'), [docChange('notes', dateStr, previous, mergedDoc(previous, data), activeCalendar.id)], `notes/${activeCalendar.id}/${dateStr}`);
+      trackWrite(journalRepo.notes.set(dateStr, data, { merge: true }), 'write.noteSave');
       
       setSavedDailyNote(dailyNote); 
-      setSavedDailyMood(dailyMood);
+      setSavedDailyCheckIn(dailyCheckIn);
+      clearDraft(draftKey(activeCalendar.id, dateStr));
       
       setIsNoteSaving(false);
       setShowSaveSuccess(true);
@@ -272,118 +749,872 @@ const App = () => {
     }
   };
 
-  const isNoteDirty = dailyNote !== savedDailyNote || dailyMood !== savedDailyMood;
+  const isNoteDirty = dailyNote !== savedDailyNote || !sameCheckIn(dailyCheckIn, savedDailyCheckIn);
+  const noteRevisions = (journalNotes.find(n => n.id === noteDate) || {}).revisions || [];
+
+  // 일기 임시 저장 + 자동 저장: 바뀔 때마다 브라우저에 남기고, 입력이 멈추면 저장소에 저장
+  useEffect(() => {
+    if (!noteDate || !isNoteDirty) return;
+    saveDraft(draftKey(activeCalendar.id, noteDate), { content: dailyNote, checkIn: dailyCheckIn });
+    const timer = setTimeout(saveDailyNote, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [noteDate, dailyNote, dailyCheckIn]);
 
-  const saveTaskMemo = async (taskId, content) => {
-    if (!user) return;
+  // 다른 멤버가 고친 일기를 바로 보여 준다 (편집 중이면 덮어쓰지 않음)
+  useEffect(() => {
+    if (!noteDate || isNoteDirty) return;
+    const note = journalNotes.find(n => n.id === noteDate);
+    if (!note) return;
+    const content = note.content || '';
+    const checkIn = checkInOf(note);
+    if (content === savedDailyNote && sameCheckIn(checkIn, savedDailyCheckIn)) return;
+    setSavedDailyNote(content);
+    setDailyNote(content);
+    setSavedDailyCheckIn(checkIn);
+    setDailyCheckIn(checkIn);
+  }, [journalNotes]);
+
+  // 저장 안 된 일기가 있으면 다른 날로 가기 전에 확인 (확인 = 저장하고 이동, 취소 = 머무름)
+  const confirmLeaveNote = () => {
+    if (!isNoteDirty) return true;
+    if (!window.confirm(t('confirm.unsavedJournal', { date: noteDate }))) return false;
+    saveDailyNote();
+    return true;
+  };
+
+  const selectDate = (date) => {
+    if (formatDate(date) !== noteDate && !confirmLeaveNote()) return false;
+    setSelectedDate(date);
+    setSelectedTaskIds([]);
+    return true;
+  };
+
+  // 일기 / 새 항목을 쓸 캘린더 바꾸기 (저장 안 된 일기가 있으면 먼저 확인)
+  const activateCalendar = (id) => {
+    if (id === activeCalendar.id || !confirmLeaveNote()) return;
+    localStorage.setItem('focusboard.activeCalendar', id);
+    setActiveCalendarId(id);
+    setNoteDate(null);
+  };
+
+  const toggleCalendarVisibility = (id) => {
+    const next = toggleId(hiddenCalendarIds, id);
+    localStorage.setItem('focusboard.hiddenCalendars', JSON.stringify(next));
+    setHiddenCalendarIds(next);
+    setSelectedTaskIds([]);
+  };
+
+  const createCalendar = async (data) => {
+    if (!sharing) return;
     try {
-      await updateDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'tasks', taskId), {
-        description: content
-      });
+      const id = await trackWrite(sharing.createCalendar(data), 'write.calendarSave');
+      activateCalendar(id);
+    } catch (error) {
+      console.error("Calendar Create Error:", error);
+    }
+  };
+
+  // 초대 수락 (사이드바의 이메일 초대 / 초대 링크)
+  const joinCalendar = async (invite) => {
+    if (!sharing) return;
+    setLinkInvite(null);
+    try {
+      await trackWrite(sharing.acceptInvite(invite), 'write.joinCalendar');
+      showToast(t('toast.joined', { calendar: invite.calendarName, role: t(`role.${invite.role}`) }));
+    } catch (error) {
+      console.error("Join Error:", error);
+    }
+  };
+
+  const declineInvite = (invite) => {
+    if (!sharing) return;
+    trackWrite(sharing.deleteInvite(invite.id), 'write.declineInvite');
+  };
+
+  const restoreRevision = (revision) => {
+    setDailyNote(revision.content);
+    setDailyCheckIn(checkInOf(revision));
+    setIsHistoryOpen(false);
+  };
+
+  // 반복 일정의 발생이면 해당 날짜의 override로만 저장
+  const saveTaskMemo = (task, content) => {
+    const target = repoFor(task);
+    if (!target) return;
+    try {
+      const patch = task.isOccurrence ? { [`overrides.${task.date}.description`]: content } : { description: content };
+      remember(t('task.editMemo'), [patchChange('tasks', task, patch)]);
+      trackWrite(target.tasks.update(task.seriesId || task.id, patch), 'write.memoSave');
       setExpandedTaskId(null); 
     } catch (error) {
       console.error("Task Memo Save Error:", error);
     }
   };
 
-  const calendarDays = useMemo(() => {
-    const year = currentDate.getFullYear();
-    const month = currentDate.getMonth();
-    const days = [];
-    const firstDay = new Date(year, month, 1).getDay();
-    const totalDays = new Date(year, month + 1, 0).getDate();
+  // 체크리스트는 바뀔 때마다 바로 저장. autoComplete이면 마지막 항목을 체크할 때 할 일도 완료 처리
+  const saveSubtasks = (task, subtasks) => {
+    const target = repoFor(task);
+    if (!target) return;
+    const patch = task.isOccurrence ? { [`overrides.${task.date}.subtasks`]: subtasks } : { subtasks };
+    if (task.autoComplete && !task.completed && allSubtasksDone(subtasks)) {
+      if (task.isOccurrence) patch.completedDates = arrayUnion(task.date);
+      else patch.completed = true;
+    }
+    remember(t('task.editChecklist'), [patchChange('tasks', task, patch)]);
+    trackWrite(target.tasks.update(task.seriesId || task.id, patch), 'write.checklistSave');
+  };
+
+  // 자동 완료 설정은 시리즈 전체에 적용
+  const setTaskAutoComplete = (task, autoComplete) => {
+    const target = repoFor(task);
+    if (!target) return;
+    trackWrite(target.tasks.update(task.seriesId || task.id, { autoComplete }), 'write.taskUpdate');
+  };
 
-    for (let i = 0; i < firstDay; i++) days.push({ day: null, currentMonth: false });
-    for (let i = 1; i <= totalDays; i++) {
-      const dateStr = `${year}-${String(month + 1).padStart(2, '0')}-${String(i).padStart(2, '0')}`;
-      days.push({ day: i, dateStr, currentMonth: true, tasks: tasks.filter(t => t.date === dateStr) });
+  // --- 프로젝트 / 태그 (kind: 'projects' | 'tags') ---
+
+  // 새 항목의 id (빠른 추가에서 새 태그를 바로 붙일 때 사용)
+  const createCategory = (kind, data) => {
+    if (!repo) return null;
+    const id = crypto.randomUUID();
+    trackWrite(repo[kind].set(id, { ...data, createdAt: new Date().toISOString() }), 'write.categorySave');
+    return id;
+  };
+
+  const updateCategory = (kind, id, patch) => {
+    if (!repo) return;
+    trackWrite(repo[kind].update(id, patch), 'write.categorySave');
+  };
+
+  // 삭제하면 연결된 할 일(고칠 수 있는 공유 캘린더 포함)에서도 떼어내고, 필터에서도 뺀다
+  const deleteCategory = (kind, item) => {
+    if (!repo) return;
+    const writable = tasks.filter(t => !isReadOnly(t));
+    if (kind === 'projects') {
+      writable.filter(t => t.projectId === item.id)
+        .forEach(t => trackWrite(repoFor(t).tasks.update(t.id, { projectId: null }), 'write.taskUpdate'));
+    } else {
+      writable.filter(t => (t.tagIds || []).includes(item.id))
+        .forEach(t => trackWrite(repoFor(t).tasks.update(t.id, { tagIds: arrayRemove(item.id) }), 'write.taskUpdate'));
     }
-    return days;
-  }, [currentDate, tasks]);
+    trackWrite(repo[kind].remove(item.id), 'write.categoryDelete');
+    setCategoryFilter(prev => ({
+      projectIds: prev.projectIds.filter(id => id !== item.id),
+      tagIds: prev.tagIds.filter(id => id !== item.id),
+    }));
+  };
+
+  const saveTemplate = (id, data) => {
+    if (!repo) return;
+    if (id) trackWrite(repo.templates.update(id, data), 'write.templateSave');
+    else trackWrite(repo.templates.set(crypto.randomUUID(), { ...data, createdAt: new Date().toISOString() }), 'write.templateSave');
+  };
+
+  const deleteTemplate = (template) => {
+    if (!repo) return;
+    trackWrite(repo.templates.remove(template.id), 'write.templateDelete');
+  };
+
+  const saveMoodSettings = (data) => {
+    if (!repo) return;
+    trackWrite(repo.settings.set(MOOD_SETTINGS_ID, data, { merge: true }), 'write.settingsSave');
+  };
+
+  const saveTaskSettings = (patch) => {
+    if (!repo) return;
+    trackWrite(repo.settings.set(TASK_SETTINGS_ID, patch, { merge: true }), 'write.settingsSave');
+  };
+
+  const saveLocaleSettings = (patch) => {
+    if (!repo) return;
+    trackWrite(repo.settings.set(LOCALE_SETTINGS_ID, patch, { merge: true }), 'write.settingsSave');
+  };
+
+  const changeJournalMode = (mode) => {
+    localStorage.setItem('focusboard.journalMode', mode);
+    setJournalMode(mode);
+  };
+
+  const toggleCountSubtasks = () => {
+    localStorage.setItem('focusboard.countSubtasks', String(!countSubtasks));
+    setCountSubtasks(!countSubtasks);
+  };
+
+  // 프로젝트 / 태그 필터를 적용한 할 일 (캘린더와 목록에 표시)
+  const filteredTasks = useMemo(() => filterByCategories(tasks, categoryFilter), [tasks, categoryFilter]);
 
-  const openAddModal = () => {
+  const calendarDays = useMemo(
+    () => buildCalendarDays(currentDate, filteredTasks, notices, localeSettings.weekStart),
+    [currentDate, filteredTasks, notices, localeSettings.weekStart]
+  );
+  const weekNumbers = useMemo(() => calendarWeekNumbers(currentDate, localeSettings.weekStart), [currentDate, localeSettings.weekStart]);
+
+  // 무드 척도 설정 (설정 문서가 없으면 기본 5단계) / 월 그리드에 찍을 날짜별 무드
+  const moodSettings = useMemo(() => normalizeMoodSettings(settings.find(s => s.id === MOOD_SETTINGS_ID), i18n), [settings, i18n]);
+  const moodByDate = useMemo(() => Object.fromEntries(
+    journalNotes.map(n => [n.id, normalizeMood(n.mood)]).filter(([, mood]) => mood)
+  ), [journalNotes]);
+
+  // 지난 날짜에 남은 할 일 (프로젝트 / 태그 필터 적용, 보기 전용 캘린더 제외)
+  const overdueList = useMemo(
+    () => overdueTasks(filteredTasks.filter(t => !isReadOnly(t)), todayStr),
+    [filteredTasks, todayStr, calendarList]
+  );
+
+  // date / startTime: 타임라인의 빈 슬롯을 눌러 열 때 미리 채울 값
+  const openAddModal = ({ date = formatDate(selectedDate), startTime = '' } = {}) => {
     setEditingId(null);
+    setEditingOccurrence(null);
     setNewTask('');
     setNewPriority('medium');
+    setNewDate(date);
+    setNewStartTime(startTime);
+    setNewEndTime('');
+    setNewRepeat(null);
+    // 프로젝트 하나로 필터링 중이면 그 프로젝트로 시작
+    setNewProjectId(categoryFilter.projectIds.length === 1 ? categoryFilter.projectIds[0] : null);
+    setNewTagIds([]);
+    setNewReminders([]);
+    setNewCalendarId(defaultCalendarId);
     setIsModalOpen(true);
   };
 
+  // 반복 일정의 발생을 수정할 때는 기본적으로 '이 발생만' 범위로 연다
   const openEditModal = (task) => {
-    setEditingId(task.id);
+    const series = task.isOccurrence ? tasks.find(t => t.id === task.seriesId) : task;
+    setEditingId(series ? series.id : task.id);
+    setEditingOccurrence(task.isOccurrence ? task : null);
+    setEditScope('occurrence');
     setNewTask(task.text);
     setNewPriority(task.priority);
+    setNewDate(series ? series.date : task.date);
+    setNewStartTime(task.startTime || '');
+    setNewEndTime(task.endTime || '');
+    setNewRepeat(series && series.repeat ? series.repeat : null);
+    setNewProjectId((series || task).projectId || null);
+    setNewTagIds((series || task).tagIds || []);
+    setNewReminders((series || task).reminders || []);
+    setNewCalendarId(calendarIdOf(task));
     setIsModalOpen(true);
   };
 
-  const handleSaveTask = async () => {
-    if (!newTask.trim() || !user) return;
+  // 수정할 때 newCalendarId는 할 일이 있던 캘린더 (캘린더를 옮기는 수정은 없다)
+  const handleSaveTask = () => {
+    const target = repoOfCalendar(newCalendarId);
+    if (!newTask.trim() || !target) return;
+    // 시작 시간이 없으면 종일 일정, 종료 시간은 시작 이후일 때만 저장
+    const startTime = newStartTime || null;
+    const endTime = startTime && newEndTime > startTime ? newEndTime : null;
 
     try {
       if (editingId) {
-        await updateDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'tasks', editingId), {
+        const patch = editingOccurrence && editScope === 'occurrence' ? {
+          [`overrides.${editingOccurrence.date}.text`]: newTask,
+          [`overrides.${editingOccurrence.date}.priority`]: newPriority,
+          [`overrides.${editingOccurrence.date}.startTime`]: startTime,
+          [`overrides.${editingOccurrence.date}.endTime`]: endTime,
+        } : seriesEditPatch(tasks.find(task => task.id === editingId), {
+          date: newDate,
           text: newTask,
           priority: newPriority,
+          startTime,
+          endTime,
+          repeat: newRepeat,
+          projectId: newProjectId,
+          tagIds: newTagIds,
+          reminders: newReminders,
         });
+        remember(t('task.edit'), [patchChange('tasks', { id: editingId, calendarId: newCalendarId }, patch)]);
+        trackWrite(target.tasks.update(editingId, patch), 'write.taskSave');
       } else {
-        const dateStr = formatDate(selectedDate);
-        const taskId = crypto.randomUUID();
-        await setDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'tasks', taskId), {
-          date: dateStr,
+        createTask(newCalendarId, {
+          date: newDate,
           text: newTask,
-          completed: false,
           priority: newPriority,
-          description: '', 
-          createdAt: new Date().toISOString()
+          startTime,
+          endTime,
+          repeat: newRepeat,
+          projectId: newProjectId,
+          tagIds: newTagIds,
+          reminders: newReminders,
         });
       }
       setNewTask('');
       setEditingId(null);
+      setEditingOccurrence(null);
       setIsModalOpen(false);
     } catch (error) {
       console.error("Save Error:", error);
     }
   };
 
-  const toggleTask = async (id, status) => {
-    if (!user) return;
+  // 새 할 일 저장 (모달과 빠른 추가가 함께 쓴다)
+  const createTask = (calendarId, fields) => {
+    const target = repoOfCalendar(calendarId);
+    if (!target) return;
+    const taskId = crypto.randomUUID();
+    const data = {
+      completed: false,
+      description: '',
+      projectId: null,
+      tagIds: [],
+      reminders: [],
+      ...fields,
+      createdAt: new Date().toISOString()
+    };
+    remember(t('task.add'), [docChange('tasks', taskId, null, data, calendarId)]);
+    trackWrite(target.tasks.set(taskId, data), 'write.taskSave');
+  };
+
+  // 빠른 추가 (quickAdd.js): 없는 #태그는 새로 만들고, 다른 날짜에 넣었으면 그 날로 갈 수 있게 알림
+  const quickAddTask = (parsed) => {
+    const tagIds = parsed.tagNames
+      .map(name => (tags.find(t => t.name.toLowerCase() === name.toLowerCase()) || {}).id || createCategory('tags', { name, color: DEFAULT_COLOR }))
+      .filter(Boolean);
+    createTask(defaultCalendarId, {
+      date: parsed.date,
+      text: parsed.text,
+      priority: parsed.priority || 'medium',
+      startTime: parsed.startTime,
+      endTime: parsed.endTime,
+      repeat: parsed.repeat,
+      projectId: categoryFilter.projectIds.length === 1 ? categoryFilter.projectIds[0] : null,
+      tagIds,
+    });
+    if (parsed.date !== formatDate(selectedDate)) {
+      showToast(t('toast.taskAdded', { text: parsed.text, date: parsed.date }), { label: t('toast.show'), run: () => jumpToTaskDate(parsed.date) });
+    }
+  };
+
+  // 반복 일정의 발생은 시리즈 문서의 completedDates로 완료 여부를 관리
+  const toggleTask = (task) => {
+    const target = repoFor(task);
+    if (!target) return;
     try {
-      await updateDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'tasks', id), { completed: !status });
+      const patch = task.isOccurrence
+        ? { completedDates: task.completed ? arrayRemove(task.date) : arrayUnion(task.date) }
+        : { completed: !task.completed };
+      remember(task.completed ? t('task.reopen') : t('task.complete'), [patchChange('tasks', task, patch)]);
+      trackWrite(target.tasks.update(task.seriesId || task.id, patch), 'write.taskUpdate');
     } catch (error) {
       console.error(error);
     }
   };
 
-  const deleteTask = async (id) => {
-    if (!user) return;
+  // 반복 일정은 삭제 범위(이 발생만 / 전체 시리즈)를 먼저 묻는다
+  // 문서를 지우면 휴지통에 함께 넣는다 (이 발생만 지우면 시리즈의 exdates만 바뀜)
+  const deleteTask = (task, scope) => {
+    const target = repoFor(task);
+    if (!target) return;
+    if (task.isOccurrence && !scope) {
+      setPendingDeleteTask(task);
+      return;
+    }
     try {
-      await deleteDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'tasks', id));
+      let entry;
+      if (task.isOccurrence && scope === 'occurrence') {
+        const patch = { exdates: arrayUnion(task.date) };
+        entry = remember(t('task.delete'), [patchChange('tasks', task, patch)]);
+        trackWrite(target.tasks.update(task.seriesId, patch), 'write.taskDelete');
+      } else {
+        const doc = sourceDoc('tasks', task) || task;
+        const calendarId = calendarIdOf(task);
+        entry = remember(t('task.delete'), [
+          docChange('tasks', doc.id, doc, null, calendarId),
+          docChange(TRASH_COLLECTION, doc.id, null, trashDoc('tasks', doc), calendarId),
+        ]);
+        writeChanges(entry.changes, 'write.taskDelete');
+      }
+      showUndoToast(t('toast.taskDeleted', { text: task.text }), entry);
+      if (expandedTaskId === task.id) setExpandedTaskId(null);
+      setPendingDeleteTask(null);
     } catch (error) {
       console.error(error);
     }
   };
 
+  // 일정을 다른 날짜로 이동하거나 복사한다.
+  // 반복 일정의 발생을 옮기면 원래 날짜는 시리즈에서 제외하고, 새 날짜에 단일 일정으로 떼어 낸다.
+  const moveTask = (task, dateStr, { copy = false } = {}) => {
+    const target = repoFor(task);
+    if (!target || !dateStr || (!copy && task.date === dateStr)) return;
+    try {
+      const calendarId = calendarIdOf(task);
+      if (copy || task.isOccurrence) {
+        const taskId = crypto.randomUUID();
+        const data = taskCopy(task, dateStr, { copy });
+        const exdates = { exdates: arrayUnion(task.date) };
+        remember(copy ? t('task.copy') : t('task.move'), [
+          docChange('tasks', taskId, null, data, calendarId),
+          !copy && patchChange('tasks', task, exdates),
+        ]);
+        trackWrite(target.tasks.set(taskId, data), 'write.taskMove');
+        if (!copy) trackWrite(target.tasks.update(task.seriesId, exdates), 'write.taskMove');
+      } else {
+        const patch = postponePatch(task, dateStr, Date.now());
+        remember(t('task.move'), [patchChange('tasks', task, patch)]);
+        trackWrite(target.tasks.update(task.id, patch), 'write.taskMove');
+      }
+    } catch (error) {
+      console.error("Move Error:", error);
+    }
+  };
+
+  // 지난 날짜의 할 일을 오늘로 넘긴다 (미루기 기록이 남는다)
+  const rollOverTasks = (list) => {
+    if (list.length === 0) return;
+    const today = formatDate(new Date());
+    const writable = list.filter(t => !isReadOnly(t));
+    const patches = writable.map(t => postponePatch(t, today, Date.now()));
+    remember(writable.length > 1 ? t('history.rollOverMany') : t('history.rollOver'), writable.map((t, i) => patchChange('tasks', t, patches[i])));
+    writable.forEach((t, i) => trackWrite(repoFor(t).tasks.update(t.id, patches[i]), 'write.taskRollover'));
+    if (list.length > 1) showToast(t('toast.rolledOver', { count: list.length }));
+  };
+
+  // --- 드래그 앤 드롭 (Alt / Ctrl / Cmd 를 누른 채 놓으면 복사) ---
+  const isCopyModifier = (e) => e.altKey || e.ctrlKey || e.metaKey;
+
+  const handleTaskDragStart = (e, task) => {
+    e.stopPropagation();
+    draggedTaskRef.current = task;
+    e.dataTransfer.effectAllowed = 'copyMove';
+    e.dataTransfer.setData('text/plain', task.id);
+  };
+
+  const handleTaskDragEnd = () => {
+    draggedTaskRef.current = null;
+    setDragOverDate(null);
+  };
+
+  const handleDayDragOver = (e, dateStr) => {
+    if (!draggedTaskRef.current) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = isCopyModifier(e) ? 'copy' : 'move';
+    if (dragOverDate !== dateStr) setDragOverDate(dateStr);
+  };
+
+  const handleDayDrop = (e, dateStr) => {
+    e.preventDefault();
+    const task = draggedTaskRef.current;
+    handleTaskDragEnd();
+    if (task) moveTask(task, dateStr, { copy: isCopyModifier(e) });
+  };
+
+  const openMoveModal = (task) => {
+    setMovingTask(task);
+    setMoveTargetDate(task.date);
+  };
+
+  // action이 있으면 (예: Undo) 누를 시간을 조금 더 준다
+  const showToast = (message, action = null) => {
+    clearTimeout(toastTimerRef.current);
+    setToast({ message, action });
+    toastTimerRef.current = setTimeout(() => setToast(null), action ? 6000 : 3000);
+  };
+
+  // --- 여러 할 일 선택 / 일괄 작업 ---
+
+  const startSelecting = () => {
+    setIsSelecting(true);
+    setBulkDate(formatDate(selectedDate));
+  };
+
+  const stopSelecting = () => {
+    setIsSelecting(false);
+    setSelectedTaskIds([]);
+    selectionAnchorRef.current = null;
+  };
+
+  // range: Shift-클릭이면 마지막으로 누른 항목부터 여기까지 선택
+  const selectTask = (task, range) => {
+    if (!isSelecting) startSelecting();
+    if (range && selectionAnchorRef.current) {
+      const ids = rangeIds(displayTasks, selectionAnchorRef.current, task.id);
+      setSelectedTaskIds(prev => [...new Set([...prev, ...ids])]);
+    } else {
+      setSelectedTaskIds(prev => toggleId(prev, task.id));
+      selectionAnchorRef.current = task.id;
+    }
+  };
+
+  // 캘린더마다 한 번의 batch로 쓰고, 같은 batch로 되돌릴 수 있게 Undo를 띄운다 (보기 전용 캘린더의 할 일은 건너뜀)
+  const runBulkAction = (action, options = {}) => {
+    const writable = selectedTasks.filter(t => !isReadOnly(t));
+    if (writable.length === 0) return;
+    const completeAll = !allCompleted(writable);
+    const plans = [...new Set(writable.map(calendarIdOf))].map(calendarId => ({
+      calendarId,
+      target: repoOfCalendar(calendarId),
+      ...planBulkAction(
+        tasks.filter(t => calendarIdOf(t) === calendarId),
+        writable.filter(t => calendarIdOf(t) === calendarId),
+        action,
+        { ...options, completeAll, now: Date.now() }
+      ),
+    })).filter(plan => plan.ops.length > 0);
+    if (plans.length === 0) return;
+    const message = describeBulkAction(action, writable.length, { ...options, reopen: !completeAll }, i18n);
+    plans.forEach(({ target, ops }) => trackWrite(target.batch(ops), 'write.bulkUpdate'));
+    showUndoToast(message, remember(message, plans.flatMap(({ calendarId, ops, undo }) => changesFromOps(calendarId, ops, undo))));
+    if (action === 'delete' || action === 'move') setSelectedTaskIds([]);
+  };
+
+  // --- 휴지통 ---
+
+  const trashItems = sortTrash(Object.values(trashByCalendar).flat());
+
+  // 같은 id로 원래 컬렉션에 되살린다
+  const restoreTrashItem = (item) => {
+    const calendarId = calendarIdOf(item);
+    const entry = remember(t('task.restore'), [
+      docChange(TRASH_COLLECTION, item.id, item, null, calendarId),
+      docChange(item.collection, item.id, null, item.data, calendarId),
+    ]);
+    writeChanges(entry.changes, 'write.trashRestore');
+    showToast(t('toast.trashRestored', { text: item.data.text }));
+  };
+
+  const deleteTrashItem = (item) => {
+    const target = repoOfCalendar(calendarIdOf(item));
+    if (target) trackWrite(target.trash.remove(item.id), 'write.trashDelete');
+  };
+
+  const emptyTrash = () => {
+    if (!window.confirm(t('confirm.emptyTrash', { count: trashItems.length }))) return;
+    Object.entries(trashByCalendar).forEach(([calendarId, items]) => {
+      const target = repoOfCalendar(calendarId);
+      if (target && items.length > 0) {
+        trackWrite(target.batch(items.map(item => ({ type: 'delete', collection: TRASH_COLLECTION, id: item.id }))), 'write.trashDelete');
+      }
+    });
+  };
+
+  // --- iCalendar (.ics) 내보내기 / 가져오기 ---
+
+  const exportICalendar = () => {
+    const ics = buildICalendar({ tasks: personalTasks, notices: personalNotices });
+    const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `focusboard-${formatDate(new Date())}.ics`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // 같은 UID가 이미 있으면 해당 문서를 갱신 (우리 앱이 내보낸 UID는 문서 id로, 외부 UID는 icalUid 필드로 찾는다)
+  // 발생 수정본(RECURRENCE-ID)은 시리즈의 overrides / completedDates / exdates에 반영하고, 시리즈가 없으면 단일 일정으로 가져온다
+  const importICalendar = async (file) => {
+    if (!file || !repo) return;
+    try {
+      const items = parseICalendar(await file.text());
+      let created = 0;
+      let updated = 0;
+      // 이 파일에서 이미 쓴 문서 (personalTasks는 가져오기 전 스냅샷이라 같은 파일 안의 같은 UID를 모른다)
+      const written = new Map();
+      const findExisting = (kind, uid) => {
+        if (uid && written.has(`${kind}:${uid}`)) return written.get(`${kind}:${uid}`);
+        const own = docIdFromUid(uid);
+        const existingList = kind === 'notice' ? personalNotices : personalTasks;
+        return existingList.find(x => (own && own.kind === kind && x.id === own.id) || (uid && x.icalUid === uid)) || null;
+      };
+
+      const importItem = (item) => {
+        const now = new Date().toISOString();
+        if (item.recurrenceId) {
+          const series = findExisting('task', item.uid);
+          if (!series || !isRecurring(series)) {
+            importItem({ kind: 'task', uid: occurrenceUid(item.uid, item.recurrenceId), data: item.data });
+            return;
+          }
+          const { fields, detached } = applyOccurrence(series, item);
+          trackWrite(repo.tasks.update(series.id, { ...fields, updatedAt: now }), 'write.import');
+          written.set(`task:${item.uid}`, { ...series, ...fields });
+          updated += 1;
+          if (detached) importItem(detached);
+          return;
+        }
+
+        const collectionName = item.kind === 'notice' ? 'notices' : 'tasks';
+        const existing = findExisting(item.kind, item.uid);
+        const docId = existing ? existing.id : crypto.randomUUID();
+        const target = repo[collectionName];
+        const exceptions = existing && item.kind === 'task' ? replacedExceptions(existing, item.data) : {};
+
+        if (existing) {
+          // update는 최상위 필드를 통째로 바꾼다 (merge set은 overrides 같은 중첩 맵을 합친다)
+          trackWrite(target.update(docId, { ...item.data, ...exceptions, updatedAt: now }), 'write.import');
+          updated += 1;
+        } else if (item.kind === 'notice') {
+          trackWrite(target.set(docId, { ...item.data, isHidden: false, icalUid: item.uid, createdAt: now }), 'write.import');
+          created += 1;
+        } else {
+          trackWrite(target.set(docId, { ...item.data, icalUid: item.uid, createdAt: now }), 'write.import');
+          created += 1;
+        }
+        if (item.uid) written.set(`${item.kind}:${item.uid}`, { ...existing, ...item.data, ...exceptions, id: docId });
+      };
+
+      items.forEach(importItem);
+      showToast(t('toast.imported', { count: items.length, created, updated }));
+    } catch (error) {
+      console.error("ICS Import Error:", error);
+      showToast(t('toast.importFailed'));
+    }
+  };
+
+  // --- JSON 백업 / 복원 ---
+
+  const exportBackup = () => {
+    const json = JSON.stringify(buildBackup({ tasks: personalTasks, notes, notices: personalNotices, projects, tags, templates, settings }), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `focusboard-backup-${formatDate(new Date())}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // planRestore 결과를 batch로 적용 (Firestore는 배치당 쓰기 500개 제한이 있어 나눠서 커밋)
+  // 모든 배치가 반영된 뒤에 성공을 알리고, 실패하면 몇 번째 부분(어느 컬렉션)이 실패했는지 알려 주고 throw 한다.
+  // 오프라인이면 서버 반영을 기다릴 수 없으므로 기다리지 않고 "대기 중"으로 알린다
+  const restoreBackup = async (plan) => {
+    if (!repo) return;
+    const BATCH_LIMIT = 450;
+    const writes = COLLECTIONS.flatMap(name => [
+      ...[...plan[name].add, ...plan[name].update].map(item => ({ type: 'set', name, item })),
+      ...plan[name].remove.map(item => ({ type: 'delete', name, item })),
+    ]);
+    const parts = [];
+    for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+      const slice = writes.slice(i, i + BATCH_LIMIT);
+      parts.push({
+        collections: [...new Set(slice.map(w => w.name))],
+        ops: slice.map(({ type, name, item }) => {
+          const { id, data } = splitId(item);
+          return { type, collection: name, id, data };
+        }),
+      });
+    }
+    const commits = parts.map(part => repo.batch(part.ops));
+    const reloadNote = () => setSelectedDate(new Date(selectedDate)); // 열려 있는 날의 노트를 다시 불러온다
+
+    if (!isOnline) {
+      reloadNote();
+      commits.forEach(commit => trackWrite(commit, 'write.restore'));
+      showToast(t('toast.restoreQueued', { count: writes.length }));
+      return;
+    }
+
+    const results = await Promise.allSettled(commits);
+    reloadNote();
+    const failed = results.map((result, index) => ({ result, index })).filter(({ result }) => result.status === 'rejected');
+    if (failed.length === 0) {
+      showToast(t('toast.restored', { count: writes.length }));
+      return;
+    }
+    failed.forEach(({ result }) => console.error("Restore Error:", result.reason));
+    const where = failed.map(({ index }) => t('toast.restorePart', { index: index + 1, total: parts.length, collections: parts[index].collections.join(', ') })).join(', ');
+    const reason = failed[0].result.reason;
+    const message = t('toast.restoreFailed', { where, reason: reason.code || reason.message })
+      + (failed.length < parts.length ? ` · ${t('toast.restorePartial')}` : '');
+    showToast(message);
+    throw new Error(message);
+  };
+
   const jumpToTaskDate = (dateStr) => {
     const [year, month, day] = dateStr.split('-').map(Number);
     const targetDate = new Date(year, month - 1, day);
+    if (!selectDate(targetDate)) return false;
     setCurrentDate(new Date(year, month - 1, 1));
-    setSelectedDate(targetDate);
     setSearchTerm('');
+    return true;
   };
+  jumpToTaskDateRef.current = jumpToTaskDate;
 
-  const displayTasks = useMemo(() => {
-    if (searchTerm.trim() === '') {
-      const selectedDateStr = formatDate(selectedDate);
-      return tasks.filter(t => t.date === selectedDateStr);
+  // 검색 결과를 누르면 그 날짜로 이동해서 해당 항목을 연다
+  const selectSearchResult = (kind, result) => {
+    if (!jumpToTaskDate(result.date)) return;
+    if (kind === 'tasks') {
+      const task = result.item;
+      setActiveTab('tasks');
+      setExpandedTaskId(isRecurring(task) ? occurrenceId(task.id, result.date) : task.id);
+      setTaskMemo(task.description || '');
+    } else if (kind === 'notes') {
+      setActiveTab('journal');
+    } else {
+      setIsNoticeOpen(true);
     }
-    return tasks.filter(t => (t.text || '').toLowerCase().includes(searchTerm.toLowerCase()));
-  }, [tasks, selectedDate, searchTerm]);
+  };
+
+  const displayTasks = useMemo(
+    () => selectDisplayTasks(filteredTasks, selectedDate),
+    [filteredTasks, selectedDate]
+  );
+  const selectedTasks = displayTasks.filter(t => selectedTaskIds.includes(t.id));
+  const isAllSelected = displayTasks.length > 0 && selectedTasks.length === displayTasks.length;
+
+  const searchQuery = useMemo(() => parseQuery(searchTerm, moodSettings.levels, i18n), [searchTerm, moodSettings, i18n]);
+  const isSearching = searchTerm.trim() !== '';
+  const searchResults = useMemo(
+    () => (isQueryEmpty(searchQuery)
+      ? { tasks: [], notes: [], notices: [] }
+      : searchAll({ tasks: filteredTasks, notes: journalNotes, notices, projects, tags, moodLevels: moodSettings.levels }, searchQuery)),
+    [searchQuery, filteredTasks, journalNotes, notices, projects, tags, moodSettings]
+  );
 
   const progress = useMemo(() => {
     const selectedDateStr = formatDate(selectedDate);
-    const todaysTasks = tasks.filter(t => t.date === selectedDateStr);
-    if (todaysTasks.length === 0) return 0;
-    return Math.round((todaysTasks.filter(t => t.completed).length / todaysTasks.length) * 100);
-  }, [tasks, selectedDate]);
+    return dailyProgress(expandTasks(tasks, selectedDateStr, selectedDateStr), countSubtasks);
+  }, [tasks, selectedDate, countSubtasks]);
+
+  // Week / Day 뷰에 표시할 날짜들 (Week는 선택 날짜가 속한 주, 설정한 요일부터)
+  const scheduleDates = useMemo(() => {
+    if (calendarView === 'day') return [formatDate(selectedDate)];
+    const weekStart = startOfWeek(selectedDate, localeSettings.weekStart);
+    return Array.from({ length: 7 }, (_, i) => formatDate(addDays(weekStart, i)));
+  }, [calendarView, selectedDate, localeSettings.weekStart]);
+
+  const scheduleTasks = useMemo(
+    () => expandTasks(filteredTasks, scheduleDates[0], scheduleDates[scheduleDates.length - 1]),
+    [filteredTasks, scheduleDates]
+  );
+
+  // 뷰를 바꿔도 selectedDate는 유지하고, 월 뷰는 선택 날짜가 있는 달로 맞춘다
+  const changeView = (view) => {
+    setActivePage('calendar');
+    setCalendarView(view);
+    setCurrentDate(new Date(selectedDate.getFullYear(), selectedDate.getMonth(), 1));
+  };
+
+  // 이전/다음: 월 뷰는 달 단위, Week/Day 뷰는 선택 날짜를 7일/1일씩 이동
+  const shiftPeriod = (direction) => {
+    if (calendarView === 'month') {
+      setCurrentDate(new Date(currentDate.getFullYear(), currentDate.getMonth() + direction, 1));
+      return;
+    }
+    const next = addDays(selectedDate, direction * (calendarView === 'week' ? 7 : 1));
+    if (!selectDate(next)) return;
+    setCurrentDate(new Date(next.getFullYear(), next.getMonth(), 1));
+  };
+
+  const selectDateStr = (dateStr) => {
+    const date = parseDate(dateStr);
+    if (!selectDate(date)) return;
+    setCurrentDate(new Date(date.getFullYear(), date.getMonth(), 1));
+  };
+
+  const goToToday = () => {
+    if (selectDate(new Date())) setCurrentDate(new Date());
+  };
+
+  // --- 키보드 단축키 / 명령 팔레트 (shortcuts.js) ---
+
+  // 모달이 열려 있으면 글자 하나짜리 단축키는 쓰지 않는다
+  const isDialogOpen = isModalOpen || isNoticeModalOpen || isHistoryOpen || isBackupOpen || isAccountOpen || isTrashOpen
+    || isPaletteOpen || isShortcutHelpOpen || Boolean(managingCalendarId || linkInvite || movingTask || pendingDeleteTask);
+
+  const focusedTask = displayTasks.find(t => t.id === focusedTaskId) || null;
+
+  // j / k: 할 일 목록에서 다음 / 이전 할 일
+  const stepFocusedTask = (step) => {
+    setActiveTab('tasks');
+    setSearchTerm('');
+    setFocusedTaskId(stepId(displayTasks.map(t => t.id), focusedTaskId, step));
+  };
+
+  // 처리한 단축키면 true (브라우저 기본 동작을 막는다)
+  const runShortcut = (action) => {
+    if (action === 'palette') {
+      if (isPaletteOpen) setIsPaletteOpen(false);
+      else if (!isDialogOpen) setIsPaletteOpen(true);
+      return true;
+    }
+    if (action === 'close') {
+      if (!isShortcutHelpOpen && !isNoticeOpen) return false;
+      setIsShortcutHelpOpen(false);
+      setIsNoticeOpen(false);
+      return true;
+    }
+    if (isDialogOpen) return false;
+    switch (action) {
+      case 'undo':
+      case 'redo':
+        applyHistory(action);
+        return true;
+      case 'newTask':
+        openAddModal();
+        return true;
+      case 'today':
+        goToToday();
+        return true;
+      case 'previousDay':
+      case 'nextDay':
+      case 'previousWeek':
+      case 'nextWeek': {
+        const days = { previousDay: -1, nextDay: 1, previousWeek: -7, nextWeek: 7 }[action];
+        selectDateStr(formatDate(addDays(selectedDate, days)));
+        return true;
+      }
+      case 'nextTask':
+      case 'previousTask':
+        stepFocusedTask(action === 'nextTask' ? 1 : -1);
+        return true;
+      case 'toggleTask':
+        if (!focusedTask || isReadOnly(focusedTask)) return false;
+        toggleTask(focusedTask);
+        return true;
+      case 'search':
+        searchInputRef.current.focus();
+        return true;
+      case 'help':
+        setIsShortcutHelpOpen(true);
+        return true;
+      default:
+        return false;
+    }
+  };
+  runShortcutRef.current = runShortcut;
+
+  // j / k로 고른 할 일이 보이도록 스크롤
+  useEffect(() => {
+    const row = focusedTaskId && document.querySelector(`[data-task-id="${focusedTaskId}"]`);
+    if (row && row.scrollIntoView) row.scrollIntoView({ block: 'nearest' });
+  }, [focusedTaskId]);
+
+  const lastUndo = history.undo[history.undo.length - 1];
+  const lastRedo = history.redo[history.redo.length - 1];
+  const paletteCommands = [
+    { id: 'today', label: t('palette.today'), hint: 'T', icon: <CalendarIcon size={16}/>, run: goToToday },
+    { id: 'add-task', label: t('task.add'), keywords: 'new create todo', hint: 'N', icon: <Plus size={16}/>, run: () => openAddModal() },
+    { id: 'add-notice', label: t('notice.add'), keywords: 'new create announcement', icon: <Megaphone size={16}/>, run: () => openNoticeModal() },
+    { id: 'notices', label: t('palette.notices'), keywords: 'announcements', icon: <Megaphone size={16}/>, run: () => { setNoticeView('active'); setIsNoticeOpen(true); } },
+    { id: 'tab-tasks', label: t('palette.tabTasks'), keywords: 'tab tasks list', icon: <ListTodo size={16}/>, run: () => { setSearchTerm(''); setActiveTab('tasks'); } },
+    { id: 'tab-journal', label: t('palette.tabJournal'), keywords: 'tab note diary', icon: <BookOpen size={16}/>, run: () => { setSearchTerm(''); setActiveTab('journal'); } },
+    { id: 'search', label: t('palette.search'), keywords: 'find', hint: '/', icon: <Search size={16}/>, run: () => searchInputRef.current.focus() },
+    { id: 'view-month', label: t('palette.viewMonth'), keywords: 'dashboard calendar', icon: <LayoutGrid size={16}/>, run: () => changeView('month') },
+    { id: 'view-week', label: t('palette.viewWeek'), keywords: 'schedule', icon: <CalendarIcon size={16}/>, run: () => changeView('week') },
+    { id: 'view-day', label: t('palette.viewDay'), keywords: 'schedule', icon: <CalendarIcon size={16}/>, run: () => changeView('day') },
+    { id: 'previous', label: t('palette.previous'), keywords: 'month week day back', icon: <ChevronLeft size={16}/>, run: () => shiftPeriod(-1) },
+    { id: 'next', label: t('palette.next'), keywords: 'month week day forward', icon: <ChevronRight size={16}/>, run: () => shiftPeriod(1) },
+    ...(lastUndo ? [{ id: 'undo', label: t('palette.undo', { label: lastUndo.label }), hint: 'Ctrl+Z', icon: <Undo2 size={16}/>, run: () => applyHistory('undo') }] : []),
+    ...(lastRedo ? [{ id: 'redo', label: t('palette.redo', { label: lastRedo.label }), hint: 'Ctrl+Shift+Z', icon: <Redo2 size={16}/>, run: () => applyHistory('redo') }] : []),
+    { id: 'analytics', label: t('palette.analytics'), keywords: 'stats', icon: <BarChart3 size={16}/>, run: () => setActivePage('analytics') },
+    { id: 'trash', label: t('palette.trash'), keywords: 'deleted restore', icon: <Trash2 size={16}/>, run: () => setIsTrashOpen(true) },
+    { id: 'backup', label: t('palette.backup'), keywords: 'export import restore', icon: <DatabaseBackup size={16}/>, run: () => setIsBackupOpen(true) },
+    { id: 'settings', label: t('palette.settings'), keywords: 'preferences', icon: <Settings size={16}/>, run: () => setActivePage('settings') },
+    { id: 'shortcuts', label: t('shortcuts.title'), keywords: 'help keys', hint: '?', icon: <Keyboard size={16}/>, run: () => setIsShortcutHelpOpen(true) },
+  ];
+
+  // 입력이 날짜면 그 날짜로 가기를, 그 밖의 입력은 검색하기를 함께 보여준다
+  const paletteCommandsFor = (query) => {
+    const dateStr = parseDateQuery(query, new Date());
+    const term = query.trim();
+    return [
+      ...(dateStr ? [{ id: 'go-to-date', label: t('palette.goToDate', { date: dateStr }), icon: <CalendarIcon size={16}/>, run: () => { setActivePage('calendar'); selectDateStr(dateStr); } }] : []),
+      ...matchCommands(paletteCommands, query),
+      ...(term && !dateStr ? [{ id: 'search-term', label: t('palette.searchFor', { term }), icon: <Search size={16}/>, run: () => setSearchTerm(term) }] : []),
+    ];
+  };
 
   if (loading) return (
     <div className="min-h-screen flex items-center justify-center bg-[#F8FAFC]">
@@ -404,92 +1635,261 @@ const App = () => {
         
         <nav className="flex-1 px-3 space-y-1">
           {[
-            { icon: <LayoutGrid size={18}/>, label: 'Dashboard', active: true },
-            { icon: <CalendarIcon size={18}/>, label: 'Schedule', active: false },
-            { icon: <BarChart3 size={18}/>, label: 'Analytics', active: false },
-            { icon: <Settings size={18}/>, label: 'Settings', active: false },
+            { icon: <LayoutGrid size={18}/>, label: t('nav.dashboard'), active: activePage === 'calendar' && calendarView === 'month', onClick: () => changeView('month') },
+            { icon: <CalendarIcon size={18}/>, label: t('nav.schedule'), active: activePage === 'calendar' && calendarView !== 'month', onClick: () => changeView('week') },
+            { icon: <BarChart3 size={18}/>, label: t('nav.analytics'), active: activePage === 'analytics', onClick: () => setActivePage('analytics') },
+            { icon: <DatabaseBackup size={18}/>, label: t('nav.backup'), active: isBackupOpen, onClick: () => setIsBackupOpen(true) },
+            { icon: <Trash2 size={18}/>, label: t('nav.trash'), active: isTrashOpen, onClick: () => setIsTrashOpen(true) },
+            { icon: <Settings size={18}/>, label: t('nav.settings'), active: activePage === 'settings', onClick: () => setActivePage('settings') },
           ].map((item, i) => (
-            <button key={i} className={`w-full flex items-center gap-3 px-3 py-2.5 rounded-xl transition-all ${item.active ? 'bg-indigo-50 text-indigo-700 font-semibold' : 'text-slate-400 hover:bg-slate-50 hover:text-slate-600'}`}>
+            <button key={i} onClick={item.onClick} className={`w-full flex items-center gap-3 px-3 py-2.5 rounded-xl transition-all ${item.active ? 'bg-indigo-50 text-indigo-700 font-semibold' : 'text-slate-400 hover:bg-slate-50 hover:text-slate-600'}`}>
               {item.icon}
               <span className="hidden lg:block text-sm">{item.label}</span>
             </button>
           ))}
+          <CalendarList
+            calendars={calendarList}
+            hiddenIds={hiddenCalendarIds}
+            activeId={activeCalendar.id}
+            onToggle={toggleCalendarVisibility}
+            onActivate={activateCalendar}
+            onCreate={createCalendar}
+            onManage={(calendar) => setManagingCalendarId(calendar.id)}
+            invites={pendingInvites(myInvites, calendars)}
+            onJoin={joinCalendar}
+            onDecline={declineInvite}
+            i18n={i18n}
+          />
         </nav>
         <div className="px-3 pt-4 border-t border-slate-100">
-          <div className="flex items-center gap-3 px-3 py-3 rounded-xl bg-slate-50 border border-slate-100 hover:bg-slate-100 transition-colors cursor-pointer">
-            <div className="w-8 h-8 rounded-full bg-indigo-100 text-indigo-700 flex items-center justify-center text-[10px] font-bold ring-2 ring-white">KL</div>
+          {/* 연결 상태 / 동기화 대기 */}
+          <div
+            title={pendingCount > 0 ? t('sync.waiting', { count: pendingCount }) : t('sync.synced')}
+            className={`flex items-center gap-2 px-3 py-2 mb-2 rounded-xl text-[10px] font-bold uppercase tracking-wider
+              ${isOnline ? 'text-emerald-600 bg-emerald-50' : 'text-amber-600 bg-amber-50'}`}
+          >
+            {isOnline ? <Wifi size={14}/> : <WifiOff size={14}/>}
+            <span className="hidden lg:block">{isOnline ? t('sync.online') : t('sync.offline')}</span>
+            {pendingCount > 0 && (
+              <span className="ml-auto flex items-center gap-1">
+                <RefreshCw size={10} className={isOnline ? 'animate-spin' : ''}/>
+                <span className="hidden lg:block">{t('sync.pending', { count: pendingCount })}</span>
+              </span>
+            )}
+          </div>
+          <button onClick={() => setIsAccountOpen(true)} className="w-full text-left flex items-center gap-3 px-3 py-3 rounded-xl bg-slate-50 border border-slate-100 hover:bg-slate-100 transition-colors cursor-pointer">
+            {profile.photoURL
+              ? <img src={profile.photoURL} alt="" className="w-8 h-8 rounded-full ring-2 ring-white" />
+              : <div className="w-8 h-8 rounded-full bg-indigo-100 text-indigo-700 flex items-center justify-center text-[10px] font-bold ring-2 ring-white">{profile.initials}</div>}
             <div className="hidden lg:block overflow-hidden">
-              <p className="text-xs font-bold text-slate-700 truncate">Kyle Lee</p>
-              <p className="text-[10px] text-slate-400 truncate tracking-tight uppercase font-bold">Workspace</p>
+              <p className="text-xs font-bold text-slate-700 truncate">{profile.name}</p>
+              <p className={`text-[10px] truncate tracking-tight uppercase font-bold ${user && user.isAnonymous ? 'text-amber-500' : 'text-slate-400'}`}>{profile.subtitle}</p>
             </div>
-          </div>
+          </button>
         </div>
       </aside>
 
       {/* Main Content */}
       <main className="flex-1 flex overflow-hidden">
         {/* 2. Calendar Section */}
-        <section className="flex-1 flex flex-col bg-white overflow-hidden relative">
-          <header className="px-8 py-6 flex items-center justify-between border-b border-slate-100">
-            <div className="flex items-center gap-6">
-              <h2 className="text-2xl font-black text-slate-900 tracking-tight">
-                {currentDate.getFullYear()}년 {currentDate.getMonth() + 1}월
-              </h2>
-              <div className="flex bg-slate-100 rounded-xl p-1">
-                <button onClick={() => setCurrentDate(new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1))} className="p-2 hover:bg-white hover:shadow-sm rounded-lg transition-all text-slate-500"><ChevronLeft size={18}/></button>
-                <button onClick={() => setCurrentDate(new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 1))} className="p-2 hover:bg-white hover:shadow-sm rounded-lg transition-all text-slate-500"><ChevronRight size={18}/></button>
+        {activePage === 'analytics' ? (
+          <section className="flex-1 flex flex-col bg-white overflow-hidden relative">
+            <AnalyticsView tasks={tasks} notes={notes} moodSettings={moodSettings} i18n={i18n} />
+          </section>
+        ) : activePage === 'settings' ? (
+          <section className="flex-1 flex flex-col bg-white overflow-hidden relative">
+            <SettingsView
+              tasks={tasks}
+              projects={projects}
+              tags={tags}
+              templates={templates}
+              onCreate={createCategory}
+              onUpdate={updateCategory}
+              onDelete={deleteCategory}
+              onTemplateSave={saveTemplate}
+              onTemplateDelete={deleteTemplate}
+              moodSettings={moodSettings}
+              onMoodSettingsChange={saveMoodSettings}
+              taskSettings={taskSettings}
+              onTaskSettingsChange={saveTaskSettings}
+              localeSettings={localeSettings}
+              onLocaleSettingsChange={saveLocaleSettings}
+              i18n={i18n}
+            />
+          </section>
+        ) : (
+          <section className="flex-1 flex flex-col bg-white overflow-hidden relative">
+            <header className="px-8 py-6 flex items-center justify-between border-b border-slate-100">
+              <div className="flex items-center gap-6">
+                <h2 className="text-2xl font-black text-slate-900 tracking-tight">
+                  {calendarView === 'day' ? i18n.formatDay(selectedDate) : i18n.formatMonth(currentDate)}
+                  {calendarView === 'week' && (
+                    <span className="ml-3 text-sm font-bold text-slate-400">
+                      {i18n.formatDayRange(scheduleDates[0], scheduleDates[6])}
+                    </span>
+                  )}
+                </h2>
+                <div className="flex bg-slate-100 rounded-xl p-1">
+                  <button onClick={() => shiftPeriod(-1)} aria-label={t('calendar.previous')} className="p-2 hover:bg-white hover:shadow-sm rounded-lg transition-all text-slate-500"><ChevronLeft size={18}/></button>
+                  <button onClick={() => shiftPeriod(1)} aria-label={t('calendar.next')} className="p-2 hover:bg-white hover:shadow-sm rounded-lg transition-all text-slate-500"><ChevronRight size={18}/></button>
+                </div>
               </div>
-            </div>
-            <div className="flex items-center gap-3">
-              <button onClick={() => { setCurrentDate(new Date()); setSelectedDate(new Date()); }} className="text-xs font-bold px-5 py-2.5 hover:bg-slate-50 rounded-xl border border-slate-200 transition-all active:scale-95 bg-white text-slate-600">Today</button>
-            </div>
-          </header>
-
-          <div className="flex-1 overflow-y-auto p-8 custom-scrollbar">
-            <div className="grid grid-cols-7 gap-px bg-slate-100 border border-slate-100 rounded-[2rem] overflow-hidden shadow-sm">
-              {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((d, i) => (
-                <div key={d} className={`py-4 text-[10px] font-black uppercase tracking-[0.2em] bg-slate-50 text-center ${i === 0 ? 'text-rose-500' : i === 6 ? 'text-blue-500' : 'text-slate-400'}`}>{d}</div>
-              ))}
-              {calendarDays.map((item, idx) => {
-                const dayDateStr = item.dateStr;
-                const isSelected = item.day && formatDate(selectedDate) === dayDateStr;
-                const isToday = item.day && formatDate(new Date()) === dayDateStr;
-                
-                return (
-                  <div 
-                    key={idx} 
-                    onClick={() => {
-                      if(item.day) {
-                        const [y, m, d] = item.dateStr.split('-').map(Number);
-                        setSelectedDate(new Date(y, m - 1, d));
-                      }
-                    }}
-                    className={`min-h-[120px] p-3 bg-white transition-all cursor-pointer group relative
-                      ${!item.currentMonth ? 'bg-slate-50/40 opacity-40' : 'hover:bg-indigo-50/30'}
-                      ${isSelected ? 'z-10 ring-4 ring-inset ring-indigo-500/10 bg-indigo-50/20' : ''}`}
+              <div className="flex items-center gap-3">
+                {/* 뷰 전환 */}
+                <div className="flex bg-slate-100 rounded-xl p-1">
+                  {['month', 'week', 'day'].map(view => (
+                    <button
+                      key={view}
+                      onClick={() => changeView(view)}
+                      className={`text-xs font-bold px-4 py-1.5 rounded-lg transition-all ${calendarView === view ? 'bg-white shadow-sm text-indigo-600' : 'text-slate-400 hover:text-slate-600'}`}
+                    >
+                      {t(`calendar.${view}`)}
+                    </button>
+                  ))}
+                </div>
+                <button onClick={goToToday} title={t('calendar.todayHint')} className="text-xs font-bold px-5 py-2.5 hover:bg-slate-50 rounded-xl border border-slate-200 transition-all active:scale-95 bg-white text-slate-600">{t('calendar.today')}</button>
+                {/* 되돌리기 / 다시 하기 (Ctrl+Z / Ctrl+Shift+Z) + 명령 팔레트 (Ctrl+K) */}
+                <div className="flex bg-slate-100 rounded-xl p-1">
+                  <button
+                    onClick={() => applyHistory('undo')}
+                    disabled={history.undo.length === 0}
+                    title={history.undo.length > 0 ? t('history.undoHint', { label: history.undo[history.undo.length - 1].label }) : t('history.nothingToUndo')}
+                    aria-label={t('history.undoLast')}
+                    className="p-2 hover:bg-white hover:shadow-sm rounded-lg transition-all text-slate-500 disabled:opacity-40 disabled:hover:bg-transparent disabled:hover:shadow-none"
+                  >
+                    <Undo2 size={16}/>
+                  </button>
+                  <button
+                    onClick={() => applyHistory('redo')}
+                    disabled={history.redo.length === 0}
+                    title={history.redo.length > 0 ? t('history.redoHint', { label: history.redo[history.redo.length - 1].label }) : t('history.nothingToRedo')}
+                    aria-label={t('history.redoLast')}
+                    className="p-2 hover:bg-white hover:shadow-sm rounded-lg transition-all text-slate-500 disabled:opacity-40 disabled:hover:bg-transparent disabled:hover:shadow-none"
                   >
-                    {item.day && (
-                      <div className="h-full flex flex-col">
-                        <span className={`inline-flex items-center justify-center w-7 h-7 text-sm font-bold rounded-xl mb-3 transition-all
-                          ${isToday ? 'bg-indigo-600 text-white shadow-lg shadow-indigo-100' : isSelected ? 'text-indigo-600 font-black' : 'text-slate-500'}`}>
-                          {item.day}
-                        </span>
-                        <div className="flex-1 space-y-1.5">
-                          {item.tasks.slice(0, 3).map(t => (
-                            <div key={t.id} className={`text-[10px] px-2 py-1 rounded-lg border truncate transition-all ${t.completed ? 'bg-slate-50 text-slate-300 border-transparent line-through' : 'bg-white border-slate-100 text-slate-600 shadow-[0_1px_2px_rgba(0,0,0,0.03)]'}`}>
-                              {t.text}
+                    <Redo2 size={16}/>
+                  </button>
+                  <button onClick={() => setIsPaletteOpen(true)} title={t('palette.hint')} aria-label={t('palette.title')} className="p-2 hover:bg-white hover:shadow-sm rounded-lg transition-all text-slate-500">
+                    <Keyboard size={16}/>
+                  </button>
+                </div>
+                {/* iCalendar 가져오기 / 내보내기 */}
+                <div className="flex bg-slate-100 rounded-xl p-1">
+                  <button onClick={() => icsInputRef.current?.click()} title={t('calendar.importIcs')} className="p-2 hover:bg-white hover:shadow-sm rounded-lg transition-all text-slate-500"><Upload size={16}/></button>
+                  <button onClick={exportICalendar} title={t('calendar.exportIcs')} className="p-2 hover:bg-white hover:shadow-sm rounded-lg transition-all text-slate-500"><Download size={16}/></button>
+                </div>
+                <input
+                  ref={icsInputRef}
+                  type="file"
+                  accept=".ics,text/calendar"
+                  className="hidden"
+                  onChange={(e) => { importICalendar(e.target.files[0]); e.target.value = ''; }}
+                />
+              </div>
+            </header>
+
+            <CategoryFilter projects={projects} tags={tags} filter={categoryFilter} onChange={setCategoryFilter} i18n={i18n} />
+
+            {calendarView !== 'month' ? (
+              <div className="flex-1 min-h-0 p-8">
+                <ScheduleView
+                  dates={scheduleDates}
+                  tasks={scheduleTasks}
+                  i18n={i18n}
+                  selectedDateStr={formatDate(selectedDate)}
+                  onSelectDate={selectDateStr}
+                  onTaskClick={(task) => { selectDateStr(task.date); openEditModal(task); }}
+                  onSlotClick={(dateStr, time) => { selectDateStr(dateStr); openAddModal({ date: dateStr, startTime: time }); }}
+                />
+              </div>
+            ) : (
+              <div className="flex-1 overflow-y-auto p-8 custom-scrollbar">
+                {/* 요일 헤더는 설정한 시작 요일부터, 주 번호를 켜면 맨 앞에 ISO 주 번호 열 */}
+                <div className={`grid ${localeSettings.showWeekNumbers ? 'grid-cols-[2.5rem_repeat(7,minmax(0,1fr))]' : 'grid-cols-7'} gap-px bg-slate-100 border border-slate-100 rounded-[2rem] overflow-hidden shadow-sm`}>
+                  {localeSettings.showWeekNumbers && (
+                    <div className="py-4 text-[10px] font-black uppercase bg-slate-50 text-center text-slate-300">{t('calendar.weekColumn')}</div>
+                  )}
+                  {weekdayOrder(localeSettings.weekStart).map(day => (
+                    <div key={day} className={`py-4 text-[10px] font-black uppercase tracking-[0.2em] bg-slate-50 text-center ${day === 0 ? 'text-rose-500' : day === 6 ? 'text-blue-500' : 'text-slate-400'}`}>{i18n.formatWeekday(day)}</div>
+                  ))}
+                  {calendarDays.map((item, idx) => {
+                    const dayDateStr = item.dateStr;
+                    const isSelected = item.day && formatDate(selectedDate) === dayDateStr;
+                    const isToday = item.day && formatDate(new Date()) === dayDateStr;
+                    const isDragOver = item.day && dragOverDate === dayDateStr;
+                  
+                    return (
+                      <React.Fragment key={idx}>
+                        {localeSettings.showWeekNumbers && idx % 7 === 0 && (
+                          <div
+                            aria-label={t('calendar.weekNumber', { week: weekNumbers[idx / 7] })}
+                            className="pt-4 bg-slate-50 text-center text-[10px] font-black text-slate-300"
+                          >
+                            {weekNumbers[idx / 7]}
+                          </div>
+                        )}
+                        <div 
+                          onClick={() => {
+                            if(item.day) {
+                              const [y, m, d] = item.dateStr.split('-').map(Number);
+                              selectDate(new Date(y, m - 1, d));
+                            }
+                          }}
+                          onDragOver={(e) => item.day && handleDayDragOver(e, dayDateStr)}
+                          onDragLeave={() => isDragOver && setDragOverDate(null)}
+                          onDrop={(e) => item.day && handleDayDrop(e, dayDateStr)}
+                          className={`min-h-[120px] p-3 bg-white transition-all cursor-pointer group relative
+                            ${!item.currentMonth ? 'bg-slate-50/40 opacity-40' : 'hover:bg-indigo-50/30'}
+                            ${isSelected ? 'z-10 ring-4 ring-inset ring-indigo-500/10 bg-indigo-50/20' : ''}
+                            ${isDragOver ? 'z-10 ring-2 ring-inset ring-indigo-400 bg-indigo-50/40' : ''}`}
+                        >
+                          {item.day && (
+                            <div className="h-full flex flex-col">
+                              <div className="flex items-start justify-between mb-3">
+                                <span className={`inline-flex items-center justify-center w-7 h-7 text-sm font-bold rounded-xl transition-all
+                                  ${isToday ? 'bg-indigo-600 text-white shadow-lg shadow-indigo-100' : isSelected ? 'text-indigo-600 font-black' : 'text-slate-500'}`}>
+                                  {item.day}
+                                </span>
+                                {moodByDate[dayDateStr] && moodLevel(moodByDate[dayDateStr], moodSettings.levels) && (
+                                  <span
+                                    title={t('calendar.mood', { mood: moodLevel(moodByDate[dayDateStr], moodSettings.levels).label })}
+                                    className={`mt-2.5 mr-auto ml-1.5 w-2 h-2 rounded-full ${moodColor(moodByDate[dayDateStr], moodSettings.levels)}`}
+                                  />
+                                )}
+                                {item.notices.length > 0 && (
+                                  <span title={item.notices.map(n => n.content).join('\n')} className="flex items-center gap-0.5 px-1.5 py-0.5 rounded-md bg-amber-50 text-amber-500 text-[9px] font-bold">
+                                    <Megaphone size={10}/>{item.notices.length > 1 && item.notices.length}
+                                  </span>
+                                )}
+                              </div>
+                              <div className="flex-1 space-y-1.5">
+                                {item.tasks.slice(0, 3).map(task => (
+                                  <div
+                                    key={task.id}
+                                    draggable={!isReadOnly(task)}
+                                    onDragStart={(e) => handleTaskDragStart(e, task)}
+                                    onDragEnd={handleTaskDragEnd}
+                                    className={`flex items-center gap-1 text-[10px] px-2 py-1 rounded-lg border truncate transition-all cursor-grab active:cursor-grabbing ${task.completed ? 'bg-slate-50 text-slate-300 border-transparent line-through' : projectOf(task) ? `${colorOf(projectOf(task)).chip} shadow-[0_1px_2px_rgba(0,0,0,0.03)]` : 'bg-white border-slate-100 text-slate-600 shadow-[0_1px_2px_rgba(0,0,0,0.03)]'}`}>
+                                    {sharedCalendarOf(task) && <span title={sharedCalendarOf(task).name} className={`shrink-0 w-1.5 h-1.5 rounded-full ${colorOf(sharedCalendarOf(task)).dot}`}/>}
+                                    {task.isOccurrence && <Repeat size={9} className="shrink-0 text-indigo-300"/>}
+                                    {isOverdue(task, todayStr) && <AlarmClock size={9} aria-label={t('task.overdue')} className="shrink-0 text-rose-400"/>}
+                                    {task.startTime && <span className="shrink-0 font-bold text-slate-400">{task.startTime}</span>}
+                                    <span className="truncate">{task.text}</span>
+                                    {subtaskLabel(task) && <span className="shrink-0 ml-auto font-bold text-indigo-300">{subtaskLabel(task)}</span>}
+                                  </div>
+                                ))}
+                                {item.tasks.length > 3 && <p className="text-[9px] text-slate-300 font-bold pl-1">{t('calendar.more', { count: item.tasks.length - 3 })}</p>}
+                              </div>
                             </div>
-                          ))}
-                          {item.tasks.length > 3 && <p className="text-[9px] text-slate-300 font-bold pl-1">+{item.tasks.length - 3} more</p>}
+                          )}
                         </div>
-                      </div>
-                    )}
-                  </div>
-                );
-              })}
-            </div>
-          </div>
-        </section>
+                      </React.Fragment>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+          </section>
+        )}
 
         {/* 3. Right Panel (Dynamic) */}
         <aside className="w-80 lg:w-[400px] bg-slate-50 border-l border-slate-100 p-6 flex flex-col gap-6 overflow-hidden relative">
@@ -498,18 +1898,19 @@ const App = () => {
           <div className="flex flex-col gap-4">
             <div className="flex items-center justify-between">
                <div>
-                  <h3 className="font-black text-lg text-slate-900 tracking-tight">{formatDate(selectedDate)}</h3>
-                  <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mt-0.5">Selected Date</p>
+                  <h3 className="font-black text-lg text-slate-900 tracking-tight">{i18n.formatDay(selectedDate)}</h3>
+                  <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mt-0.5">{t('panel.selectedDate')}</p>
                </div>
                {/* ✨ 공지사항 아이콘 (Bell -> Megaphone) */}
                <div className="relative">
                  <button 
                   onClick={() => setIsNoticeOpen(!isNoticeOpen)}
+                  aria-label={t('notice.toggle')}
                   className={`p-2 rounded-full transition-all ${isNoticeOpen ? 'bg-indigo-100 text-indigo-600' : 'text-slate-400 hover:bg-slate-100'}`}
                  >
                    <Megaphone size={18}/>
                    {noticeCount > 0 && (
-                     <span className="absolute top-1.5 right-1.5 w-2 h-2 bg-rose-500 rounded-full border border-white"></span>
+                     <span className="absolute -top-0.5 -right-0.5 min-w-[16px] h-4 px-1 bg-rose-500 text-white text-[9px] font-bold leading-4 text-center rounded-full border border-white">{noticeCount}</span>
                    )}
                  </button>
                  
@@ -517,26 +1918,57 @@ const App = () => {
                  {isNoticeOpen && (
                    <div className="absolute right-0 top-full mt-2 w-72 bg-white rounded-2xl shadow-xl border border-slate-100 z-50 animate-in fade-in slide-in-from-top-2">
                      <div className="p-4 border-b border-slate-50 flex justify-between items-center bg-indigo-50/50 rounded-t-2xl">
-                       <h4 className="font-bold text-xs text-indigo-900 uppercase tracking-wider">Important Notices</h4>
-                       <button onClick={() => openNoticeModal()} className="p-1 text-indigo-600 hover:bg-indigo-100 rounded-lg">
-                         <Plus size={14}/>
-                       </button>
+                       <h4 className="font-bold text-xs text-indigo-900 uppercase tracking-wider">{noticeView === 'archive' ? t('notice.archive') : t('notice.title')}</h4>
+                       <div className="flex items-center gap-1">
+                         <button
+                           onClick={() => setNoticeView(noticeView === 'archive' ? 'active' : 'archive')}
+                           aria-label={noticeView === 'archive' ? t('notice.backToNotices') : t('notice.openArchive')}
+                           aria-pressed={noticeView === 'archive'}
+                           className={`flex items-center gap-1 p-1 rounded-lg text-[10px] font-bold ${noticeView === 'archive' ? 'bg-indigo-100 text-indigo-600' : 'text-indigo-400 hover:bg-indigo-100'}`}
+                         >
+                           <Archive size={14}/> {archivedCount > 0 && archivedCount}
+                         </button>
+                         <button onClick={() => openNoticeModal()} aria-label={t('notice.add')} className="p-1 text-indigo-600 hover:bg-indigo-100 rounded-lg">
+                           <Plus size={14}/>
+                         </button>
+                       </div>
                      </div>
                      <div className="max-h-60 overflow-y-auto custom-scrollbar p-2 space-y-2">
                        {visibleNotices.length > 0 ? visibleNotices.map(notice => (
-                         <div key={notice.id} className="bg-white p-3 rounded-xl border border-slate-100 shadow-sm hover:border-indigo-100 transition-all group">
+                         <div key={notice.id} className={`p-3 rounded-xl border shadow-sm hover:border-indigo-100 transition-all group ${notice.pinned && noticeView === 'active' ? 'bg-amber-50/40 border-amber-100' : 'bg-white border-slate-100'}`}>
                            <div className="flex justify-between items-start mb-1">
-                             <span className="text-[10px] font-bold text-indigo-500 bg-indigo-50 px-1.5 py-0.5 rounded">{notice.targetDate}</span>
+                             <span className="flex items-center gap-1.5">
+                               <span className="text-[10px] font-bold text-indigo-500 bg-indigo-50 px-1.5 py-0.5 rounded">{i18n.formatShortDay(notice.targetDate)}</span>
+                               <span className={`text-[10px] font-black ${notice.targetDate === todayStr ? 'text-rose-500' : 'text-slate-400'}`}>{countdownLabel(notice.targetDate, todayStr)}</span>
+                               {notice.pinned && <Pin size={10} className="text-amber-500"/>}
+                               {notice.isHidden && <EyeOff size={10} className="text-slate-300"/>}
+                               {pendingIdsIn(calendarIdOf(notice), 'notices').has(notice.id) && <RefreshCw size={10} className="text-amber-500" title={t('common.waitingToSync')}/>}
+                               {notice.reminders && notice.reminders.length > 0 && <Bell size={10} className="text-slate-400"/>}
+                               {sharedCalendarOf(notice) && (
+                                 <span className={`px-1.5 py-0.5 rounded text-[9px] font-bold truncate max-w-[80px] ${colorOf(sharedCalendarOf(notice)).pill}`}>{sharedCalendarOf(notice).name}</span>
+                               )}
+                             </span>
+                             {isReadOnly(notice) ? (
+                               <Lock size={10} aria-label={t('common.viewOnly')} className="text-slate-300"/>
+                             ) : (
                              <div className="flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
-                               <button onClick={() => openNoticeModal(notice)} className="text-slate-300 hover:text-indigo-500"><Edit2 size={12}/></button>
-                               <button onClick={() => toggleNoticeVisibility(notice.id, notice.isHidden)} className="text-slate-300 hover:text-slate-500"><EyeOff size={12}/></button>
-                               <button onClick={() => deleteNotice(notice.id)} className="text-slate-300 hover:text-rose-500"><Trash2 size={12}/></button>
+                               {noticeView === 'archive' ? (
+                                 <button onClick={() => restoreNotice(notice)} aria-label={t('notice.restore')} className="text-slate-300 hover:text-emerald-500"><RotateCcw size={12}/></button>
+                               ) : (
+                                 <>
+                                   <button onClick={() => toggleNoticePin(notice)} aria-label={notice.pinned ? t('notice.unpin') : t('notice.pin')} className={notice.pinned ? 'text-amber-500 hover:text-amber-600' : 'text-slate-300 hover:text-amber-500'}><Pin size={12}/></button>
+                                   <button onClick={() => openNoticeModal(notice)} aria-label={t('notice.edit')} className="text-slate-300 hover:text-indigo-500"><Edit2 size={12}/></button>
+                                   <button onClick={() => toggleNoticeVisibility(notice)} aria-label={t('notice.hide')} className="text-slate-300 hover:text-slate-500"><EyeOff size={12}/></button>
+                                 </>
+                               )}
+                               <button onClick={() => deleteNotice(notice)} aria-label={t('notice.delete')} className="text-slate-300 hover:text-rose-500"><Trash2 size={12}/></button>
                              </div>
+                             )}
                            </div>
                            <p className="text-xs text-slate-700 font-medium leading-relaxed">{notice.content}</p>
                          </div>
                        )) : (
-                         <div className="py-8 text-center text-slate-300 text-[10px] font-bold uppercase">No Notices</div>
+                         <div className="py-8 text-center text-slate-300 text-[10px] font-bold uppercase">{noticeView === 'archive' ? t('notice.archiveEmpty') : t('notice.empty')}</div>
                        )}
                      </div>
                    </div>
@@ -549,9 +1981,12 @@ const App = () => {
               <Search className="absolute left-3.5 top-1/2 -translate-y-1/2 text-slate-400 group-focus-within:text-indigo-500 transition-colors" size={16}/>
               <input 
                 type="text" 
-                placeholder="Search..." 
+                placeholder={t('panel.search')}
+                title={t('panel.searchHint')}
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
+                onKeyDown={(e) => e.key === 'Escape' && e.target.blur()}
+                ref={searchInputRef}
                 className="w-full pl-10 pr-4 py-2.5 bg-white border border-slate-200 rounded-xl text-xs font-medium focus:ring-4 focus:ring-indigo-500/5 focus:border-indigo-500 outline-none transition-all shadow-sm"
               />
             </div>
@@ -562,44 +1997,133 @@ const App = () => {
                 onClick={() => setActiveTab('tasks')}
                 className={`flex-1 flex items-center justify-center gap-2 py-2 rounded-lg text-xs font-bold transition-all ${activeTab === 'tasks' ? 'bg-indigo-50 text-indigo-600 shadow-sm ring-1 ring-indigo-200' : 'text-slate-400 hover:text-slate-600'}`}
                >
-                 <ListTodo size={14}/> To-Do
+                 <ListTodo size={14}/> {t('panel.todo')}
                </button>
                <button 
                 onClick={() => setActiveTab('journal')}
                 className={`flex-1 flex items-center justify-center gap-2 py-2 rounded-lg text-xs font-bold transition-all ${activeTab === 'journal' ? 'bg-amber-50 text-amber-600 shadow-sm ring-1 ring-amber-200' : 'text-slate-400 hover:text-slate-600'}`}
                >
-                 <BookOpen size={14}/> Journal
+                 <BookOpen size={14}/> {t('panel.journal')}
                </button>
             </div>
           </div>
 
           {/* ---------------- Tab Content ---------------- */}
           <div className="flex-1 flex flex-col min-h-0 overflow-hidden">
+
+            {/* 검색 중에는 탭 대신 통합 검색 결과 */}
+            {isSearching && (
+              <SearchResults results={searchResults} query={searchQuery} onSelect={selectSearchResult} i18n={i18n} />
+            )}
             
             {/* A. Task List View */}
-            {activeTab === 'tasks' && (
+            {!isSearching && activeTab === 'tasks' && (
               <div className="flex-1 flex flex-col min-h-0 bg-white rounded-[1.5rem] border border-slate-200 overflow-hidden shadow-sm animate-in fade-in slide-in-from-right-4 duration-300">
                 <div className="px-5 py-4 border-b border-slate-50 flex items-center justify-between bg-white">
-                  <span className="text-xs font-bold text-slate-500 uppercase tracking-wider">Tasks ({displayTasks.length})</span>
-                  <button onClick={openAddModal} className="w-7 h-7 bg-indigo-50 text-indigo-600 rounded-lg hover:bg-indigo-100 flex items-center justify-center transition-all">
-                    <Plus size={16}/>
-                  </button>
+                  <span className="text-xs font-bold text-slate-500 uppercase tracking-wider">{t('panel.tasks', { count: displayTasks.length })}</span>
+                  <div className="flex items-center gap-1.5">
+                    <button
+                      onClick={isSelecting ? stopSelecting : startSelecting}
+                      disabled={!isSelecting && displayTasks.length === 0}
+                      title={isSelecting ? t('task.selectDone') : t('task.selectStart')}
+                      aria-label={isSelecting ? t('task.selectDone') : t('task.selectStart')}
+                      aria-pressed={isSelecting}
+                      className={`w-7 h-7 rounded-lg flex items-center justify-center transition-all disabled:opacity-40 ${isSelecting ? 'bg-indigo-600 text-white' : 'text-slate-400 hover:bg-slate-100'}`}
+                    >
+                      <CheckSquare size={14}/>
+                    </button>
+                    <button onClick={() => openAddModal()} title={t('task.add')} aria-label={t('task.add')} className="w-7 h-7 bg-indigo-50 text-indigo-600 rounded-lg hover:bg-indigo-100 flex items-center justify-center transition-all">
+                      <Plus size={16}/>
+                    </button>
+                  </div>
                 </div>
+                <QuickAdd tags={tags} defaultDate={formatDate(selectedDate)} onAdd={quickAddTask} i18n={i18n} />
+                {isSelecting && (
+                  <label className="px-5 py-2 border-b border-slate-50 flex items-center gap-2 text-[10px] font-bold text-slate-400 uppercase tracking-wider cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={isAllSelected}
+                      onChange={() => setSelectedTaskIds(isAllSelected ? [] : displayTasks.map(t => t.id))}
+                      aria-label={t('task.selectAll')}
+                      className="accent-indigo-600"
+                    />
+                    {t('task.selected', { count: selectedTasks.length })}
+                    <span className="ml-auto normal-case tracking-normal font-medium text-slate-300">{t('task.rangeHint')}</span>
+                  </label>
+                )}
 
                 <div className="flex-1 overflow-y-auto p-4 space-y-3 custom-scrollbar">
+                  {/* 지난 날짜에 남은 할 일: 하나씩 또는 한 번에 오늘로 넘기기 */}
+                  {overdueList.length > 0 && (
+                    <div className="rounded-xl border border-rose-100 bg-rose-50/40 overflow-hidden">
+                      <div className="flex items-center justify-between px-3 py-2">
+                        <button
+                          onClick={() => setIsOverdueOpen(!isOverdueOpen)}
+                          aria-expanded={isOverdueOpen}
+                          className="flex items-center gap-1.5 text-[10px] font-bold text-rose-500 uppercase tracking-wider"
+                        >
+                          <AlarmClock size={12}/> {t('task.overdueCount', { count: overdueList.length })}
+                          {isOverdueOpen ? <ChevronUp size={12}/> : <ChevronDown size={12}/>}
+                        </button>
+                        <button
+                          onClick={() => rollOverTasks(overdueList)}
+                          className="flex items-center gap-1 px-2 py-1 rounded-lg text-[10px] font-bold text-rose-500 hover:bg-rose-100 transition-all"
+                        >
+                          <ArrowRightToLine size={12}/> {t('task.rollAll')}
+                        </button>
+                      </div>
+                      {isOverdueOpen && (
+                        <ul className="px-2 pb-2 space-y-1">
+                          {overdueList.map(task => (
+                            <li key={task.id} className="flex items-center gap-2 px-2 py-1.5 rounded-lg bg-white border border-rose-100/60">
+                              <button
+                                onClick={() => toggleTask(task)}
+                                aria-label={t('task.markDoneNamed', { text: task.text })}
+                                className="shrink-0 w-4 h-4 rounded-md border-2 border-slate-200 bg-white hover:border-indigo-400 transition-all"
+                              />
+                              <button onClick={() => jumpToTaskDate(task.date)} className="flex-1 min-w-0 text-left">
+                                <span className="block text-xs font-bold text-slate-700 truncate">{task.text}</span>
+                                <span className="text-[10px] font-bold text-rose-400">
+                                  {i18n.formatShortDay(task.date)} · {countdownLabel(task.date, todayStr)}
+                                  {postponeCount(task) > 0 && <span title={postponeLabel(task, i18n)} className="text-slate-400"> · <Forward size={9} className="inline"/> {postponeCount(task)}</span>}
+                                </span>
+                              </button>
+                              <button
+                                onClick={() => rollOverTasks([task])}
+                                title={t('task.rollOver')}
+                                aria-label={t('task.rollOverNamed', { text: task.text })}
+                                className="shrink-0 p-1.5 text-rose-300 hover:text-rose-500 rounded-lg"
+                              >
+                                <ArrowRightToLine size={14}/>
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
+
                   {displayTasks.length > 0 ? displayTasks.map(task => {
                     const isExpanded = expandedTaskId === task.id;
+                    const isChecked = selectedTaskIds.includes(task.id);
+                    const readOnly = isReadOnly(task);
+                    const taskCalendar = sharedCalendarOf(task);
+                    const isFocused = focusedTaskId === task.id;
                     return (
-                      <div key={task.id} className={`rounded-xl border transition-all duration-300 overflow-hidden ${isExpanded ? 'bg-slate-50 border-indigo-200 ring-1 ring-indigo-100' : 'bg-white border-slate-100 hover:border-slate-200'}`}>
-                        {/* Task Header (Click to Toggle Detail) */}
+                      <div
+                        key={task.id}
+                        data-task-id={task.id}
+                        draggable={!isExpanded && !isSelecting && !readOnly}
+                        onDragStart={(e) => handleTaskDragStart(e, task)}
+                        onDragEnd={handleTaskDragEnd}
+                        className={`rounded-xl border transition-all duration-300 overflow-hidden ${isChecked ? 'bg-indigo-50/60 border-indigo-200' : isExpanded ? 'bg-slate-50 border-indigo-200 ring-1 ring-indigo-100' : 'bg-white border-slate-100 hover:border-slate-200'} ${isFocused ? 'ring-2 ring-indigo-300' : ''}`}>
+                        {/* Task Header (Click to Toggle Detail, 선택 중이거나 Shift/Ctrl/Cmd-클릭이면 선택) */}
                         <div 
-                          className="flex items-center gap-3 p-3 cursor-pointer"
-                          onClick={() => {
-                             // 검색 중이라면 캘린더 날짜도 이동
-                             if (searchTerm.trim() !== '') {
-                               jumpToTaskDate(task.date);
-                             }
-                             if(isExpanded) {
+                          className="flex items-center gap-3 p-3 cursor-pointer select-none"
+                          onClick={(e) => {
+                             if (isSelecting || e.shiftKey || e.ctrlKey || e.metaKey) {
+                               selectTask(task, e.shiftKey);
+                             } else if(isExpanded) {
                                setExpandedTaskId(null);
                              } else {
                                setExpandedTaskId(task.id);
@@ -607,9 +2131,21 @@ const App = () => {
                              }
                           }}
                         >
+                          {isSelecting && (
+                            <input
+                              type="checkbox"
+                              checked={isChecked}
+                              readOnly
+                              onClick={(e) => { e.stopPropagation(); selectTask(task, e.shiftKey); }}
+                              aria-label={t('task.selectNamed', { text: task.text })}
+                              className="shrink-0 accent-indigo-600"
+                            />
+                          )}
                           <button 
-                            onClick={(e) => { e.stopPropagation(); toggleTask(task.id, task.completed); }}
-                            className={`shrink-0 w-5 h-5 rounded-lg border-2 flex items-center justify-center transition-all 
+                            onClick={(e) => { e.stopPropagation(); toggleTask(task); }}
+                            disabled={readOnly}
+                            aria-label={task.completed ? t('task.markNotDone') : t('task.markDone')}
+                            className={`shrink-0 w-5 h-5 rounded-lg border-2 flex items-center justify-center transition-all disabled:cursor-default
                               ${task.completed ? 'bg-emerald-500 border-emerald-500 text-white' : 'border-slate-200 bg-white hover:border-indigo-400'}`}
                           >
                             {task.completed && <CheckCircle2 size={12}/>}
@@ -619,14 +2155,65 @@ const App = () => {
                             <p className={`text-sm font-bold truncate ${task.completed ? 'text-slate-300 line-through' : 'text-slate-700'}`}>{task.text}</p>
                             <div className="flex items-center gap-2 mt-1">
                                <div className={`w-1.5 h-1.5 rounded-full ${task.priority === 'high' ? 'bg-rose-500' : task.priority === 'medium' ? 'bg-indigo-500' : 'bg-slate-300'}`} />
-                               <span className="text-[10px] font-bold text-slate-400 uppercase">{task.priority}</span>
+                               <span className="text-[10px] font-bold text-slate-400 uppercase">{t(`priority.${task.priority}`)}</span>
+                               {taskCalendar && (
+                                 <span className={`flex items-center gap-1 px-1.5 py-0.5 rounded text-[10px] font-bold truncate ${colorOf(taskCalendar).pill}`}>
+                                   {readOnly && <Lock size={9} aria-label={t('common.viewOnly')}/>}{taskCalendar.name}
+                                 </span>
+                               )}
+                               {projectOf(task) && (
+                                 <span className={`px-1.5 py-0.5 rounded text-[10px] font-bold truncate ${colorOf(projectOf(task)).pill}`}>{projectOf(task).name}</span>
+                               )}
+                               {tagsOf(task).map(tag => (
+                                 <span key={tag.id} className={`px-1.5 py-0.5 rounded-full text-[10px] font-bold truncate ${colorOf(tag).pill}`}>#{tag.name}</span>
+                               ))}
+                               {subtaskLabel(task) && (
+                                 <span className="flex items-center gap-1 text-[10px] font-bold text-slate-400">
+                                   <ListChecks size={10}/> {subtaskLabel(task)}
+                                 </span>
+                               )}
+                               {isOverdue(task, todayStr) && (
+                                 <span className="flex items-center gap-1 text-[10px] font-bold text-rose-500">
+                                   <AlarmClock size={10}/> {t('task.overdue')}
+                                 </span>
+                               )}
+                               {postponeCount(task) > 0 && (
+                                 <span title={postponeLabel(task, i18n)} className="flex items-center gap-1 text-[10px] font-bold text-slate-400">
+                                   <Forward size={10}/> {postponeCount(task)}
+                                 </span>
+                               )}
+                               {isTaskPending(task) && (
+                                 <span title={t('common.waitingToSync')} className="flex items-center gap-1 text-[10px] font-bold text-amber-500">
+                                   <RefreshCw size={10}/> {t('common.sync')}
+                                 </span>
+                               )}
+                               {task.startTime && (
+                                 <span className="flex items-center gap-1 text-[10px] font-bold text-slate-400">
+                                   <Clock size={10}/> {formatTimeRange(task)}
+                                 </span>
+                               )}
+                               {task.reminders && task.reminders.length > 0 && (
+                                 <span title={t('task.reminderCount', { count: task.reminders.length })} className="flex items-center text-[10px] font-bold text-slate-400">
+                                   <Bell size={10}/>
+                                 </span>
+                               )}
+                               {isRecurring(task) && (
+                                 <span className="flex items-center gap-1 text-[10px] font-bold text-indigo-400 truncate">
+                                   <Repeat size={10}/> {describeRule(task.repeat, task.seriesStart || task.date, i18n)}
+                                 </span>
+                               )}
                             </div>
                           </div>
 
                           <div className="flex items-center gap-1">
-                            {/* Edit/Delete (Only visible on hover or expand) */}
-                            <button onClick={(e) => { e.stopPropagation(); openEditModal(task); }} className="p-1.5 text-slate-300 hover:text-indigo-500 rounded-lg"><Edit2 size={14}/></button>
-                            <button onClick={(e) => { e.stopPropagation(); deleteTask(task.id); }} className="p-1.5 text-slate-300 hover:text-rose-500 rounded-lg"><Trash2 size={14}/></button>
+                            {/* Edit/Delete (Only visible on hover or expand, 보기 전용 캘린더는 숨김) */}
+                            {!readOnly && (
+                              <>
+                                <button onClick={(e) => { e.stopPropagation(); openMoveModal(task); }} title={t('move.title')} aria-label={t('move.title')} className="p-1.5 text-slate-300 hover:text-indigo-500 rounded-lg"><CalendarClock size={14}/></button>
+                                <button onClick={(e) => { e.stopPropagation(); openEditModal(task); }} title={t('common.edit')} aria-label={t('task.edit')} className="p-1.5 text-slate-300 hover:text-indigo-500 rounded-lg"><Edit2 size={14}/></button>
+                                <button onClick={(e) => { e.stopPropagation(); deleteTask(task); }} title={t('common.delete')} aria-label={t('task.delete')} className="p-1.5 text-slate-300 hover:text-rose-500 rounded-lg"><Trash2 size={14}/></button>
+                              </>
+                            )}
                             {isExpanded ? <ChevronUp size={16} className="text-indigo-500"/> : <ChevronDown size={16} className="text-slate-300"/>}
                           </div>
                         </div>
@@ -634,23 +2221,31 @@ const App = () => {
                         {/* ✨ Expanded Detail Area (Option B) */}
                         {isExpanded && (
                           <div className="px-4 pb-4 animate-in slide-in-from-top-2">
-                             <div className="pt-3 border-t border-slate-200/60">
-                               <label className="text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-2 block">Detail / Memo</label>
+                             {/* 보기 전용 캘린더의 할 일은 읽기만 */}
+                             <fieldset disabled={readOnly} className="pt-3 border-t border-slate-200/60 disabled:opacity-60">
+                               <SubtaskList
+                                 subtasks={getSubtasks(task)}
+                                 onChange={(subtasks) => saveSubtasks(task, subtasks)}
+                                 autoComplete={task.autoComplete}
+                                 onAutoCompleteChange={(value) => setTaskAutoComplete(task, value)}
+                                 i18n={i18n}
+                               />
+                               <label className="text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-2 block">{t('task.memo')}</label>
                                <textarea 
                                  value={taskMemo}
                                  onChange={(e) => setTaskMemo(e.target.value)}
                                  className="w-full text-xs p-3 rounded-xl border border-slate-200 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500/10 focus:border-indigo-500 resize-none h-20 mb-2" 
-                                 placeholder="Add details..."
+                                 placeholder={t('task.memoPlaceholder')}
                                />
                                <div className="flex justify-end">
                                  <button 
-                                   onClick={() => saveTaskMemo(task.id, taskMemo)}
+                                   onClick={() => saveTaskMemo(task, taskMemo)}
                                    className="flex items-center gap-1 px-3 py-1.5 bg-indigo-600 text-white text-[10px] font-bold rounded-lg hover:bg-indigo-700 active:scale-95 transition-all"
                                  >
-                                   <Save size={12}/> Save
+                                   <Save size={12}/> {t('common.save')}
                                  </button>
                                </div>
-                             </div>
+                             </fieldset>
                           </div>
                         )}
                       </div>
@@ -658,26 +2253,115 @@ const App = () => {
                   }) : (
                     <div className="h-40 flex flex-col items-center justify-center text-slate-300">
                       <Clock size={24} className="opacity-20 mb-2"/>
-                      <p className="text-[10px] font-black uppercase tracking-[0.2em] opacity-40">No Tasks</p>
+                      <p className="text-[10px] font-black uppercase tracking-[0.2em] opacity-40">{t('task.empty')}</p>
                     </div>
                   )}
                 </div>
+
+                {/* 일괄 작업 (한 번의 batch, Undo 한 번으로 되돌림) */}
+                {isSelecting && selectedTasks.length > 0 && (
+                  <div className="p-3 border-t border-slate-100 bg-slate-50/80 space-y-2 animate-in slide-in-from-bottom-2">
+                    <div className="flex items-center gap-1.5">
+                      <button
+                        onClick={() => runBulkAction('complete')}
+                        className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg bg-white border border-slate-200 text-[11px] font-bold text-slate-600 hover:border-emerald-300 hover:text-emerald-600 transition-all"
+                      >
+                        <CheckCircle2 size={12}/> {allCompleted(selectedTasks) ? t('bulk.reopen') : t('bulk.complete')}
+                      </button>
+                      <select
+                        value=""
+                        onChange={(e) => e.target.value && runBulkAction('priority', { priority: e.target.value })}
+                        aria-label={t('bulk.setPriority')}
+                        className="flex-1 py-1.5 px-2 rounded-lg bg-white border border-slate-200 text-[11px] font-bold text-slate-600 focus:outline-none"
+                      >
+                        <option value="">{t('bulk.priorityPlaceholder')}</option>
+                        {['high', 'medium', 'low'].map(p => <option key={p} value={p}>{t(`priority.${p}`)}</option>)}
+                      </select>
+                      <button
+                        onClick={() => runBulkAction('delete')}
+                        aria-label={t('bulk.deleteSelected')}
+                        className="flex items-center justify-center gap-1 px-3 py-1.5 rounded-lg bg-white border border-slate-200 text-[11px] font-bold text-slate-600 hover:border-rose-300 hover:text-rose-500 transition-all"
+                      >
+                        <Trash2 size={12}/> {t('common.delete')}
+                      </button>
+                    </div>
+                    <div className="flex items-center gap-1.5">
+                      <input
+                        type="date"
+                        value={bulkDate}
+                        onChange={(e) => setBulkDate(e.target.value)}
+                        aria-label={t('bulk.targetDate')}
+                        className="flex-1 py-1.5 px-2 rounded-lg bg-white border border-slate-200 text-[11px] font-bold text-slate-600 focus:outline-none"
+                      />
+                      <button
+                        onClick={() => runBulkAction('move', { date: bulkDate })}
+                        disabled={!bulkDate}
+                        aria-label={t('bulk.moveSelected')}
+                        className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-indigo-600 text-white text-[11px] font-bold hover:bg-indigo-700 disabled:opacity-50 transition-all"
+                      >
+                        <CalendarClock size={12}/> {t('bulk.move')}
+                      </button>
+                      <button
+                        onClick={() => runBulkAction('copy', { date: bulkDate })}
+                        disabled={!bulkDate}
+                        aria-label={t('bulk.copySelected')}
+                        className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-white border border-slate-200 text-[11px] font-bold text-slate-600 hover:border-indigo-300 hover:text-indigo-600 disabled:opacity-50 transition-all"
+                      >
+                        <Copy size={12}/> {t('bulk.copy')}
+                      </button>
+                    </div>
+                  </div>
+                )}
               </div>
             )}
 
             {/* B. Daily Journal View (Option A) */}
-            {activeTab === 'journal' && (
+            {!isSearching && activeTab === 'journal' && (
               <div className="flex-1 flex flex-col min-h-0 animate-in fade-in slide-in-from-right-4 duration-300">
                  <div className="bg-amber-50/50 rounded-[1.5rem] border border-amber-100 flex-1 flex flex-col overflow-hidden shadow-sm hover:shadow-md transition-all group">
                     <div className="px-5 py-4 border-b border-amber-100/50 flex justify-between items-center bg-amber-50">
                         <div className="flex items-center gap-2">
                             <BookOpen className="w-4 h-4 text-amber-500"/>
-                            <span className="text-xs font-bold text-amber-800 uppercase tracking-wider">Today's Note</span>
+                            <span className="text-xs font-bold text-amber-800 uppercase tracking-wider">{t('journal.title')}</span>
+                            {activeCalendar.id !== PERSONAL_CALENDAR_ID && (
+                              <span className={`flex items-center gap-1 px-1.5 py-0.5 rounded text-[10px] font-bold truncate max-w-[90px] ${colorOf(activeCalendar).pill}`}>
+                                {!canWriteActive && <Lock size={9} aria-label={t('common.viewOnly')}/>}{activeCalendar.name}
+                              </span>
+                            )}
+                            {pendingIdsIn(activeCalendar.id, 'notes').has(formatDate(selectedDate)) && (
+                              <span title={t('common.waitingToSync')} className="flex items-center gap-1 text-[10px] font-bold text-amber-500">
+                                <RefreshCw size={10}/> {t('common.sync')}
+                              </span>
+                            )}
+                        </div>
+                        <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => setIsHistoryOpen(true)}
+                          title={t('journal.history')}
+                          aria-label={t('journal.history')}
+                          className="p-1 rounded-md text-amber-800/40 hover:text-amber-700 transition-all"
+                        >
+                          <History size={14}/>
+                        </button>
+                        {/* Markdown 편집 / 미리보기 전환 */}
+                        <div className="flex p-0.5 bg-amber-100/60 rounded-lg">
+                          {[['write', t('journal.write'), PenLine], ['split', t('journal.split'), SplitSquareVertical], ['preview', t('journal.preview'), Eye]].map(([mode, label, Icon]) => (
+                            <button
+                              key={mode}
+                              onClick={() => changeJournalMode(mode)}
+                              title={label}
+                              aria-label={label}
+                              aria-pressed={journalMode === mode}
+                              className={`p-1 rounded-md transition-all ${journalMode === mode ? 'bg-white text-amber-700 shadow-sm' : 'text-amber-800/40 hover:text-amber-700'}`}
+                            >
+                              <Icon size={13}/>
+                            </button>
+                          ))}
                         </div>
                         {/* 저장 버튼: 변경사항이 있을 때만 활성화 */}
                         <button 
                           onClick={saveDailyNote}
-                          disabled={!isNoteDirty}
+                          disabled={!isNoteDirty || !canWriteActive}
                           className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-bold transition-all
                             ${showSaveSuccess 
                                 ? 'bg-emerald-100 text-emerald-700' 
@@ -686,37 +2370,51 @@ const App = () => {
                                   : 'bg-amber-100/50 text-amber-800/40 cursor-default'}`}
                         >
                           {showSaveSuccess ? <Check size={14}/> : <Save size={14}/>}
-                          {showSaveSuccess ? 'Saved!' : 'Save'}
+                          {showSaveSuccess ? t('common.saved') : t('common.save')}
                         </button>
+                        </div>
                     </div>
-                    <div className="flex-1 p-1">
-                        <textarea 
-                          value={dailyNote}
-                          onChange={(e) => setDailyNote(e.target.value)}
-                          className="w-full h-full p-5 bg-transparent text-sm text-slate-700 leading-relaxed placeholder:text-amber-800/20 focus:outline-none resize-none custom-scrollbar" 
-                          placeholder={`How was your day on ${formatDate(selectedDate)}? \nWrite your thoughts here...`}
-                        />
+                    {/* 빈 날에는 템플릿으로 시작할 수 있다 */}
+                    {!dailyNote.trim() && canWriteActive && (
+                      <div className="px-5 pt-3 flex items-center gap-1.5 flex-wrap">
+                        <LayoutTemplate size={12} className="text-amber-400"/>
+                        {allTemplates(templates, i18n).map(template => (
+                          <button
+                            key={template.id}
+                            onClick={() => setDailyNote(fillTemplate(template.content, formatDate(selectedDate), i18n))}
+                            className="px-2 py-0.5 rounded-md bg-white/70 border border-amber-100 text-[10px] font-bold text-amber-700 hover:bg-white hover:border-amber-200 transition-all"
+                          >
+                            {template.name}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    <div className={`flex-1 min-h-0 p-1 flex flex-col ${journalMode === 'split' ? 'divide-y divide-amber-100' : ''}`}>
+                        {journalMode !== 'preview' && (
+                          <textarea 
+                            value={dailyNote}
+                            onChange={(e) => setDailyNote(e.target.value)}
+                            readOnly={!canWriteActive}
+                            className="w-full flex-1 min-h-0 p-5 bg-transparent text-sm text-slate-700 leading-relaxed placeholder:text-amber-800/20 focus:outline-none resize-none custom-scrollbar" 
+                            placeholder={t('journal.placeholder', { date: formatDate(selectedDate) })}
+                          />
+                        )}
+                        {journalMode !== 'write' && (
+                          <div className="flex-1 min-h-0 overflow-y-auto p-5 custom-scrollbar">
+                            {dailyNote.trim() ? (
+                              <MarkdownView source={dailyNote} onToggleCheckbox={(line) => canWriteActive && setDailyNote(toggleCheckbox(dailyNote, line))}/>
+                            ) : (
+                              <p className="text-sm text-amber-800/30">{t('journal.empty')}</p>
+                            )}
+                          </div>
+                        )}
                     </div>
                  </div>
                  
-                 {/* Mood Tracker */}
-                 <div className="mt-4 p-4 rounded-2xl bg-white border border-slate-100 shadow-sm">
-                     <h4 className="text-[10px] font-bold text-slate-400 uppercase mb-3 text-center">Mood of the day</h4>
-                     <div className="flex justify-between gap-2">
-                         {['😄', '🙂', '😐', '😫'].map((emoji, i) => (
-                           <button 
-                             key={i} 
-                             onClick={() => setDailyMood(emoji)}
-                             className={`flex-1 py-2 text-xl rounded-xl transition-all border
-                               ${dailyMood === emoji 
-                                 ? 'bg-indigo-50 border-indigo-200 shadow-sm ring-1 ring-indigo-200 scale-105' 
-                                 : 'border-transparent hover:bg-slate-50 hover:border-slate-100'}`}
-                           >
-                             {emoji}
-                           </button>
-                         ))}
-                     </div>
-                 </div>
+                 {/* Mood / Energy / Stress / Activities */}
+                 <fieldset disabled={!canWriteActive}>
+                   <CheckInPanel value={dailyCheckIn} onChange={setDailyCheckIn} settings={moodSettings} i18n={i18n} />
+                 </fieldset>
               </div>
             )}
             
@@ -725,8 +2423,17 @@ const App = () => {
           {/* Productivity (Always Visible) */}
           <div className="bg-white rounded-[1.5rem] p-5 border border-slate-100 shadow-[0_4px_20px_rgb(0,0,0,0.03)] shrink-0">
              <div className="flex items-center justify-between mb-3">
-               <h4 className="text-xs font-bold text-slate-800 tracking-tight">Daily Progress</h4>
-               <span className="text-xs font-black text-indigo-600">{progress}%</span>
+               <h4 className="text-xs font-bold text-slate-800 tracking-tight">{t('progress.title')}</h4>
+               <div className="flex items-center gap-2">
+                 <button
+                   onClick={toggleCountSubtasks}
+                   title={t('progress.stepsHint')}
+                   className={`flex items-center gap-1 px-2 py-0.5 rounded-md text-[10px] font-bold transition-all ${countSubtasks ? 'bg-indigo-50 text-indigo-600' : 'text-slate-300 hover:text-slate-500'}`}
+                 >
+                   <ListChecks size={10}/> {t('progress.steps')}
+                 </button>
+                 <span className="text-xs font-black text-indigo-600">{progress}%</span>
+               </div>
              </div>
              <div className="h-2 w-full bg-slate-100 rounded-full overflow-hidden">
                <div className="h-full bg-indigo-600 rounded-full transition-all duration-500 ease-out" style={{ width: `${progress}%` }}/>
@@ -743,27 +2450,57 @@ const App = () => {
             onClick={e => e.stopPropagation()}
           >
             <div className="flex items-center justify-between mb-6">
-              <h3 className="font-bold text-lg text-slate-800">{editingId ? 'Edit Task' : 'New Task'}</h3>
+              <h3 className="font-bold text-lg text-slate-800">{editingId ? t('taskModal.editTitle') : t('taskModal.newTitle')}</h3>
               <button onClick={() => setIsModalOpen(false)} className="text-slate-400 hover:text-slate-600">
                 <X size={20}/>
               </button>
             </div>
             
             <div className="space-y-4">
+              {/* 반복 일정의 발생을 수정할 때: 적용 범위 선택 */}
+              {editingOccurrence && (
+                <div className="flex p-1 bg-slate-50 rounded-xl border border-slate-200">
+                  {[['occurrence', t('taskModal.thisOccurrence')], ['series', t('taskModal.allOccurrences')]].map(([scope, label]) => (
+                    <button
+                      key={scope}
+                      onClick={() => setEditScope(scope)}
+                      className={`flex-1 py-2 rounded-lg text-xs font-bold transition-all ${editScope === scope ? 'bg-white text-indigo-600 shadow-sm ring-1 ring-indigo-200' : 'text-slate-400 hover:text-slate-600'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {writableCalendars.length > 1 && (
+                <div>
+                  <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">{t('common.calendar')}</label>
+                  <select
+                    value={newCalendarId}
+                    onChange={(e) => setNewCalendarId(e.target.value)}
+                    disabled={Boolean(editingId)}
+                    aria-label={t('common.calendar')}
+                    className="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all disabled:opacity-60"
+                  >
+                    {writableCalendars.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                  </select>
+                </div>
+              )}
+
               <div>
-                <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Task Name</label>
+                <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">{t('taskModal.name')}</label>
                 <input
                   type="text"
                   value={newTask}
                   onChange={(e) => setNewTask(e.target.value)}
-                  placeholder="What needs to be done?"
+                  placeholder={t('taskModal.namePlaceholder')}
                   className="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all"
                   autoFocus
                 />
               </div>
               
               <div>
-                <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Priority</label>
+                <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">{t('taskModal.priority')}</label>
                 <div className="flex gap-2">
                   {['low', 'medium', 'high'].map(p => (
                     <button
@@ -777,24 +2514,124 @@ const App = () => {
                           : 'border-transparent bg-slate-50 text-slate-400 hover:bg-slate-100'
                         }`}
                     >
-                      {p}
+                      {t(`priority.${p}`)}
                     </button>
                   ))}
                 </div>
               </div>
 
+              {/* 프로젝트 / 태그는 시리즈 전체에 적용 */}
+              {!(editingOccurrence && editScope === 'occurrence') && (projects.length > 0 || tags.length > 0) && (
+                <div>
+                  <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">{t('taskModal.projectAndTags')}</label>
+                  {projects.length > 0 && (
+                    <select
+                      value={newProjectId || ''}
+                      onChange={(e) => setNewProjectId(e.target.value || null)}
+                      aria-label={t('taskModal.project')}
+                      className="w-full px-4 py-2.5 mb-2 bg-slate-50 border border-slate-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all"
+                    >
+                      <option value="">{t('taskModal.noProject')}</option>
+                      {sortByName(projects).map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                    </select>
+                  )}
+                  {tags.length > 0 && (
+                    <div className="flex flex-wrap gap-1.5">
+                      {sortByName(tags).map(tag => (
+                        <button
+                          key={tag.id}
+                          onClick={() => setNewTagIds(toggleId(newTagIds, tag.id))}
+                          aria-pressed={newTagIds.includes(tag.id)}
+                          className={`px-2.5 py-1 rounded-full text-[11px] font-bold transition-all ${newTagIds.includes(tag.id) ? colorOf(tag).pill : 'bg-slate-50 text-slate-400 hover:bg-slate-100'}`}
+                        >
+                          #{tag.name}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {!(editingOccurrence && editScope === 'occurrence') && (
+                <div>
+                  <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">{newRepeat ? t('taskModal.startsOn') : t('common.date')}</label>
+                  <input
+                    type="date"
+                    value={newDate}
+                    onChange={(e) => e.target.value && setNewDate(e.target.value)}
+                    className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all"
+                  />
+                </div>
+              )}
+
+              <div>
+                <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">{t('taskModal.time')} <span className="normal-case font-medium text-slate-400">{t('taskModal.timeHint')}</span></label>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="time"
+                    value={newStartTime}
+                    onChange={(e) => setNewStartTime(e.target.value)}
+                    className="flex-1 px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all"
+                  />
+                  <span className="text-slate-300 font-bold">–</span>
+                  <input
+                    type="time"
+                    value={newEndTime}
+                    disabled={!newStartTime}
+                    min={newStartTime || undefined}
+                    onChange={(e) => setNewEndTime(e.target.value)}
+                    className="flex-1 px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all disabled:opacity-50"
+                  />
+                  {newStartTime && (
+                    <button onClick={() => { setNewStartTime(''); setNewEndTime(''); }} className="text-slate-300 hover:text-slate-500">
+                      <X size={16}/>
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {!(editingOccurrence && editScope === 'occurrence') && (
+                <ReminderEditor
+                  value={newReminders}
+                  onChange={setNewReminders}
+                  timed={Boolean(newStartTime)}
+                  i18n={i18n}
+                />
+              )}
+
+              {!(editingOccurrence && editScope === 'occurrence') && (
+                <RepeatEditor
+                  value={newRepeat}
+                  onChange={setNewRepeat}
+                  startDate={newDate}
+                  i18n={i18n}
+                />
+              )}
+
               <button 
                 onClick={handleSaveTask}
                 disabled={!newTask.trim()}
                 className="w-full py-3.5 bg-indigo-600 hover:bg-indigo-700 text-white rounded-xl font-bold text-sm shadow-lg shadow-indigo-200 active:scale-[0.98] transition-all disabled:opacity-50 disabled:cursor-not-allowed mt-4"
               >
-                {editingId ? 'Update Task' : 'Add Task'}
+                {editingId ? t('taskModal.update') : t('taskModal.add')}
               </button>
             </div>
           </div>
         </div>
       )}
 
+      {isHistoryOpen && (
+        <NoteHistoryModal
+          dateStr={noteDate}
+          revisions={noteRevisions}
+          current={{ content: dailyNote, checkIn: dailyCheckIn }}
+          levels={moodSettings.levels}
+          onRestore={restoreRevision}
+          onClose={() => setIsHistoryOpen(false)}
+          i18n={i18n}
+        />
+      )}
+
       {/* ✨ Notice Modal */}
       {isNoticeModalOpen && (
         <div className="fixed inset-0 bg-slate-900/20 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={() => setIsNoticeModalOpen(false)}>
@@ -803,15 +2640,30 @@ const App = () => {
             onClick={e => e.stopPropagation()}
           >
             <div className="flex items-center justify-between mb-6">
-              <h3 className="font-bold text-lg text-slate-800">{editingNoticeId ? 'Edit Notice' : 'New Notice'}</h3>
+              <h3 className="font-bold text-lg text-slate-800">{editingNoticeId ? t('noticeModal.editTitle') : t('noticeModal.newTitle')}</h3>
               <button onClick={() => setIsNoticeModalOpen(false)} className="text-slate-400 hover:text-slate-600">
                 <X size={20}/>
               </button>
             </div>
             
             <div className="space-y-4">
+              {writableCalendars.length > 1 && (
+                <div>
+                  <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">{t('common.calendar')}</label>
+                  <select
+                    value={newCalendarId}
+                    onChange={(e) => setNewCalendarId(e.target.value)}
+                    disabled={Boolean(editingNoticeId)}
+                    aria-label={t('common.calendar')}
+                    className="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all disabled:opacity-60"
+                  >
+                    {writableCalendars.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                  </select>
+                </div>
+              )}
+
               <div>
-                <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Date</label>
+                <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">{t('common.date')}</label>
                 <input
                   type="date"
                   value={newNoticeDate}
@@ -821,22 +2673,202 @@ const App = () => {
               </div>
 
               <div>
-                <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Message</label>
+                <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">{t('noticeModal.message')}</label>
                 <textarea
                   value={newNoticeContent}
                   onChange={(e) => setNewNoticeContent(e.target.value)}
-                  placeholder="Important message..."
+                  placeholder={t('noticeModal.messagePlaceholder')}
                   className="w-full h-32 px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all resize-none"
                   autoFocus
                 />
               </div>
+
+              <ReminderEditor
+                value={newNoticeReminders}
+                onChange={setNewNoticeReminders}
+                i18n={i18n}
+              />
               
               <button 
                 onClick={handleSaveNotice}
                 disabled={!newNoticeContent.trim()}
                 className="w-full py-3.5 bg-indigo-600 hover:bg-indigo-700 text-white rounded-xl font-bold text-sm shadow-lg shadow-indigo-200 active:scale-[0.98] transition-all disabled:opacity-50 disabled:cursor-not-allowed mt-2"
               >
-                {editingNoticeId ? 'Update Notice' : 'Post Notice'}
+                {editingNoticeId ? t('noticeModal.update') : t('noticeModal.post')}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* 일정 이동/복사 (키보드 사용자용 드래그 앤 드롭 대체 수단) */}
+      {movingTask && (
+        <div className="fixed inset-0 bg-slate-900/20 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={() => setMovingTask(null)}>
+          <div 
+            className="bg-white rounded-2xl w-full max-w-sm p-6 shadow-2xl animate-in fade-in zoom-in duration-200" 
+            onClick={e => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="font-bold text-lg text-slate-800">{t('move.heading')}</h3>
+              <button onClick={() => setMovingTask(null)} className="text-slate-400 hover:text-slate-600">
+                <X size={20}/>
+              </button>
+            </div>
+            <p className="text-xs text-slate-500 mb-6 truncate">"{movingTask.text}" · {i18n.formatDay(movingTask.date)}</p>
+
+            <div className="space-y-4">
+              <input
+                type="date"
+                value={moveTargetDate}
+                onChange={(e) => setMoveTargetDate(e.target.value)}
+                className="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all"
+                autoFocus
+              />
+              <div className="flex gap-2">
+                <button 
+                  onClick={() => { moveTask(movingTask, moveTargetDate, { copy: true }); setMovingTask(null); }}
+                  disabled={!moveTargetDate}
+                  className="flex-1 py-3 bg-slate-50 hover:bg-slate-100 text-slate-700 rounded-xl font-bold text-sm border border-slate-200 active:scale-[0.98] transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {t('move.copy')}
+                </button>
+                <button 
+                  onClick={() => { moveTask(movingTask, moveTargetDate); setMovingTask(null); }}
+                  disabled={!moveTargetDate || moveTargetDate === movingTask.date}
+                  className="flex-1 py-3 bg-indigo-600 hover:bg-indigo-700 text-white rounded-xl font-bold text-sm shadow-lg shadow-indigo-200 active:scale-[0.98] transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {t('move.move')}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* 백업 & 복원 */}
+      {isBackupOpen && (
+        <BackupModal
+          current={{ tasks: personalTasks, notes, notices: personalNotices, projects, tags, templates, settings }}
+          onClose={() => setIsBackupOpen(false)}
+          onExport={exportBackup}
+          onRestore={restoreBackup}
+          i18n={i18n}
+        />
+      )}
+
+      {/* 계정 (익명 업그레이드 / 로그인 / 로그아웃) */}
+      {isAccountOpen && (
+        <AccountModal
+          user={user}
+          onClose={() => setIsAccountOpen(false)}
+          onChanged={(changedUser) => changedUser && setProfileUser(changedUser)}
+          i18n={i18n}
+        />
+      )}
+
+      {/* 공유 캘린더 설정 (멤버 / 초대) */}
+      {managingCalendarId && calendarOf(managingCalendarId) && (
+        <CalendarSettingsModal
+          calendar={calendarOf(managingCalendarId)}
+          user={user}
+          sharing={sharing}
+          onWrite={trackWrite}
+          onClose={() => setManagingCalendarId(null)}
+          i18n={i18n}
+        />
+      )}
+
+      {/* 명령 팔레트 (Ctrl+K) / 단축키 도움말 (?) */}
+      {isPaletteOpen && (
+        <CommandPalette commandsFor={paletteCommandsFor} onClose={() => setIsPaletteOpen(false)} i18n={i18n} />
+      )}
+      {isShortcutHelpOpen && <ShortcutHelp onClose={() => setIsShortcutHelpOpen(false)} i18n={i18n} />}
+
+      {/* 휴지통 */}
+      {isTrashOpen && (
+        <TrashModal
+          items={trashItems}
+          calendarOf={sharedCalendarOf}
+          onRestore={restoreTrashItem}
+          onDelete={deleteTrashItem}
+          onEmpty={emptyTrash}
+          onClose={() => setIsTrashOpen(false)}
+          i18n={i18n}
+        />
+      )}
+
+      {/* 초대 링크로 열었을 때 */}
+      {linkInvite && (
+        <div className="fixed inset-0 bg-slate-900/20 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={() => setLinkInvite(null)}>
+          <div 
+            className="bg-white rounded-2xl w-full max-w-sm p-6 shadow-2xl animate-in fade-in zoom-in duration-200" 
+            onClick={e => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="font-bold text-lg text-slate-800">{t('invite.title')}</h3>
+              <button onClick={() => setLinkInvite(null)} className="text-slate-400 hover:text-slate-600">
+                <X size={20}/>
+              </button>
+            </div>
+            <p className="text-xs text-slate-500 mb-6">
+              {calendars.some(c => c.id === linkInvite.calendarId)
+                ? t('invite.alreadyMember', { calendar: linkInvite.calendarName })
+                : t('invite.join', { calendar: linkInvite.calendarName, role: t(`role.${linkInvite.role}`) })}
+            </p>
+            {!calendars.some(c => c.id === linkInvite.calendarId) && (
+              <button 
+                onClick={() => joinCalendar(linkInvite)}
+                className="w-full py-3.5 bg-indigo-600 hover:bg-indigo-700 text-white rounded-xl font-bold text-sm shadow-lg shadow-indigo-200 active:scale-[0.98] transition-all"
+              >
+                {t('invite.joinButton')}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* 하단 알림 */}
+      {toast && (
+        <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-[60] flex items-center gap-3 px-4 py-2.5 bg-slate-900 text-white text-xs font-bold rounded-xl shadow-xl animate-in fade-in slide-in-from-bottom-2">
+          {toast.message}
+          {toast.action && (
+            <button
+              onClick={() => { toast.action.run(); setToast(null); }}
+              className="px-2 py-0.5 rounded-md text-indigo-300 hover:bg-white/10 hover:text-indigo-200"
+            >
+              {toast.action.label}
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* 반복 일정 삭제 범위 선택 */}
+      {pendingDeleteTask && (
+        <div className="fixed inset-0 bg-slate-900/20 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={() => setPendingDeleteTask(null)}>
+          <div 
+            className="bg-white rounded-2xl w-full max-w-sm p-6 shadow-2xl animate-in fade-in zoom-in duration-200" 
+            onClick={e => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="font-bold text-lg text-slate-800">{t('deleteRecurring.title')}</h3>
+              <button onClick={() => setPendingDeleteTask(null)} className="text-slate-400 hover:text-slate-600">
+                <X size={20}/>
+              </button>
+            </div>
+            <p className="text-xs text-slate-500 mb-6">{t('deleteRecurring.question', { text: pendingDeleteTask.text })}</p>
+
+            <div className="space-y-2">
+              <button 
+                onClick={() => deleteTask(pendingDeleteTask, 'occurrence')}
+                className="w-full py-3 bg-slate-50 hover:bg-slate-100 text-slate-700 rounded-xl font-bold text-sm border border-slate-200 active:scale-[0.98] transition-all"
+              >
+                {t('deleteRecurring.only', { date: pendingDeleteTask.date })}
+              </button>
+              <button 
+                onClick={() => deleteTask(pendingDeleteTask, 'series')}
+                className="w-full py-3 bg-rose-500 hover:bg-rose-600 text-white rounded-xl font-bold text-sm shadow-lg shadow-rose-100 active:scale-[0.98] transition-all"
+              >
+                {t('deleteRecurring.all')}
               </button>
             </div>
           </div>
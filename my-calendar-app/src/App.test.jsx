@@ -0,0 +1,815 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render, screen, fireEvent, within, act, waitFor } from '@testing-library/react';
+import App from './App';
+import { createStorage } from './storage';
+import { LOCAL_USER } from './storage/localBackend';
+
+// 각 테스트마다 새 인메모리 저장소로 App을 띄운다 (prepare: 띄우기 전에 저장소를 더 채울 때)
+const renderApp = async (seed = {}, prepare = async () => {}) => {
+  const storage = createStorage('memory');
+  const repo = storage.forUser(LOCAL_USER.uid);
+  for (const [name, docs] of Object.entries(seed)) {
+    for (const { id, ...data } of docs) await repo[name].set(id, data);
+  }
+  await prepare(storage);
+  render(<App storage={storage} />);
+  // 첫 스냅샷 전달 대기
+  await act(async () => {});
+  return repo;
+};
+
+const readAll = (collection) => new Promise((resolve) => {
+  const unsubscribe = collection.subscribe((items) => {
+    unsubscribe();
+    resolve(items);
+  });
+});
+
+// 오른쪽 패널의 할 일 목록 (월 그리드에도 같은 제목이 보이므로 범위를 좁힌다)
+const taskList = () => screen.getByText(/^Tasks \(\d+\)$/).parentElement.parentElement;
+
+const click = (name) => fireEvent.click(screen.getByRole('button', { name }));
+
+beforeEach(() => {
+  // Date만 고정하고 setTimeout 등은 실제 타이머를 쓴다
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(new Date(2026, 9, 15, 9, 0));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('tasks', () => {
+  it('adds a task for the selected day', async () => {
+    const repo = await renderApp();
+    click('Add task');
+    fireEvent.change(screen.getByPlaceholderText('What needs to be done?'), { target: { value: 'Write tests' } });
+    click('high');
+    click('Add Task');
+
+    expect(await within(taskList()).findByText('Write tests')).toBeTruthy();
+    expect(screen.getByText('Tasks (1)')).toBeTruthy();
+    expect(await readAll(repo.tasks)).toEqual([
+      expect.objectContaining({ text: 'Write tests', date: '2026-10-15', priority: 'high', completed: false, startTime: null }),
+    ]);
+  });
+
+  it('edits, toggles and deletes a task', async () => {
+    const repo = await renderApp({
+      tasks: [{ id: 't1', date: '2026-10-15', text: 'Draft plan', priority: 'medium', completed: false }],
+    });
+
+    click('Edit task');
+    fireEvent.change(screen.getByDisplayValue('Draft plan'), { target: { value: 'Final plan' } });
+    click('Update Task');
+    expect(await within(taskList()).findByText('Final plan')).toBeTruthy();
+    expect((await repo.tasks.get('t1')).text).toBe('Final plan');
+
+    click('Mark as done');
+    await screen.findByRole('button', { name: 'Mark as not done' });
+    expect(screen.getByText('100%')).toBeTruthy();
+    expect((await repo.tasks.get('t1')).completed).toBe(true);
+
+    click('Delete task');
+    expect(await within(taskList()).findByText('No Tasks')).toBeTruthy();
+    expect(await repo.tasks.get('t1')).toBeNull();
+  });
+});
+
+describe('bulk actions', () => {
+  const seed = {
+    tasks: [
+      { id: 'a', date: '2026-10-15', text: 'Alpha', priority: 'low', completed: false },
+      { id: 'b', date: '2026-10-15', text: 'Bravo', priority: 'low', completed: false },
+      { id: 'c', date: '2026-10-15', text: 'Charlie', priority: 'low', completed: false },
+    ],
+  };
+  const row = (text) => within(taskList()).getByText(text).closest('[draggable]').firstChild;
+
+  it('selects with shift-click and completes in one batch with undo', async () => {
+    const repo = await renderApp(seed);
+
+    fireEvent.click(row('Alpha'), { ctrlKey: true });
+    fireEvent.click(row('Charlie'), { shiftKey: true });
+    expect(screen.getByText('3 selected')).toBeTruthy();
+    fireEvent.click(screen.getByLabelText('Select Bravo'));
+    expect(screen.getByText('2 selected')).toBeTruthy();
+
+    click(/Complete/);
+    await waitFor(async () => expect((await readAll(repo.tasks)).filter(t => t.completed).map(t => t.id).sort()).toEqual(['a', 'c']));
+    expect(screen.getByText('Completed 2 tasks')).toBeTruthy();
+
+    click('Undo');
+    await waitFor(async () => expect((await readAll(repo.tasks)).some(t => t.completed)).toBe(false));
+  });
+
+  it('selects all, then changes priority, copies and moves', async () => {
+    const repo = await renderApp(seed);
+
+    click('Select tasks');
+    fireEvent.click(screen.getByLabelText('Select all'));
+    fireEvent.change(screen.getByLabelText('Set priority'), { target: { value: 'high' } });
+    await waitFor(async () => expect((await readAll(repo.tasks)).every(t => t.priority === 'high')).toBe(true));
+
+    fireEvent.change(screen.getByLabelText('Target date'), { target: { value: '2026-10-20' } });
+    click('Copy selected');
+    await waitFor(async () => expect(await readAll(repo.tasks)).toHaveLength(6));
+
+    click('Move selected');
+    expect(await within(taskList()).findByText('No Tasks')).toBeTruthy();
+    expect((await readAll(repo.tasks)).filter(t => t.date === '2026-10-20')).toHaveLength(6);
+  });
+
+  it('deletes the selection and restores it with undo', async () => {
+    const repo = await renderApp(seed);
+
+    click('Select tasks');
+    fireEvent.click(screen.getByLabelText('Select Alpha'));
+    fireEvent.click(screen.getByLabelText('Select Bravo'));
+    click('Delete selected');
+    await waitFor(async () => expect((await readAll(repo.tasks)).map(t => t.id)).toEqual(['c']));
+
+    click('Undo');
+    await waitFor(async () => expect(await readAll(repo.tasks)).toHaveLength(3));
+    expect(await repo.tasks.get('a')).toMatchObject({ text: 'Alpha', priority: 'low' });
+  });
+});
+
+describe('undo and trash', () => {
+  const seed = { tasks: [{ id: 't1', date: '2026-10-15', text: 'Draft plan', priority: 'medium', completed: false }] };
+  const undoKey = (extra = {}) => fireEvent.keyDown(window, { key: 'z', ctrlKey: true, ...extra });
+
+  it('undoes a delete from the toast and keeps the task in the trash until then', async () => {
+    const repo = await renderApp(seed);
+
+    click('Delete task');
+    expect(await within(taskList()).findByText('No Tasks')).toBeTruthy();
+    expect(screen.getByText('Deleted "Draft plan"')).toBeTruthy();
+    expect(await repo.trash.get('t1')).toMatchObject({ collection: 'tasks', data: { text: 'Draft plan' }, deletedAt: new Date(2026, 9, 15, 9, 0).toISOString() });
+
+    click('Undo');
+    expect(await within(taskList()).findByText('Draft plan')).toBeTruthy();
+    expect(await repo.trash.get('t1')).toBeNull();
+  });
+
+  it('steps back and forward through edits with Ctrl+Z and Ctrl+Shift+Z', async () => {
+    const repo = await renderApp(seed);
+
+    click('Edit task');
+    fireEvent.change(screen.getByDisplayValue('Draft plan'), { target: { value: 'Final plan' } });
+    click('Update Task');
+    click('Mark as done');
+    await screen.findByRole('button', { name: 'Mark as not done' });
+
+    undoKey();
+    await screen.findByRole('button', { name: 'Mark as done' });
+    expect(screen.getByText('Undone: Complete task')).toBeTruthy();
+    undoKey();
+    expect(await within(taskList()).findByText('Draft plan')).toBeTruthy();
+    expect(screen.getByRole('button', { name: 'Undo last change' }).disabled).toBe(true);
+
+    undoKey({ shiftKey: true });
+    expect(await within(taskList()).findByText('Final plan')).toBeTruthy();
+    click('Redo last change');
+    await screen.findByRole('button', { name: 'Mark as not done' });
+    expect(await repo.tasks.get('t1')).toMatchObject({ text: 'Final plan', completed: true });
+
+    // 입력 중인 칸에서는 브라우저의 되돌리기에 맡긴다
+    fireEvent.keyDown(screen.getByPlaceholderText(/Search tasks/), { key: 'z', ctrlKey: true });
+    expect((await repo.tasks.get('t1')).completed).toBe(true);
+  });
+
+  it('restores a deleted task from the trash and empties the rest', async () => {
+    const repo = await renderApp({
+      ...seed,
+      trash: [{ id: 'old', collection: 'tasks', data: { date: '2026-09-01', text: 'Long gone', completed: false }, deletedAt: '2026-09-01T00:00:00.000Z' }],
+    });
+    await waitFor(async () => expect(await repo.trash.get('old')).toBeNull());
+
+    click('Delete task');
+    click('Trash');
+    const trash = screen.getByRole('dialog', { name: 'Trash' });
+    expect(await within(trash).findByText('· 30 days left')).toBeTruthy();
+    expect(within(trash).queryByText('Long gone')).toBeNull();
+    fireEvent.click(within(trash).getByRole('button', { name: 'Restore Draft plan' }));
+
+    expect(await within(taskList()).findByText('Draft plan')).toBeTruthy();
+    expect(await within(trash).findByText('Trash is empty')).toBeTruthy();
+    expect(await repo.tasks.get('t1')).toMatchObject({ text: 'Draft plan', priority: 'medium' });
+
+    click('Delete task');
+    const confirm = vi.spyOn(window, 'confirm').mockReturnValue(true);
+    fireEvent.click(await within(trash).findByRole('button', { name: 'Empty Trash' }));
+    await waitFor(async () => expect(await readAll(repo.trash)).toEqual([]));
+    confirm.mockRestore();
+  });
+
+  it('undoes autosaved journal edits as one step', async () => {
+    const repo = await renderApp({ notes: [{ id: '2026-10-15', content: 'Morning' }] });
+    click('Journal');
+    const editor = screen.getByPlaceholderText(/How was your day/);
+    const save = screen.getByRole('button', { name: 'Save' });
+    await waitFor(() => expect(editor.value).toBe('Morning'));
+
+    fireEvent.change(editor, { target: { value: 'Morning, then lunch' } });
+    fireEvent.click(save);
+    fireEvent.change(editor, { target: { value: 'Morning, then lunch and a walk' } });
+    fireEvent.click(save);
+    await waitFor(async () => expect((await repo.notes.get('2026-10-15')).content).toBe('Morning, then lunch and a walk'));
+
+    click('Undo last change');
+    await waitFor(() => expect(editor.value).toBe('Morning'));
+    expect((await repo.notes.get('2026-10-15')).content).toBe('Morning');
+  });
+});
+
+describe('keyboard', () => {
+  const seed = {
+    tasks: [
+      { id: 'a', date: '2026-10-15', text: 'Alpha', priority: 'low', completed: false },
+      { id: 'b', date: '2026-10-15', text: 'Bravo', priority: 'low', completed: false },
+      { id: 'c', date: '2026-10-17', text: 'Charlie', priority: 'low', completed: false },
+    ],
+  };
+  const press = (key, extra = {}) => fireEvent.keyDown(document.activeElement || document.body, { key, ...extra });
+  const selectedDate = () => screen.getByText('Selected Date').previousSibling.textContent;
+
+  it('moves through days and tasks and completes the focused task', async () => {
+    const repo = await renderApp(seed);
+
+    press('ArrowRight');
+    press('ArrowRight');
+    expect(selectedDate()).toBe('October 17, 2026');
+    expect(within(taskList()).getByText('Charlie')).toBeTruthy();
+    press('ArrowUp');
+    expect(selectedDate()).toBe('October 10, 2026');
+    press('t');
+    expect(selectedDate()).toBe('October 15, 2026');
+
+    press('j');
+    press('j');
+    press('k');
+    press('x');
+    await waitFor(async () => expect((await repo.tasks.get('a')).completed).toBe(true));
+    expect((await repo.tasks.get('b')).completed).toBe(false);
+
+    press('n');
+    const input = screen.getByPlaceholderText('What needs to be done?');
+    // 모달에서 입력 중에는 단축키가 글자로 들어간다
+    fireEvent.keyDown(input, { key: 't' });
+    expect(selectedDate()).toBe('October 15, 2026');
+  });
+
+  it('runs commands from the palette and lists shortcuts', async () => {
+    await renderApp(seed);
+
+    const palette = (query) => {
+      press('k', { ctrlKey: true });
+      const input = within(screen.getByRole('dialog', { name: 'Command palette' })).getByLabelText('Command');
+      fireEvent.change(input, { target: { value: query } });
+      return input;
+    };
+
+    fireEvent.keyDown(palette('journal'), { key: 'Enter' });
+    expect(screen.queryByRole('dialog', { name: 'Command palette' })).toBeNull();
+    expect(screen.getByPlaceholderText(/How was your day/)).toBeTruthy();
+
+    fireEvent.keyDown(palette('+2'), { key: 'Enter' });
+    expect(selectedDate()).toBe('October 17, 2026');
+
+    const input = palette('notice');
+    expect(screen.getAllByRole('option').map(o => o.textContent)).toEqual(['Add notice', 'Open notices', 'Search for "notice"']);
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(screen.getByText('Important Notices')).toBeTruthy();
+    press('Escape');
+    expect(screen.queryByText('Important Notices')).toBeNull();
+
+    fireEvent.click(within(palette('Bravo').closest('[role=dialog]')).getByText('Search for "Bravo"'));
+    expect(screen.getByPlaceholderText('Search tasks, notes, notices...').value).toBe('Bravo');
+    expect(await screen.findByText('Results (1)')).toBeTruthy();
+
+    press('?');
+    expect(within(screen.getByRole('dialog', { name: 'Keyboard shortcuts' })).getByText('Next / previous task')).toBeTruthy();
+    press('Escape');
+    expect(screen.queryByRole('dialog', { name: 'Keyboard shortcuts' })).toBeNull();
+  });
+});
+
+describe('quick add', () => {
+  it('previews the parsed fields and saves a task with a new tag', async () => {
+    const repo = await renderApp({ tags: [{ id: 'tag-work', name: 'Work', color: 'blue', order: 0 }] });
+
+    const input = screen.getByLabelText('Quick add');
+    fireEvent.change(input, { target: { value: 'Review PR tomorrow 3pm !high #work #urgent every Friday' } });
+    const preview = screen.getByLabelText('Quick add preview');
+    expect(within(preview).getByText('Review PR')).toBeTruthy();
+    expect(within(preview).getByText('15:00')).toBeTruthy();
+    expect(within(preview).getByText('Work')).toBeTruthy();
+    expect(within(preview).getByText('urgent (new)')).toBeTruthy();
+
+    fireEvent.submit(input.closest('form'));
+    expect(input.value).toBe('');
+    expect(await screen.findByText('Added "Review PR" on 2026-10-16')).toBeTruthy();
+
+    const [task] = await readAll(repo.tasks);
+    const newTag = (await readAll(repo.tags)).find(t => t.name === 'urgent');
+    expect(task).toMatchObject({
+      text: 'Review PR', date: '2026-10-16', startTime: '15:00', priority: 'high', completed: false,
+      tagIds: ['tag-work', newTag.id],
+      repeat: { freq: 'weekly', interval: 1, byWeekday: [5] },
+    });
+
+    click('Show');
+    expect(within(taskList()).getByText('Review PR')).toBeTruthy();
+  });
+
+  it('adds to the selected date when no date is written', async () => {
+    const repo = await renderApp();
+
+    fireEvent.change(screen.getByLabelText('Quick add'), { target: { value: '오후 2시 회의' } });
+    click('Add quick task');
+
+    await waitFor(() => expect(within(taskList()).getByText('회의')).toBeTruthy());
+    expect((await readAll(repo.tasks))[0]).toMatchObject({ date: '2026-10-15', startTime: '14:00', priority: 'medium' });
+  });
+});
+
+describe('overdue tasks', () => {
+  it('gathers unfinished past tasks and rolls them over to today', async () => {
+    const repo = await renderApp({
+      tasks: [
+        { id: 'a', date: '2026-10-12', text: 'Send invoice', priority: 'high', completed: false },
+        { id: 'b', date: '2026-10-13', text: 'Call plumber', priority: 'low', completed: false, postponements: [{ from: '2026-10-10', to: '2026-10-13', at: '2026-10-13T08:00:00.000Z' }] },
+        { id: 'c', date: '2026-10-13', text: 'Old done task', priority: 'low', completed: true },
+      ],
+    });
+
+    expect(screen.getByText('Overdue (2)')).toBeTruthy();
+    expect(screen.getAllByLabelText('Overdue')).toHaveLength(2);
+    click('Roll over Send invoice to today');
+    await waitFor(async () => expect(await repo.tasks.get('a')).toMatchObject({
+      date: '2026-10-15',
+      postponements: [expect.objectContaining({ from: '2026-10-12', to: '2026-10-15' })],
+    }));
+    expect(await within(taskList()).findByText('Send invoice')).toBeTruthy();
+    expect(screen.getByText('Overdue (1)')).toBeTruthy();
+
+    click(/Roll all to today/);
+    await waitFor(() => expect(screen.queryByText(/^Overdue \(/)).toBeNull());
+    expect(await repo.tasks.get('b')).toMatchObject({ date: '2026-10-15' });
+    expect((await repo.tasks.get('b')).postponements).toHaveLength(2);
+    expect((await repo.tasks.get('c')).date).toBe('2026-10-13');
+  });
+
+  it('rolls tasks over automatically when enabled in Settings', async () => {
+    const repo = await renderApp({
+      tasks: [{ id: 'a', date: '2026-10-14', text: 'Yesterday task', priority: 'medium', completed: false }],
+    });
+    expect(screen.getByText('Overdue (1)')).toBeTruthy();
+
+    click('Settings');
+    fireEvent.click(screen.getByLabelText(/Roll over unfinished tasks automatically/));
+    await waitFor(async () => expect((await repo.tasks.get('a')).date).toBe('2026-10-15'));
+    expect(await repo.settings.get('tasks')).toMatchObject({ autoRollover: true });
+  });
+});
+
+describe('checklists', () => {
+  it('adds and checks off steps, auto-completing the task', async () => {
+    const repo = await renderApp({
+      tasks: [{ id: 't1', date: '2026-10-15', text: 'Release', priority: 'medium', completed: false, autoComplete: true }],
+    });
+    fireEvent.click(within(taskList()).getByText('Release'));
+
+    for (const step of ['Build', 'Deploy']) {
+      fireEvent.change(screen.getByPlaceholderText('Add a step...'), { target: { value: step } });
+      click('Add step');
+      await screen.findByText(step);
+    }
+    // 캘린더 칩, 할 일 행, 체크리스트 머리글
+    expect(screen.getAllByText('0/2')).toHaveLength(3);
+
+    click('Check Build');
+    expect(await screen.findAllByText('1/2')).toHaveLength(3);
+    expect((await repo.tasks.get('t1')).completed).toBe(false);
+
+    click('Check Deploy');
+    await screen.findByRole('button', { name: 'Mark as not done' });
+    expect((await repo.tasks.get('t1')).subtasks.map(s => [s.text, s.done])).toEqual([['Build', true], ['Deploy', true]]);
+  });
+});
+
+describe('projects and tags', () => {
+  it('manages projects in Settings and filters the calendar by them', async () => {
+    const repo = await renderApp({
+      tasks: [
+        { id: 'w', date: '2026-10-15', text: 'Ship feature', priority: 'high', completed: false },
+        { id: 'h', date: '2026-10-15', text: 'Buy groceries', priority: 'low', completed: false },
+      ],
+    });
+
+    click('Settings');
+    fireEvent.change(screen.getByPlaceholderText('New project name'), { target: { value: 'Work' } });
+    click('Add project');
+    expect(await screen.findByDisplayValue('Work')).toBeTruthy();
+    const [project] = await readAll(repo.projects);
+    expect(project).toMatchObject({ name: 'Work', color: 'indigo' });
+
+    click('Dashboard');
+    const row = within(taskList()).getByText('Ship feature').closest('[draggable]');
+    fireEvent.click(within(row).getByRole('button', { name: 'Edit task' }));
+    fireEvent.change(screen.getByLabelText('Project'), { target: { value: project.id } });
+    click('Update Task');
+    await waitFor(async () => expect((await repo.tasks.get('w')).projectId).toBe(project.id));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Work', pressed: false }));
+    expect(within(taskList()).getByText('Tasks (1)')).toBeTruthy();
+    expect(within(taskList()).queryByText('Buy groceries')).toBeNull();
+    expect(screen.queryAllByText('Buy groceries')).toHaveLength(0);
+
+    click('Clear');
+    expect(within(taskList()).getByText('Tasks (2)')).toBeTruthy();
+  });
+});
+
+describe('journal', () => {
+  it('saves a note with mood and reloads it for that day', async () => {
+    const repo = await renderApp();
+    click('Journal');
+
+    const save = screen.getByRole('button', { name: 'Save' });
+    expect(save.disabled).toBe(true);
+    fireEvent.change(screen.getByPlaceholderText(/How was your day/), { target: { value: 'Shipped the release' } });
+    click('Good');
+    fireEvent.change(screen.getByLabelText('Energy'), { target: { value: '4' } });
+    click(/Exercise/);
+    fireEvent.click(save);
+
+    expect(await screen.findByText('Saved!')).toBeTruthy();
+    expect(await repo.notes.get('2026-10-15')).toMatchObject({
+      content: 'Shipped the release', mood: 4, energy: 4, stress: null, activities: ['exercise'],
+    });
+
+    // 다른 날로 갔다가 돌아오면 저장된 노트를 다시 불러온다
+    fireEvent.click(screen.getByText('16'));
+    await waitFor(() => expect(screen.getByPlaceholderText(/How was your day/).value).toBe(''));
+    fireEvent.click(screen.getByText('15'));
+    await waitFor(() => expect(screen.getByPlaceholderText(/How was your day/).value).toBe('Shipped the release'));
+  });
+
+  it('autosaves, keeps a local draft and asks before leaving unsaved changes', async () => {
+    const repo = await renderApp();
+    click('Journal');
+
+    fireEvent.change(screen.getByPlaceholderText(/How was your day/), { target: { value: 'Autosaved thought' } });
+    await waitFor(async () => expect((await repo.notes.get('2026-10-15')).content).toBe('Autosaved thought'), { timeout: 4000 });
+
+    // 저장 전에 다른 날로 가려 하면 확인: 취소하면 머물고, 확인하면 저장하고 이동
+    const confirm = vi.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+    fireEvent.change(screen.getByPlaceholderText(/How was your day/), { target: { value: 'Second thought' } });
+    fireEvent.click(screen.getByText('16'));
+    expect(confirm).toHaveBeenCalledTimes(1);
+    expect(screen.getByText('October 15, 2026')).toBeTruthy();
+    fireEvent.click(screen.getByText('16'));
+    await waitFor(() => expect(screen.getByPlaceholderText(/How was your day/).value).toBe(''));
+    expect((await repo.notes.get('2026-10-15')).content).toBe('Second thought');
+    confirm.mockRestore();
+  });
+
+  it('restores an unsaved draft after a reload', async () => {
+    localStorage.setItem('focusboard.journalDrafts', JSON.stringify({ '2026-10-15': { content: 'Lost in a crash', checkIn: { mood: 1, energy: null, stress: 2, activities: [] } } }));
+    const repo = await renderApp({ notes: [{ id: '2026-10-15', content: 'Saved earlier', mood: null }] });
+    click('Journal');
+
+    await waitFor(() => expect(screen.getByPlaceholderText(/How was your day/).value).toBe('Lost in a crash'));
+    await waitFor(async () => expect(await repo.notes.get('2026-10-15')).toMatchObject({ content: 'Lost in a crash', mood: 1, stress: 2 }), { timeout: 4000 });
+  });
+
+  it('shows earlier versions with a diff and restores one', async () => {
+    await renderApp({
+      notes: [{
+        id: '2026-10-15',
+        content: 'Final plan',
+        mood: '🙂',
+        updatedAt: '2026-10-15T08:00:00.000Z',
+        revisions: [{ content: 'First plan', mood: '😐', savedAt: '2026-10-14T20:00:00.000Z' }],
+      }],
+    });
+    click('Journal');
+    await waitFor(() => expect(screen.getByPlaceholderText(/How was your day/).value).toBe('Final plan'));
+
+    click('Version history');
+    expect(screen.getByText('- First plan')).toBeTruthy();
+    expect(screen.getByText('+ Final plan')).toBeTruthy();
+    click(/Restore this version/);
+    expect(screen.getByPlaceholderText(/How was your day/).value).toBe('First plan');
+  });
+
+  it('migrates emoji moods to the numeric scale and marks the month grid', async () => {
+    const repo = await renderApp({ notes: [{ id: '2026-10-02', content: 'Good day', mood: '😄' }] });
+
+    await waitFor(async () => expect((await repo.notes.get('2026-10-02')).mood).toBe(5));
+    expect(screen.getByTitle('Mood: Great')).toBeTruthy();
+  });
+
+  it('uses a custom mood scale from Settings', async () => {
+    const repo = await renderApp();
+    click('Settings');
+    click('Remove level 2');
+    fireEvent.change(screen.getByLabelText('Level 3 label'), { target: { value: 'Fine' } });
+    click('Save mood scale');
+    await waitFor(async () => expect((await repo.settings.get('mood')).levels.map(l => l.label)).toEqual(['Awful', 'Okay', 'Fine', 'Great']));
+
+    click('Journal');
+    click('Fine');
+    await waitFor(async () => expect((await repo.notes.get('2026-10-15')).mood).toBe(3), { timeout: 4000 });
+  });
+
+  it('starts an empty day from a template and ticks checkboxes in the preview', async () => {
+    const repo = await renderApp({
+      templates: [{ id: 'standup', name: 'Standup', content: '# Standup {{date}}\n- [ ] Yesterday\n- [ ] Today' }],
+    });
+    click('Journal');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Standup' }));
+    expect(screen.getByPlaceholderText(/How was your day/).value).toBe('# Standup 2026-10-15\n- [ ] Yesterday\n- [ ] Today');
+    // 내용이 생기면 템플릿 버튼은 사라진다
+    expect(screen.queryByRole('button', { name: 'Daily retro' })).toBeNull();
+
+    click('Preview');
+    const heading = screen.getByRole('heading', { name: 'Standup 2026-10-15' });
+    fireEvent.click(within(heading.parentElement).getAllByRole('checkbox')[1]);
+    click('Save');
+    await waitFor(async () => expect((await repo.notes.get('2026-10-15')).content).toBe('# Standup 2026-10-15\n- [ ] Yesterday\n- [x] Today'));
+  });
+});
+
+describe('notices', () => {
+  it('posts, hides, unhides and deletes a notice', async () => {
+    const repo = await renderApp();
+
+    click('Notices');
+    click('Add notice');
+    fireEvent.change(screen.getByPlaceholderText('Important message...'), { target: { value: 'Office closed Friday' } });
+    click('Post Notice');
+
+    // 저장하면 목록이 다시 열린다
+    expect(await screen.findByText('Office closed Friday')).toBeTruthy();
+    const [notice] = await readAll(repo.notices);
+    expect(notice).toMatchObject({ content: 'Office closed Friday', isHidden: false });
+
+    click('Hide notice');
+    expect(await screen.findByText('No Notices')).toBeTruthy();
+    expect((await repo.notices.get(notice.id)).isHidden).toBe(true);
+
+    // 숨김 해제 (다른 기기에서 바뀐 것처럼 저장소에서 직접 변경)
+    await act(() => repo.notices.update(notice.id, { isHidden: false }));
+    expect(await screen.findByText('Office closed Friday')).toBeTruthy();
+
+    click('Delete notice');
+    expect(await screen.findByText('No Notices')).toBeTruthy();
+    expect(await repo.notices.get(notice.id)).toBeNull();
+  });
+
+  it('counts unread upcoming notices, pins, and restores from the archive', async () => {
+    const repo = await renderApp({
+      notices: [
+        { id: 'old', content: 'Past deadline', targetDate: '2026-10-01', isHidden: false },
+        { id: 'soon', content: 'Payday', targetDate: '2026-10-18', isHidden: false },
+        { id: 'later', content: 'Offsite', targetDate: '2026-11-02', isHidden: false },
+      ],
+    });
+
+    // 만료된 공지는 배지에서 빠지고, 월 그리드에는 날짜에 표시된다
+    const badge = screen.getByRole('button', { name: 'Notices' });
+    expect(within(badge).getByText('2')).toBeTruthy();
+    expect(screen.getByTitle('Payday')).toBeTruthy();
+
+    click('Notices');
+    expect(screen.getByText('D-3')).toBeTruthy();
+    expect(screen.queryByText('Past deadline')).toBeNull();
+    await waitFor(async () => expect((await repo.notices.get('soon')).readAt).toBeTruthy());
+    expect(within(badge).queryByText('2')).toBeNull();
+
+    // 고정하면 맨 위로
+    fireEvent.click(screen.getAllByRole('button', { name: 'Pin notice' })[1]);
+    await waitFor(() => expect(screen.getAllByText(/Payday|Offsite/).map(el => el.textContent)).toEqual(['Offsite', 'Payday']));
+
+    click('Notice archive');
+    expect(screen.getByText('Past deadline')).toBeTruthy();
+    click('Restore notice');
+    expect(await screen.findByText('Archive Empty')).toBeTruthy();
+    expect(await repo.notices.get('old')).toMatchObject({ isHidden: false, targetDate: '2026-10-15' });
+  });
+});
+
+describe('search', () => {
+  it('groups results across tasks, notes and notices and jumps to a result', async () => {
+    await renderApp({
+      tasks: [
+        { id: 'a', date: '2026-10-15', text: 'Team sync', priority: 'low', completed: false },
+        { id: 'b', date: '2026-11-20', text: 'Quarterly report', priority: 'high', completed: false },
+        { id: 'c', date: '2026-10-01', text: 'Standup', priority: 'medium', completed: false, description: 'Weekly report status', repeat: { freq: 'weekly', interval: 1, byWeekday: [4] } },
+      ],
+      notes: [{ id: '2026-10-02', content: 'Finished the report draft', mood: '🙂' }],
+      notices: [{ id: 'n', targetDate: '2026-10-20', content: 'Report deadline', isHidden: false }],
+    });
+
+    fireEvent.change(screen.getByPlaceholderText(/^Search/), { target: { value: 'report' } });
+    expect(screen.getByText('Results (4)')).toBeTruthy();
+    expect(screen.getByText('Tasks (2)')).toBeTruthy();
+    expect(screen.getByText('Journal (1)')).toBeTruthy();
+    expect(screen.getByText('Notices (1)')).toBeTruthy();
+    expect(screen.getAllByText(/^report$/i).every(el => el.tagName === 'MARK')).toBe(true);
+
+    fireEvent.change(screen.getByPlaceholderText(/^Search/), { target: { value: 'report priority:high' } });
+    expect(screen.getByText('Results (1)')).toBeTruthy();
+    fireEvent.click(screen.getByText('Quarterly').closest('button'));
+
+    expect(screen.getByText('November 20, 2026')).toBeTruthy();
+    expect(screen.getByText('November 2026')).toBeTruthy();
+    expect(screen.getByPlaceholderText(/^Search/).value).toBe('');
+    expect(screen.getByPlaceholderText('Add details...')).toBeTruthy();
+  });
+
+  it('shows query errors', async () => {
+    await renderApp();
+    fireEvent.change(screen.getByPlaceholderText(/^Search/), { target: { value: 'before:soon' } });
+    expect(screen.getByText(/before must be YYYY-MM-DD/)).toBeTruthy();
+    expect(screen.getByText('No Results')).toBeTruthy();
+  });
+});
+
+describe('backup restore', () => {
+  const json = JSON.stringify({
+    format: 'focusboard-backup',
+    version: 1,
+    data: { tasks: [{ id: 'r1', date: '2026-10-15', text: 'Restored task', priority: 'low', completed: false }] },
+  });
+  // jsdom의 File에는 text()가 없다
+  const backupFile = () => Object.assign(new File([json], 'backup.json', { type: 'application/json' }), { text: async () => json });
+
+  const restore = async () => {
+    click('Backup');
+    fireEvent.change(document.querySelector('input[type=file][accept*="json"]'), { target: { files: [backupFile()] } });
+    fireEvent.click(await screen.findByRole('button', { name: 'Merge Into Workspace' }));
+  };
+
+  it('reports success only after the writes land', async () => {
+    const repo = await renderApp();
+    await restore();
+
+    expect(await screen.findByText('Restored 1 changes')).toBeTruthy();
+    expect(screen.queryByText('Backup & Restore')).toBeNull();
+    expect(await repo.tasks.get('r1')).toMatchObject({ text: 'Restored task' });
+  });
+
+  it('keeps the dialog open and names the part that failed', async () => {
+    await renderApp({}, async (storage) => {
+      const forUser = storage.forUser;
+      storage.forUser = (uid) => ({ ...forUser(uid), batch: () => Promise.reject(new Error('quota exceeded')) });
+    });
+    await restore();
+
+    const message = 'Restore failed in part 1 of 1 (tasks): quota exceeded';
+    expect((await screen.findByRole('alert')).textContent).toContain(message);
+    expect(screen.getByText('Backup & Restore')).toBeTruthy();
+  });
+});
+
+describe('month navigation', () => {
+  it('moves between months and back to today', async () => {
+    await renderApp({
+      tasks: [{ id: 'n', date: '2026-11-03', text: 'November task', priority: 'medium', completed: false }],
+    });
+    expect(screen.getByText('October 2026')).toBeTruthy();
+    expect(screen.queryByText('November task')).toBeNull();
+
+    click('Next');
+    expect(screen.getByText('November 2026')).toBeTruthy();
+    expect(screen.getByText('November task')).toBeTruthy();
+
+    click('Previous');
+    click('Previous');
+    expect(screen.getByText('September 2026')).toBeTruthy();
+
+    click('Today');
+    expect(screen.getByText('October 2026')).toBeTruthy();
+    expect(screen.getByText('October 15, 2026')).toBeTruthy();
+  });
+});
+
+describe('language and week settings', () => {
+  it('switches to Korean with Monday weeks and ISO week numbers', async () => {
+    const repo = await renderApp();
+    const weekdayHeaders = () => screen.getAllByText(/^(Sun|Mon|Sat|일|월|토)$/).map(el => el.textContent);
+    expect(weekdayHeaders()).toEqual(['Sun', 'Mon', 'Sat']);
+    expect(screen.queryByLabelText('Week 42')).toBeNull();
+
+    click('Settings');
+    fireEvent.change(screen.getByDisplayValue('English'), { target: { value: 'ko' } });
+    expect(await screen.findByRole('heading', { name: '설정' })).toBeTruthy();
+    fireEvent.change(screen.getByDisplayValue('일요일'), { target: { value: '1' } });
+    fireEvent.click(screen.getByLabelText(/주 번호 표시/));
+    await waitFor(async () => expect(await repo.settings.get('locale')).toMatchObject({ language: 'ko', weekStart: 1, showWeekNumbers: true }));
+
+    click('대시보드');
+    expect(screen.getByText('2026년 10월')).toBeTruthy();
+    expect(weekdayHeaders()).toEqual(['월', '토', '일']);
+    // 2026-10-01(목)은 월요일 시작이면 빈 칸 3개 뒤, 첫 줄은 40주차
+    expect(screen.getAllByLabelText(/주차$/).map(el => el.textContent)).toEqual(['40', '41', '42', '43', '44']);
+    expect(document.documentElement.lang).toBe('ko');
+
+    click('주간');
+    expect(screen.getAllByText(/^(월|일)$/).map(el => el.textContent)).toEqual(['월', '일']);
+    expect(screen.getByText('12')).toBeTruthy();
+    expect(screen.getByText('10월 12일~18일')).toBeTruthy();
+    click('일간');
+    expect(screen.getAllByText('2026년 10월 15일')).toHaveLength(2);
+
+    // 모달 문구도 바뀐다
+    click('할 일 추가');
+    expect(screen.getByRole('heading', { name: '새 할 일' })).toBeTruthy();
+    expect(screen.getByText('할 일 이름')).toBeTruthy();
+    expect(screen.getByPlaceholderText('무엇을 해야 하나요?')).toBeTruthy();
+    expect(screen.getAllByRole('button', { name: /^(높음|보통|낮음)$/ }).map(el => el.textContent)).toEqual(['낮음', '보통', '높음']);
+    expect(screen.getByText('(비우면 종일)')).toBeTruthy();
+  });
+});
+
+describe('shared calendars', () => {
+  const owner = { uid: 'olivia', displayName: 'Olivia', email: 'olivia@example.com' };
+
+  // 다른 사용자가 만든 캘린더에 할 일 하나를 두고, join이면 로컬 사용자를 role로 넣는다
+  const shareCalendar = (role, ids, join = true) => async (storage) => {
+    const sharing = storage.sharing(owner);
+    ids.calendar = await sharing.createCalendar({ name: 'Team', color: 'sky' });
+    ids.invite = await sharing.createInvite({ id: ids.calendar, name: 'Team' }, { role });
+    if (join) await storage.sharing(LOCAL_USER).acceptInvite(await sharing.getInvite(ids.invite));
+    ids.repo = storage.forCalendar(ids.calendar);
+    await ids.repo.tasks.set('s1', { date: '2026-10-15', text: 'Launch', priority: 'high', completed: false });
+  };
+
+  it('overlays a shared calendar read-only for viewers, live, and hides it', async () => {
+    const ids = {};
+    await renderApp({
+      tasks: [{ id: 't1', date: '2026-10-15', text: 'Mine', priority: 'medium', completed: false }],
+    }, shareCalendar('viewer', ids));
+
+    expect(await within(taskList()).findByText('Launch')).toBeTruthy();
+    expect(screen.getByText('Tasks (2)')).toBeTruthy();
+    // 내 할 일만 고칠 수 있다
+    expect(within(taskList()).getAllByRole('button', { name: 'Edit task' })).toHaveLength(1);
+    expect(within(taskList()).getAllByLabelText('View only')).toHaveLength(1);
+
+    // 다른 멤버가 추가하면 바로 보인다
+    await act(async () => {
+      await ids.repo.tasks.set('s2', { date: '2026-10-15', text: 'Retro', priority: 'low', completed: false });
+    });
+    expect(await within(taskList()).findByText('Retro')).toBeTruthy();
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Show Team' }));
+    await waitFor(() => expect(screen.getByText('Tasks (1)')).toBeTruthy());
+    expect(within(taskList()).queryByText('Launch')).toBeNull();
+  });
+
+  it('adds tasks and journal notes to the selected shared calendar as an editor', async () => {
+    const ids = {};
+    const repo = await renderApp({}, shareCalendar('editor', ids));
+    await within(taskList()).findByText('Launch');
+    click('Mark as done');
+    await waitFor(async () => expect((await ids.repo.tasks.get('s1')).completed).toBe(true));
+
+    click('Team');
+    click('Add task');
+    expect(screen.getByRole('combobox', { name: 'Calendar' }).value).toBe(ids.calendar);
+    fireEvent.change(screen.getByPlaceholderText('What needs to be done?'), { target: { value: 'Ship it' } });
+    click('Add Task');
+    expect(await within(taskList()).findByText('Ship it')).toBeTruthy();
+    expect(await readAll(ids.repo.tasks)).toContainEqual(expect.objectContaining({ text: 'Ship it', date: '2026-10-15' }));
+    expect(await readAll(repo.tasks)).toEqual([]);
+
+    click('Journal');
+    fireEvent.change(screen.getByPlaceholderText(/How was your day/), { target: { value: 'Team notes' } });
+    click('Save');
+    await waitFor(async () => expect((await ids.repo.notes.get('2026-10-15')).content).toBe('Team notes'));
+    expect(await repo.notes.get('2026-10-15')).toBeNull();
+  });
+
+  it('joins a calendar from an invite link', async () => {
+    const ids = {};
+    await renderApp({}, async (storage) => {
+      await shareCalendar('editor', ids, false)(storage);
+      window.history.replaceState(null, '', `/?invite=${ids.invite}`);
+    });
+
+    expect(await screen.findByText('Join "Team" as Editor?')).toBeTruthy();
+    expect(window.location.search).toBe('');
+    click('Join Calendar');
+    expect(await within(taskList()).findByText('Launch')).toBeTruthy();
+    expect(screen.getByRole('button', { name: 'Team' })).toBeTruthy();
+  });
+});
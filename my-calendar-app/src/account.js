@@ -0,0 +1,85 @@
+// src/account.js
+// 계정 관련 헬퍼. 데이터는 user.uid 아래에 있으므로, 익명 계정은 '새 로그인'이 아니라
+// linkWithCredential / linkWithPopup 으로 업그레이드해야 기존 워크스페이스가 그대로 남는다.
+
+import {
+  EmailAuthProvider,
+  GoogleAuthProvider,
+  GithubAuthProvider,
+  linkWithCredential,
+  linkWithPopup,
+  signInWithEmailAndPassword,
+  signInWithPopup,
+  signOut,
+} from 'firebase/auth';
+import { auth } from './firebase';
+import { DEFAULT_I18N } from './i18n';
+
+export const OAUTH_PROVIDERS = {
+  google: { label: 'Google', create: () => new GoogleAuthProvider() },
+  github: { label: 'GitHub', create: () => new GithubAuthProvider() },
+};
+
+// 새 계정 만들기: 익명 계정이면 이메일 자격 증명을 연결해서 uid(=데이터)를 유지
+export const createEmailAccount = async (email, password) => {
+  const credential = EmailAuthProvider.credential(email, password);
+  const { user } = await linkWithCredential(auth.currentUser, credential);
+  return user;
+};
+
+// 기존 계정으로 로그인 (익명 워크스페이스에서 해당 계정 워크스페이스로 전환됨)
+export const signInWithEmail = async (email, password) => {
+  const { user } = await signInWithEmailAndPassword(auth, email, password);
+  return user;
+};
+
+// OAuth: 익명이면 연결, 아니면 일반 로그인
+export const signInWithProvider = async (key) => {
+  const provider = OAUTH_PROVIDERS[key].create();
+  const current = auth.currentUser;
+  const { user } = current && current.isAnonymous
+    ? await linkWithPopup(current, provider)
+    : await signInWithPopup(auth, provider);
+  return user;
+};
+
+// 이미 다른 계정에 연결된 OAuth 자격 증명이면 그 계정으로 로그인만 한다
+export const signInWithExistingProvider = async (key) => {
+  const { user } = await signInWithPopup(auth, OAUTH_PROVIDERS[key].create());
+  return user;
+};
+
+export const signOutUser = () => signOut(auth);
+
+// 사이드바 프로필 칩에 쓰는 표시 정보 (i18n: createI18n() 결과, 기본은 영어)
+export const describeUser = (user, { t } = DEFAULT_I18N) => {
+  if (user && user.isLocal) return { name: t('account.local'), subtitle: t('account.localSubtitle'), initials: 'L' };
+  if (!user || user.isAnonymous) return { name: t('account.guest'), subtitle: t('account.guestSubtitle'), initials: 'G' };
+  const name = user.displayName || user.email || t('account.title');
+  const initials = name
+    .split(/[\s@._-]+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part[0].toUpperCase())
+    .join('');
+  const provider = user.providerData[0] ? user.providerData[0].providerId.replace('.com', '') : 'password';
+  return { name, subtitle: user.email && user.displayName ? user.email : provider, initials: initials || 'U', photoURL: user.photoURL };
+};
+
+// Firebase 오류 코드 -> 번역 키
+const AUTH_ERRORS = {
+  'auth/invalid-email': 'authError.invalidEmail',
+  'auth/missing-password': 'authError.missingPassword',
+  'auth/weak-password': 'authError.weakPassword',
+  'auth/email-already-in-use': 'authError.emailInUse',
+  'auth/credential-already-in-use': 'authError.credentialInUse',
+  'auth/provider-already-linked': 'authError.providerLinked',
+  'auth/invalid-credential': 'authError.wrongPassword',
+  'auth/wrong-password': 'authError.wrongPassword',
+  'auth/user-not-found': 'authError.userNotFound',
+  'auth/popup-closed-by-user': 'authError.popupClosed',
+  'auth/operation-not-allowed': 'authError.notAllowed',
+  'auth/network-request-failed': 'authError.network',
+};
+
+export const describeAuthError = (error, { t } = DEFAULT_I18N) => t(AUTH_ERRORS[error && error.code] || 'authError.unknown');
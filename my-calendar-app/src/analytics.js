@@ -0,0 +1,129 @@
+// src/analytics.js
+// Analytics 화면용 집계. tasks / notes 컬렉션 데이터만으로 계산한다 (별도 저장 없음).
+
+import { formatDate, parseDate, addDays, diffDays, startOfWeek } from './dateUtils';
+import { expandTasks } from './recurrence';
+import { checkInOf, moodLevel } from './mood';
+
+export const PRIORITIES = ['high', 'medium', 'low'];
+
+// from~to 날짜 문자열 목록 (포함)
+export const dateRange = (from, to) => {
+  const start = parseDate(from);
+  const length = diffDays(start, parseDate(to)) + 1;
+  return Array.from({ length: Math.max(0, length) }, (_, i) => formatDate(addDays(start, i)));
+};
+
+// 날짜별 { total, done } (반복 일정은 발생 단위로 센다)
+export const buildDailyStats = (tasks, from, to) => {
+  const stats = {};
+  dateRange(from, to).forEach(d => { stats[d] = { date: d, total: 0, done: 0 }; });
+  expandTasks(tasks, from, to).forEach(t => {
+    const day = stats[t.date];
+    if (!day) return;
+    day.total += 1;
+    if (t.completed) day.done += 1;
+  });
+  return stats;
+};
+
+export const rate = (done, total) => (total === 0 ? 0 : Math.round((done / total) * 100));
+
+// 일 / 주 / 월 단위로 완료율 집계. 주는 달력과 같은 시작 요일(weekStart, 0=일 1=월)로 묶고 그 첫날이 키
+const periodKey = (dateStr, period, weekStart) => {
+  if (period === 'month') return dateStr.slice(0, 7);
+  if (period === 'week') return formatDate(startOfWeek(parseDate(dateStr), weekStart));
+  return dateStr;
+};
+
+export const groupCompletion = (dailyStats, period, weekStart = 0) => {
+  const groups = new Map();
+  Object.values(dailyStats).forEach(({ date, total, done }) => {
+    const key = periodKey(date, period, weekStart);
+    const group = groups.get(key) || { key, total: 0, done: 0 };
+    group.total += total;
+    group.done += done;
+    groups.set(key, group);
+  });
+  return [...groups.values()].map(g => ({ ...g, rate: rate(g.done, g.total) }));
+};
+
+// 모든 일정을 끝낸 날의 연속 기록. 일정이 없는 날은 기록을 끊지도, 늘리지도 않는다.
+export const computeStreaks = (dailyStats, todayStr) => {
+  const days = Object.values(dailyStats).filter(d => d.total > 0 && d.date <= todayStr);
+  let longest = 0;
+  let run = 0;
+  days.forEach(d => {
+    run = d.done === d.total ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  });
+  // 오늘 아직 다 못 끝낸 건 진행 중이므로 현재 기록을 끊지 않는다
+  let current = 0;
+  for (let i = days.length - 1; i >= 0; i--) {
+    const d = days[i];
+    if (d.done === d.total) current += 1;
+    else if (d.date !== todayStr) break;
+  }
+  return { current, longest };
+};
+
+export const priorityBreakdown = (tasks, from, to) => {
+  const result = Object.fromEntries(PRIORITIES.map(p => [p, { total: 0, done: 0 }]));
+  expandTasks(tasks, from, to).forEach(t => {
+    const bucket = result[t.priority] || result.medium;
+    bucket.total += 1;
+    if (t.completed) bucket.done += 1;
+  });
+  return result;
+};
+
+const average = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+// notes: [{ id: 'YYYY-MM-DD', mood, energy, stress, ... }] / levels: 무드 척도
+// -> [{ date, value, emoji, label, energy, stress }] (척도에 있는 무드만)
+export const moodTimeline = (notes, from, to, levels) => notes
+  .filter(n => n.id >= from && n.id <= to)
+  .map(n => ({ date: n.id, ...checkInOf(n) }))
+  .filter(c => moodLevel(c.mood, levels))
+  .map(c => ({ date: c.date, value: c.mood, emoji: moodLevel(c.mood, levels).emoji, label: moodLevel(c.mood, levels).label, energy: c.energy, stress: c.stress }))
+  .sort((a, b) => a.date.localeCompare(b.date));
+
+// 활동별 평균 무드: 그 활동을 한 날 vs 전체 평균 -> { average, activities: [{ ...activity, days, average }] }
+export const moodByActivity = (notes, from, to, activities) => {
+  const checkIns = notes
+    .filter(n => n.id >= from && n.id <= to)
+    .map(checkInOf)
+    .filter(c => c.mood !== null);
+  return {
+    average: average(checkIns.map(c => c.mood)),
+    activities: activities
+      .map(activity => {
+        const moods = checkIns.filter(c => c.activities.includes(activity.id)).map(c => c.mood);
+        return { ...activity, days: moods.length, average: average(moods) };
+      })
+      .filter(a => a.days > 0)
+      .sort((a, b) => b.days - a.days),
+  };
+};
+
+// GitHub 스타일 연간 히트맵: 주 단위 열 배열 (weekStart 요일부터 위에서 아래로). level 0~4
+export const buildHeatmap = (tasks, year, weekStart = 0) => {
+  const from = `${year}-01-01`;
+  const to = `${year}-12-31`;
+  const stats = buildDailyStats(tasks, from, to);
+  const maxDone = Math.max(1, ...Object.values(stats).map(d => d.done));
+
+  const first = parseDate(from);
+  const gridStart = startOfWeek(first, weekStart);
+  const weeks = [];
+  for (let cursor = gridStart; formatDate(cursor) <= to; cursor = addDays(cursor, 7)) {
+    weeks.push(Array.from({ length: 7 }, (_, i) => {
+      const dateStr = formatDate(addDays(cursor, i));
+      const day = stats[dateStr];
+      if (!day) return null; // 해당 연도 밖
+      const level = day.done === 0 ? 0 : Math.min(4, Math.ceil((day.done / maxDone) * 4));
+      return { ...day, level };
+    }));
+  }
+  return weeks;
+};
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { buildDailyStats, groupCompletion, buildHeatmap } from './analytics';
+
+// 2026-10-11은 일요일, 2026-10-12는 월요일
+const tasks = [
+  { id: 'a', date: '2026-10-11', text: 'Sunday', completed: true },
+  { id: 'b', date: '2026-10-12', text: 'Monday', completed: false },
+];
+
+describe('weeks follow the week start setting', () => {
+  it('groups weekly completion from Sunday or Monday', () => {
+    const stats = buildDailyStats(tasks, '2026-10-11', '2026-10-12');
+    expect(groupCompletion(stats, 'week').map(g => [g.key, g.done, g.total])).toEqual([['2026-10-11', 1, 2]]);
+    expect(groupCompletion(stats, 'week', 1).map(g => [g.key, g.done, g.total]))
+      .toEqual([['2026-10-05', 1, 1], ['2026-10-12', 0, 1]]);
+  });
+
+  it('starts heatmap columns on the week start', () => {
+    // 2026-01-01은 목요일
+    const sundayFirst = buildHeatmap(tasks, 2026);
+    const mondayFirst = buildHeatmap(tasks, 2026, 1);
+    expect(sundayFirst[0].findIndex(Boolean)).toBe(4);
+    expect(mondayFirst[0].findIndex(Boolean)).toBe(3);
+
+    const columnOf = (weeks, dateStr) => weeks.findIndex(week => week.some(day => day && day.date === dateStr));
+    expect(columnOf(sundayFirst, '2026-10-11')).toBe(columnOf(sundayFirst, '2026-10-12'));
+    expect(columnOf(mondayFirst, '2026-10-11')).toBe(columnOf(mondayFirst, '2026-10-12') - 1);
+  });
+});
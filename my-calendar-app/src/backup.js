@@ -0,0 +1,124 @@
+// src/backup.js
+// 워크스페이스 전체(tasks / notes / notices / projects / tags / templates / settings) JSON 백업 & 복원.
+// 형식이 바뀌면 BACKUP_VERSION을 올리고 migrateBackup에 변환을 추가한다.
+
+export const BACKUP_FORMAT = 'focusboard-backup';
+export const BACKUP_VERSION = 1;
+// projects / tags / templates / settings는 나중에 추가됨 — 없는 백업은 빈 목록으로 본다
+export const COLLECTIONS = ['tasks', 'notes', 'notices', 'projects', 'tags', 'templates', 'settings'];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const PRIORITIES = ['low', 'medium', 'high'];
+
+export const buildBackup = ({ tasks, notes, notices, projects, tags, templates, settings }) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  data: { tasks, notes, notices, projects, tags, templates, settings },
+});
+
+const validateCategory = (item) => {
+  if (typeof item.name !== 'string' || !item.name.trim()) return 'name must be a non-empty string';
+  if (item.color !== undefined && typeof item.color !== 'string') return 'color must be a string';
+  return null;
+};
+
+// 컬렉션별 문서 검증 규칙. 문제 없으면 null, 있으면 에러 메시지
+const validators = {
+  tasks: (item) => {
+    if (typeof item.text !== 'string') return 'text must be a string';
+    if (!DATE_RE.test(item.date || '')) return 'date must be YYYY-MM-DD';
+    if (item.priority !== undefined && !PRIORITIES.includes(item.priority)) return `unknown priority "${item.priority}"`;
+    if (item.completed !== undefined && typeof item.completed !== 'boolean') return 'completed must be a boolean';
+    if (item.postponements !== undefined && !Array.isArray(item.postponements)) return 'postponements must be an array';
+    return null;
+  },
+  notes: (item) => {
+    if (!DATE_RE.test(item.id)) return 'note id must be a YYYY-MM-DD date';
+    if (item.content !== undefined && typeof item.content !== 'string') return 'content must be a string';
+    // 무드는 척도 값(숫자). 예전 백업의 이모지 문자열도 받는다 (불러온 뒤 App이 숫자로 바꿈)
+    if (item.mood != null && !Number.isInteger(item.mood) && typeof item.mood !== 'string') return 'mood must be a number';
+    if (item.activities !== undefined && !Array.isArray(item.activities)) return 'activities must be an array';
+    return null;
+  },
+  notices: (item) => {
+    if (typeof item.content !== 'string') return 'content must be a string';
+    if (!DATE_RE.test(item.targetDate || '')) return 'targetDate must be YYYY-MM-DD';
+    return null;
+  },
+  projects: validateCategory,
+  tags: validateCategory,
+  templates: (item) => {
+    if (typeof item.name !== 'string' || !item.name.trim()) return 'name must be a non-empty string';
+    if (typeof item.content !== 'string') return 'content must be a string';
+    return null;
+  },
+  settings: () => null,
+};
+
+// 이전 버전 백업을 현재 버전 형태로 바꾼다 (v1이 첫 버전이라 아직 변환 없음)
+const migrateBackup = (backup) => backup;
+
+// JSON 객체 검증. { backup, errors } 반환 (errors가 비어 있어야 복원 가능)
+export const validateBackup = (json) => {
+  const errors = [];
+  if (!json || typeof json !== 'object') return { backup: null, errors: ['File is not a JSON object'] };
+  if (json.format !== BACKUP_FORMAT) errors.push(`format must be "${BACKUP_FORMAT}"`);
+  if (!Number.isInteger(json.version) || json.version < 1) errors.push('version is missing');
+  else if (json.version > BACKUP_VERSION) errors.push(`version ${json.version} is newer than this app supports (${BACKUP_VERSION})`);
+  if (!json.data || typeof json.data !== 'object') errors.push('data is missing');
+  if (errors.length) return { backup: null, errors };
+
+  const backup = migrateBackup(json);
+  COLLECTIONS.forEach(name => {
+    const items = backup.data[name] || [];
+    if (!Array.isArray(items)) {
+      errors.push(`${name} must be an array`);
+      return;
+    }
+    const seen = new Set();
+    items.forEach((item, i) => {
+      if (!item || typeof item !== 'object' || typeof item.id !== 'string' || !item.id || item.id.includes('/')) {
+        errors.push(`${name}[${i}]: id must be a non-empty string without "/"`);
+        return;
+      }
+      if (seen.has(item.id)) errors.push(`${name}[${i}]: duplicate id "${item.id}"`);
+      seen.add(item.id);
+      const problem = validators[name](item);
+      if (problem) errors.push(`${name}[${i}] (${item.id}): ${problem}`);
+    });
+  });
+  return { backup: errors.length ? null : backup, errors };
+};
+
+// 키 순서와 무관하게 같은 내용인지 비교
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+export const splitId = ({ id, ...data }) => ({ id, data });
+
+// 복원 계획 (dry-run). mode: 'merge' | 'replace'
+// - add: 현재 없는 문서 / update: 내용이 다른 문서 / skip: 완전히 같은 문서
+// - remove: replace 모드에서 백업에 없는 현재 문서
+export const planRestore = (backup, current, mode) => Object.fromEntries(COLLECTIONS.map(name => {
+  const incoming = backup.data[name] || [];
+  const existing = new Map((current[name] || []).map(item => [item.id, item]));
+  const plan = { add: [], update: [], skip: [], remove: [] };
+
+  incoming.forEach(item => {
+    const found = existing.get(item.id);
+    if (!found) plan.add.push(item);
+    else if (stableStringify(splitId(found).data) === stableStringify(splitId(item).data)) plan.skip.push(item);
+    else plan.update.push(item);
+  });
+  if (mode === 'replace') {
+    const incomingIds = new Set(incoming.map(item => item.id));
+    plan.remove = (current[name] || []).filter(item => !incomingIds.has(item.id));
+  }
+  return [name, plan];
+}));
@@ -0,0 +1,132 @@
+// src/bulkTasks.js
+// 여러 할 일에 한 번에 적용하는 작업 (완료 / 삭제 / 우선순위 / 날짜 이동 / 다른 날짜로 복사)
+//
+// planBulkAction은 저장소 batch에 그대로 넘길 ops와, 되돌리기용 undo ops를 함께 만든다.
+// 문서를 통째로 set하는 방식이라 undo는 바뀐 문서를 원래 내용으로 다시 set하고, 새로 만든 문서는 지운다.
+// 반복 일정의 발생은 시리즈 문서의 completedDates / exdates / overrides를 고친다 (같은 시리즈의 발생 여러 개도 한 문서에 모아서).
+// 지운 할 일은 휴지통(trash.js)으로 옮긴다.
+
+import { getSubtasks } from './subtasks';
+import { postponePatch } from './overdue';
+import { TRASH_COLLECTION, trashDoc } from './trash';
+import { DEFAULT_I18N } from './i18n';
+
+// 다른 날짜에 새 단일 일정으로 만들 문서. copy면 미완료 + 체크리스트 초기화, 아니면(발생 떼어 내기) 상태 유지
+export const taskCopy = (task, dateStr, { copy = false } = {}) => ({
+  date: dateStr,
+  text: task.text,
+  completed: copy ? false : Boolean(task.completed),
+  priority: task.priority,
+  startTime: task.startTime || null,
+  endTime: task.endTime || null,
+  description: task.description || '',
+  subtasks: getSubtasks(task).map(sub => (copy ? { ...sub, done: false } : sub)),
+  autoComplete: Boolean(task.autoComplete),
+  projectId: task.projectId || null,
+  tagIds: task.tagIds || [],
+  reminders: task.reminders || [],
+  repeat: null,
+  createdAt: new Date().toISOString(),
+});
+
+// 저장할 문서에는 id와 (공유 캘린더 표시용) calendarId를 넣지 않는다
+const stripId = ({ id, calendarId, ...data }) => data;
+
+// 선택한 할 일이 모두 완료 상태면 'Complete'는 되돌리기(미완료)로 동작
+export const allCompleted = (selected) => selected.length > 0 && selected.every(t => t.completed);
+
+// action: 'complete' | 'delete' | 'priority' | 'move' | 'copy'
+// options: { priority, date, now, newId, completeAll } — newId는 새 문서 id 생성기 (테스트에서 고정)
+//   캘린더별로 나눠 부를 때는 completeAll을 넘겨서 완료 / 되돌리기 방향을 맞춘다
+export const planBulkAction = (tasks, selected, action, options = {}) => {
+  const { priority, date, now = Date.now(), newId = () => crypto.randomUUID(), completeAll = !allCompleted(selected) } = options;
+  const originals = new Map(tasks.map(t => [t.id, t]));
+  const edited = new Map(); // id -> 고친 문서 (id 제외)
+  const deleted = new Set();
+  const created = [];
+
+  const edit = (id, change) => {
+    const current = edited.get(id) || stripId(originals.get(id));
+    edited.set(id, change(current));
+  };
+  const withDate = (list, dateStr, add) => {
+    const rest = (list || []).filter(d => d !== dateStr);
+    return add ? [...rest, dateStr] : rest;
+  };
+  selected.forEach(task => {
+    const seriesId = task.seriesId || task.id;
+    if (!originals.has(seriesId)) return;
+
+    switch (action) {
+      case 'complete':
+        if (task.isOccurrence) edit(seriesId, doc => ({ ...doc, completedDates: withDate(doc.completedDates, task.date, completeAll) }));
+        else edit(seriesId, doc => ({ ...doc, completed: completeAll }));
+        break;
+      case 'delete':
+        if (task.isOccurrence) edit(seriesId, doc => ({ ...doc, exdates: withDate(doc.exdates, task.date, true) }));
+        else deleted.add(seriesId);
+        break;
+      case 'priority':
+        if (task.isOccurrence) {
+          edit(seriesId, doc => ({
+            ...doc,
+            overrides: { ...doc.overrides, [task.date]: { ...(doc.overrides || {})[task.date], priority } },
+          }));
+        } else {
+          edit(seriesId, doc => ({ ...doc, priority }));
+        }
+        break;
+      case 'move':
+        if (task.date === date) break;
+        if (task.isOccurrence) {
+          created.push({ id: newId(), data: taskCopy(task, date) });
+          edit(seriesId, doc => ({ ...doc, exdates: withDate(doc.exdates, task.date, true) }));
+        } else {
+          edit(seriesId, doc => ({ ...doc, ...postponePatch(doc, date, now) }));
+        }
+        break;
+      case 'copy':
+        created.push({ id: newId(), data: taskCopy(task, date, { copy: true }) });
+        break;
+      default:
+        throw new Error(`Unknown bulk action "${action}"`);
+    }
+  });
+
+  const op = (type, id, data, collection = 'tasks') => ({ type, collection, id, ...(data ? { data } : {}) });
+  const ops = [
+    ...[...edited].filter(([id]) => !deleted.has(id)).map(([id, data]) => op('set', id, data)),
+    ...[...deleted].flatMap(id => [
+      op('delete', id),
+      op('set', id, trashDoc('tasks', stripId(originals.get(id)), now), TRASH_COLLECTION),
+    ]),
+    ...created.map(({ id, data }) => op('set', id, data)),
+  ];
+  const undo = [
+    ...[...new Set([...edited.keys(), ...deleted])].map(id => op('set', id, stripId(originals.get(id)))),
+    ...[...deleted].map(id => op('delete', id, null, TRASH_COLLECTION)),
+    ...created.map(({ id }) => op('delete', id)),
+  ];
+  return { ops, undo };
+};
+
+// 'Completed 3 tasks' 같은 결과 메시지
+export const describeBulkAction = (action, count, { date, priority, reopen } = {}, { t } = DEFAULT_I18N) => {
+  const tasks = t(count === 1 ? 'bulk.taskCount' : 'bulk.tasksCount', { count });
+  switch (action) {
+    case 'complete': return t(reopen ? 'bulk.reopened' : 'bulk.completed', { tasks });
+    case 'delete': return t('bulk.deleted', { tasks });
+    case 'priority': return t('bulk.prioritySet', { tasks, priority: t(`priority.${priority}`) });
+    case 'move': return t('bulk.moved', { tasks, date });
+    case 'copy': return t('bulk.copied', { tasks, date });
+    default: return '';
+  }
+};
+
+// Shift-클릭 범위 선택: anchorId부터 targetId까지 (목록 순서 기준, 양 끝 포함)
+export const rangeIds = (list, anchorId, targetId) => {
+  const from = list.findIndex(t => t.id === anchorId);
+  const to = list.findIndex(t => t.id === targetId);
+  if (from === -1 || to === -1) return [targetId];
+  return list.slice(Math.min(from, to), Math.max(from, to) + 1).map(t => t.id);
+};
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { planBulkAction, describeBulkAction, rangeIds, taskCopy } from './bulkTasks';
+import { expandTasks } from './recurrence';
+
+const NOW = Date.parse('2026-10-15T09:00:00.000Z');
+const task = (id, date, extra = {}) => ({ id, text: id, date, priority: 'medium', completed: false, ...extra });
+const series = task('s', '2026-10-01', { repeat: { freq: 'daily', interval: 1 } });
+const tasks = [task('a', '2026-10-15'), task('b', '2026-10-15', { completed: true }), series];
+const occurrence = expandTasks([series], '2026-10-15', '2026-10-15')[0];
+
+// 같은 id 생성기를 쓰면 테스트 결과가 고정된다
+const ids = () => {
+  let n = 0;
+  return () => `new${++n}`;
+};
+const plan = (selected, action, options = {}) => planBulkAction(tasks, selected, action, { now: NOW, newId: ids(), ...options });
+const docOf = (ops, id) => ops.find(op => op.id === id);
+
+describe('planBulkAction', () => {
+  it('completes one-off tasks and occurrences, or reopens when all are done', () => {
+    const { ops } = plan([tasks[0], occurrence], 'complete');
+    expect(docOf(ops, 'a').data.completed).toBe(true);
+    expect(docOf(ops, 's').data.completedDates).toEqual(['2026-10-15']);
+    expect(docOf(ops, 'a').data).not.toHaveProperty('id');
+
+    expect(docOf(plan([tasks[1]], 'complete').ops, 'b').data.completed).toBe(false);
+  });
+
+  it('deletes one-off tasks and skips occurrences of a series', () => {
+    const { ops, undo } = plan([tasks[0], occurrence], 'delete');
+    expect(ops).toContainEqual({ type: 'delete', collection: 'tasks', id: 'a' });
+    expect(docOf(ops, 's').data.exdates).toEqual(['2026-10-15']);
+    expect(ops).toContainEqual({ type: 'set', collection: 'trash', id: 'a', data: { collection: 'tasks', data: expect.objectContaining({ text: 'a' }), deletedAt: '2026-10-15T09:00:00.000Z' } });
+    expect(undo).toContainEqual({ type: 'set', collection: 'tasks', id: 'a', data: expect.objectContaining({ text: 'a' }) });
+    expect(undo).toContainEqual({ type: 'delete', collection: 'trash', id: 'a' });
+  });
+
+  it('changes priority on occurrences through overrides', () => {
+    const { ops } = plan([tasks[0], occurrence], 'priority', { priority: 'high' });
+    expect(docOf(ops, 'a').data.priority).toBe('high');
+    expect(docOf(ops, 's').data.overrides).toEqual({ '2026-10-15': { priority: 'high' } });
+    expect(docOf(ops, 's').data.priority).toBe('medium');
+  });
+
+  it('moves tasks, detaching occurrences, and undoes with a single batch', () => {
+    const { ops, undo } = plan([tasks[0], occurrence], 'move', { date: '2026-10-20' });
+    expect(docOf(ops, 'a').data).toMatchObject({ date: '2026-10-20', postponements: [expect.objectContaining({ from: '2026-10-15' })] });
+    expect(docOf(ops, 's').data.exdates).toEqual(['2026-10-15']);
+    expect(docOf(ops, 'new1').data).toMatchObject({ date: '2026-10-20', text: 's', repeat: null });
+
+    expect(docOf(undo, 'a').data).toEqual({ text: 'a', date: '2026-10-15', priority: 'medium', completed: false });
+    expect(docOf(undo, 's').data).not.toHaveProperty('exdates');
+    expect(docOf(undo, 'new1')).toEqual({ type: 'delete', collection: 'tasks', id: 'new1' });
+  });
+
+  it('never writes the calendar tag of shared tasks and follows a given direction', () => {
+    const shared = [task('a', '2026-10-15', { calendarId: 'team', completed: true })];
+    const { ops, undo } = planBulkAction(shared, shared, 'complete', { now: NOW, completeAll: true });
+    expect(ops[0].data).toMatchObject({ completed: true });
+    expect(ops[0].data).not.toHaveProperty('calendarId');
+    expect(undo[0].data).not.toHaveProperty('calendarId');
+  });
+
+  it('copies tasks as new unfinished tasks', () => {
+    const { ops, undo } = plan([tasks[1]], 'copy', { date: '2026-10-16' });
+    expect(ops).toEqual([{ type: 'set', collection: 'tasks', id: 'new1', data: expect.objectContaining({ date: '2026-10-16', completed: false }) }]);
+    expect(undo).toEqual([{ type: 'delete', collection: 'tasks', id: 'new1' }]);
+  });
+});
+
+describe('helpers', () => {
+  it('resets checklists on copies only', () => {
+    const withList = task('c', '2026-10-15', { subtasks: [{ id: '1', text: 'x', done: true }] });
+    expect(taskCopy(withList, '2026-10-16', { copy: true }).subtasks[0].done).toBe(false);
+    expect(taskCopy(withList, '2026-10-16').subtasks[0].done).toBe(true);
+  });
+
+  it('selects shift-click ranges in either direction', () => {
+    const list = ['a', 'b', 'c', 'd'].map(id => ({ id }));
+    expect(rangeIds(list, 'b', 'd')).toEqual(['b', 'c', 'd']);
+    expect(rangeIds(list, 'c', 'a')).toEqual(['a', 'b', 'c']);
+    expect(rangeIds(list, 'gone', 'a')).toEqual(['a']);
+  });
+
+  it('describes the result', () => {
+    expect(describeBulkAction('complete', 1)).toBe('Completed 1 task');
+    expect(describeBulkAction('move', 3, { date: '2026-10-20' })).toBe('Moved 3 tasks to 2026-10-20');
+  });
+});
@@ -0,0 +1,49 @@
+// src/calendarData.js
+// 월 그리드와 오른쪽 할 일 목록에 쓰는 데이터 계산 (App의 useMemo에서 호출, 테스트에서 직접 호출)
+
+import { formatDate, addDays, isoWeek } from './dateUtils';
+import { expandTasks } from './recurrence';
+
+// 1일 앞 빈 칸 수 (weekStart: 0 = 일요일 시작, 1 = 월요일 시작)
+const leadingBlanks = (year, month, weekStart) => (new Date(year, month, 1).getDay() - weekStart + 7) % 7;
+
+// 월 그리드: 1일 앞은 빈 칸({ day: null }), 이후 날짜별로 그날의 일정(반복 일정은 발생으로 펼침)과 공지(숨긴 것 제외)
+export const buildCalendarDays = (monthDate, tasks, notices = [], weekStart = 0) => {
+  const year = monthDate.getFullYear();
+  const month = monthDate.getMonth();
+  const days = [];
+  const firstDay = leadingBlanks(year, month, weekStart);
+  const totalDays = new Date(year, month + 1, 0).getDate();
+  // 반복 일정은 이번 달 범위만큼 발생으로 펼친다
+  const monthTasks = expandTasks(tasks, formatDate(new Date(year, month, 1)), formatDate(new Date(year, month, totalDays)));
+
+  for (let i = 0; i < firstDay; i++) days.push({ day: null, currentMonth: false });
+  for (let i = 1; i <= totalDays; i++) {
+    const dateStr = `${year}-${String(month + 1).padStart(2, '0')}-${String(i).padStart(2, '0')}`;
+    days.push({
+      day: i,
+      dateStr,
+      currentMonth: true,
+      tasks: monthTasks.filter(t => t.date === dateStr),
+      notices: notices.filter(n => !n.isHidden && n.targetDate === dateStr),
+    });
+  }
+  return days;
+};
+
+// 월 그리드 줄마다 ISO 주 번호 (일요일 시작이면 그 줄의 월요일 기준)
+export const calendarWeekNumbers = (monthDate, weekStart = 0) => {
+  const year = monthDate.getFullYear();
+  const month = monthDate.getMonth();
+  const blanks = leadingBlanks(year, month, weekStart);
+  const rows = Math.ceil((blanks + new Date(year, month + 1, 0).getDate()) / 7);
+  const firstRowStart = new Date(year, month, 1 - blanks);
+  return Array.from({ length: rows }, (_, row) => isoWeek(addDays(firstRowStart, row * 7 + (8 - weekStart) % 7)));
+};
+
+// 선택한 날짜의 할 일 (반복 일정은 발생으로 펼침). 종일 일정 먼저, 그 다음 시작 시간 순
+export const selectDisplayTasks = (tasks, selectedDate) => {
+  const selectedDateStr = formatDate(selectedDate);
+  return expandTasks(tasks, selectedDateStr, selectedDateStr)
+    .sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''));
+};
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { buildCalendarDays, calendarWeekNumbers, selectDisplayTasks } from './calendarData';
+import { isoWeek, startOfWeek, formatDate } from './dateUtils';
+
+const task = (id, date, extra = {}) => ({ id, date, text: id, completed: false, priority: 'medium', ...extra });
+
+describe('buildCalendarDays', () => {
+  it('pads the first week and lists every day of the month', () => {
+    // 2026-10-01은 목요일 -> 앞에 빈 칸 4개
+    const days = buildCalendarDays(new Date(2026, 9, 1), []);
+    expect(days.slice(0, 4).every(d => d.day === null)).toBe(true);
+    expect(days[4]).toMatchObject({ day: 1, dateStr: '2026-10-01', currentMonth: true });
+    expect(days).toHaveLength(4 + 31);
+    expect(days[days.length - 1].dateStr).toBe('2026-10-31');
+  });
+
+  it('handles leap years and year boundaries', () => {
+    expect(buildCalendarDays(new Date(2028, 1, 1), []).filter(d => d.day)).toHaveLength(29);
+    const january = buildCalendarDays(new Date(2026, 12, 1), []);
+    expect(january.find(d => d.day === 1).dateStr).toBe('2027-01-01');
+  });
+
+  it('places tasks and recurring occurrences on their days', () => {
+    const tasks = [
+      task('single', '2026-10-15'),
+      task('weekly', '2026-09-28', { repeat: { freq: 'weekly', interval: 1, byWeekday: [1] } }),
+      task('other-month', '2026-11-02'),
+    ];
+    const days = buildCalendarDays(new Date(2026, 9, 1), tasks);
+    const byDate = Object.fromEntries(days.filter(d => d.day).map(d => [d.dateStr, d.tasks.map(t => t.text)]));
+
+    expect(byDate['2026-10-15']).toEqual(['single']);
+    expect(['2026-10-05', '2026-10-12', '2026-10-19', '2026-10-26'].map(d => byDate[d])).toEqual([['weekly'], ['weekly'], ['weekly'], ['weekly']]);
+    expect(Object.values(byDate).flat()).not.toContain('other-month');
+  });
+
+  it('marks notices on their day, skipping hidden ones', () => {
+    const notices = [
+      { id: 'n1', content: 'Payday', targetDate: '2026-10-25' },
+      { id: 'n2', content: 'Hidden', targetDate: '2026-10-25', isHidden: true },
+    ];
+    const day = buildCalendarDays(new Date(2026, 9, 1), [], notices).find(d => d.dateStr === '2026-10-25');
+    expect(day.notices.map(n => n.id)).toEqual(['n1']);
+  });
+
+  it('starts the week on Monday when asked', () => {
+    // 월요일 시작이면 목요일 1일 앞에 빈 칸 3개
+    const days = buildCalendarDays(new Date(2026, 9, 1), [], [], 1);
+    expect(days.slice(0, 3).every(d => d.day === null)).toBe(true);
+    expect(days[3].dateStr).toBe('2026-10-01');
+    // 일요일 1일은 월요일 시작이면 맨 끝 칸
+    expect(buildCalendarDays(new Date(2026, 10, 1), [], [], 1)[6].dateStr).toBe('2026-11-01');
+  });
+});
+
+describe('calendarWeekNumbers', () => {
+  it('numbers each grid row with its ISO week', () => {
+    expect(calendarWeekNumbers(new Date(2026, 9, 1), 1)).toEqual([40, 41, 42, 43, 44]);
+    expect(calendarWeekNumbers(new Date(2026, 9, 1), 0)).toEqual([40, 41, 42, 43, 44]);
+    // 2027-01-01(금)은 2026년 53주차
+    expect(calendarWeekNumbers(new Date(2027, 0, 1), 1)).toEqual([53, 1, 2, 3, 4]);
+  });
+
+  it('follows the ISO rules at year boundaries', () => {
+    expect(isoWeek(new Date(2025, 11, 29))).toBe(1);
+    expect(isoWeek(new Date(2026, 9, 15))).toBe(42);
+    expect(isoWeek(new Date(2027, 0, 3))).toBe(53);
+    expect(formatDate(startOfWeek(new Date(2026, 9, 15), 1))).toBe('2026-10-12');
+    expect(formatDate(startOfWeek(new Date(2026, 9, 18), 1))).toBe('2026-10-12');
+    expect(formatDate(startOfWeek(new Date(2026, 9, 18), 0))).toBe('2026-10-18');
+  });
+});
+
+describe('selectDisplayTasks', () => {
+  const tasks = [
+    task('Late report', '2026-10-15', { startTime: '15:00' }),
+    task('Morning run', '2026-10-15', { startTime: '07:00' }),
+    task('All day', '2026-10-15'),
+    task('Weekly report', '2026-10-01', { repeat: { freq: 'weekly', interval: 1, byWeekday: [4] } }),
+    task('Tomorrow', '2026-10-16'),
+  ];
+
+  it('lists the selected day with all-day tasks first, then by start time', () => {
+    const list = selectDisplayTasks(tasks, new Date(2026, 9, 15));
+    expect(list.map(t => t.text)).toEqual(['All day', 'Weekly report', 'Morning run', 'Late report']);
+  });
+
+  it('only lists the selected day', () => {
+    expect(selectDisplayTasks(tasks, new Date(2026, 9, 16)).map(t => t.text)).toEqual(['Tomorrow']);
+  });
+});
@@ -0,0 +1,55 @@
+// src/calendars.js
+// 캘린더 전환 / 겹쳐 보기 (App과 테스트에서 사용). 문서 형식은 storage/sharing.js 참고
+//   개인 캘린더는 id 'personal'로 다룬다
+//   공유 캘린더에서 읽은 항목에는 calendarId를 붙여서 어느 저장소에 쓸지 구분한다 (저장할 때는 떼어 냄)
+//   역할: owner(이름 / 멤버 / 초대 관리 + 편집) · editor(편집) · viewer(읽기 전용)
+
+import { DEFAULT_COLOR } from './categories';
+
+export const PERSONAL_CALENDAR_ID = 'personal';
+export const PERSONAL_CALENDAR = { id: PERSONAL_CALENDAR_ID, name: 'Personal', color: DEFAULT_COLOR };
+
+export const ROLES = ['owner', 'editor', 'viewer'];
+export const INVITE_ROLES = ['editor', 'viewer'];
+
+export const roleOf = (calendar, uid) => (calendar && calendar.members && calendar.members[uid]) || null;
+export const canEdit = (role) => role === 'owner' || role === 'editor';
+export const canManage = (role) => role === 'owner';
+
+export const calendarIdOf = (item) => item.calendarId || PERSONAL_CALENDAR_ID;
+
+export const tagCalendar = (items, calendarId) => items.map(item => ({ ...item, calendarId }));
+
+// 멤버 목록: owner, editor, viewer 순 / 같은 역할은 이름순
+export const memberList = (calendar) => Object.entries(calendar.members || {})
+  .map(([uid, role]) => ({ uid, role, name: (calendar.memberNames || {})[uid] || uid }))
+  .sort((a, b) => ROLES.indexOf(a.role) - ROLES.indexOf(b.role) || a.name.localeCompare(b.name));
+
+// 겹쳐 볼 항목: 숨기지 않은 캘린더의 것만 (sharedItems: calendarId -> 항목 목록)
+export const overlayItems = (personalItems, calendars, sharedItems, hiddenIds) => [
+  ...(hiddenIds.includes(PERSONAL_CALENDAR_ID) ? [] : personalItems),
+  ...calendars.filter(c => !hiddenIds.includes(c.id)).flatMap(c => sharedItems[c.id] || []),
+];
+
+// 이미 멤버인 캘린더의 초대는 보여 주지 않는다
+export const pendingInvites = (invites, calendars) => invites.filter(i => !calendars.some(c => c.id === i.calendarId));
+
+export const inviteLink = (inviteId, href) => {
+  const url = new URL(href);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set('invite', inviteId);
+  return url.toString();
+};
+
+export const inviteIdFromUrl = (href) => new URL(href).searchParams.get('invite');
+
+// 주소창에서 ?invite= 만 지운 주소
+export const withoutInviteParam = (href) => {
+  const url = new URL(href);
+  url.searchParams.delete('invite');
+  return url.toString();
+};
+
+// 일기 임시 저장본 키: 개인 일기는 예전처럼 날짜만, 공유 캘린더 일기는 캘린더 id를 앞에 붙인다
+export const draftKey = (calendarId, dateStr) => (calendarId === PERSONAL_CALENDAR_ID ? dateStr : `${calendarId}/${dateStr}`);
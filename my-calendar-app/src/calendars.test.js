@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PERSONAL_CALENDAR_ID, roleOf, canEdit, canManage, calendarIdOf, tagCalendar, memberList,
+  overlayItems, pendingInvites, inviteLink, inviteIdFromUrl, withoutInviteParam, draftKey,
+} from './calendars';
+
+const team = {
+  id: 'team',
+  members: { u1: 'viewer', u2: 'owner', u3: 'editor', u4: 'viewer' },
+  memberNames: { u1: 'Zoe', u2: 'Olivia', u4: 'Adam' },
+};
+
+describe('roles', () => {
+  it('reads my role and what it allows', () => {
+    expect(roleOf(team, 'u3')).toBe('editor');
+    expect(roleOf(team, 'nobody')).toBeNull();
+    expect(canEdit('editor')).toBe(true);
+    expect(canEdit('viewer')).toBe(false);
+    expect(canManage('editor')).toBe(false);
+    expect(canManage('owner')).toBe(true);
+  });
+
+  it('lists members by role, then name, falling back to the uid', () => {
+    expect(memberList(team).map(m => m.name)).toEqual(['Olivia', 'u3', 'Adam', 'Zoe']);
+  });
+});
+
+describe('overlay', () => {
+  const calendars = [{ id: 'team' }, { id: 'family' }];
+  const shared = { team: tagCalendar([{ id: 't1' }], 'team'), family: tagCalendar([{ id: 'f1' }], 'family') };
+
+  it('tags shared items and treats untagged ones as personal', () => {
+    expect(shared.team[0]).toEqual({ id: 't1', calendarId: 'team' });
+    expect(calendarIdOf(shared.team[0])).toBe('team');
+    expect(calendarIdOf({ id: 'p1' })).toBe(PERSONAL_CALENDAR_ID);
+  });
+
+  it('merges visible calendars only', () => {
+    expect(overlayItems([{ id: 'p1' }], calendars, shared, []).map(i => i.id)).toEqual(['p1', 't1', 'f1']);
+    expect(overlayItems([{ id: 'p1' }], calendars, shared, ['personal', 'family']).map(i => i.id)).toEqual(['t1']);
+    // 목록에서 빠진(나간) 캘린더의 남은 데이터는 보이지 않는다
+    expect(overlayItems([], [{ id: 'family' }], shared, []).map(i => i.id)).toEqual(['f1']);
+  });
+
+  it('hides invites for calendars I already joined', () => {
+    expect(pendingInvites([{ id: 'i1', calendarId: 'team' }, { id: 'i2', calendarId: 'other' }], calendars)).toEqual([{ id: 'i2', calendarId: 'other' }]);
+  });
+});
+
+describe('invite links', () => {
+  it('builds and reads ?invite= links', () => {
+    const link = inviteLink('abc', 'https://app.example.com/board?x=1#top');
+    expect(link).toBe('https://app.example.com/board?invite=abc');
+    expect(inviteIdFromUrl(link)).toBe('abc');
+    expect(inviteIdFromUrl('https://app.example.com/')).toBeNull();
+    expect(withoutInviteParam('https://app.example.com/?invite=abc&x=1')).toBe('https://app.example.com/?x=1');
+  });
+
+  it('keeps personal journal drafts under the plain date', () => {
+    expect(draftKey(PERSONAL_CALENDAR_ID, '2026-10-15')).toBe('2026-10-15');
+    expect(draftKey('team', '2026-10-15')).toBe('team/2026-10-15');
+  });
+});
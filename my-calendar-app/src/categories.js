@@ -0,0 +1,38 @@
+// src/categories.js
+// 프로젝트 / 태그 (사용자 정의 분류). projects, tags 컬렉션에 { name, color } 로 저장하고
+// 할 일에는 projectId(하나) 와 tagIds(여러 개)로 연결한다.
+
+// Tailwind가 클래스를 찾을 수 있도록 전체 클래스 이름을 그대로 적는다. 색 이름은 문구(color.*)로 보여준다
+export const CATEGORY_COLORS = {
+  indigo: { dot: 'bg-indigo-500', chip: 'bg-indigo-50 border-indigo-100 text-indigo-700', pill: 'bg-indigo-100 text-indigo-700' },
+  sky: { dot: 'bg-sky-500', chip: 'bg-sky-50 border-sky-100 text-sky-700', pill: 'bg-sky-100 text-sky-700' },
+  emerald: { dot: 'bg-emerald-500', chip: 'bg-emerald-50 border-emerald-100 text-emerald-700', pill: 'bg-emerald-100 text-emerald-700' },
+  amber: { dot: 'bg-amber-500', chip: 'bg-amber-50 border-amber-100 text-amber-700', pill: 'bg-amber-100 text-amber-700' },
+  orange: { dot: 'bg-orange-500', chip: 'bg-orange-50 border-orange-100 text-orange-700', pill: 'bg-orange-100 text-orange-700' },
+  rose: { dot: 'bg-rose-500', chip: 'bg-rose-50 border-rose-100 text-rose-700', pill: 'bg-rose-100 text-rose-700' },
+  violet: { dot: 'bg-violet-500', chip: 'bg-violet-50 border-violet-100 text-violet-700', pill: 'bg-violet-100 text-violet-700' },
+  slate: { dot: 'bg-slate-500', chip: 'bg-slate-100 border-slate-200 text-slate-700', pill: 'bg-slate-200 text-slate-700' },
+};
+
+export const DEFAULT_COLOR = 'indigo';
+
+// 저장된 색 이름이 팔레트에 없으면 기본색
+export const colorOf = (category) => CATEGORY_COLORS[category && category.color] || CATEGORY_COLORS[DEFAULT_COLOR];
+
+export const EMPTY_FILTER = { projectIds: [], tagIds: [] };
+
+export const isFilterActive = (filter) => filter.projectIds.length > 0 || filter.tagIds.length > 0;
+
+// 필터: 선택한 프로젝트 중 하나에 속하고(선택한 게 있으면), 선택한 태그 중 하나라도 있으면(선택한 게 있으면) 표시
+export const filterByCategories = (tasks, filter) => {
+  if (!isFilterActive(filter)) return tasks;
+  return tasks.filter(t => {
+    if (filter.projectIds.length && !filter.projectIds.includes(t.projectId)) return false;
+    if (filter.tagIds.length && !(t.tagIds || []).some(id => filter.tagIds.includes(id))) return false;
+    return true;
+  });
+};
+
+export const toggleId = (ids, id) => (ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id]);
+
+export const sortByName = (items) => [...items].sort((a, b) => a.name.localeCompare(b.name));
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { filterByCategories, colorOf, toggleId, isFilterActive, EMPTY_FILTER, CATEGORY_COLORS } from './categories';
+
+const tasks = [
+  { id: 'a', projectId: 'work', tagIds: ['urgent'] },
+  { id: 'b', projectId: 'work', tagIds: [] },
+  { id: 'c', projectId: 'home', tagIds: ['urgent', 'errand'] },
+  { id: 'd' },
+];
+const ids = (list) => list.map(t => t.id);
+
+describe('filterByCategories', () => {
+  it('returns every task without a filter', () => {
+    expect(filterByCategories(tasks, EMPTY_FILTER)).toBe(tasks);
+    expect(isFilterActive(EMPTY_FILTER)).toBe(false);
+  });
+
+  it('matches any selected project', () => {
+    expect(ids(filterByCategories(tasks, { projectIds: ['work'], tagIds: [] }))).toEqual(['a', 'b']);
+    expect(ids(filterByCategories(tasks, { projectIds: ['work', 'home'], tagIds: [] }))).toEqual(['a', 'b', 'c']);
+  });
+
+  it('matches any selected tag and combines with projects', () => {
+    expect(ids(filterByCategories(tasks, { projectIds: [], tagIds: ['urgent'] }))).toEqual(['a', 'c']);
+    expect(ids(filterByCategories(tasks, { projectIds: ['home'], tagIds: ['urgent'] }))).toEqual(['c']);
+    expect(ids(filterByCategories(tasks, { projectIds: ['work'], tagIds: ['errand'] }))).toEqual([]);
+  });
+});
+
+describe('category helpers', () => {
+  it('falls back to the default color', () => {
+    expect(colorOf({ color: 'rose' })).toBe(CATEGORY_COLORS.rose);
+    expect(colorOf({ color: 'nope' })).toBe(CATEGORY_COLORS.indigo);
+    expect(colorOf(null)).toBe(CATEGORY_COLORS.indigo);
+  });
+
+  it('toggles ids', () => {
+    expect(toggleId(['a'], 'b')).toEqual(['a', 'b']);
+    expect(toggleId(['a', 'b'], 'a')).toEqual(['b']);
+  });
+});
@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { X, LogOut, Loader2, AlertTriangle, HardDrive } from 'lucide-react';
+import {
+  OAUTH_PROVIDERS,
+  createEmailAccount,
+  signInWithEmail,
+  signInWithProvider,
+  signInWithExistingProvider,
+  signOutUser,
+  describeUser,
+  describeAuthError,
+} from '../account';
+
+// 계정 모달: 익명(Guest) 업그레이드 / 로그인 / 로그아웃
+// onChanged(user): 계정 연결 후 프로필 표시를 갱신하기 위한 콜백 (uid는 그대로라 auth 이벤트가 오지 않음)
+// 로컬 저장소 모드(Firebase 미설정)에서는 계정 기능 없이 안내만 보여준다 / i18n: createI18n() 결과
+const inputClass = 'w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all';
+
+const AccountModal = ({ user, onClose, onChanged, i18n }) => {
+  const { t } = i18n;
+  const [mode, setMode] = useState('signup'); // 'signup' | 'signin'
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [conflictProvider, setConflictProvider] = useState(null); // 이미 다른 계정에 연결된 OAuth
+
+  const profile = describeUser(user, i18n);
+  const isGuest = !user || user.isAnonymous;
+  const isLocal = Boolean(user && user.isLocal);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      onChanged(await action());
+      onClose();
+    } catch (e) {
+      console.error("Auth Error:", e);
+      setError(describeAuthError(e, i18n));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const submitEmail = (e) => {
+    e.preventDefault();
+    run(() => (mode === 'signup' ? createEmailAccount(email, password) : signInWithEmail(email, password)));
+  };
+
+  const connectProvider = (key) => run(async () => {
+    try {
+      return await signInWithProvider(key);
+    } catch (e) {
+      if (e.code === 'auth/credential-already-in-use') setConflictProvider(key);
+      throw e;
+    }
+  });
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/20 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-2xl w-full max-w-sm p-6 shadow-2xl animate-in fade-in zoom-in duration-200"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="font-bold text-lg text-slate-800">{isGuest ? t('account.saveTitle') : isLocal ? t('account.local') : t('account.title')}</h3>
+          <button onClick={onClose} aria-label={t('common.close')} className="text-slate-400 hover:text-slate-600">
+            <X size={20}/>
+          </button>
+        </div>
+
+        {isLocal ? (
+          <div className="space-y-3">
+            <div className="flex items-center gap-3 p-3 rounded-xl bg-slate-50 border border-slate-100">
+              <div className="w-10 h-10 rounded-full bg-indigo-100 text-indigo-700 flex items-center justify-center"><HardDrive size={18}/></div>
+              <div className="overflow-hidden">
+                <p className="text-sm font-bold text-slate-700 truncate">{profile.name}</p>
+                <p className="text-[10px] text-slate-400 truncate font-bold uppercase">{profile.subtitle}</p>
+              </div>
+            </div>
+            <p className="text-[11px] text-slate-500 leading-relaxed">{t('account.localHint')}</p>
+          </div>
+        ) : !isGuest ? (
+          <div className="space-y-4">
+            <div className="flex items-center gap-3 p-3 rounded-xl bg-slate-50 border border-slate-100">
+              {profile.photoURL
+                ? <img src={profile.photoURL} alt="" className="w-10 h-10 rounded-full" />
+                : <div className="w-10 h-10 rounded-full bg-indigo-100 text-indigo-700 flex items-center justify-center text-xs font-bold">{profile.initials}</div>}
+              <div className="overflow-hidden">
+                <p className="text-sm font-bold text-slate-700 truncate">{profile.name}</p>
+                <p className="text-[10px] text-slate-400 truncate font-bold uppercase">{profile.subtitle}</p>
+              </div>
+            </div>
+            <button
+              onClick={() => run(signOutUser)}
+              disabled={busy}
+              className="w-full flex items-center justify-center gap-2 py-3 bg-slate-50 hover:bg-slate-100 text-slate-700 rounded-xl font-bold text-sm border border-slate-200 active:scale-[0.98] transition-all"
+            >
+              {busy ? <Loader2 size={16} className="animate-spin"/> : <LogOut size={16}/>} {t('account.signOut')}
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex p-1 bg-slate-50 rounded-xl border border-slate-200">
+              {[['signup', t('account.signupTab')], ['signin', t('account.signinTab')]].map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => { setMode(key); setError(''); }}
+                  className={`flex-1 py-2 rounded-lg text-xs font-bold transition-all ${mode === key ? 'bg-white text-indigo-600 shadow-sm ring-1 ring-indigo-200' : 'text-slate-400 hover:text-slate-600'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            <p className="text-[11px] text-slate-500 leading-relaxed">
+              {mode === 'signup' ? t('account.signupHint') : t('account.signinHint')}
+            </p>
+
+            <form onSubmit={submitEmail} className="space-y-3">
+              <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder={t('account.email')} className={inputClass} autoFocus />
+              <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder={t('account.password')} className={inputClass} />
+              <button
+                type="submit"
+                disabled={busy || !email || !password}
+                className="w-full flex items-center justify-center gap-2 py-3.5 bg-indigo-600 hover:bg-indigo-700 text-white rounded-xl font-bold text-sm shadow-lg shadow-indigo-200 active:scale-[0.98] transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {busy && <Loader2 size={16} className="animate-spin"/>}
+                {mode === 'signup' ? t('account.signupButton') : t('account.signinButton')}
+              </button>
+            </form>
+
+            <div className="flex items-center gap-3 text-[10px] font-bold text-slate-300 uppercase">
+              <div className="flex-1 h-px bg-slate-100" /> {t('account.or')} <div className="flex-1 h-px bg-slate-100" />
+            </div>
+
+            <div className="flex gap-2">
+              {Object.entries(OAUTH_PROVIDERS).map(([key, provider]) => (
+                <button
+                  key={key}
+                  onClick={() => connectProvider(key)}
+                  disabled={busy}
+                  className="flex-1 py-2.5 bg-white hover:bg-slate-50 text-slate-700 rounded-xl font-bold text-xs border border-slate-200 active:scale-[0.98] transition-all disabled:opacity-50"
+                >
+                  {provider.label}
+                </button>
+              ))}
+            </div>
+
+            {error && (
+              <div className="p-3 rounded-xl bg-rose-50 border border-rose-100">
+                <p className="flex items-center gap-1.5 text-xs font-bold text-rose-600"><AlertTriangle size={14}/> {error}</p>
+                {conflictProvider && (
+                  <button
+                    onClick={() => run(() => signInWithExistingProvider(conflictProvider))}
+                    className="mt-2 text-[11px] font-bold text-rose-700 underline"
+                  >
+                    {t('account.switchProvider', { provider: OAUTH_PROVIDERS[conflictProvider].label })}
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AccountModal;
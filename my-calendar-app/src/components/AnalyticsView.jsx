@@ -0,0 +1,245 @@
+import React, { useState, useMemo } from 'react';
+import { ChevronLeft, ChevronRight, Flame, Trophy, CheckCircle2, BarChart3 } from 'lucide-react';
+import { formatDate, addDays } from '../dateUtils';
+import {
+  PRIORITIES,
+  buildDailyStats,
+  groupCompletion,
+  computeStreaks,
+  priorityBreakdown,
+  moodTimeline,
+  moodByActivity,
+  buildHeatmap,
+  rate,
+} from '../analytics';
+import { moodColor } from '../mood';
+
+// Analytics 화면: 기간 선택 + 완료율 / 연속 기록 / 우선순위 / 무드 / 연간 히트맵
+const RANGE_PRESETS = [
+  { id: '7d', days: 7 },
+  { id: '30d', days: 30 },
+  { id: '90d', days: 90 },
+  { id: '1y', days: 365 },
+];
+
+const HEAT_COLORS = ['bg-slate-100', 'bg-indigo-200', 'bg-indigo-300', 'bg-indigo-500', 'bg-indigo-700'];
+const PRIORITY_COLORS = { high: 'bg-rose-500', medium: 'bg-indigo-500', low: 'bg-slate-300' };
+
+const inputClass = 'px-3 py-2 bg-white border border-slate-200 rounded-xl text-xs font-medium focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all';
+
+const Card = ({ title, children, action }) => (
+  <div className="bg-white rounded-[1.5rem] p-5 border border-slate-100 shadow-[0_4px_20px_rgb(0,0,0,0.03)]">
+    <div className="flex items-center justify-between mb-4">
+      <h4 className="text-xs font-bold text-slate-500 uppercase tracking-wider">{title}</h4>
+      {action}
+    </div>
+    {children}
+  </div>
+);
+
+const StatCard = ({ icon, label, value, sub }) => (
+  <div className="bg-white rounded-[1.5rem] p-5 border border-slate-100 shadow-[0_4px_20px_rgb(0,0,0,0.03)] flex items-center gap-4">
+    <div className="w-10 h-10 rounded-xl bg-indigo-50 text-indigo-600 flex items-center justify-center">{icon}</div>
+    <div>
+      <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">{label}</p>
+      <p className="text-xl font-black text-slate-900 tracking-tight">{value}</p>
+      {sub && <p className="text-[10px] font-bold text-slate-400">{sub}</p>}
+    </div>
+  </div>
+);
+
+// moodSettings: { levels, activities } (mood.js normalizeMoodSettings) / i18n: createI18n() 결과
+const AnalyticsView = ({ tasks, notes, moodSettings, i18n }) => {
+  const { t, weekStart } = i18n;
+  const todayStr = formatDate(new Date());
+  const [from, setFrom] = useState(formatDate(addDays(new Date(), -29)));
+  const [to, setTo] = useState(todayStr);
+  const [period, setPeriod] = useState('day');
+  const [heatmapYear, setHeatmapYear] = useState(new Date().getFullYear());
+
+  const applyPreset = (days) => {
+    setFrom(formatDate(addDays(new Date(), -(days - 1))));
+    setTo(todayStr);
+  };
+
+  const dailyStats = useMemo(() => buildDailyStats(tasks, from, to), [tasks, from, to]);
+  const completion = useMemo(() => groupCompletion(dailyStats, period, weekStart), [dailyStats, period, weekStart]);
+  const totals = useMemo(() => Object.values(dailyStats).reduce(
+    (acc, d) => ({ total: acc.total + d.total, done: acc.done + d.done }), { total: 0, done: 0 }
+  ), [dailyStats]);
+  const streaks = useMemo(() => computeStreaks(dailyStats, todayStr), [dailyStats, todayStr]);
+  const priorities = useMemo(() => priorityBreakdown(tasks, from, to), [tasks, from, to]);
+  const { levels, activities } = moodSettings;
+  const moods = useMemo(() => moodTimeline(notes, from, to, levels), [notes, from, to, levels]);
+  const activityMoods = useMemo(() => moodByActivity(notes, from, to, activities), [notes, from, to, activities]);
+  const heatmap = useMemo(() => buildHeatmap(tasks, heatmapYear, weekStart), [tasks, heatmapYear, weekStart]);
+
+  const isValidRange = from && to && from <= to;
+
+  return (
+    <>
+      <header className="px-8 py-6 flex items-center justify-between border-b border-slate-100">
+        <h2 className="text-2xl font-black text-slate-900 tracking-tight">{t('nav.analytics')}</h2>
+        <div className="flex items-center gap-3">
+          <div className="flex bg-slate-100 rounded-xl p-1">
+            {RANGE_PRESETS.map(p => (
+              <button
+                key={p.id}
+                onClick={() => applyPreset(p.days)}
+                className="text-xs font-bold px-3 py-1.5 rounded-lg transition-all text-slate-400 hover:text-slate-600 hover:bg-white"
+              >
+                {t(`analytics.range.${p.id}`)}
+              </button>
+            ))}
+          </div>
+          <input type="date" value={from} max={to} onChange={(e) => e.target.value && setFrom(e.target.value)} className={inputClass} />
+          <span className="text-slate-300 font-bold">–</span>
+          <input type="date" value={to} min={from} onChange={(e) => e.target.value && setTo(e.target.value)} className={inputClass} />
+        </div>
+      </header>
+
+      <div className="flex-1 overflow-y-auto p-8 custom-scrollbar space-y-6 bg-slate-50/50">
+        {!isValidRange ? (
+          <p className="text-center text-xs font-bold text-slate-400 py-20">{t('analytics.invalidRange')}</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 xl:grid-cols-4 gap-4">
+              <StatCard icon={<BarChart3 size={18}/>} label={t('analytics.completion')} value={`${rate(totals.done, totals.total)}%`} sub={`${from} – ${to}`} />
+              <StatCard icon={<CheckCircle2 size={18}/>} label={t('analytics.tasksDone')} value={`${totals.done} / ${totals.total}`} />
+              <StatCard icon={<Flame size={18}/>} label={t('analytics.currentStreak')} value={t('analytics.days', { count: streaks.current })} sub={t('analytics.streakHint')} />
+              <StatCard icon={<Trophy size={18}/>} label={t('analytics.longestStreak')} value={t('analytics.days', { count: streaks.longest })} />
+            </div>
+
+            {/* 완료율 막대 그래프 */}
+            <Card
+              title={t('analytics.completionRate')}
+              action={
+                <div className="flex bg-slate-100 rounded-lg p-0.5">
+                  {['day', 'week', 'month'].map(p => (
+                    <button
+                      key={p}
+                      onClick={() => setPeriod(p)}
+                      className={`text-[10px] font-bold uppercase px-2.5 py-1 rounded-md transition-all ${period === p ? 'bg-white shadow-sm text-indigo-600' : 'text-slate-400 hover:text-slate-600'}`}
+                    >
+                      {t(`analytics.period.${p}`)}
+                    </button>
+                  ))}
+                </div>
+              }
+            >
+              <div className="flex items-end gap-1 h-40 overflow-x-auto custom-scrollbar">
+                {completion.map(g => (
+                  <div key={g.key} className="flex-1 min-w-[6px] h-full flex flex-col justify-end group relative" title={`${g.key}: ${g.rate}% (${g.done}/${g.total})`}>
+                    <div
+                      className={`w-full rounded-t-md transition-all ${g.total === 0 ? 'bg-slate-100' : 'bg-indigo-500 group-hover:bg-indigo-600'}`}
+                      style={{ height: g.total === 0 ? 2 : `${Math.max(g.rate, 2)}%` }}
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="flex justify-between mt-2 text-[9px] font-bold text-slate-300">
+                <span>{completion[0]?.key}</span>
+                <span>{completion[completion.length - 1]?.key}</span>
+              </div>
+            </Card>
+
+            <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+              {/* 우선순위별 */}
+              <Card title={t('analytics.byPriority')}>
+                <div className="space-y-4">
+                  {PRIORITIES.map(p => (
+                    <div key={p}>
+                      <div className="flex justify-between text-[10px] font-bold uppercase mb-1.5">
+                        <span className="text-slate-500">{t(`priority.${p}`)}</span>
+                        <span className="text-slate-400">{priorities[p].done} / {priorities[p].total} · {rate(priorities[p].done, priorities[p].total)}%</span>
+                      </div>
+                      <div className="h-2 w-full bg-slate-100 rounded-full overflow-hidden">
+                        <div className={`h-full rounded-full ${PRIORITY_COLORS[p]}`} style={{ width: `${rate(priorities[p].done, priorities[p].total)}%` }} />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </Card>
+
+              {/* 무드 타임라인 */}
+              <Card title={t('analytics.moodTimeline')}>
+                {moods.length > 0 ? (
+                  <div className="flex items-end gap-1 h-32 overflow-x-auto custom-scrollbar">
+                    {moods.map(m => (
+                      <div
+                        key={m.date}
+                        className="flex flex-col items-center justify-end h-full min-w-[24px]"
+                        title={`${m.date} ${m.emoji} ${m.label} (${m.value}/${levels.length})${m.energy ? ` · ${t('analytics.energy', { value: m.energy })}` : ''}${m.stress ? ` · ${t('analytics.stress', { value: m.stress })}` : ''}`}
+                      >
+                        <span className="text-sm leading-none mb-1">{m.emoji}</span>
+                        <div className={`w-1.5 rounded-full ${moodColor(m.value, levels)}`} style={{ height: `${(m.value / levels.length) * 70}%` }} />
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="h-32 flex items-center justify-center text-[10px] font-black uppercase tracking-[0.2em] text-slate-300">{t('analytics.noMood')}</p>
+                )}
+              </Card>
+
+              {/* 활동별 평균 무드 */}
+              <Card title={t('analytics.moodByActivity')}>
+                {activityMoods.activities.length > 0 ? (
+                  <div className="space-y-3">
+                    {activityMoods.activities.map(a => (
+                      <div key={a.id}>
+                        <div className="flex justify-between text-[10px] font-bold uppercase mb-1.5">
+                          <span className="text-slate-500">{a.emoji} {a.label}</span>
+                          <span className={a.average >= activityMoods.average ? 'text-emerald-500' : 'text-rose-400'}>
+                            {t('analytics.activityAverage', { average: a.average.toFixed(1), days: a.days })}
+                          </span>
+                        </div>
+                        <div className="h-2 w-full bg-slate-100 rounded-full overflow-hidden">
+                          <div className={`h-full rounded-full ${moodColor(Math.round(a.average), levels)}`} style={{ width: `${(a.average / levels.length) * 100}%` }} />
+                        </div>
+                      </div>
+                    ))}
+                    <p className="text-[10px] font-bold text-slate-400">{t('analytics.overallAverage', { average: activityMoods.average.toFixed(1), max: levels.length })}</p>
+                  </div>
+                ) : (
+                  <p className="h-32 flex items-center justify-center text-[10px] font-black uppercase tracking-[0.2em] text-slate-300">{t('analytics.noActivity')}</p>
+                )}
+              </Card>
+            </div>
+          </>
+        )}
+
+        {/* 연간 히트맵 */}
+        <Card
+          title={t('analytics.heatmap', { year: heatmapYear })}
+          action={
+            <div className="flex bg-slate-100 rounded-lg p-0.5">
+              <button onClick={() => setHeatmapYear(heatmapYear - 1)} aria-label={t('calendar.previous')} className="p-1 hover:bg-white rounded-md text-slate-500"><ChevronLeft size={14}/></button>
+              <button onClick={() => setHeatmapYear(heatmapYear + 1)} aria-label={t('calendar.next')} className="p-1 hover:bg-white rounded-md text-slate-500"><ChevronRight size={14}/></button>
+            </div>
+          }
+        >
+          <div className="flex gap-[3px] overflow-x-auto custom-scrollbar pb-1">
+            {heatmap.map((week, i) => (
+              <div key={i} className="flex flex-col gap-[3px]">
+                {week.map((day, j) => (
+                  <div
+                    key={j}
+                    className={`w-3 h-3 rounded-[3px] ${day ? HEAT_COLORS[day.level] : 'bg-transparent'}`}
+                    title={day ? t('analytics.heatmapDay', { date: day.date, done: day.done, total: day.total }) : undefined}
+                  />
+                ))}
+              </div>
+            ))}
+          </div>
+          <div className="flex items-center justify-end gap-1 mt-3 text-[9px] font-bold text-slate-300">
+            <span className="mr-1">{t('analytics.less')}</span>
+            {HEAT_COLORS.map(c => <div key={c} className={`w-3 h-3 rounded-[3px] ${c}`} />)}
+            <span className="ml-1">{t('analytics.more')}</span>
+          </div>
+        </Card>
+      </div>
+    </>
+  );
+};
+
+export default AnalyticsView;
@@ -0,0 +1,158 @@
+import React, { useState, useMemo } from 'react';
+import { X, Download, Upload, AlertTriangle, Loader2 } from 'lucide-react';
+import { validateBackup, planRestore, COLLECTIONS } from '../backup';
+
+// 백업 & 복원 모달
+// current: { tasks, notes, notices, projects, tags, templates, settings } 현재 데이터 (dry-run 비교용)
+// onRestore(plan): 확정된 복원 계획을 실제로 쓰는 함수 (Promise, 실패하면 어느 부분이 실패했는지 담은 Error로 reject)
+// i18n: createI18n() 결과 (검사 오류의 상세 내용은 backup.js가 만든 문구 그대로)
+const BackupModal = ({ current, onClose, onExport, onRestore, i18n }) => {
+  const { t } = i18n;
+  const [fileName, setFileName] = useState('');
+  const [backup, setBackup] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [mode, setMode] = useState('merge');
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [restoreError, setRestoreError] = useState('');
+
+  const plan = useMemo(() => (backup ? planRestore(backup, current, mode) : null), [backup, current, mode]);
+  const hasChanges = plan && COLLECTIONS.some(name => plan[name].add.length || plan[name].update.length || plan[name].remove.length);
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    setFileName(file.name);
+    setBackup(null);
+    try {
+      const result = validateBackup(JSON.parse(await file.text()));
+      setBackup(result.backup);
+      setErrors(result.errors);
+    } catch (error) {
+      setErrors([t('backup.unreadable', { reason: error.message })]);
+    }
+  };
+
+  const restore = async () => {
+    setIsRestoring(true);
+    setRestoreError('');
+    try {
+      await onRestore(plan);
+      onClose();
+    } catch (error) {
+      // 일부만 반영됐을 수 있으므로 모달을 열어 두고 결과를 보여 준다 (바뀐 현재 데이터로 dry run이 다시 계산됨)
+      setRestoreError(error.message);
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/20 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-2xl w-full max-w-md p-6 shadow-2xl animate-in fade-in zoom-in duration-200"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="font-bold text-lg text-slate-800">{t('backup.title')}</h3>
+          <button onClick={onClose} aria-label={t('common.close')} className="text-slate-400 hover:text-slate-600">
+            <X size={20}/>
+          </button>
+        </div>
+
+        <div className="space-y-5">
+          <div>
+            <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">{t('backup.export')}</label>
+            <button
+              onClick={onExport}
+              className="w-full flex items-center justify-center gap-2 py-3 bg-slate-50 hover:bg-slate-100 text-slate-700 rounded-xl font-bold text-sm border border-slate-200 active:scale-[0.98] transition-all"
+            >
+              <Download size={16}/> {t('backup.download')}
+            </button>
+            <p className="text-[10px] text-slate-400 font-medium mt-1.5">
+              {t('backup.summary', {
+                tasks: current.tasks.length,
+                notes: current.notes.length,
+                notices: current.notices.length,
+                categories: current.projects.length + current.tags.length,
+                templates: current.templates.length,
+              })}
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">{t('backup.restore')}</label>
+            <label className="w-full flex items-center justify-center gap-2 py-3 bg-slate-50 hover:bg-slate-100 text-slate-700 rounded-xl font-bold text-sm border border-dashed border-slate-300 cursor-pointer transition-all">
+              <Upload size={16}/> {fileName || t('backup.chooseFile')}
+              <input type="file" accept="application/json,.json" className="hidden" onChange={(e) => { loadFile(e.target.files[0]); e.target.value = ''; }} />
+            </label>
+
+            {errors.length > 0 && (
+              <div className="mt-3 p-3 rounded-xl bg-rose-50 border border-rose-100 max-h-32 overflow-y-auto custom-scrollbar">
+                <p className="flex items-center gap-1.5 text-xs font-bold text-rose-600 mb-1"><AlertTriangle size={14}/> {t('backup.invalid')}</p>
+                {errors.slice(0, 20).map((e, i) => <p key={i} className="text-[10px] text-rose-500 font-medium">{e}</p>)}
+                {errors.length > 20 && <p className="text-[10px] text-rose-400 font-bold">{t('calendar.more', { count: errors.length - 20 })}</p>}
+              </div>
+            )}
+          </div>
+
+          {plan && (
+            <>
+              <div className="flex p-1 bg-slate-50 rounded-xl border border-slate-200">
+                {[['merge', t('backup.merge')], ['replace', t('backup.replace')]].map(([key, label]) => (
+                  <button
+                    key={key}
+                    onClick={() => setMode(key)}
+                    className={`flex-1 py-2 rounded-lg text-xs font-bold transition-all ${mode === key ? 'bg-white text-indigo-600 shadow-sm ring-1 ring-indigo-200' : 'text-slate-400 hover:text-slate-600'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              {/* Dry-run 요약 */}
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-[10px] font-bold text-slate-400 uppercase">
+                    <th className="text-left py-1">{t('backup.dryRun')}</th>
+                    <th className="py-1">{t('backup.add')}</th>
+                    <th className="py-1">{t('backup.update')}</th>
+                    <th className="py-1">{t('backup.skip')}</th>
+                    {mode === 'replace' && <th className="py-1">{t('common.delete')}</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {COLLECTIONS.map(name => (
+                    <tr key={name} className="border-t border-slate-100 text-center font-bold text-slate-600">
+                      <td className="text-left py-2">{t(`backup.collection.${name}`)}</td>
+                      <td className="text-emerald-600">{plan[name].add.length}</td>
+                      <td className="text-indigo-600">{plan[name].update.length}</td>
+                      <td className="text-slate-400">{plan[name].skip.length}</td>
+                      {mode === 'replace' && <td className="text-rose-500">{plan[name].remove.length}</td>}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {restoreError && (
+                <p role="alert" className="flex items-start gap-1.5 p-3 rounded-xl bg-rose-50 border border-rose-100 text-xs font-bold text-rose-600">
+                  <AlertTriangle size={14} className="shrink-0"/> {restoreError}
+                </p>
+              )}
+
+              <button
+                onClick={restore}
+                disabled={!hasChanges || isRestoring}
+                className={`w-full flex items-center justify-center gap-2 py-3.5 text-white rounded-xl font-bold text-sm shadow-lg active:scale-[0.98] transition-all disabled:opacity-50 disabled:cursor-not-allowed
+                  ${mode === 'replace' ? 'bg-rose-500 hover:bg-rose-600 shadow-rose-100' : 'bg-indigo-600 hover:bg-indigo-700 shadow-indigo-200'}`}
+              >
+                {isRestoring && <Loader2 size={16} className="animate-spin"/>}
+                {hasChanges ? (mode === 'replace' ? t('backup.replaceButton') : t('backup.mergeButton')) : t('backup.nothing')}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BackupModal;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { Plus, Settings, Users, Check, X, Eye } from 'lucide-react';
+import { colorOf, DEFAULT_COLOR } from '../categories';
+import { PERSONAL_CALENDAR_ID } from '../calendars';
+import { ColorPicker } from './SettingsView';
+
+// 사이드바 캘린더 목록: 체크박스로 겹쳐 보기, 이름을 누르면 새 항목 / 일기를 쓸 캘린더로 선택
+// calendars: [{ id, name, color, role }] (개인 캘린더가 맨 앞, role은 내 역할)
+// onToggle(id) / onActivate(id) / onCreate({ name, color }) / onManage(calendar)
+// invites: 아직 수락하지 않은 내 이메일 초대 / onJoin(invite) / onDecline(invite) / i18n: createI18n() 결과
+const CalendarList = ({ calendars, hiddenIds, activeId, onToggle, onActivate, onCreate, onManage, invites, onJoin, onDecline, i18n }) => {
+  const { t } = i18n;
+  const [isAdding, setIsAdding] = useState(false);
+  const [name, setName] = useState('');
+  const [color, setColor] = useState(DEFAULT_COLOR);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onCreate({ name: name.trim(), color });
+    setName('');
+    setColor(DEFAULT_COLOR);
+    setIsAdding(false);
+  };
+
+  return (
+    <div className="hidden lg:block pt-4 mt-4 border-t border-slate-100">
+      <div className="flex items-center justify-between px-3 mb-2">
+        <span className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">{t('calendars.title')}</span>
+        <button onClick={() => setIsAdding(!isAdding)} aria-label={t('calendars.new')} className="p-1 text-slate-300 hover:text-indigo-500 rounded-lg">
+          <Plus size={14}/>
+        </button>
+      </div>
+
+      <ul className="space-y-0.5">
+        {calendars.map(calendar => {
+          const isActive = calendar.id === activeId;
+          return (
+            <li key={calendar.id} className={`group flex items-center gap-2 px-3 py-1.5 rounded-xl transition-all ${isActive ? 'bg-slate-50' : 'hover:bg-slate-50'}`}>
+              <input
+                type="checkbox"
+                checked={!hiddenIds.includes(calendar.id)}
+                onChange={() => onToggle(calendar.id)}
+                aria-label={t('calendars.show', { name: calendar.name })}
+                className="shrink-0 accent-indigo-600"
+              />
+              <span className={`shrink-0 w-2 h-2 rounded-full ${colorOf(calendar).dot}`} />
+              <button
+                onClick={() => onActivate(calendar.id)}
+                aria-pressed={isActive}
+                title={t(isActive ? 'calendars.active' : 'calendars.activate')}
+                className={`flex-1 min-w-0 text-left text-xs truncate ${isActive ? 'font-bold text-indigo-700' : 'font-medium text-slate-500'}`}
+              >
+                {calendar.name}
+              </button>
+              {calendar.role === 'viewer' && <Eye size={11} title={t('common.viewOnly')} className="shrink-0 text-slate-300"/>}
+              {calendar.id !== PERSONAL_CALENDAR_ID && (
+                <button
+                  onClick={() => onManage(calendar)}
+                  title={t('calendars.manageHint', { role: t(`role.${calendar.role}`) })}
+                  aria-label={t('calendars.manage', { name: calendar.name })}
+                  className="shrink-0 p-0.5 text-slate-300 opacity-0 group-hover:opacity-100 hover:text-indigo-500 transition-opacity"
+                >
+                  {calendar.role === 'owner' ? <Settings size={12}/> : <Users size={12}/>}
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {isAdding && (
+        <form onSubmit={submit} className="mt-2 mx-1 p-2 rounded-xl bg-slate-50 border border-slate-100 space-y-2">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={t('calendars.name')}
+            autoFocus
+            className="w-full px-2 py-1.5 bg-white border border-slate-200 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500"
+          />
+          <div className="flex items-center justify-between">
+            <ColorPicker value={color} onChange={setColor} i18n={i18n} />
+            <button type="submit" disabled={!name.trim()} aria-label={t('calendars.create')} className="px-2 py-1 bg-indigo-600 text-white text-[10px] font-bold rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+              {t('calendars.createButton')}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {invites.length > 0 && (
+        <div className="mt-3 space-y-1.5">
+          <span className="px-3 text-[10px] font-bold text-amber-500 uppercase tracking-wider">{t('calendars.invitations')}</span>
+          {invites.map(invite => (
+            <div key={invite.id} className="mx-1 flex items-center gap-2 px-2 py-1.5 rounded-xl bg-amber-50/60 border border-amber-100">
+              <div className="flex-1 min-w-0">
+                <p className="text-xs font-bold text-slate-700 truncate">{invite.calendarName}</p>
+                <p className="text-[10px] font-bold text-slate-400">{t(`role.${invite.role}`)}</p>
+              </div>
+              <button onClick={() => onJoin(invite)} aria-label={t('calendars.join', { name: invite.calendarName })} className="p-1 text-emerald-500 hover:bg-emerald-50 rounded-lg"><Check size={14}/></button>
+              <button onClick={() => onDecline(invite)} aria-label={t('calendars.decline', { name: invite.calendarName })} className="p-1 text-slate-300 hover:text-rose-500 rounded-lg"><X size={14}/></button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalendarList;
@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import { X, Link2, Mail, Trash2, LogOut, Copy, Check, UserPlus } from 'lucide-react';
+import { INVITE_ROLES, canManage, memberList, inviteLink } from '../calendars';
+import { ColorPicker } from './SettingsView';
+
+// 공유 캘린더 설정: 이름 / 색, 멤버 역할, 초대(링크 / 이메일), 나가기 / 삭제
+// owner만 바꿀 수 있고 editor / viewer는 멤버 목록을 보고 나갈 수만 있다
+// sharing: storage.sharing(user) / onWrite(promise, labelKey): App의 trackWrite (실패하면 알림) / i18n: createI18n() 결과
+// 로컬 저장소 모드에서는 다른 사람이 접속할 수 없으므로 초대 대신 안내를 보여준다
+const inputClass = 'px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all';
+
+const CalendarSettingsModal = ({ calendar, user, sharing, onWrite, onClose, i18n }) => {
+  const { t } = i18n;
+  const [name, setName] = useState(calendar.name);
+  const [invites, setInvites] = useState([]);
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [copiedId, setCopiedId] = useState(null);
+
+  const isOwner = canManage(calendar.role);
+  const isLocal = Boolean(user.isLocal);
+
+  useEffect(() => {
+    if (!isOwner || isLocal) return;
+    const unsubscribe = sharing.subscribeInvites(
+      calendar.id,
+      (items) => setInvites(items.sort((a, b) => a.createdAt.localeCompare(b.createdAt))),
+      (error) => console.error("Invite Error:", error)
+    );
+    return () => unsubscribe();
+  }, [sharing, calendar.id, isOwner, isLocal]);
+
+  const commitName = () => {
+    if (name.trim() && name.trim() !== calendar.name) onWrite(sharing.updateCalendar(calendar.id, { name: name.trim() }), 'write.calendarSave');
+    else setName(calendar.name);
+  };
+
+  const copyLink = async (invite) => {
+    try {
+      await navigator.clipboard.writeText(inviteLink(invite.id, window.location.href));
+      setCopiedId(invite.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (error) {
+      console.error("Clipboard Error:", error);
+    }
+  };
+
+  const createInvite = async (e) => {
+    e.preventDefault();
+    try {
+      const id = await onWrite(sharing.createInvite(calendar, { role: inviteRole, email: inviteEmail }), 'write.invite');
+      if (inviteEmail.trim()) {
+        // 같은 앱을 쓰는 사람이면 사이드바에도 초대가 보이지만, 메일로도 링크를 보낼 수 있게 한다
+        const subject = encodeURIComponent(t('calendarSettings.mailSubject', { name: calendar.name }));
+        const body = encodeURIComponent(t('calendarSettings.mailBody', { name: calendar.name, role: t(`role.${inviteRole}`), link: inviteLink(id, window.location.href) }));
+        window.open(`mailto:${inviteEmail.trim()}?subject=${subject}&body=${body}`, '_blank');
+      }
+      setInviteEmail('');
+    } catch (error) {
+      console.error("Invite Error:", error);
+    }
+  };
+
+  const leave = () => {
+    if (!window.confirm(t('calendarSettings.confirmLeave', { name: calendar.name }))) return;
+    onWrite(sharing.removeMember(calendar.id, user.uid), 'write.leaveCalendar');
+    onClose();
+  };
+
+  const remove = () => {
+    if (!window.confirm(t('calendarSettings.confirmDelete', { name: calendar.name }))) return;
+    onWrite(sharing.deleteCalendar(calendar.id), 'write.calendarDelete');
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/20 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-label={t('calendarSettings.label', { name: calendar.name })}
+        className="bg-white rounded-2xl w-full max-w-md p-6 shadow-2xl animate-in fade-in zoom-in duration-200 max-h-[90vh] overflow-y-auto custom-scrollbar"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="font-bold text-lg text-slate-800">{t('common.calendar')}</h3>
+          <button onClick={onClose} aria-label={t('common.close')} className="text-slate-400 hover:text-slate-600">
+            <X size={20}/>
+          </button>
+        </div>
+
+        <div className="space-y-5">
+          {isOwner ? (
+            <div className="flex items-center gap-3">
+              <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                onBlur={commitName}
+                onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                aria-label={t('calendars.name')}
+                className={`flex-1 min-w-0 ${inputClass}`}
+              />
+              <ColorPicker value={calendar.color} onChange={(color) => onWrite(sharing.updateCalendar(calendar.id, { color }), 'write.calendarSave')} i18n={i18n} />
+            </div>
+          ) : (
+            <p className="text-sm font-bold text-slate-700">{calendar.name} <span className="text-[10px] text-slate-400 uppercase">· {t(`role.${calendar.role}`)}</span></p>
+          )}
+
+          <div>
+            <label className="text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-2 block">{t('calendarSettings.members')}</label>
+            <ul className="space-y-1">
+              {memberList(calendar).map(member => (
+                <li key={member.uid} className="flex items-center gap-2 px-3 py-2 rounded-xl bg-slate-50 border border-slate-100">
+                  <span className="flex-1 min-w-0 text-xs font-bold text-slate-700 truncate">
+                    {member.name}{member.uid === user.uid && <span className="text-slate-400"> {t('calendarSettings.you')}</span>}
+                  </span>
+                  {isOwner && member.role !== 'owner' ? (
+                    <>
+                      <select
+                        value={member.role}
+                        onChange={(e) => onWrite(sharing.setMemberRole(calendar.id, member.uid, e.target.value), 'write.memberUpdate')}
+                        aria-label={t('calendarSettings.roleOf', { name: member.name })}
+                        className="py-1 px-2 rounded-lg bg-white border border-slate-200 text-[11px] font-bold text-slate-600 focus:outline-none"
+                      >
+                        {INVITE_ROLES.map(role => <option key={role} value={role}>{t(`role.${role}`)}</option>)}
+                      </select>
+                      <button
+                        onClick={() => onWrite(sharing.removeMember(calendar.id, member.uid), 'write.memberUpdate')}
+                        aria-label={t('calendarSettings.remove', { name: member.name })}
+                        className="p-1 text-slate-300 hover:text-rose-500 rounded-lg"
+                      >
+                        <X size={14}/>
+                      </button>
+                    </>
+                  ) : (
+                    <span className="text-[10px] font-bold text-slate-400 uppercase">{t(`role.${member.role}`)}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {isOwner && (isLocal ? (
+            <p className="text-[11px] text-slate-500 leading-relaxed">
+              {t('calendarSettings.localHint')}
+            </p>
+          ) : (
+            <div>
+              <label className="text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-2 block">{t('calendarSettings.invite')}</label>
+              <form onSubmit={createInvite} className="flex items-center gap-2">
+                <input
+                  type="email"
+                  value={inviteEmail}
+                  onChange={(e) => setInviteEmail(e.target.value)}
+                  placeholder={t('calendarSettings.emailPlaceholder')}
+                  aria-label={t('calendarSettings.inviteEmail')}
+                  className={`flex-1 min-w-0 ${inputClass}`}
+                />
+                <select
+                  value={inviteRole}
+                  onChange={(e) => setInviteRole(e.target.value)}
+                  aria-label={t('calendarSettings.inviteRole')}
+                  className="py-2 px-2 rounded-lg bg-slate-50 border border-slate-200 text-xs font-bold text-slate-600 focus:outline-none"
+                >
+                  {INVITE_ROLES.map(role => <option key={role} value={role}>{t(`role.${role}`)}</option>)}
+                </select>
+                <button type="submit" aria-label={t('calendarSettings.createInvite')} className="flex items-center gap-1 px-3 py-2 bg-indigo-600 text-white text-xs font-bold rounded-lg hover:bg-indigo-700 active:scale-95 transition-all">
+                  <UserPlus size={12}/>
+                </button>
+              </form>
+              {invites.length > 0 && (
+                <ul className="mt-2 space-y-1">
+                  {invites.map(invite => (
+                    <li key={invite.id} className="flex items-center gap-2 px-3 py-2 rounded-xl border border-slate-100">
+                      {invite.email ? <Mail size={12} className="shrink-0 text-slate-400"/> : <Link2 size={12} className="shrink-0 text-slate-400"/>}
+                      <span className="flex-1 min-w-0 text-xs text-slate-600 truncate">{invite.email || t('calendarSettings.anyone')}</span>
+                      <span className="text-[10px] font-bold text-slate-400 uppercase">{t(`role.${invite.role}`)}</span>
+                      <button onClick={() => copyLink(invite)} title={t('calendarSettings.copyLink')} aria-label={t('calendarSettings.copyLink')} className="p-1 text-slate-300 hover:text-indigo-500 rounded-lg">
+                        {copiedId === invite.id ? <Check size={12} className="text-emerald-500"/> : <Copy size={12}/>}
+                      </button>
+                      <button onClick={() => onWrite(sharing.deleteInvite(invite.id), 'write.invite')} title={t('calendarSettings.revoke')} aria-label={t('calendarSettings.revokeInvite')} className="p-1 text-slate-300 hover:text-rose-500 rounded-lg">
+                        <X size={12}/>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+
+          <div className="pt-4 border-t border-slate-100 flex justify-end">
+            {isOwner ? (
+              <button onClick={remove} className="flex items-center gap-1.5 px-3 py-2 rounded-lg text-xs font-bold text-rose-500 hover:bg-rose-50 transition-all">
+                <Trash2 size={14}/> {t('calendarSettings.delete')}
+              </button>
+            ) : (
+              <button onClick={leave} className="flex items-center gap-1.5 px-3 py-2 rounded-lg text-xs font-bold text-slate-500 hover:bg-slate-50 transition-all">
+                <LogOut size={14}/> {t('calendarSettings.leave')}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarSettingsModal;
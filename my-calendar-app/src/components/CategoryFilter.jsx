@@ -0,0 +1,51 @@
+import React from 'react';
+import { Folder, Tag, X } from 'lucide-react';
+import { colorOf, isFilterActive, sortByName, toggleId, EMPTY_FILTER } from '../categories';
+
+// 캘린더 / 할 일 목록 필터 (프로젝트, 태그). filter: { projectIds, tagIds } / i18n: createI18n() 결과
+const FilterChip = ({ item, active, onClick }) => (
+  <button
+    onClick={onClick}
+    aria-pressed={active}
+    className={`flex items-center gap-1.5 px-2.5 py-1 rounded-lg text-[11px] font-bold border transition-all
+      ${active ? colorOf(item).chip : 'bg-white border-slate-200 text-slate-400 hover:text-slate-600'}`}
+  >
+    <span className={`w-1.5 h-1.5 rounded-full ${colorOf(item).dot}`} />
+    {item.name}
+  </button>
+);
+
+const CategoryFilter = ({ projects, tags, filter, onChange, i18n }) => {
+  const { t } = i18n;
+  if (projects.length === 0 && tags.length === 0) return null;
+
+  return (
+    <div className="px-8 py-3 flex items-center gap-2 flex-wrap border-b border-slate-100">
+      {projects.length > 0 && <Folder size={14} className="text-slate-300"/>}
+      {sortByName(projects).map(p => (
+        <FilterChip
+          key={p.id}
+          item={p}
+          active={filter.projectIds.includes(p.id)}
+          onClick={() => onChange({ ...filter, projectIds: toggleId(filter.projectIds, p.id) })}
+        />
+      ))}
+      {tags.length > 0 && <Tag size={14} className={`text-slate-300 ${projects.length > 0 ? 'ml-3' : ''}`}/>}
+      {sortByName(tags).map(tag => (
+        <FilterChip
+          key={tag.id}
+          item={tag}
+          active={filter.tagIds.includes(tag.id)}
+          onClick={() => onChange({ ...filter, tagIds: toggleId(filter.tagIds, tag.id) })}
+        />
+      ))}
+      {isFilterActive(filter) && (
+        <button onClick={() => onChange(EMPTY_FILTER)} className="ml-auto flex items-center gap-1 text-[11px] font-bold text-slate-400 hover:text-slate-600">
+          <X size={12}/> {t('filter.clear')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CategoryFilter;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { SLIDER_MAX } from '../mood';
+
+// 일기 탭 하단의 하루 체크인: 무드(설정한 척도) / 에너지·스트레스 슬라이더(선택) / 활동 태그
+// value: mood.js 체크인 / onChange(새 체크인) / settings: { levels, activities } / i18n: createI18n() 결과
+const Slider = ({ label, clearLabel, value, onChange }) => (
+  <div className="flex items-center gap-3">
+    <span className="w-12 text-[10px] font-bold text-slate-400 uppercase">{label}</span>
+    <input
+      type="range"
+      min={1}
+      max={SLIDER_MAX}
+      value={value || Math.ceil(SLIDER_MAX / 2)}
+      onChange={(e) => onChange(Number(e.target.value))}
+      aria-label={label}
+      className={`flex-1 accent-indigo-500 ${value ? '' : 'opacity-30'}`}
+    />
+    <span className="w-8 text-right text-[10px] font-bold text-slate-500">{value ? `${value}/${SLIDER_MAX}` : '—'}</span>
+    <button
+      onClick={() => onChange(null)}
+      aria-label={clearLabel}
+      className={`text-slate-300 hover:text-slate-500 ${value ? '' : 'invisible'}`}
+    >
+      <X size={12}/>
+    </button>
+  </div>
+);
+
+const CheckInPanel = ({ value, onChange, settings, i18n }) => {
+  const { t } = i18n;
+  const update = (patch) => onChange({ ...value, ...patch });
+  const toggleActivity = (id) => update({
+    activities: value.activities.includes(id) ? value.activities.filter(x => x !== id) : [...value.activities, id],
+  });
+
+  return (
+    <div className="mt-4 p-4 rounded-2xl bg-white border border-slate-100 shadow-sm space-y-4">
+      <div>
+        <h4 className="text-[10px] font-bold text-slate-400 uppercase mb-3 text-center">{t('checkIn.mood')}</h4>
+        <div className="flex justify-between gap-2">
+          {settings.levels.map(level => (
+            <button
+              key={level.value}
+              onClick={() => update({ mood: value.mood === level.value ? null : level.value })}
+              title={`${level.label} (${level.value}/${settings.levels.length})`}
+              aria-label={level.label}
+              aria-pressed={value.mood === level.value}
+              className={`flex-1 py-2 text-xl rounded-xl transition-all border
+                ${value.mood === level.value
+                  ? 'bg-indigo-50 border-indigo-200 shadow-sm ring-1 ring-indigo-200 scale-105'
+                  : 'border-transparent hover:bg-slate-50 hover:border-slate-100'}`}
+            >
+              {level.emoji}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <Slider label={t('checkIn.energy')} clearLabel={t('checkIn.clearEnergy')} value={value.energy} onChange={(energy) => update({ energy })} />
+        <Slider label={t('checkIn.stress')} clearLabel={t('checkIn.clearStress')} value={value.stress} onChange={(stress) => update({ stress })} />
+      </div>
+
+      {settings.activities.length > 0 && (
+        <div className="flex flex-wrap gap-1.5">
+          {settings.activities.map(activity => (
+            <button
+              key={activity.id}
+              onClick={() => toggleActivity(activity.id)}
+              aria-pressed={value.activities.includes(activity.id)}
+              className={`px-2.5 py-1 rounded-full text-[11px] font-bold transition-all
+                ${value.activities.includes(activity.id) ? 'bg-indigo-100 text-indigo-700' : 'bg-slate-50 text-slate-400 hover:bg-slate-100'}`}
+            >
+              {activity.emoji} {activity.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CheckInPanel;
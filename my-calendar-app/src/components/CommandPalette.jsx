@@ -0,0 +1,89 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Search, CornerDownLeft } from 'lucide-react';
+
+// 명령 팔레트 (Ctrl+K): 입력해서 명령을 고르고 ↑ / ↓ / Enter로 실행, Esc로 닫기
+// commandsFor(query): 입력에 맞는 명령 [{ id, label, hint, icon, run }] (날짜 / 검색처럼 입력에 따라 생기는 명령 포함)
+// 명령을 실행하면 팔레트를 닫는다 (run에서 다른 모달을 열 수 있도록 닫기가 먼저) / i18n: createI18n() 결과
+const CommandPalette = ({ commandsFor, onClose, i18n }) => {
+  const { t } = i18n;
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
+  const commands = commandsFor(query);
+  const index = Math.min(activeIndex, commands.length - 1);
+
+  useEffect(() => {
+    const active = listRef.current && listRef.current.children[index];
+    if (active && active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+  }, [index]);
+
+  const run = (command) => {
+    onClose();
+    command.run();
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((index + step + commands.length) % Math.max(commands.length, 1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (commands[index]) run(commands[index]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/20 backdrop-blur-sm z-50 flex items-start justify-center p-4 pt-[15vh]" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-label={t('palette.title')}
+        className="bg-white rounded-2xl w-full max-w-lg shadow-2xl animate-in fade-in zoom-in duration-200 overflow-hidden"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="flex items-center gap-3 px-5 py-4 border-b border-slate-100">
+          <Search size={16} className="text-slate-400"/>
+          <input
+            value={query}
+            onChange={(e) => { setQuery(e.target.value); setActiveIndex(0); }}
+            onKeyDown={onKeyDown}
+            placeholder={t('palette.placeholder')}
+            aria-label={t('palette.input')}
+            aria-activedescendant={commands[index] ? `command-${commands[index].id}` : undefined}
+            autoFocus
+            className="flex-1 text-sm font-medium bg-transparent outline-none placeholder:text-slate-300"
+          />
+          <kbd className="px-1.5 py-0.5 rounded border border-slate-200 text-[10px] font-bold text-slate-400">Esc</kbd>
+        </div>
+
+        {commands.length > 0 ? (
+          <ul ref={listRef} role="listbox" aria-label={t('palette.commands')} className="max-h-80 overflow-y-auto custom-scrollbar p-2">
+            {commands.map((command, i) => (
+              <li
+                key={command.id}
+                id={`command-${command.id}`}
+                role="option"
+                aria-selected={i === index}
+                onClick={() => run(command)}
+                onMouseMove={() => i !== index && setActiveIndex(i)}
+                className={`flex items-center gap-3 px-3 py-2.5 rounded-xl cursor-pointer text-sm ${i === index ? 'bg-indigo-50 text-indigo-700' : 'text-slate-600'}`}
+              >
+                <span className={i === index ? 'text-indigo-500' : 'text-slate-400'}>{command.icon}</span>
+                <span className="flex-1 min-w-0 truncate font-medium">{command.label}</span>
+                {command.hint && <kbd className="px-1.5 py-0.5 rounded border border-slate-200 bg-white text-[10px] font-bold text-slate-400">{command.hint}</kbd>}
+                {i === index && <CornerDownLeft size={12} className="text-indigo-400"/>}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <div className="py-10 text-center text-slate-300 text-[10px] font-bold uppercase tracking-widest">{t('palette.empty')}</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { parseMarkdown } from '../markdown';
+
+// 일기 미리보기 (markdown.js 트리를 그대로 그린다)
+// onToggleCheckbox(line): 체크박스를 누르면 원문 줄 번호로 알려준다 (없으면 읽기 전용)
+const Inline = ({ nodes }) => nodes.map((node, i) => {
+  if (node.type === 'code') return <code key={i} className="px-1 py-0.5 rounded bg-slate-100 text-[0.85em] font-mono text-rose-600">{node.text}</code>;
+  if (node.type === 'strong') return <strong key={i} className="font-bold text-slate-800"><Inline nodes={node.children}/></strong>;
+  if (node.type === 'em') return <em key={i}><Inline nodes={node.children}/></em>;
+  if (node.type === 'link') {
+    return (
+      <a key={i} href={node.href} target="_blank" rel="noopener noreferrer" className="text-indigo-600 underline underline-offset-2 hover:text-indigo-800">
+        <Inline nodes={node.children}/>
+      </a>
+    );
+  }
+  return <React.Fragment key={i}>{node.text}</React.Fragment>;
+});
+
+const HEADING_CLASSES = {
+  1: 'text-lg font-black text-slate-900',
+  2: 'text-base font-bold text-slate-800',
+  3: 'text-sm font-bold text-slate-800',
+};
+
+const MarkdownView = ({ source, onToggleCheckbox }) => (
+  <div className="space-y-3 text-sm text-slate-700 leading-relaxed break-words">
+    {parseMarkdown(source).map((block, i) => {
+      if (block.type === 'heading') {
+        const Tag = `h${block.level}`;
+        return <Tag key={i} className={HEADING_CLASSES[block.level]}><Inline nodes={block.children}/></Tag>;
+      }
+      if (block.type === 'hr') return <hr key={i} className="border-amber-200/60"/>;
+      if (block.type === 'code') {
+        return <pre key={i} className="p-3 rounded-xl bg-slate-800 text-slate-100 text-xs font-mono overflow-x-auto"><code>{block.text}</code></pre>;
+      }
+      if (block.type === 'quote') {
+        return (
+          <blockquote key={i} className="pl-3 border-l-4 border-amber-200 text-slate-500 italic">
+            {block.lines.map((line, j) => <React.Fragment key={j}>{j > 0 && <br/>}<Inline nodes={line}/></React.Fragment>)}
+          </blockquote>
+        );
+      }
+      if (block.type === 'list') {
+        const List = block.ordered ? 'ol' : 'ul';
+        const isChecklist = block.items.every(item => item.checked !== null);
+        return (
+          <List key={i} className={`space-y-1 ${isChecklist ? '' : block.ordered ? 'list-decimal pl-5' : 'list-disc pl-5'}`}>
+            {block.items.map(item => (
+              <li key={item.line} className={item.checked !== null ? 'flex items-start gap-2' : ''}>
+                {item.checked !== null && (
+                  <input
+                    type="checkbox"
+                    checked={item.checked}
+                    disabled={!onToggleCheckbox}
+                    onChange={() => onToggleCheckbox(item.line)}
+                    className="mt-1 accent-amber-500"
+                  />
+                )}
+                <span className={item.checked ? 'line-through text-slate-400' : ''}><Inline nodes={item.children}/></span>
+              </li>
+            ))}
+          </List>
+        );
+      }
+      return (
+        <p key={i}>
+          {block.lines.map((line, j) => <React.Fragment key={j}>{j > 0 && <br/>}<Inline nodes={line}/></React.Fragment>)}
+        </p>
+      );
+    })}
+  </div>
+);
+
+export default MarkdownView;
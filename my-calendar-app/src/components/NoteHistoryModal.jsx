@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { X, RotateCcw, History } from 'lucide-react';
+import { diffLines } from '../journalHistory';
+import { checkInOf, moodEmoji } from '../mood';
+
+// 일기 버전 기록 모달
+// revisions: 노트 문서의 revisions (오래된 순) / current: 지금 편집 중인 { content, checkIn } / levels: 무드 척도
+// onRestore(revision): 고른 버전으로 편집기 내용을 되돌린다 (저장은 자동 저장이 처리) / i18n: createI18n() 결과
+const DIFF_CLASSES = {
+  add: 'bg-emerald-50 text-emerald-700',
+  remove: 'bg-rose-50 text-rose-600 line-through',
+  same: 'text-slate-500',
+};
+
+const formatSavedAt = (iso, locale) => new Date(iso).toLocaleString(locale, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+const NoteHistoryModal = ({ dateStr, revisions, current, levels, onRestore, onClose, i18n }) => {
+  const { t } = i18n;
+  const newestFirst = [...revisions].reverse();
+  const [selected, setSelected] = useState(newestFirst[0] || null);
+  const emojiOf = (revision) => moodEmoji(checkInOf(revision).mood, levels);
+  const selectedMood = selected ? emojiOf(selected) : '';
+  const currentMood = moodEmoji(current.checkIn.mood, levels);
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/20 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-2xl w-full max-w-2xl p-6 shadow-2xl animate-in fade-in zoom-in duration-200"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="flex items-center gap-2 font-bold text-lg text-slate-800"><History size={18} className="text-amber-500"/> {t('noteHistory.title', { date: dateStr })}</h3>
+          <button onClick={onClose} aria-label={t('noteHistory.close')} className="text-slate-400 hover:text-slate-600">
+            <X size={20}/>
+          </button>
+        </div>
+
+        {newestFirst.length === 0 ? (
+          <p className="py-10 text-center text-[10px] font-bold text-slate-300 uppercase tracking-widest">{t('noteHistory.empty')}</p>
+        ) : (
+          <div className="flex gap-4 h-80">
+            <ul className="w-44 shrink-0 overflow-y-auto custom-scrollbar space-y-1">
+              {newestFirst.map(revision => (
+                <li key={revision.savedAt}>
+                  <button
+                    onClick={() => setSelected(revision)}
+                    aria-pressed={selected === revision}
+                    className={`w-full text-left px-3 py-2 rounded-xl text-xs transition-all ${selected === revision ? 'bg-amber-50 text-amber-800 ring-1 ring-amber-200' : 'text-slate-500 hover:bg-slate-50'}`}
+                  >
+                    <span className="font-bold">{formatSavedAt(revision.savedAt, i18n.locale)}</span> {emojiOf(revision)}
+                    <span className="block truncate text-[10px] text-slate-400">{revision.content.split('\n')[0] || t('noteHistory.emptyVersion')}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            {selected && (
+              <div className="flex-1 min-w-0 flex flex-col">
+                <p className="text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-2">
+                  {t('noteHistory.changes')}
+                  {selectedMood !== currentMood && <span className="normal-case"> · {t('noteHistory.moodChange', { from: selectedMood || '—', to: currentMood || '—' })}</span>}
+                </p>
+                <pre className="flex-1 overflow-auto custom-scrollbar rounded-xl border border-slate-100 bg-slate-50/50 p-3 text-xs font-mono whitespace-pre-wrap">
+                  {diffLines(selected.content, current.content).map((line, i) => (
+                    <div key={i} className={`px-1 rounded ${DIFF_CLASSES[line.type]}`}>
+                      {line.type === 'add' ? '+ ' : line.type === 'remove' ? '- ' : '  '}{line.text}
+                    </div>
+                  ))}
+                </pre>
+                <button
+                  onClick={() => onRestore(selected)}
+                  className="mt-3 flex items-center justify-center gap-2 py-2.5 bg-amber-500 hover:bg-amber-600 text-white rounded-xl font-bold text-sm active:scale-[0.98] transition-all"
+                >
+                  <RotateCcw size={14}/> {t('noteHistory.restore')}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NoteHistoryModal;
@@ -0,0 +1,71 @@
+import React, { useState, useMemo } from 'react';
+import { Sparkles, CalendarDays, Clock, Flag, Tag, Repeat, CornerDownLeft } from 'lucide-react';
+import { parseQuickAdd, describeQuickDate } from '../quickAdd';
+import { describeRule } from '../recurrence';
+import { colorOf } from '../categories';
+
+// 빠른 추가 입력줄: 입력하는 동안 알아본 날짜 / 시간 / 중요도 / 태그 / 반복을 미리 보여주고 Enter로 저장
+// tags: 내 태그 (#이름으로 찾음) / defaultDate: 날짜를 쓰지 않았을 때 (선택한 날짜)
+// onAdd(parsed): parseQuickAdd() 결과 (태그는 이름, App이 id로 바꾸거나 새로 만든다) / i18n: createI18n() 결과
+const PRIORITY_CLASSES = {
+  high: 'bg-rose-50 text-rose-600',
+  medium: 'bg-indigo-50 text-indigo-600',
+  low: 'bg-slate-100 text-slate-500',
+};
+
+const Chip = ({ icon, className = 'bg-slate-100 text-slate-600', children }) => (
+  <span className={`inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-[10px] font-bold ${className}`}>{icon}{children}</span>
+);
+
+const QuickAdd = ({ tags, defaultDate, onAdd, i18n }) => {
+  const { t } = i18n;
+  const [input, setInput] = useState('');
+  const parsed = useMemo(() => parseQuickAdd(input, { defaultDate }), [input, defaultDate]);
+  const tagOf = (name) => tags.find(tag => tag.name.toLowerCase() === name.toLowerCase()) || null;
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!parsed.text) return;
+    onAdd(parsed);
+    setInput('');
+  };
+
+  return (
+    <form onSubmit={submit} className="px-4 py-3 border-b border-slate-50">
+      <div className="relative">
+        <Sparkles size={14} className="absolute left-3 top-1/2 -translate-y-1/2 text-indigo-400"/>
+        <input
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={(e) => e.key === 'Escape' && setInput('')}
+          placeholder={t('quickAdd.placeholder')}
+          title={t('quickAdd.hint')}
+          aria-label={t('quickAdd.label')}
+          className="w-full pl-9 pr-9 py-2 bg-slate-50 border border-slate-200 rounded-xl text-xs font-medium focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all"
+        />
+        {parsed.text && (
+          <button type="submit" aria-label={t('quickAdd.submit')} className="absolute right-2 top-1/2 -translate-y-1/2 p-1 text-indigo-500 hover:bg-indigo-50 rounded-lg">
+            <CornerDownLeft size={12}/>
+          </button>
+        )}
+      </div>
+
+      {input.trim() && (
+        <div aria-label={t('quickAdd.preview')} className="mt-2 flex flex-wrap items-center gap-1.5">
+          <span className={`text-xs font-bold truncate max-w-full ${parsed.text ? 'text-slate-700' : 'text-slate-300'}`}>{parsed.text || t('quickAdd.noTitle')}</span>
+          <Chip icon={<CalendarDays size={10}/>}>{describeQuickDate(parsed.date, i18n.locale)}</Chip>
+          {parsed.startTime && <Chip icon={<Clock size={10}/>}>{parsed.startTime}{parsed.endTime && `–${parsed.endTime}`}</Chip>}
+          {parsed.priority && <Chip icon={<Flag size={10}/>} className={PRIORITY_CLASSES[parsed.priority]}>{t(`priority.${parsed.priority}`)}</Chip>}
+          {parsed.tagNames.map(name => (
+            <Chip key={name} icon={<Tag size={10}/>} className={tagOf(name) ? colorOf(tagOf(name)).pill : 'bg-slate-100 text-slate-500'}>
+              {tagOf(name) ? tagOf(name).name : t('quickAdd.newTag', { name })}
+            </Chip>
+          ))}
+          {parsed.repeat && <Chip icon={<Repeat size={10}/>}>{describeRule(parsed.repeat, parsed.date, i18n)}</Chip>}
+        </div>
+      )}
+    </form>
+  );
+};
+
+export default QuickAdd;
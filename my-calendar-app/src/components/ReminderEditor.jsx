@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { Bell, BellOff, X, Plus } from 'lucide-react';
+import { REMINDER_PRESETS, DEFAULT_REMINDER_TIME, MAX_OFFSET_DAYS, createReminder, isSameReminder, describeReminder } from '../reminders';
+import { notificationPermission, requestNotificationPermission } from '../notifications';
+
+// 알림 편집기 (Task / Notice 모달 내부에서 사용)
+// value: reminders 배열 / timed: 시작 시간이 있는 할 일이면 "n분 전" 프리셋도 보여준다 / i18n: createI18n() 결과
+const inputClass = 'px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all';
+
+const ReminderEditor = ({ value, onChange, timed, i18n }) => {
+  const { t } = i18n;
+  const [permission, setPermission] = useState(notificationPermission);
+  const [customDays, setCustomDays] = useState(2);
+  const [customTime, setCustomTime] = useState(DEFAULT_REMINDER_TIME);
+  const presets = REMINDER_PRESETS.filter(p => timed || !p.timedOnly);
+
+  const add = (fields) => {
+    if (value.some(r => isSameReminder(r, fields))) return;
+    onChange([...value, createReminder(fields)]);
+  };
+
+  const selectPreset = (key) => {
+    const preset = presets.find(p => p.key === key);
+    if (preset) add(preset.reminder);
+  };
+
+  const askPermission = async () => setPermission(await requestNotificationPermission());
+
+  return (
+    <div>
+      <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">{t('reminder.title')}</label>
+      {value.length > 0 && (
+        <div className="flex flex-wrap gap-1.5 mb-2">
+          {value.map(r => (
+            <span key={r.id} className="flex items-center gap-1 pl-2.5 pr-1.5 py-1 rounded-full bg-indigo-50 text-indigo-600 text-[11px] font-bold">
+              <Bell size={11}/> {describeReminder(r, i18n)}
+              <button type="button" onClick={() => onChange(value.filter(x => x.id !== r.id))} aria-label={t('reminder.remove', { reminder: describeReminder(r, i18n) })} className="text-indigo-300 hover:text-indigo-600">
+                <X size={12}/>
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="flex flex-wrap items-center gap-1.5">
+        <select
+          value=""
+          onChange={(e) => selectPreset(e.target.value)}
+          aria-label={t('reminder.add')}
+          className={`flex-1 ${inputClass}`}
+        >
+          <option value="">{t('reminder.addPlaceholder')}</option>
+          {presets.map(p => <option key={p.key} value={p.key}>{describeReminder(p.reminder, i18n)}</option>)}
+        </select>
+        <input
+          type="number"
+          min={0}
+          max={MAX_OFFSET_DAYS}
+          value={customDays}
+          onChange={(e) => setCustomDays(Math.min(MAX_OFFSET_DAYS, Math.max(0, Number(e.target.value) || 0)))}
+          aria-label={t('reminder.daysBeforeLabel')}
+          className={`w-14 ${inputClass}`}
+        />
+        <input
+          type="time"
+          value={customTime}
+          onChange={(e) => e.target.value && setCustomTime(e.target.value)}
+          aria-label={t('reminder.time')}
+          className={inputClass}
+        />
+        <button type="button" onClick={() => add({ offsetDays: customDays, time: customTime })} aria-label={t('reminder.addCustom')} className="p-2 rounded-lg bg-slate-50 text-slate-400 hover:bg-slate-100 hover:text-slate-600">
+          <Plus size={14}/>
+        </button>
+      </div>
+      {value.length > 0 && permission === 'default' && (
+        <button type="button" onClick={askPermission} className="mt-2 text-[11px] font-bold text-indigo-500 hover:text-indigo-700">
+          {t('reminder.allow')}
+        </button>
+      )}
+      {value.length > 0 && (permission === 'denied' || permission === 'unsupported') && (
+        <p className="mt-2 flex items-center gap-1.5 text-[11px] font-medium text-slate-400">
+          <BellOff size={12}/> {t(permission === 'denied' ? 'reminder.blocked' : 'reminder.unsupported')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ReminderEditor;
@@ -0,0 +1,147 @@
+import React from 'react';
+import { WEEKDAYS, getSetPos, describeRule } from '../recurrence';
+import { parseDate } from '../dateUtils';
+
+// 반복 규칙 편집기 (Task 모달 내부에서 사용)
+// value: task.repeat 형태의 규칙 객체 또는 null(반복 없음) / i18n: createI18n() 결과
+const PRESETS = ['none', 'daily', 'weekdays', 'weekly', 'monthly', 'yearly'];
+
+const inputClass = 'px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all';
+
+const presetOf = (rule) => {
+  if (!rule) return 'none';
+  if (rule.freq === 'weekly' && (rule.interval || 1) === 1 && [...(rule.byWeekday || [])].sort().join() === WEEKDAYS.join()) return 'weekdays';
+  return rule.freq;
+};
+
+const RepeatEditor = ({ value, onChange, startDate, i18n }) => {
+  const { t, formatWeekday } = i18n;
+  const start = parseDate(startDate);
+  const preset = presetOf(value);
+
+  const selectPreset = (key) => {
+    if (key === 'none') return onChange(null);
+    const base = { interval: 1, until: value?.until || null, count: value?.count || null };
+    if (key === 'weekdays') return onChange({ ...base, freq: 'weekly', byWeekday: [...WEEKDAYS] });
+    if (key === 'weekly') return onChange({ ...base, freq: 'weekly', byWeekday: [start.getDay()] });
+    if (key === 'monthly') return onChange({ ...base, freq: 'monthly', monthlyMode: 'date' });
+    return onChange({ ...base, freq: key });
+  };
+
+  const update = (patch) => onChange({ ...value, ...patch });
+
+  const toggleWeekday = (d) => {
+    const current = value.byWeekday || [];
+    const next = current.includes(d) ? current.filter(x => x !== d) : [...current, d].sort();
+    if (next.length) update({ byWeekday: next });
+  };
+
+  const endMode = value?.until ? 'until' : value?.count ? 'count' : 'never';
+  const setPos = getSetPos(start);
+
+  return (
+    <div>
+      <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">{t('repeat.title')}</label>
+      <div className="grid grid-cols-3 gap-1.5">
+        {PRESETS.map(key => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => selectPreset(key)}
+            className={`py-1.5 rounded-lg text-[10px] font-bold uppercase tracking-wide border-2 transition-all
+              ${preset === key ? 'border-indigo-500 bg-indigo-50 text-indigo-600' : 'border-transparent bg-slate-50 text-slate-400 hover:bg-slate-100'}`}
+          >
+            {t(`repeat.preset.${key}`)}
+          </button>
+        ))}
+      </div>
+
+      {value && (
+        <div className="mt-3 space-y-3 p-3 rounded-xl bg-slate-50/60 border border-slate-100">
+          {preset !== 'weekdays' && (
+            <div className="flex items-center gap-2 text-xs text-slate-500 font-medium">
+              <span>{t('repeat.every')}</span>
+              <input
+                type="number"
+                min={1}
+                value={value.interval || 1}
+                onChange={(e) => update({ interval: Math.max(1, Number(e.target.value) || 1) })}
+                className={`${inputClass} w-16`}
+              />
+              <span>{t(`repeat.unit.${value.freq}`)}</span>
+            </div>
+          )}
+
+          {value.freq === 'weekly' && preset !== 'weekdays' && (
+            <div className="flex gap-1">
+              {[0, 1, 2, 3, 4, 5, 6].map(d => (
+                <button
+                  key={d}
+                  type="button"
+                  onClick={() => toggleWeekday(d)}
+                  className={`flex-1 py-1.5 rounded-lg text-[10px] font-bold transition-all
+                    ${(value.byWeekday || []).includes(d) ? 'bg-indigo-600 text-white' : 'bg-white border border-slate-200 text-slate-400 hover:border-indigo-300'}`}
+                >
+                  {formatWeekday(d)[0]}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {value.freq === 'monthly' && (
+            <select
+              value={value.monthlyMode === 'nth' ? 'nth' : 'date'}
+              onChange={(e) => update(e.target.value === 'nth' ? { monthlyMode: 'nth', setPos } : { monthlyMode: 'date', setPos: null })}
+              className={`${inputClass} w-full`}
+            >
+              <option value="date">{t('repeat.monthlyDate', { day: start.getDate() })}</option>
+              <option value="nth">{t('repeat.monthlyNth', { ordinal: t(`repeat.ordinal.${setPos}`), weekday: formatWeekday(start.getDay()) })}</option>
+            </select>
+          )}
+
+          <div className="flex items-center gap-2">
+            <select
+              value={endMode}
+              onChange={(e) => {
+                const mode = e.target.value;
+                if (mode === 'never') update({ until: null, count: null });
+                if (mode === 'until') update({ until: startDate, count: null });
+                if (mode === 'count') update({ until: null, count: 10 });
+              }}
+              className={inputClass}
+            >
+              <option value="never">{t('repeat.never')}</option>
+              <option value="until">{t('repeat.endsOn')}</option>
+              <option value="count">{t('repeat.endsAfter')}</option>
+            </select>
+            {endMode === 'until' && (
+              <input
+                type="date"
+                value={value.until}
+                min={startDate}
+                onChange={(e) => update({ until: e.target.value || null })}
+                className={`${inputClass} flex-1`}
+              />
+            )}
+            {endMode === 'count' && (
+              <>
+                <input
+                  type="number"
+                  min={1}
+                  value={value.count}
+                  onChange={(e) => update({ count: Math.max(1, Number(e.target.value) || 1) })}
+                  className={`${inputClass} w-20`}
+                />
+                <span className="text-xs text-slate-500 font-medium">{t('repeat.times')}</span>
+              </>
+            )}
+          </div>
+
+          <p className="text-[10px] font-bold text-indigo-500">{describeRule(value, startDate, i18n)}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RepeatEditor;
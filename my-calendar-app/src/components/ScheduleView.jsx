@@ -0,0 +1,140 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { formatDate, parseDate } from '../dateUtils';
+import { layoutDayEvents, isAllDay, formatTimeRange, minutesToTime, DAY_MINUTES } from '../scheduleLayout';
+
+// Week / Day 타임라인 뷰
+// dates: 표시할 날짜(YYYY-MM-DD) 배열 (Week = 7개, Day = 1개)
+// tasks: 해당 기간으로 펼쳐진 일정 목록 (반복 일정 발생 포함)
+// i18n: i18n.js createI18n() 결과 (요일 이름 / 문구)
+const HOUR_HEIGHT = 48; // 1시간 = 48px
+const HOURS = Array.from({ length: 24 }, (_, h) => h);
+
+const priorityClass = (task) => {
+  if (task.completed) return 'bg-slate-50 border-slate-200 text-slate-300 line-through';
+  if (task.priority === 'high') return 'bg-rose-50 border-rose-200 text-rose-700';
+  if (task.priority === 'medium') return 'bg-indigo-50 border-indigo-200 text-indigo-700';
+  return 'bg-slate-50 border-slate-200 text-slate-600';
+};
+
+const ScheduleView = ({ dates, tasks, i18n, selectedDateStr, onSelectDate, onTaskClick, onSlotClick }) => {
+  const [now, setNow] = useState(new Date());
+  const scrollRef = useRef(null);
+
+  // 현재 시간선은 1분마다 갱신
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // 처음 열 때 오전 8시 근처로 스크롤
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = HOUR_HEIGHT * 8 - 8;
+  }, []);
+
+  const todayStr = formatDate(now);
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  const tasksOn = (dateStr) => tasks.filter(t => t.date === dateStr);
+  const hasAllDay = dates.some(d => tasksOn(d).some(isAllDay));
+
+  return (
+    <div className="flex flex-col h-full border border-slate-100 rounded-[2rem] overflow-hidden shadow-sm bg-white">
+      {/* 요일 헤더 */}
+      <div className="flex border-b border-slate-100 bg-slate-50">
+        <div className="w-14 shrink-0" />
+        {dates.map(dateStr => {
+          const date = parseDate(dateStr);
+          const isSelected = dateStr === selectedDateStr;
+          const isToday = dateStr === todayStr;
+          return (
+            <button
+              key={dateStr}
+              onClick={() => onSelectDate(dateStr)}
+              className="flex-1 py-3 flex flex-col items-center gap-1 border-l border-slate-100"
+            >
+              <span className={`text-[10px] font-black uppercase tracking-[0.2em] ${date.getDay() === 0 ? 'text-rose-500' : date.getDay() === 6 ? 'text-blue-500' : 'text-slate-400'}`}>
+                {i18n.formatWeekday(date.getDay())}
+              </span>
+              <span className={`inline-flex items-center justify-center w-7 h-7 text-sm font-bold rounded-xl transition-all
+                ${isToday ? 'bg-indigo-600 text-white shadow-lg shadow-indigo-100' : isSelected ? 'text-indigo-600 font-black ring-2 ring-indigo-200' : 'text-slate-500'}`}>
+                {date.getDate()}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+
+      {/* 종일 일정 스트립 */}
+      {hasAllDay && (
+        <div className="flex border-b border-slate-100">
+          <div className="w-14 shrink-0 py-2 text-[9px] font-bold text-slate-300 uppercase text-center">{i18n.t('schedule.allDay')}</div>
+          {dates.map(dateStr => (
+            <div key={dateStr} className="flex-1 p-1 space-y-1 border-l border-slate-100 min-w-0">
+              {tasksOn(dateStr).filter(isAllDay).map(t => (
+                <button
+                  key={t.id}
+                  onClick={() => onTaskClick(t)}
+                  className={`w-full text-left text-[10px] font-bold px-2 py-1 rounded-lg border truncate ${priorityClass(t)}`}
+                >
+                  {t.text}
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* 시간 그리드 */}
+      <div ref={scrollRef} className="flex-1 overflow-y-auto custom-scrollbar">
+        <div className="flex relative" style={{ height: HOUR_HEIGHT * 24 }}>
+          <div className="w-14 shrink-0 relative">
+            {HOURS.map(h => (
+              <span key={h} className="absolute right-2 -translate-y-1/2 text-[9px] font-bold text-slate-300" style={{ top: h * HOUR_HEIGHT }}>
+                {h === 0 ? '' : `${String(h).padStart(2, '0')}:00`}
+              </span>
+            ))}
+          </div>
+
+          {dates.map(dateStr => (
+            <div key={dateStr} className={`flex-1 relative border-l border-slate-100 min-w-0 ${dateStr === selectedDateStr ? 'bg-indigo-50/20' : ''}`}>
+              {HOURS.map(h => (
+                <div
+                  key={h}
+                  onClick={() => onSlotClick(dateStr, minutesToTime(h * 60))}
+                  className="border-t border-slate-50 hover:bg-indigo-50/30 cursor-pointer transition-colors"
+                  style={{ height: HOUR_HEIGHT }}
+                />
+              ))}
+
+              {layoutDayEvents(tasksOn(dateStr)).map(({ task, start, end, col, cols }) => (
+                <button
+                  key={task.id}
+                  onClick={() => onTaskClick(task)}
+                  className={`absolute text-left px-2 py-1 rounded-lg border overflow-hidden shadow-[0_1px_2px_rgba(0,0,0,0.03)] hover:z-10 hover:shadow-md transition-shadow ${priorityClass(task)}`}
+                  style={{
+                    top: (start / 60) * HOUR_HEIGHT,
+                    height: Math.max(((end - start) / 60) * HOUR_HEIGHT - 2, 18),
+                    left: `calc(${(col / cols) * 100}% + 2px)`,
+                    width: `calc(${100 / cols}% - 4px)`,
+                  }}
+                >
+                  <p className="text-[10px] font-bold truncate">{task.text}</p>
+                  <p className="text-[9px] font-medium opacity-70 truncate">{formatTimeRange(task)}</p>
+                </button>
+              ))}
+
+              {/* 현재 시간선 */}
+              {dateStr === todayStr && nowMinutes < DAY_MINUTES && (
+                <div className="absolute left-0 right-0 z-20 pointer-events-none" style={{ top: (nowMinutes / 60) * HOUR_HEIGHT }}>
+                  <div className="absolute -left-1 -top-1 w-2 h-2 rounded-full bg-rose-500" />
+                  <div className="h-px bg-rose-500" />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleView;
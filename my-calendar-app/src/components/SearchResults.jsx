@@ -0,0 +1,85 @@
+import React from 'react';
+import { ListTodo, BookOpen, Megaphone, CheckCircle2, AlertTriangle } from 'lucide-react';
+import { highlightSegments, snippet } from '../search';
+
+// 통합 검색 결과 (오른쪽 패널, 검색어가 있을 때 탭 내용 대신 표시)
+// results: searchAll() 결과 / query: parseQuery() 결과 / onSelect(kind, result) / i18n: createI18n() 결과
+const GROUPS = [
+  { kind: 'tasks', icon: <ListTodo size={12}/> },
+  { kind: 'notes', icon: <BookOpen size={12}/> },
+  { kind: 'notices', icon: <Megaphone size={12}/> },
+];
+
+const Highlight = ({ text, words }) => (
+  <>
+    {highlightSegments(text, words).map((part, i) => (part.match
+      ? <mark key={i} className="bg-amber-100 text-amber-900 rounded px-0.5">{part.text}</mark>
+      : <React.Fragment key={i}>{part.text}</React.Fragment>))}
+  </>
+);
+
+const SearchResults = ({ results, query, onSelect, i18n }) => {
+  const { t } = i18n;
+  const total = GROUPS.reduce((sum, g) => sum + results[g.kind].length, 0);
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0 bg-white rounded-[1.5rem] border border-slate-200 overflow-hidden shadow-sm">
+      <div className="px-5 py-4 border-b border-slate-50 flex items-center justify-between">
+        <span className="text-xs font-bold text-slate-500 uppercase tracking-wider">{t('search.results', { count: total })}</span>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-5 custom-scrollbar">
+        {query.errors.length > 0 && (
+          <div className="p-3 rounded-xl bg-rose-50 border border-rose-100 space-y-1">
+            {query.errors.map(error => (
+              <p key={error} className="flex items-center gap-1.5 text-[11px] font-bold text-rose-600"><AlertTriangle size={12}/> {error}</p>
+            ))}
+          </div>
+        )}
+
+        {GROUPS.filter(g => results[g.kind].length > 0).map(group => (
+          <div key={group.kind}>
+            <h4 className="flex items-center gap-1.5 text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-2">
+              {group.icon} {t(`search.${group.kind}`, { count: results[group.kind].length })}
+            </h4>
+            <div className="space-y-2">
+              {results[group.kind].map(result => (
+                <button
+                  key={result.id}
+                  onClick={() => onSelect(group.kind, result)}
+                  className="w-full text-left p-3 rounded-xl border border-slate-100 hover:border-indigo-200 hover:bg-indigo-50/30 transition-all"
+                >
+                  <div className="flex items-center gap-2 mb-1">
+                    <span className="text-[10px] font-bold text-indigo-500 bg-indigo-50 px-1.5 py-0.5 rounded">{i18n.formatShortDay(result.date)}</span>
+                    {group.kind === 'tasks' && result.item.completed && <CheckCircle2 size={12} className="text-emerald-500"/>}
+                    {group.kind === 'tasks' && <span className="text-[10px] font-bold text-slate-400 uppercase">{t(`priority.${result.item.priority}`)}</span>}
+                    {group.kind === 'notes' && result.title && <span className="text-sm">{result.title}</span>}
+                  </div>
+                  {group.kind === 'tasks' && (
+                    <p className={`text-sm font-bold truncate ${result.item.completed ? 'text-slate-400 line-through' : 'text-slate-700'}`}>
+                      <Highlight text={result.title} words={query.words}/>
+                    </p>
+                  )}
+                  {result.body && (
+                    <p className="text-xs text-slate-500 leading-relaxed line-clamp-2">
+                      <Highlight text={snippet(result.body, query.words)} words={query.words}/>
+                    </p>
+                  )}
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        {total === 0 && (
+          <div className="h-40 flex flex-col items-center justify-center text-slate-300">
+            <p className="text-[10px] font-black uppercase tracking-[0.2em] opacity-60">{t('search.empty')}</p>
+            <p className="text-[10px] font-medium mt-2 text-center">{t('search.emptyHint')}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SearchResults;
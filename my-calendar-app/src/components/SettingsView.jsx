@@ -0,0 +1,328 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, Folder, Tag, LayoutTemplate, Smile, X, ListTodo, Languages } from 'lucide-react';
+import { CATEGORY_COLORS, DEFAULT_COLOR, colorOf, sortByName } from '../categories';
+import { builtinTemplates } from '../journalTemplates';
+import { defaultMoodSettings, MIN_LEVELS, MAX_LEVELS } from '../mood';
+import { LANGUAGES } from '../i18n';
+
+// Settings 화면: 언어 및 달력 / 할 일 설정 / 프로젝트 / 태그 / 일기 템플릿 / 무드 척도 관리
+// onCreate(kind, data) / onUpdate(kind, id, patch) / onDelete(kind, item) — kind: 'projects' | 'tags'
+// onTemplateSave(id | null, { name, content }) / onTemplateDelete(template)
+// moodSettings: { levels, activities } / onMoodSettingsChange({ levels, activities })
+// taskSettings: { autoRollover } / onTaskSettingsChange(patch)
+// localeSettings: { language, weekStart, showWeekNumbers } / onLocaleSettingsChange(patch) / i18n: createI18n() 결과
+const inputClass = 'px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all';
+
+const Card = ({ title, icon, children }) => (
+  <div className="bg-white rounded-[1.5rem] p-5 border border-slate-100 shadow-[0_4px_20px_rgb(0,0,0,0.03)]">
+    <h4 className="flex items-center gap-2 text-xs font-bold text-slate-500 uppercase tracking-wider mb-4">{icon} {title}</h4>
+    {children}
+  </div>
+);
+
+export const ColorPicker = ({ value, onChange, i18n }) => (
+  <div className="flex gap-1">
+    {Object.entries(CATEGORY_COLORS).map(([key, color]) => (
+      <button
+        key={key}
+        onClick={() => onChange(key)}
+        title={i18n.t(`color.${key}`)}
+        aria-label={i18n.t(`color.${key}`)}
+        className={`w-4 h-4 rounded-full ${color.dot} transition-all ${value === key ? 'ring-2 ring-offset-1 ring-slate-400' : 'opacity-60 hover:opacity-100'}`}
+      />
+    ))}
+  </div>
+);
+
+// 이름은 입력을 마칠 때(blur / Enter) 저장
+const CategoryRow = ({ item, count, onUpdate, onDelete, i18n }) => {
+  const { t } = i18n;
+  const [name, setName] = useState(item.name);
+  const commitName = () => {
+    if (name.trim() && name.trim() !== item.name) onUpdate({ name: name.trim() });
+    else setName(item.name);
+  };
+
+  return (
+    <li className="flex items-center gap-3 py-2 border-t border-slate-50 first:border-t-0">
+      <span className={`shrink-0 w-2.5 h-2.5 rounded-full ${colorOf(item).dot}`} />
+      <input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onBlur={commitName}
+        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+        aria-label={t('settings.name')}
+        className="flex-1 min-w-0 px-2 py-1 text-sm font-bold text-slate-700 rounded-lg border border-transparent hover:border-slate-200 focus:border-indigo-500 focus:outline-none"
+      />
+      <ColorPicker value={item.color} onChange={(color) => onUpdate({ color })} i18n={i18n} />
+      <span className="w-14 text-right text-[10px] font-bold text-slate-400">{t('settings.taskCount', { count })}</span>
+      <button onClick={onDelete} aria-label={t('settings.deleteNamed', { name: item.name })} className="p-1.5 text-slate-300 hover:text-rose-500 rounded-lg"><Trash2 size={14}/></button>
+    </li>
+  );
+};
+
+const CategoryManager = ({ kind, title, icon, items, countOf, onCreate, onUpdate, onDelete, i18n }) => {
+  const { t } = i18n;
+  const [name, setName] = useState('');
+  const [color, setColor] = useState(DEFAULT_COLOR);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onCreate(kind, { name: name.trim(), color });
+    setName('');
+  };
+
+  return (
+    <Card title={title} icon={icon}>
+      {items.length > 0 ? (
+        <ul className="mb-4">
+          {sortByName(items).map(item => (
+            <CategoryRow
+              key={`${item.id}:${item.name}`}
+              item={item}
+              count={countOf(item.id)}
+              onUpdate={(patch) => onUpdate(kind, item.id, patch)}
+              onDelete={() => onDelete(kind, item)}
+              i18n={i18n}
+            />
+          ))}
+        </ul>
+      ) : (
+        <p className="text-[10px] font-bold text-slate-300 uppercase tracking-widest py-4 text-center">{t('settings.noneYet')}</p>
+      )}
+      <form onSubmit={submit} className="flex items-center gap-3 pt-3 border-t border-slate-100">
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder={t(`settings.${kind}.placeholder`)} className={`flex-1 ${inputClass}`} />
+        <ColorPicker value={color} onChange={setColor} i18n={i18n} />
+        <button type="submit" disabled={!name.trim()} aria-label={t(`settings.${kind}.add`)} className="flex items-center gap-1 px-3 py-2 bg-indigo-600 text-white text-xs font-bold rounded-lg hover:bg-indigo-700 active:scale-95 transition-all disabled:opacity-50">
+          <Plus size={12}/> {t('settings.add')}
+        </button>
+      </form>
+    </Card>
+  );
+};
+
+// 일기 템플릿: 기본 템플릿은 읽기 전용, 내 템플릿은 눌러서 수정
+const TemplateManager = ({ templates, onSave, onDelete, i18n }) => {
+  const { t } = i18n;
+  const [editingId, setEditingId] = useState(null);
+  const [name, setName] = useState('');
+  const [content, setContent] = useState('');
+
+  const edit = (template) => {
+    setEditingId(template ? template.id : null);
+    setName(template ? template.name : '');
+    setContent(template ? template.content : '');
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSave(editingId, { name: name.trim(), content });
+    edit(null);
+  };
+
+  return (
+    <Card title={t('settings.templates')} icon={<LayoutTemplate size={14}/>}>
+      <ul className="mb-4">
+        {builtinTemplates(i18n).map(template => (
+          <li key={template.id} className="flex items-center gap-3 py-2 border-t border-slate-50 first:border-t-0">
+            <span className="flex-1 px-2 text-sm font-bold text-slate-700">{template.name}</span>
+            <span className="text-[10px] font-bold text-slate-300 uppercase">{t('settings.builtIn')}</span>
+          </li>
+        ))}
+        {sortByName(templates).map(template => (
+          <li key={template.id} className="flex items-center gap-3 py-2 border-t border-slate-50">
+            <button onClick={() => edit(template)} className={`flex-1 text-left px-2 text-sm font-bold hover:text-indigo-600 ${editingId === template.id ? 'text-indigo-600' : 'text-slate-700'}`}>{template.name}</button>
+            <button onClick={() => { onDelete(template); if (editingId === template.id) edit(null); }} aria-label={t('settings.deleteNamed', { name: template.name })} className="p-1.5 text-slate-300 hover:text-rose-500 rounded-lg"><Trash2 size={14}/></button>
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={submit} className="space-y-2 pt-3 border-t border-slate-100">
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder={t('settings.templateName')} className={`w-full ${inputClass}`} />
+        <textarea
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          placeholder={t('settings.templatePlaceholder')}
+          aria-label={t('settings.templateContent')}
+          className={`w-full h-28 resize-none font-mono ${inputClass}`}
+        />
+        <div className="flex justify-end gap-2">
+          {editingId && (
+            <button type="button" onClick={() => edit(null)} className="px-3 py-2 text-xs font-bold text-slate-400 hover:text-slate-600">{t('settings.cancel')}</button>
+          )}
+          <button type="submit" disabled={!name.trim()} className="flex items-center gap-1 px-3 py-2 bg-indigo-600 text-white text-xs font-bold rounded-lg hover:bg-indigo-700 active:scale-95 transition-all disabled:opacity-50">
+            {editingId ? t('settings.updateTemplate') : <><Plus size={12}/> {t('settings.addTemplate')}</>}
+          </button>
+        </div>
+      </form>
+    </Card>
+  );
+};
+
+// 무드 척도 (낮은 값부터) + 활동 목록. 고친 뒤 Save를 눌러야 저장된다
+// 척도 값은 순서대로 1..n이라 단계를 지우면 그 위 단계들의 값이 하나씩 내려간다
+const MoodSettings = ({ settings, onSave, i18n }) => {
+  const { t } = i18n;
+  const [levels, setLevels] = useState(settings.levels);
+  const [activities, setActivities] = useState(settings.activities);
+  const [activity, setActivity] = useState({ emoji: '', label: '' });
+  const isDirty = JSON.stringify({ levels, activities }) !== JSON.stringify(settings);
+
+  const updateLevel = (index, patch) => setLevels(levels.map((l, i) => (i === index ? { ...l, ...patch } : l)));
+
+  const addActivity = (e) => {
+    e.preventDefault();
+    if (!activity.label.trim()) return;
+    setActivities([...activities, { id: crypto.randomUUID(), emoji: activity.emoji.trim(), label: activity.label.trim() }]);
+    setActivity({ emoji: '', label: '' });
+  };
+
+  const save = () => onSave({
+    levels: levels.map((l, i) => ({ value: i + 1, emoji: l.emoji.trim() || String(i + 1), label: l.label.trim() || t('settings.level', { level: i + 1 }) })),
+    activities,
+  });
+
+  return (
+    <Card title={t('settings.moodScale')} icon={<Smile size={14}/>}>
+      <ol className="space-y-1.5 mb-3">
+        {levels.map((level, i) => (
+          <li key={i} className="flex items-center gap-2">
+            <span className="w-5 text-[10px] font-bold text-slate-400 text-right">{i + 1}</span>
+            <input value={level.emoji} onChange={(e) => updateLevel(i, { emoji: e.target.value })} aria-label={t('settings.levelEmoji', { level: i + 1 })} className={`w-12 text-center ${inputClass}`} />
+            <input value={level.label} onChange={(e) => updateLevel(i, { label: e.target.value })} aria-label={t('settings.levelLabel', { level: i + 1 })} className={`flex-1 ${inputClass}`} />
+            <button
+              onClick={() => setLevels(levels.filter((_, j) => j !== i))}
+              disabled={levels.length <= MIN_LEVELS}
+              aria-label={t('settings.removeLevel', { level: i + 1 })}
+              className="p-1.5 text-slate-300 hover:text-rose-500 rounded-lg disabled:opacity-30 disabled:hover:text-slate-300"
+            >
+              <Trash2 size={14}/>
+            </button>
+          </li>
+        ))}
+      </ol>
+      <button
+        onClick={() => setLevels([...levels, { value: levels.length + 1, emoji: '', label: '' }])}
+        disabled={levels.length >= MAX_LEVELS}
+        className="mb-4 flex items-center gap-1 text-[11px] font-bold text-indigo-500 hover:text-indigo-700 disabled:opacity-40"
+      >
+        <Plus size={12}/> {t('settings.addLevel')}
+      </button>
+
+      <h5 className="text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-2">{t('settings.activities')}</h5>
+      <div className="flex flex-wrap gap-1.5 mb-3">
+        {activities.map(a => (
+          <span key={a.id} className="flex items-center gap-1 pl-2.5 pr-1.5 py-1 rounded-full bg-slate-50 text-slate-600 text-[11px] font-bold">
+            {a.emoji} {a.label}
+            <button onClick={() => setActivities(activities.filter(x => x.id !== a.id))} aria-label={t('settings.removeNamed', { name: a.label })} className="text-slate-300 hover:text-rose-500"><X size={12}/></button>
+          </span>
+        ))}
+      </div>
+      <form onSubmit={addActivity} className="flex items-center gap-2 mb-4">
+        <input value={activity.emoji} onChange={(e) => setActivity({ ...activity, emoji: e.target.value })} placeholder="🙂" aria-label={t('settings.activityEmoji')} className={`w-12 text-center ${inputClass}`} />
+        <input value={activity.label} onChange={(e) => setActivity({ ...activity, label: e.target.value })} placeholder={t('settings.newActivity')} className={`flex-1 ${inputClass}`} />
+        <button type="submit" disabled={!activity.label.trim()} aria-label={t('settings.addActivity')} className="p-2 rounded-lg bg-slate-50 text-slate-400 hover:bg-slate-100 hover:text-slate-600 disabled:opacity-50"><Plus size={14}/></button>
+      </form>
+
+      <div className="flex justify-end gap-2 pt-3 border-t border-slate-100">
+        <button
+          onClick={() => { const defaults = defaultMoodSettings(i18n); setLevels(defaults.levels); setActivities(defaults.activities); }}
+          className="px-3 py-2 text-xs font-bold text-slate-400 hover:text-slate-600"
+        >
+          {t('settings.resetMood')}
+        </button>
+        <button onClick={save} disabled={!isDirty} className="px-3 py-2 bg-indigo-600 text-white text-xs font-bold rounded-lg hover:bg-indigo-700 active:scale-95 transition-all disabled:opacity-50">
+          {t('settings.saveMood')}
+        </button>
+      </div>
+    </Card>
+  );
+};
+
+const TaskSettings = ({ settings, onChange, i18n }) => (
+  <Card title={i18n.t('settings.tasks')} icon={<ListTodo size={14}/>}>
+    <label className="flex items-start gap-3 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={settings.autoRollover}
+        onChange={(e) => onChange({ autoRollover: e.target.checked })}
+        className="mt-0.5 accent-indigo-600"
+      />
+      <span>
+        <span className="block text-sm font-bold text-slate-700">{i18n.t('settings.autoRollover')}</span>
+        <span className="block text-[11px] text-slate-400">{i18n.t('settings.autoRolloverHint')}</span>
+      </span>
+    </label>
+  </Card>
+);
+
+const LocaleSettings = ({ settings, onChange, i18n }) => (
+  <Card title={i18n.t('settings.locale')} icon={<Languages size={14}/>}>
+    <div className="grid grid-cols-2 gap-4 mb-4">
+      <label className="block">
+        <span className="block text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-1">{i18n.t('settings.language')}</span>
+        <select value={settings.language} onChange={(e) => onChange({ language: e.target.value })} className={`w-full ${inputClass}`}>
+          {LANGUAGES.map(language => <option key={language.id} value={language.id}>{language.label}</option>)}
+        </select>
+      </label>
+      <label className="block">
+        <span className="block text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-1">{i18n.t('settings.weekStart')}</span>
+        <select value={settings.weekStart} onChange={(e) => onChange({ weekStart: Number(e.target.value) })} className={`w-full ${inputClass}`}>
+          {[0, 1].map(day => <option key={day} value={day}>{i18n.formatWeekday(day, 'long')}</option>)}
+        </select>
+      </label>
+    </div>
+    <label className="flex items-start gap-3 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={settings.showWeekNumbers}
+        onChange={(e) => onChange({ showWeekNumbers: e.target.checked })}
+        className="mt-0.5 accent-indigo-600"
+      />
+      <span>
+        <span className="block text-sm font-bold text-slate-700">{i18n.t('settings.weekNumbers')}</span>
+        <span className="block text-[11px] text-slate-400">{i18n.t('settings.weekNumbersHint')}</span>
+      </span>
+    </label>
+  </Card>
+);
+
+const SettingsView = ({ tasks, projects, tags, templates, moodSettings, taskSettings, localeSettings, i18n, onCreate, onUpdate, onDelete, onTemplateSave, onTemplateDelete, onMoodSettingsChange, onTaskSettingsChange, onLocaleSettingsChange }) => (
+  <>
+    <header className="px-8 py-6 flex items-center justify-between border-b border-slate-100">
+      <h2 className="text-2xl font-black text-slate-900 tracking-tight">{i18n.t('settings.title')}</h2>
+    </header>
+
+    <div className="flex-1 overflow-y-auto p-8 custom-scrollbar space-y-6 bg-slate-50/50">
+      <LocaleSettings settings={localeSettings} onChange={onLocaleSettingsChange} i18n={i18n} />
+      <TaskSettings settings={taskSettings} onChange={onTaskSettingsChange} i18n={i18n} />
+      <CategoryManager
+        kind="projects"
+        title={i18n.t('settings.projects.title')}
+        icon={<Folder size={14}/>}
+        items={projects}
+        countOf={(id) => tasks.filter(t => t.projectId === id).length}
+        onCreate={onCreate}
+        onUpdate={onUpdate}
+        onDelete={onDelete}
+        i18n={i18n}
+      />
+      <CategoryManager
+        kind="tags"
+        title={i18n.t('settings.tags.title')}
+        icon={<Tag size={14}/>}
+        items={tags}
+        countOf={(id) => tasks.filter(t => (t.tagIds || []).includes(id)).length}
+        onCreate={onCreate}
+        onUpdate={onUpdate}
+        onDelete={onDelete}
+        i18n={i18n}
+      />
+      <TemplateManager templates={templates} onSave={onTemplateSave} onDelete={onTemplateDelete} i18n={i18n} />
+      <MoodSettings key={JSON.stringify(moodSettings)} settings={moodSettings} onSave={onMoodSettingsChange} i18n={i18n} />
+    </div>
+  </>
+);
+
+export default SettingsView;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { X, Keyboard } from 'lucide-react';
+import { SHORTCUT_GROUPS } from '../shortcuts';
+
+// 단축키 도움말 (? 키 또는 명령 팔레트에서 열기). 목록의 label은 번역 키
+const ShortcutHelp = ({ onClose, i18n: { t } }) => (
+  <div className="fixed inset-0 bg-slate-900/20 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={onClose}>
+    <div
+      role="dialog"
+      aria-label={t('shortcuts.title')}
+      className="bg-white rounded-2xl w-full max-w-md p-6 shadow-2xl animate-in fade-in zoom-in duration-200"
+      onClick={e => e.stopPropagation()}
+    >
+      <div className="flex items-center justify-between mb-6">
+        <h3 className="flex items-center gap-2 font-bold text-lg text-slate-800"><Keyboard size={18} className="text-indigo-500"/> {t('shortcuts.heading')}</h3>
+        <button onClick={onClose} aria-label={t('common.close')} className="text-slate-400 hover:text-slate-600">
+          <X size={20}/>
+        </button>
+      </div>
+
+      <div className="space-y-5">
+        {SHORTCUT_GROUPS.map(group => (
+          <div key={group.label}>
+            <label className="text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-2 block">{t(group.label)}</label>
+            <ul className="space-y-1.5">
+              {group.items.map(item => (
+                <li key={item.label} className="flex items-center justify-between text-xs text-slate-600">
+                  <span>{t(item.label)}</span>
+                  <span className="flex gap-1">
+                    {item.keys.map(key => (
+                      <kbd key={key} className="min-w-[22px] px-1.5 py-0.5 rounded border border-slate-200 bg-slate-50 text-center text-[10px] font-bold text-slate-500">{key}</kbd>
+                    ))}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+      <p className="mt-6 text-[10px] text-slate-400">{t('shortcuts.note')}</p>
+    </div>
+  </div>
+);
+
+export default ShortcutHelp;
@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { Check, ChevronUp, ChevronDown, X, Plus } from 'lucide-react';
+import { addSubtask, toggleSubtask, removeSubtask, moveSubtask } from '../subtasks';
+
+// 할 일 상세 패널의 체크리스트 (바뀔 때마다 onChange(새 목록)으로 바로 저장)
+// autoComplete: 모든 항목을 체크하면 할 일도 완료 처리할지 여부 (task.autoComplete) / i18n: createI18n() 결과
+const SubtaskList = ({ subtasks, onChange, autoComplete, onAutoCompleteChange, i18n }) => {
+  const { t } = i18n;
+  const [draft, setDraft] = useState('');
+  const doneCount = subtasks.filter(s => s.done).length;
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+    onChange(addSubtask(subtasks, draft));
+    setDraft('');
+  };
+
+  return (
+    <div className="mb-3">
+      <div className="flex items-center justify-between mb-2">
+        <label className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">
+          {t('checklist.title')} {subtasks.length > 0 && <span className="text-indigo-500">{doneCount}/{subtasks.length}</span>}
+        </label>
+        <label className="flex items-center gap-1.5 text-[10px] font-bold text-slate-400 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={Boolean(autoComplete)}
+            onChange={(e) => onAutoCompleteChange(e.target.checked)}
+            className="accent-indigo-600"
+          />
+          {t('checklist.autoComplete')}
+        </label>
+      </div>
+
+      <ul className="space-y-1 mb-2">
+        {subtasks.map((subtask, i) => (
+          <li key={subtask.id} className="flex items-center gap-2 px-2 py-1.5 rounded-lg bg-white border border-slate-100 group">
+            <button
+              onClick={() => onChange(toggleSubtask(subtasks, subtask.id))}
+              aria-label={t(subtask.done ? 'checklist.uncheck' : 'checklist.check', { text: subtask.text })}
+              className={`shrink-0 w-4 h-4 rounded border-2 flex items-center justify-center transition-all
+                ${subtask.done ? 'bg-emerald-500 border-emerald-500 text-white' : 'border-slate-200 bg-white hover:border-indigo-400'}`}
+            >
+              {subtask.done && <Check size={10}/>}
+            </button>
+            <span className={`flex-1 min-w-0 truncate text-xs ${subtask.done ? 'text-slate-300 line-through' : 'text-slate-600'}`}>{subtask.text}</span>
+            <div className="flex items-center opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+              <button onClick={() => onChange(moveSubtask(subtasks, subtask.id, -1))} disabled={i === 0} aria-label={t('checklist.moveUp')} className="p-0.5 text-slate-300 hover:text-indigo-500 disabled:opacity-30"><ChevronUp size={12}/></button>
+              <button onClick={() => onChange(moveSubtask(subtasks, subtask.id, 1))} disabled={i === subtasks.length - 1} aria-label={t('checklist.moveDown')} className="p-0.5 text-slate-300 hover:text-indigo-500 disabled:opacity-30"><ChevronDown size={12}/></button>
+              <button onClick={() => onChange(removeSubtask(subtasks, subtask.id))} aria-label={t('checklist.delete')} className="p-0.5 text-slate-300 hover:text-rose-500"><X size={12}/></button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={submit} className="flex items-center gap-2">
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder={t('checklist.placeholder')}
+          className="flex-1 px-3 py-1.5 text-xs rounded-lg border border-slate-200 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500/10 focus:border-indigo-500"
+        />
+        <button type="submit" disabled={!draft.trim()} aria-label={t('checklist.add')} className="p-1.5 bg-indigo-50 text-indigo-600 rounded-lg hover:bg-indigo-100 disabled:opacity-40">
+          <Plus size={12}/>
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default SubtaskList;
@@ -0,0 +1,67 @@
+import React from 'react';
+import { X, Trash2, ArchiveRestore } from 'lucide-react';
+import { colorOf } from '../categories';
+import { TRASH_DAYS, daysLeft } from '../trash';
+
+// 휴지통 모달: 지운 할 일을 30일 동안 되살리거나 바로 영구 삭제
+// items: 휴지통 항목 (최근 순, 공유 캘린더 항목은 calendarId) / calendarOf(item): 공유 캘린더면 그 캘린더, 아니면 null
+// onRestore(item) / onDelete(item) / onEmpty() / i18n: createI18n() 결과
+const TrashModal = ({ items, calendarOf, onRestore, onDelete, onEmpty, onClose, i18n }) => {
+  const { t } = i18n;
+  const now = Date.now();
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/20 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-label={t('nav.trash')}
+        className="bg-white rounded-2xl w-full max-w-md p-6 shadow-2xl animate-in fade-in zoom-in duration-200 max-h-[90vh] flex flex-col"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="font-bold text-lg text-slate-800">{t('nav.trash')}</h3>
+          <button onClick={onClose} aria-label={t('common.close')} className="text-slate-400 hover:text-slate-600">
+            <X size={20}/>
+          </button>
+        </div>
+        <p className="text-xs text-slate-500 mb-6">{t('trash.hint', { days: TRASH_DAYS })}</p>
+
+        {items.length > 0 ? (
+          <ul className="flex-1 min-h-0 overflow-y-auto custom-scrollbar space-y-2">
+            {items.map(item => (
+              <li key={`${item.calendarId || ''}/${item.id}`} className="flex items-center gap-3 px-3 py-2.5 rounded-xl border border-slate-100 bg-white">
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-bold text-slate-700 truncate">{item.data.text}</p>
+                  <p className="flex items-center gap-1.5 text-[10px] font-bold text-slate-400">
+                    {i18n.formatShortDay(item.data.date)}
+                    {calendarOf(item) && <span className={`px-1.5 py-0.5 rounded ${colorOf(calendarOf(item)).pill}`}>{calendarOf(item).name}</span>}
+                    <span>· {t('trash.daysLeft', { count: daysLeft(item, now) })}</span>
+                  </p>
+                </div>
+                <button onClick={() => onRestore(item)} title={t('trash.restore')} aria-label={t('trash.restoreNamed', { text: item.data.text })} className="p-1.5 text-slate-300 hover:text-emerald-500 rounded-lg">
+                  <ArchiveRestore size={16}/>
+                </button>
+                <button onClick={() => onDelete(item)} title={t('trash.deleteForever')} aria-label={t('trash.deleteForeverNamed', { text: item.data.text })} className="p-1.5 text-slate-300 hover:text-rose-500 rounded-lg">
+                  <Trash2 size={16}/>
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <div className="py-10 text-center text-slate-300 text-[10px] font-bold uppercase tracking-widest">{t('trash.empty')}</div>
+        )}
+
+        {items.length > 0 && (
+          <button
+            onClick={onEmpty}
+            className="mt-4 w-full py-3 bg-slate-50 hover:bg-rose-50 text-slate-600 hover:text-rose-600 rounded-xl font-bold text-sm border border-slate-200 active:scale-[0.98] transition-all"
+          >
+            {t('trash.emptyButton')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrashModal;
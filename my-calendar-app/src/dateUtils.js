@@ -0,0 +1,35 @@
+// src/dateUtils.js
+// 날짜 문자열(YYYY-MM-DD) <-> Date 변환 헬퍼. 모든 계산은 로컬 타임존 기준.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 날짜 포맷 (YYYY-MM-DD)
+export const formatDate = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  const year = d.getFullYear();
+  return `${year}-${month}-${day}`;
+};
+
+// YYYY-MM-DD -> 로컬 자정 Date
+export const parseDate = (dateStr) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const addDays = (date, n) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + n);
+
+// 두 날짜 사이의 일 수 (DST로 인한 1시간 오차는 반올림으로 흡수)
+export const diffDays = (a, b) => Math.round((b - a) / DAY_MS);
+
+export const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// date가 속한 주의 첫날 (weekStart: 0 = 일요일 시작, 1 = 월요일 시작)
+export const startOfWeek = (date, weekStart = 0) => addDays(date, -((date.getDay() - weekStart + 7) % 7));
+
+// ISO 8601 주 번호: 월요일 시작, 그 주의 목요일이 속한 해의 몇 번째 주 (1~53)
+export const isoWeek = (date) => {
+  const thursday = addDays(date, 3 - ((date.getDay() + 6) % 7));
+  return Math.floor(diffDays(new Date(thursday.getFullYear(), 0, 1), thursday) / 7) + 1;
+};
@@ -1,11 +1,16 @@
 // src/firebase.js
 import { initializeApp } from "firebase/app";
 import { getAuth } from "firebase/auth";
-import { getFirestore } from "firebase/firestore";
+import {
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+} from "firebase/firestore";
 
 /**
  * Vercel + Vite 환경변수 기반 Firebase 설정
  * - Vercel Project Settings > Environment Variables 에서 VITE_로 시작하는 키들을 등록해야 함
+ * - 키가 하나도 없으면 Firebase를 초기화하지 않고 로컬 저장소(src/storage)로 동작
  */
 const firebaseConfig = {
   apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
@@ -26,17 +31,37 @@ const requiredKeys = [
   "VITE_FIREBASE_APP_ID",
 ];
 
-for (const k of requiredKeys) {
-  if (!import.meta.env[k]) {
-    // 개발 중 바로 눈에 띄게 하려면 throw, 운영에서는 console.warn으로 바꿔도 됨
-    // eslint-disable-next-line no-console
-    console.warn(`[firebase] Missing env: ${k}`);
+export const isFirebaseConfigured = requiredKeys.every((k) => Boolean(import.meta.env[k]));
+
+// Firestore를 쓰려는데(일부 키만 있거나 VITE_STORAGE_BACKEND=firestore) 설정이 빠진 경우에만 경고
+const wantsFirebase =
+  import.meta.env.VITE_STORAGE_BACKEND === "firestore" ||
+  requiredKeys.some((k) => Boolean(import.meta.env[k]));
+
+if (!isFirebaseConfigured && wantsFirebase) {
+  for (const k of requiredKeys) {
+    if (!import.meta.env[k]) {
+      // 개발 중 바로 눈에 띄게 하려면 throw, 운영에서는 console.warn으로 바꿔도 됨
+      // eslint-disable-next-line no-console
+      console.warn(`[firebase] Missing env: ${k}`);
+    }
   }
 }
 
-export const app = initializeApp(firebaseConfig);
-export const auth = getAuth(app);
-export const db = getFirestore(app);
+export const app = isFirebaseConfigured ? initializeApp(firebaseConfig) : null;
+export const auth = app ? getAuth(app) : null;
+
+/**
+ * 오프라인 우선: IndexedDB 영구 캐시 사용
+ * - 오프라인에서도 읽기/쓰기가 로컬 캐시로 동작하고, 대기 중인 쓰기는 새로고침 후에도 남아 있다가
+ *   연결이 돌아오면 자동으로 서버에 다시 보내진다
+ * - 여러 탭을 열어도 같은 캐시를 공유하도록 multi-tab manager 사용
+ */
+export const db = app
+  ? initializeFirestore(app, {
+      localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+    })
+  : null;
 
 // Firestore 경로 구분에 쓰고 싶으면 appId를 그대로 사용 (너의 기존 로직과 호환)
 export const appId = import.meta.env.VITE_FIREBASE_APP_ID || "diag-app-id";
@@ -0,0 +1,91 @@
+// src/history.js
+// 되돌리기 / 다시 하기 (할 일 / 공지 / 일기)
+//
+// 작업 하나를 { label, changes } 로 기록한다. change는 문서 하나의 이전 / 이후 상태
+//   { calendarId, collection, id, before, after }   (없던 문서 / 지운 문서는 null)
+// 되돌릴 때는 before로, 다시 할 때는 after로 캘린더별 batch를 쓴다. 없던 / 지운 문서는 통째로 set / delete,
+// 둘 다 있으면 둘 사이에 달라진 필드만 update한다 (화면의 문서가 조금 늦어도 그 사이 바뀐 다른 필드를 덮지 않도록).
+// 화면에 있는 문서와 저장소의 patch 규칙(ops.js)으로 after를 미리 계산하므로 쓰기 방식(update / set)과 상관없이 기록할 수 있다.
+
+import { applyPatch, mergeData, deleteField } from './storage/ops';
+import { PERSONAL_CALENDAR_ID } from './calendars';
+
+export const MAX_HISTORY = 50;
+export const EMPTY_HISTORY = { undo: [], redo: [] };
+
+// 저장할 문서에는 id와 (공유 캘린더 표시용) calendarId를 넣지 않는다
+const stripMeta = ({ id, calendarId, ...data }) => data;
+
+export const docChange = (collection, id, before, after, calendarId = PERSONAL_CALENDAR_ID) => ({
+  calendarId,
+  collection,
+  id,
+  before: before ? stripMeta(before) : null,
+  after: after ? stripMeta(after) : null,
+});
+
+// update(id, patch) / set(id, data, { merge: true }) 뒤의 문서
+export const patchedDoc = (doc, patch) => applyPatch(stripMeta(doc), patch);
+export const mergedDoc = (doc, data) => mergeData(doc ? stripMeta(doc) : {}, data);
+
+// planBulkAction처럼 ops / undo ops를 함께 만든 작업을 change 목록으로
+export const changesFromOps = (calendarId, ops, undo) => {
+  const dataOf = (op) => (op && op.type === 'set' ? op.data : null);
+  return ops.map(op => ({
+    calendarId,
+    collection: op.collection,
+    id: op.id,
+    before: dataOf(undo.find(u => u.collection === op.collection && u.id === op.id)),
+    after: dataOf(op),
+  }));
+};
+
+// 새 작업을 쌓으면 다시 하기 목록은 비운다.
+// mergeKey가 바로 앞 작업과 같으면(같은 일기를 이어서 자동 저장) 처음 상태는 두고 한 항목으로 합친다
+export const pushHistory = (history, entry) => {
+  const last = history.undo[history.undo.length - 1];
+  if (entry.mergeKey && last && last.mergeKey === entry.mergeKey) {
+    const merged = { ...entry, changes: entry.changes.map((change, i) => ({ ...change, before: last.changes[i].before })) };
+    return { undo: [...history.undo.slice(0, -1), merged], redo: [] };
+  }
+  return { undo: [...history.undo, entry].slice(-MAX_HISTORY), redo: [] };
+};
+
+// entry를 주면(알림의 Undo 버튼) 맨 위가 아니어도 그 작업을 되돌린다
+export const undoHistory = (history, entry = history.undo[history.undo.length - 1]) => {
+  if (!entry || !history.undo.includes(entry)) return null;
+  return { entry, history: { undo: history.undo.filter(e => e !== entry), redo: [...history.redo, entry] } };
+};
+
+export const redoHistory = (history) => {
+  const entry = history.redo[history.redo.length - 1];
+  if (!entry) return null;
+  return { entry, history: { undo: [...history.undo, entry], redo: history.redo.slice(0, -1) } };
+};
+
+// from -> to 로 바꾸는 최상위 필드 patch (to에 없는 필드는 지운다)
+export const fieldPatch = (from, to) => Object.fromEntries(
+  [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(key => JSON.stringify(from[key]) !== JSON.stringify(to[key]))
+    .map(key => [key, key in to ? to[key] : deleteField()])
+);
+
+// 캘린더별 batch ops. 되돌릴 때는 나중 변경부터 (한 작업이 같은 문서를 두 번 바꿨어도 처음 상태가 남는다)
+export const historyOps = (entry, direction) => {
+  const changes = direction === 'undo' ? [...entry.changes].reverse() : entry.changes;
+  const groups = {};
+  changes.forEach(change => {
+    const [from, to] = direction === 'undo' ? [change.after, change.before] : [change.before, change.after];
+    const target = { collection: change.collection, id: change.id };
+    let op;
+    if (!to) op = { type: 'delete', ...target };
+    else if (!from) op = { type: 'set', ...target, data: to };
+    else {
+      const patch = fieldPatch(from, to);
+      if (Object.keys(patch).length === 0) return;
+      op = { type: 'update', ...target, data: patch };
+    }
+    groups[change.calendarId] = [...(groups[change.calendarId] || []), op];
+  });
+  return groups;
+};
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { EMPTY_HISTORY, MAX_HISTORY, docChange, patchedDoc, mergedDoc, changesFromOps, pushHistory, undoHistory, redoHistory, historyOps, fieldPatch } from './history';
+import { arrayUnion, deleteField } from './storage/ops';
+
+const task = { id: 't1', calendarId: 'team', text: 'Plan', completed: false, completedDates: ['2026-10-01'] };
+const entry = (label, changes = [docChange('tasks', label, null, { text: label })], mergeKey = null) => ({ label, changes, mergeKey });
+
+describe('recording changes', () => {
+  it('stores documents without id / calendarId and predicts patched and merged documents', () => {
+    const change = docChange('tasks', 't1', task, patchedDoc(task, { completedDates: arrayUnion('2026-10-02') }), 'team');
+    expect(change).toEqual({
+      calendarId: 'team',
+      collection: 'tasks',
+      id: 't1',
+      before: { text: 'Plan', completed: false, completedDates: ['2026-10-01'] },
+      after: { text: 'Plan', completed: false, completedDates: ['2026-10-01', '2026-10-02'] },
+    });
+    expect(mergedDoc(null, { content: 'Hi' })).toEqual({ content: 'Hi' });
+    expect(mergedDoc({ id: 'n', content: 'Hi', mood: 3 }, { content: 'Bye' })).toEqual({ content: 'Bye', mood: 3 });
+  });
+
+  it('turns bulk ops and their undo ops into changes', () => {
+    const ops = [
+      { type: 'set', collection: 'tasks', id: 'a', data: { text: 'A', completed: true } },
+      { type: 'delete', collection: 'tasks', id: 'b' },
+      { type: 'set', collection: 'tasks', id: 'c', data: { text: 'C' } },
+    ];
+    const undo = [
+      { type: 'set', collection: 'tasks', id: 'a', data: { text: 'A', completed: false } },
+      { type: 'set', collection: 'tasks', id: 'b', data: { text: 'B' } },
+      { type: 'delete', collection: 'tasks', id: 'c' },
+    ];
+    expect(changesFromOps('personal', ops, undo).map(c => [c.id, c.before, c.after])).toEqual([
+      ['a', { text: 'A', completed: false }, { text: 'A', completed: true }],
+      ['b', { text: 'B' }, null],
+      ['c', null, { text: 'C' }],
+    ]);
+  });
+});
+
+describe('undo / redo stacks', () => {
+  it('undoes the latest entry, redoes it, and clears redo on a new entry', () => {
+    const first = entry('a');
+    const second = entry('b');
+    const history = pushHistory(pushHistory(EMPTY_HISTORY, first), second);
+
+    const undone = undoHistory(history);
+    expect(undone.entry).toBe(second);
+    expect(undone.history).toEqual({ undo: [first], redo: [second] });
+    expect(redoHistory(undone.history).history).toEqual(history);
+    expect(pushHistory(undone.history, entry('c')).redo).toEqual([]);
+    expect(undoHistory(EMPTY_HISTORY)).toBeNull();
+    expect(redoHistory(EMPTY_HISTORY)).toBeNull();
+  });
+
+  it('undoes a given entry even when it is not the latest, but only once', () => {
+    const first = entry('a');
+    const history = pushHistory(pushHistory(EMPTY_HISTORY, first), entry('b'));
+    const undone = undoHistory(history, first);
+    expect(undone.history.undo.map(e => e.label)).toEqual(['b']);
+    expect(undoHistory(undone.history, first)).toBeNull();
+  });
+
+  it('merges consecutive entries with the same key, keeping the first state', () => {
+    const save = (before, after) => entry('Journal edit', [docChange('notes', 'd', before, after)], 'notes/personal/d');
+    const history = pushHistory(pushHistory(EMPTY_HISTORY, save({ content: 'A' }, { content: 'AB' })), save({ content: 'AB' }, { content: 'ABC' }));
+    expect(history.undo).toHaveLength(1);
+    expect(history.undo[0].changes[0]).toMatchObject({ before: { content: 'A' }, after: { content: 'ABC' } });
+  });
+
+  it(`keeps the last ${MAX_HISTORY} entries`, () => {
+    let history = EMPTY_HISTORY;
+    for (let i = 0; i < MAX_HISTORY + 5; i++) history = pushHistory(history, entry(`e${i}`));
+    expect(history.undo).toHaveLength(MAX_HISTORY);
+    expect(history.undo[0].label).toBe('e5');
+  });
+});
+
+describe('history ops', () => {
+  it('patches only the fields that changed', () => {
+    expect(fieldPatch({ text: 'A', note: 'x', done: false }, { text: 'A', done: true })).toEqual({ done: true, note: deleteField() });
+  });
+
+  it('groups ops per calendar and replays undo in reverse order', () => {
+    const deleteEntry = entry('Delete task', [
+      docChange('tasks', 't1', task, null, 'team'),
+      docChange('trash', 't1', null, { collection: 'tasks', data: { text: 'Plan' } }, 'team'),
+      docChange('tasks', 'p', { text: 'P', completed: false }, { text: 'P', completed: true }),
+      docChange('tasks', 'same', { text: 'S' }, { text: 'S' }),
+    ]);
+    expect(historyOps(deleteEntry, 'redo')).toEqual({
+      team: [
+        { type: 'delete', collection: 'tasks', id: 't1' },
+        { type: 'set', collection: 'trash', id: 't1', data: { collection: 'tasks', data: { text: 'Plan' } } },
+      ],
+      personal: [{ type: 'update', collection: 'tasks', id: 'p', data: { completed: true } }],
+    });
+    expect(historyOps(deleteEntry, 'undo')).toEqual({
+      personal: [{ type: 'update', collection: 'tasks', id: 'p', data: { completed: false } }],
+      team: [
+        { type: 'delete', collection: 'trash', id: 't1' },
+        { type: 'set', collection: 'tasks', id: 't1', data: { text: 'Plan', completed: false, completedDates: ['2026-10-01'] } },
+      ],
+    });
+  });
+});
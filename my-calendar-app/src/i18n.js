@@ -0,0 +1,75 @@
+// src/i18n.js
+// 화면 문구 번역(한국어 / 영어)과 Intl 기반 월 / 요일 / 날짜 표시
+//   문구: locales/<언어>.js 의 MESSAGES[언어][키], '{count}' 같은 자리는 값으로 채운다
+//         없는 키는 영어 문구, 그것도 없으면 키 그대로
+//   설정: settings 컬렉션의 'locale' 문서 { language, weekStart, showWeekNumbers }
+//         문서가 없으면 브라우저 언어, 일요일 시작, 주 번호 숨김
+
+import { parseDate } from './dateUtils';
+import en from './locales/en';
+import ko from './locales/ko';
+
+export const LOCALE_SETTINGS_ID = 'locale';
+
+export const LANGUAGES = [
+  { id: 'en', label: 'English', intl: 'en-US' },
+  { id: 'ko', label: '한국어', intl: 'ko-KR' },
+];
+
+export const MESSAGES = { en, ko };
+
+const isLanguage = (id) => LANGUAGES.some(l => l.id === id);
+
+// 브라우저 언어가 한국어면 'ko', 그 밖에는 'en'
+export const browserLanguage = () => {
+  const language = (typeof navigator !== 'undefined' && navigator.language) || '';
+  return language.toLowerCase().startsWith('ko') ? 'ko' : 'en';
+};
+
+export const normalizeLocaleSettings = (doc, fallbackLanguage = browserLanguage()) => ({
+  language: doc && isLanguage(doc.language) ? doc.language : fallbackLanguage,
+  weekStart: doc && doc.weekStart === 1 ? 1 : 0,
+  showWeekNumbers: Boolean(doc && doc.showWeekNumbers),
+});
+
+export const translate = (language, key, params = {}) => {
+  const text = (MESSAGES[language] && MESSAGES[language][key]) || MESSAGES.en[key] || key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+// 주 시작 요일부터 차례로 요일 번호 (0=일 ~ 6=토)
+export const weekdayOrder = (weekStart) => Array.from({ length: 7 }, (_, i) => (weekStart + i) % 7);
+
+// 2023-01-01은 일요일 -> 요일 번호만큼 더해서 요일 이름을 얻는다
+const WEEKDAY_BASE = [2023, 0, 1];
+
+// 언어 설정으로 만든 번역 / 날짜 표시 묶음 (App이 만들어 화면 컴포넌트에 넘긴다)
+export const createI18n = ({ language, weekStart }) => {
+  const locale = LANGUAGES.find(l => l.id === language).intl;
+  const formatter = (options) => new Intl.DateTimeFormat(locale, options);
+  const month = formatter({ year: 'numeric', month: 'long' });
+  const day = formatter({ year: 'numeric', month: 'long', day: 'numeric' });
+  const shortDay = formatter({ month: 'short', day: 'numeric' });
+  const weekdays = {
+    short: formatter({ weekday: 'short' }),
+    long: formatter({ weekday: 'long' }),
+  };
+  const [year, monthIndex, date] = WEEKDAY_BASE;
+  // 날짜 표시 함수는 Date와 'YYYY-MM-DD' 문자열을 모두 받는다
+  const toDate = (value) => (typeof value === 'string' ? parseDate(value) : value);
+
+  return {
+    language,
+    locale,
+    weekStart,
+    t: (key, params) => translate(language, key, params),
+    formatMonth: (value) => month.format(value),
+    formatDay: (value) => day.format(toDate(value)),
+    formatShortDay: (value) => shortDay.format(toDate(value)),
+    formatDayRange: (from, to) => shortDay.formatRange(toDate(from), toDate(to)),
+    formatWeekday: (weekday, width = 'short') => weekdays[width].format(new Date(year, monthIndex, date + weekday)),
+  };
+};
+
+// i18n을 넘기지 않은 모듈 함수가 쓰는 기본값 (영어, 일요일 시작)
+export const DEFAULT_I18N = createI18n({ language: 'en', weekStart: 0 });
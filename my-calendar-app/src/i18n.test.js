@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { MESSAGES, translate, normalizeLocaleSettings, weekdayOrder, createI18n } from './i18n';
+
+describe('translate', () => {
+  it('fills placeholders and falls back to English, then the key', () => {
+    expect(translate('ko', 'calendar.more', { count: 3 })).toBe('+3개 더');
+    expect(translate('en', 'calendar.more', { count: 3 })).toBe('+3 more');
+    expect(translate('xx', 'nav.trash')).toBe('Trash');
+    expect(translate('ko', 'missing.key')).toBe('missing.key');
+    expect(translate('en', 'sync.pending')).toBe('{count} pending');
+  });
+
+  it('has a Korean message for every English one', () => {
+    expect(Object.keys(MESSAGES.ko).sort()).toEqual(Object.keys(MESSAGES.en).sort());
+  });
+
+  it('uses the same placeholders in every language', () => {
+    const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+    Object.entries(MESSAGES.en).forEach(([key, text]) => {
+      expect([key, placeholders(MESSAGES.ko[key])]).toEqual([key, placeholders(text)]);
+    });
+  });
+});
+
+describe('locale settings', () => {
+  it('defaults to the browser language and a Sunday start', () => {
+    expect(normalizeLocaleSettings(undefined, 'ko')).toEqual({ language: 'ko', weekStart: 0, showWeekNumbers: false });
+    expect(normalizeLocaleSettings({ language: 'fr', weekStart: 3 }, 'en')).toMatchObject({ language: 'en', weekStart: 0 });
+    expect(normalizeLocaleSettings({ language: 'ko', weekStart: 1, showWeekNumbers: true }, 'en')).toEqual({ language: 'ko', weekStart: 1, showWeekNumbers: true });
+  });
+
+  it('orders weekdays from the week start', () => {
+    expect(weekdayOrder(0)).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    expect(weekdayOrder(1)).toEqual([1, 2, 3, 4, 5, 6, 0]);
+  });
+});
+
+describe('createI18n', () => {
+  it('formats months, days and weekdays with Intl', () => {
+    const date = new Date(2026, 9, 15);
+    const ko = createI18n({ language: 'ko', weekStart: 1 });
+    expect(ko.formatMonth(date)).toBe('2026년 10월');
+    expect(ko.formatDay(date)).toBe('2026년 10월 15일');
+    expect(ko.formatShortDay('2026-10-15')).toBe('10월 15일');
+    expect(ko.formatDayRange('2026-10-12', '2026-10-18')).toBe('10월 12일~18일');
+    expect(weekdayOrder(ko.weekStart).map(d => ko.formatWeekday(d))).toEqual(['월', '화', '수', '목', '금', '토', '일']);
+
+    const en = createI18n({ language: 'en', weekStart: 0 });
+    expect(en.formatMonth(date)).toBe('October 2026');
+    expect(en.formatDay(date)).toBe('October 15, 2026');
+    expect(en.formatDay('2026-10-15')).toBe('October 15, 2026');
+    expect(en.formatDayRange('2026-10-26', '2026-11-01')).toMatch(/^Oct 26\s–\sNov 1$/);
+    expect(en.formatWeekday(0)).toBe('Sun');
+    expect(en.formatWeekday(1, 'long')).toBe('Monday');
+    expect(en.t('nav.settings')).toBe('Settings');
+  });
+});
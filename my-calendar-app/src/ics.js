@@ -0,0 +1,356 @@
+// src/ics.js
+// iCalendar(RFC 5545) 변환.
+// - 내보내기: 일정 -> VTODO (완료 여부/우선순위를 표준 속성으로 표현), 공지 -> VEVENT(종일)
+// - 가져오기: VEVENT / VTODO -> 일정 (RRULE 포함). 우리 앱이 내보낸 공지는 X-FOCUSBOARD-TYPE 으로 구분
+// - 반복 일정의 발생별 수정 / 완료는 같은 UID + RECURRENCE-ID 컴포넌트로 주고받는다
+//   (가져올 때 시리즈의 overrides / completedDates 로, 다른 날로 옮긴 발생은 exdates + 단일 일정으로)
+// UID는 문서 id에서 만들고, 다시 가져올 때 같은 UID면 기존 문서를 갱신한다.
+
+import { formatDate, parseDate } from './dateUtils';
+import { getSetPos } from './recurrence';
+
+const PRODID = '-//FocusBoard//Premium Task Calendar//KO';
+const UID_DOMAIN = 'focusboard';
+const TYPE_PROP = 'X-FOCUSBOARD-TYPE';
+const ICAL_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// --- 문자열 처리 ---
+
+const escapeText = (text) => String(text || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (text) => text.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+
+// 한 줄 75 옥텟 제한 (UTF-8 기준, 멀티바이트 문자는 자르지 않는다)
+const encoder = new TextEncoder();
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    const limit = parts.length === 0 ? 75 : 74; // 이어지는 줄은 앞의 공백 1바이트 포함
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const toIcalDate = (dateStr) => dateStr.replace(/-/g, '');
+const toIcalDateTime = (dateStr, time) => `${toIcalDate(dateStr)}T${time.replace(':', '')}00`;
+const toIcalUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+export const taskUid = (id) => `task-${id}@${UID_DOMAIN}`;
+export const noticeUid = (id) => `notice-${id}@${UID_DOMAIN}`;
+// 시리즈에서 떼어 낸(다른 날로 옮긴) 발생을 단일 일정으로 가져올 때 쓰는 UID
+export const occurrenceUid = (uid, dateStr) => `${uid}#${dateStr}`;
+
+// 우리 앱이 만든 UID면 원래 문서 id를 돌려준다
+export const docIdFromUid = (uid) => {
+  const match = /^(task|notice)-(.+)@focusboard$/.exec(uid || '');
+  return match ? { kind: match[1], id: match[2] } : null;
+};
+
+// --- RRULE ---
+
+export const toRRule = (rule, startDateStr) => {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  if (rule.interval && rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.freq === 'weekly' && rule.byWeekday && rule.byWeekday.length) {
+    parts.push(`BYDAY=${rule.byWeekday.map(d => ICAL_DAYS[d]).join(',')}`);
+  }
+  if (rule.freq === 'monthly') {
+    const start = parseDate(startDateStr);
+    if (rule.monthlyMode === 'nth') parts.push(`BYDAY=${rule.setPos || getSetPos(start)}${ICAL_DAYS[start.getDay()]}`);
+    else parts.push(`BYMONTHDAY=${start.getDate()}`);
+  }
+  if (rule.until) parts.push(`UNTIL=${toIcalDate(rule.until)}`);
+  else if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+};
+
+// 지원하지 않는 RRULE 구성(BYHOUR 등)은 무시하고 가장 가까운 규칙으로 옮긴다
+export const fromRRule = (value) => {
+  const props = Object.fromEntries(value.split(';').map(p => p.split('=')).map(([k, v]) => [k.toUpperCase(), v]));
+  const freq = (props.FREQ || '').toLowerCase();
+  if (!['daily', 'weekly', 'monthly', 'yearly'].includes(freq)) return null;
+
+  const rule = { freq, interval: Number(props.INTERVAL) || 1, until: null, count: null };
+  const byDay = props.BYDAY ? props.BYDAY.split(',') : [];
+  if (freq === 'weekly') {
+    rule.byWeekday = byDay.map(d => ICAL_DAYS.indexOf(d.slice(-2))).filter(d => d >= 0).sort();
+  }
+  if (freq === 'monthly') {
+    const nth = byDay.length ? /^([+-]?\d)?([A-Z]{2})$/.exec(byDay[0]) : null;
+    const setPos = nth && (nth[1] || props.BYSETPOS);
+    if (setPos) {
+      rule.monthlyMode = 'nth';
+      rule.setPos = Number(setPos) < 0 ? -1 : Number(setPos);
+    } else {
+      rule.monthlyMode = 'date';
+    }
+  }
+  if (props.UNTIL) rule.until = parseIcalDateTime(props.UNTIL).date;
+  else if (props.COUNT) rule.count = Number(props.COUNT);
+  return rule;
+};
+
+// --- 내보내기 ---
+
+const PRIORITY_TO_ICAL = { high: 1, medium: 5, low: 9 };
+
+// 발생마다 따로 고칠 수 있는 필드 (시리즈의 overrides[날짜]에 들어간다)
+export const OVERRIDE_FIELDS = ['text', 'priority', 'description', 'startTime', 'endTime'];
+
+const icalStart = (dateStr, time) => (time ? `DTSTART:${toIcalDateTime(dateStr, time)}` : `DTSTART;VALUE=DATE:${toIcalDate(dateStr)}`);
+
+const statusLines = (completed) => [`STATUS:${completed ? 'COMPLETED' : 'NEEDS-ACTION'}`, ...(completed ? ['PERCENT-COMPLETE:100'] : [])];
+
+const taskBodyLines = (task) => {
+  const lines = [icalStart(task.date, task.startTime)];
+  if (task.startTime && task.endTime) lines.push(`DUE:${toIcalDateTime(task.date, task.endTime)}`);
+  lines.push(`SUMMARY:${escapeText(task.text)}`);
+  if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  lines.push(`PRIORITY:${PRIORITY_TO_ICAL[task.priority] || 5}`);
+  return lines;
+};
+
+// 완료했거나 고친 발생마다 RECURRENCE-ID 컴포넌트 하나 (지운 발생은 EXDATE로 이미 빠진다)
+const occurrenceVtodos = (task, stamp) => {
+  const overrides = task.overrides || {};
+  const completedDates = task.completedDates || [];
+  const dates = [...new Set([...Object.keys(overrides), ...completedDates])]
+    .filter(d => !(task.exdates || []).includes(d))
+    .sort();
+  return dates.flatMap(dateStr => [
+    'BEGIN:VTODO',
+    `UID:${taskUid(task.id)}`,
+    `DTSTAMP:${stamp}`,
+    task.startTime ? `RECURRENCE-ID:${toIcalDateTime(dateStr, task.startTime)}` : `RECURRENCE-ID;VALUE=DATE:${toIcalDate(dateStr)}`,
+    ...taskBodyLines({ ...task, ...overrides[dateStr], date: dateStr }),
+    ...statusLines(completedDates.includes(dateStr)),
+    'END:VTODO',
+  ]);
+};
+
+const taskToVtodo = (task, stamp) => {
+  const lines = [
+    'BEGIN:VTODO',
+    `UID:${taskUid(task.id)}`,
+    `DTSTAMP:${stamp}`,
+    ...taskBodyLines(task),
+  ];
+  const recurring = Boolean(task.repeat && task.repeat.freq);
+  if (recurring) {
+    lines.push(`RRULE:${toRRule(task.repeat, task.date)}`);
+    (task.exdates || []).forEach(d => lines.push(`EXDATE;VALUE=DATE:${toIcalDate(d)}`));
+  } else {
+    lines.push(...statusLines(task.completed));
+  }
+  if (task.createdAt) lines.push(`CREATED:${toIcalUtc(new Date(task.createdAt))}`);
+  lines.push('END:VTODO');
+  return recurring ? [...lines, ...occurrenceVtodos(task, stamp)] : lines;
+};
+
+const noticeToVevent = (notice, stamp) => {
+  const next = parseDate(notice.targetDate);
+  next.setDate(next.getDate() + 1);
+  return [
+    'BEGIN:VEVENT',
+    `UID:${noticeUid(notice.id)}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${toIcalDate(notice.targetDate)}`,
+    `DTEND;VALUE=DATE:${toIcalDate(formatDate(next))}`,
+    `SUMMARY:${escapeText(notice.content)}`,
+    `${TYPE_PROP}:NOTICE`,
+    'END:VEVENT',
+  ];
+};
+
+export const buildICalendar = ({ tasks = [], notices = [] }) => {
+  const stamp = toIcalUtc(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    ...tasks.flatMap(t => taskToVtodo(t, stamp)),
+    ...notices.flatMap(n => noticeToVevent(n, stamp)),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// --- 가져오기 ---
+
+// "20261019" / "20261019T090000" / "20261019T000000Z" -> { date, time }
+// UTC(Z) 값은 로컬 시간으로 바꾸고, TZID가 붙은 값은 로컬(floating) 시간으로 취급한다.
+export const parseIcalDateTime = (value) => {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!m) return null;
+  const [, y, mo, d, h, mi, , utc] = m;
+  if (!h) return { date: `${y}-${mo}-${d}`, time: null };
+  if (utc) {
+    const local = new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi)));
+    return {
+      date: formatDate(local),
+      time: `${String(local.getHours()).padStart(2, '0')}:${String(local.getMinutes()).padStart(2, '0')}`,
+    };
+  }
+  return { date: `${y}-${mo}-${d}`, time: `${h}:${mi}` };
+};
+
+const unfold = (text) => text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(Boolean);
+
+// "DTSTART;TZID=\"Asia/Seoul\":2026..." -> { name, params, value }
+const parseLine = (line) => {
+  let inQuote = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuote = !inQuote;
+    if (line[i] === ':' && !inQuote) { colon = i; break; }
+  }
+  if (colon === -1) return null;
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = Object.fromEntries(rawParams.map(p => {
+    const [k, v = ''] = p.split('=');
+    return [k.toUpperCase(), v.replace(/^"|"$/g, '')];
+  }));
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+const icalPriority = (value) => {
+  const n = Number(value);
+  if (!n) return 'medium';
+  if (n <= 4) return 'high';
+  if (n === 5) return 'medium';
+  return 'low';
+};
+
+// 컴포넌트 하나 -> 앱 데이터. kind: 'task' | 'notice'
+const componentToItem = (type, props) => {
+  const first = (name) => props.find(p => p.name === name);
+  const start = first('DTSTART') || first('DUE');
+  const startValue = start && parseIcalDateTime(start.value);
+  if (!startValue) return null;
+  const uid = first('UID') ? first('UID').value : null;
+  const summary = first('SUMMARY') ? unescapeText(first('SUMMARY').value) : '';
+
+  if (first(TYPE_PROP) && first(TYPE_PROP).value === 'NOTICE') {
+    return { kind: 'notice', uid, data: { content: summary, targetDate: startValue.date } };
+  }
+
+  const endProp = type === 'VTODO' ? first('DUE') : first('DTEND');
+  const endValue = endProp && endProp !== start ? parseIcalDateTime(endProp.value) : null;
+  const status = first('STATUS') ? first('STATUS').value.toUpperCase() : '';
+  const rrule = first('RRULE');
+  const data = {
+    date: startValue.date,
+    text: summary || '(untitled)',
+    priority: icalPriority(first('PRIORITY') && first('PRIORITY').value),
+    description: first('DESCRIPTION') ? unescapeText(first('DESCRIPTION').value) : '',
+    startTime: startValue.time,
+    endTime: startValue.time && endValue && endValue.date === startValue.date && endValue.time > startValue.time ? endValue.time : null,
+    completed: status === 'COMPLETED' || Boolean(first('COMPLETED')),
+    repeat: rrule ? fromRRule(rrule.value) : null,
+  };
+  const exdates = props
+    .filter(p => p.name === 'EXDATE')
+    .flatMap(p => p.value.split(',').map(v => parseIcalDateTime(v)).filter(Boolean).map(v => v.date));
+  if (exdates.length) data.exdates = exdates;
+
+  // 반복 일정의 한 발생만 고친 컴포넌트: RECURRENCE-ID = 원래 발생 날짜
+  const recurrence = first('RECURRENCE-ID') && parseIcalDateTime(first('RECURRENCE-ID').value);
+  if (recurrence) {
+    return { kind: 'task', uid, recurrenceId: recurrence.date, cancelled: status === 'CANCELLED', data: { ...data, repeat: null } };
+  }
+  return { kind: 'task', uid, data };
+};
+
+// 발생 수정본(recurrenceId가 있는 항목)을 시리즈 데이터 { overrides, completedDates, exdates }에 반영한다.
+// 같은 날이면 시리즈와 다른 필드만 overrides에, 다른 날로 옮겼거나 취소했으면 원래 날짜를 exdates에 넣는다.
+// 반환: 반영한 시리즈 필드와, 옮긴 발생을 단일 일정으로 만들 항목(없으면 null)
+export const applyOccurrence = (series, item) => {
+  const date = item.recurrenceId;
+  const without = (list) => (list || []).filter(d => d !== date);
+  const overrides = { ...(series.overrides || {}) };
+  delete overrides[date];
+
+  if (item.cancelled || item.data.date !== date) {
+    return {
+      fields: { overrides, completedDates: without(series.completedDates), exdates: [...without(series.exdates), date] },
+      detached: item.cancelled ? null : { kind: 'task', uid: occurrenceUid(item.uid, date), data: item.data },
+    };
+  }
+  const changed = OVERRIDE_FIELDS.filter(f => (item.data[f] || null) !== (series[f] || null));
+  if (changed.length) overrides[date] = Object.fromEntries(changed.map(f => [f, item.data[f]]));
+  return {
+    fields: {
+      overrides,
+      completedDates: item.data.completed ? [...without(series.completedDates), date] : without(series.completedDates),
+      exdates: without(series.exdates),
+    },
+    detached: null,
+  };
+};
+
+// 이미 있는 일정을 다시 가져올 때 발생별 예외는 파일 내용으로 통째로 바꾼다 (합치면 파일에서 지운 예외가 남는다).
+// 기존 문서나 파일 중 한쪽에라도 있는 필드만, 파일에 없으면 빈 값으로 채운다
+export const replacedExceptions = (existing, data) => Object.fromEntries(
+  Object.entries({ overrides: {}, exdates: [], completedDates: [] })
+    .filter(([key]) => key in existing || key in data)
+    .map(([key, empty]) => [key, data[key] || empty])
+);
+
+// 같은 파일 안의 발생 수정본은 시리즈 항목에 합친다.
+// 시리즈가 파일에 없는 수정본은 { recurrenceId } 가 붙은 채로 남겨서, 이미 저장된 시리즈에 반영하게 한다
+const mergeOccurrences = (items) => {
+  const series = new Map(items.filter(i => i.kind === 'task' && !i.recurrenceId && i.data.repeat).map(i => [i.uid, i]));
+  const result = [];
+  items.forEach(item => {
+    const parent = item.recurrenceId && series.get(item.uid);
+    if (!parent) {
+      result.push(item);
+      return;
+    }
+    const { fields, detached } = applyOccurrence(parent.data, item);
+    Object.assign(parent.data, fields);
+    if (detached) result.push(detached);
+  });
+  return result;
+};
+
+// .ics 텍스트 -> [{ kind, uid, data, recurrenceId? }]
+// VEVENT/VTODO 안의 하위 컴포넌트(VALARM 등) 속성은 건너뛴다
+export const parseICalendar = (text) => {
+  const items = [];
+  let current = null;
+  let nested = 0;
+  unfold(text).forEach(raw => {
+    const line = parseLine(raw);
+    if (!line) return;
+    if (line.name === 'BEGIN' && !current && (line.value === 'VEVENT' || line.value === 'VTODO')) {
+      current = { type: line.value, props: [] };
+    } else if (line.name === 'BEGIN' && current) {
+      nested += 1;
+    } else if (line.name === 'END' && current && nested > 0) {
+      nested -= 1;
+    } else if (line.name === 'END' && current && line.value === current.type) {
+      const item = componentToItem(current.type, current.props);
+      if (item) items.push(item);
+      current = null;
+    } else if (current && nested === 0) {
+      current.props.push(line);
+    }
+  });
+  return mergeOccurrences(items);
+};
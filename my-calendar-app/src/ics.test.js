@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { buildICalendar, parseICalendar, applyOccurrence, occurrenceUid, replacedExceptions } from './ics';
+
+const ics = (...components) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...components.flat(), 'END:VCALENDAR'].join('\r\n');
+const weeklyStandup = [
+  'BEGIN:VEVENT', 'UID:standup@example.com', 'DTSTART:20261012T093000', 'DTEND:20261012T100000',
+  'SUMMARY:Standup', 'RRULE:FREQ=WEEKLY;BYDAY=MO', 'END:VEVENT',
+];
+const override = (recurrenceId, start, extra = []) => [
+  'BEGIN:VEVENT', 'UID:standup@example.com', `RECURRENCE-ID:${recurrenceId}`, `DTSTART:${start}`,
+  ...extra, 'END:VEVENT',
+];
+
+describe('RECURRENCE-ID', () => {
+  it('folds edited and moved occurrences into the series', () => {
+    const items = parseICalendar(ics(
+      weeklyStandup,
+      override('20261019T093000', '20261019T110000', ['DTEND:20261019T113000', 'SUMMARY:Standup (late)']),
+      override('20261026T093000', '20261027T093000', ['SUMMARY:Standup']),
+    ));
+
+    expect(items).toHaveLength(2);
+    const [series, moved] = items;
+    expect(series).toMatchObject({ uid: 'standup@example.com', data: { text: 'Standup', date: '2026-10-12', exdates: ['2026-10-26'] } });
+    expect(series.data.overrides).toEqual({ '2026-10-19': { text: 'Standup (late)', startTime: '11:00', endTime: '11:30' } });
+    expect(moved).toMatchObject({ uid: occurrenceUid('standup@example.com', '2026-10-26'), data: { date: '2026-10-27', repeat: null } });
+  });
+
+  it('keeps overrides without their series in the file for the stored series', () => {
+    const [item] = parseICalendar(ics(override('20261019T093000', '20261019T093000', ['STATUS:CANCELLED'])));
+    expect(item).toMatchObject({ recurrenceId: '2026-10-19', cancelled: true });
+
+    const series = { text: 'Standup', startTime: '09:30', exdates: ['2026-10-12'], completedDates: ['2026-10-19'] };
+    expect(applyOccurrence(series, item)).toEqual({
+      fields: { overrides: {}, completedDates: [], exdates: ['2026-10-12', '2026-10-19'] },
+      detached: null,
+    });
+  });
+
+  it('round-trips per-occurrence completion and edits', () => {
+    const task = {
+      id: 'run', date: '2026-10-12', text: 'Run', priority: 'medium', startTime: null, endTime: null,
+      repeat: { freq: 'weekly', interval: 1, byWeekday: [1] },
+      completedDates: ['2026-10-12', '2026-10-19'], exdates: ['2026-11-02'],
+      overrides: { '2026-10-26': { text: 'Long run' } },
+    };
+    const text = buildICalendar({ tasks: [task] });
+    expect(text.match(/RECURRENCE-ID/g)).toHaveLength(3);
+
+    const [series] = parseICalendar(text);
+    expect(series.data).toMatchObject({
+      completedDates: ['2026-10-12', '2026-10-19'],
+      exdates: ['2026-11-02'],
+      overrides: { '2026-10-26': { text: 'Long run' } },
+    });
+  });
+});
+
+describe('re-import', () => {
+  it('replaces occurrence exceptions with what the file has', () => {
+    const existing = {
+      id: 'run', date: '2026-10-12', repeat: { freq: 'weekly', interval: 1 },
+      completedDates: ['2026-10-12'], exdates: ['2026-10-19'], overrides: { '2026-10-26': { text: 'Long run' } },
+    };
+    const [series] = parseICalendar(ics(weeklyStandup));
+    expect(replacedExceptions(existing, series.data)).toEqual({ overrides: {}, exdates: [], completedDates: [] });
+    expect(replacedExceptions(existing, { completedDates: ['2026-10-19'] }))
+      .toEqual({ overrides: {}, exdates: [], completedDates: ['2026-10-19'] });
+    // 예외가 없던 단일 일정에는 빈 필드를 더하지 않는다
+    expect(replacedExceptions({ id: 'call', date: '2026-10-12' }, { text: 'Call' })).toEqual({});
+  });
+});
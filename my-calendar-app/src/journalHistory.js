@@ -0,0 +1,82 @@
+// src/journalHistory.js
+// 일기 자동 저장 보조: 브라우저 임시 저장(draft), 날짜별 버전 기록(revisions), 줄 단위 비교(diff)
+//
+// 버전 기록은 노트 문서의 revisions 배열에 { content, mood, energy, stress, activities, savedAt }로 쌓는다.
+// 자동 저장이 자주 일어나므로 저장돼 있던 내용이 REVISION_INTERVAL_MS 이상 그대로였을 때만 기록으로 남긴다.
+
+import { checkInOf, sameCheckIn, isCheckInEmpty } from './mood';
+
+export const AUTOSAVE_DELAY_MS = 1500;
+export const MAX_REVISIONS = 30;
+export const REVISION_INTERVAL_MS = 10 * 60 * 1000;
+
+const DRAFTS_KEY = 'focusboard.journalDrafts';
+
+// --- 임시 저장 (저장 전에 새로고침해도 남도록, 날짜별) ---
+
+const readDrafts = () => {
+  try {
+    return JSON.parse(localStorage.getItem(DRAFTS_KEY) || '{}');
+  } catch {
+    return {};
+  }
+};
+
+export const loadDraft = (dateStr) => readDrafts()[dateStr] || null;
+
+export const saveDraft = (dateStr, draft) => {
+  localStorage.setItem(DRAFTS_KEY, JSON.stringify({ ...readDrafts(), [dateStr]: draft }));
+};
+
+export const clearDraft = (dateStr) => {
+  const drafts = readDrafts();
+  if (!(dateStr in drafts)) return;
+  delete drafts[dateStr];
+  localStorage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+};
+
+// --- 버전 기록 ---
+
+// 저장할 때의 새 revisions 배열. previous: 지금 저장돼 있는 노트 문서 (없으면 null) / checkIn: mood.js 체크인
+export const nextRevisions = (previous, content, checkIn, now) => {
+  const revisions = (previous && previous.revisions) || [];
+  if (!previous) return revisions;
+  const previousCheckIn = checkInOf(previous);
+  if ((previous.content || '') === content && sameCheckIn(previousCheckIn, checkIn)) return revisions;
+  if (!previous.content && isCheckInEmpty(previousCheckIn)) return revisions;
+  // 계속 쓰는 중(직전 저장이 최근)이면 덮어쓰기만 한다
+  if (previous.updatedAt && now - Date.parse(previous.updatedAt) < REVISION_INTERVAL_MS) return revisions;
+  return [
+    ...revisions,
+    { content: previous.content || '', ...previousCheckIn, savedAt: previous.updatedAt || new Date(now).toISOString() },
+  ].slice(-MAX_REVISIONS);
+};
+
+// 줄 단위 비교 (LCS). [{ type: 'same' | 'add' | 'remove', text }] — before -> after
+export const diffLines = (before, after) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'remove', text: a[i++] });
+    } else {
+      result.push({ type: 'add', text: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: 'remove', text: a[i++] });
+  while (j < b.length) result.push({ type: 'add', text: b[j++] });
+  return result;
+};
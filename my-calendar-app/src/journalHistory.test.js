@@ -0,0 +1,58 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { checkInOf } from './mood';
+import { nextRevisions, diffLines, loadDraft, saveDraft, clearDraft, MAX_REVISIONS, REVISION_INTERVAL_MS } from './journalHistory';
+
+const NOW = Date.parse('2026-10-15T12:00:00.000Z');
+const ago = (ms) => new Date(NOW - ms).toISOString();
+const good = checkInOf({ mood: 4 });
+
+describe('nextRevisions', () => {
+  const settled = { content: 'Morning notes', mood: 4, updatedAt: ago(REVISION_INTERVAL_MS + 1) };
+
+  it('snapshots the stored version once it has settled', () => {
+    expect(nextRevisions(settled, 'Morning notes\nEvening notes', good, NOW)).toEqual([
+      { content: 'Morning notes', mood: 4, energy: null, stress: null, activities: [], savedAt: settled.updatedAt },
+    ]);
+    // 체크인만 바뀌어도 기록한다
+    expect(nextRevisions(settled, 'Morning notes', { ...good, activities: ['exercise'] }, NOW)).toHaveLength(1);
+  });
+
+  it('only overwrites while writing continuously, or when nothing changed', () => {
+    const recent = { ...settled, updatedAt: ago(2000), revisions: [{ content: 'old', mood: null, savedAt: ago(60 * 60 * 1000) }] };
+    expect(nextRevisions(recent, 'Morning notes!', good, NOW)).toBe(recent.revisions);
+    expect(nextRevisions(settled, 'Morning notes', good, NOW)).toEqual([]);
+    expect(nextRevisions(null, 'First words', good, NOW)).toEqual([]);
+    expect(nextRevisions({ content: '', mood: null, updatedAt: ago(REVISION_INTERVAL_MS * 2) }, 'Hi', good, NOW)).toEqual([]);
+  });
+
+  it('keeps at most MAX_REVISIONS', () => {
+    const revisions = Array.from({ length: MAX_REVISIONS }, (_, i) => ({ content: `v${i}`, mood: null, savedAt: ago((MAX_REVISIONS - i) * REVISION_INTERVAL_MS * 2) }));
+    const next = nextRevisions({ ...settled, revisions }, 'changed', good, NOW);
+    expect(next).toHaveLength(MAX_REVISIONS);
+    expect(next[0].content).toBe('v1');
+    expect(next[next.length - 1].content).toBe('Morning notes');
+  });
+});
+
+describe('diffLines', () => {
+  it('marks added and removed lines', () => {
+    expect(diffLines('a\nb\nc', 'a\nc\nd')).toEqual([
+      { type: 'same', text: 'a' },
+      { type: 'remove', text: 'b' },
+      { type: 'same', text: 'c' },
+      { type: 'add', text: 'd' },
+    ]);
+  });
+});
+
+describe('drafts', () => {
+  afterEach(() => localStorage.clear());
+
+  it('keeps one draft per day', () => {
+    saveDraft('2026-10-15', { content: 'unsaved', checkIn: good });
+    saveDraft('2026-10-16', { content: 'other', checkIn: good });
+    clearDraft('2026-10-16');
+    expect(loadDraft('2026-10-15')).toEqual({ content: 'unsaved', checkIn: good });
+    expect(loadDraft('2026-10-16')).toBeNull();
+  });
+});
@@ -0,0 +1,23 @@
+// src/journalTemplates.js
+// 일기 템플릿. 기본 템플릿 + 사용자가 Settings에서 만든 템플릿(templates 컬렉션: { name, content })
+// 본문의 {{date}} / {{weekday}}는 넣을 때 그 날짜로 바뀐다
+// 기본 템플릿의 이름과 본문은 화면 언어의 문구(template.*)를 쓴다
+
+import { parseDate } from './dateUtils';
+import { sortByName } from './categories';
+import { DEFAULT_I18N } from './i18n';
+
+const BUILTIN_IDS = ['retro', 'gratitude', 'meeting'];
+
+export const builtinTemplates = ({ t } = DEFAULT_I18N) => BUILTIN_IDS.map(id => ({
+  id: `builtin:${id}`,
+  name: t(`template.${id}.name`),
+  content: t(`template.${id}.content`),
+}));
+
+// 기본 템플릿 먼저, 그 다음 사용자 템플릿 (이름순)
+export const allTemplates = (userTemplates = [], i18n = DEFAULT_I18N) => [...builtinTemplates(i18n), ...sortByName(userTemplates)];
+
+export const fillTemplate = (content, dateStr, { formatWeekday } = DEFAULT_I18N) => content
+  .replaceAll('{{date}}', dateStr)
+  .replaceAll('{{weekday}}', formatWeekday(parseDate(dateStr).getDay(), 'long'));
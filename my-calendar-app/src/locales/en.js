@@ -0,0 +1,589 @@
+// src/locales/en.js
+// 영어 문구 (기준 언어). 키는 '화면.용도', '{count}' 같은 자리는 translate()가 값으로 채운다
+// 다른 언어에 없는 키는 이 문구로 보여준다
+
+export default {
+  'nav.dashboard': 'Dashboard',
+  'nav.schedule': 'Schedule',
+  'nav.analytics': 'Analytics',
+  'nav.backup': 'Backup',
+  'nav.trash': 'Trash',
+  'nav.settings': 'Settings',
+
+  'common.calendar': 'Calendar',
+  'common.date': 'Date',
+  'common.edit': 'Edit',
+  'common.delete': 'Delete',
+  'common.save': 'Save',
+  'common.saved': 'Saved!',
+  'common.close': 'Close',
+  'common.sync': 'Sync',
+  'common.waitingToSync': 'Waiting to sync',
+  'common.viewOnly': 'View only',
+
+  'priority.high': 'high',
+  'priority.medium': 'medium',
+  'priority.low': 'low',
+
+  'role.owner': 'Owner',
+  'role.editor': 'Editor',
+  'role.viewer': 'Viewer',
+
+  'color.indigo': 'Indigo',
+  'color.sky': 'Sky',
+  'color.emerald': 'Emerald',
+  'color.amber': 'Amber',
+  'color.orange': 'Orange',
+  'color.rose': 'Rose',
+  'color.violet': 'Violet',
+  'color.slate': 'Slate',
+
+  'sync.online': 'Online',
+  'sync.offline': 'Offline',
+  'sync.pending': '{count} pending',
+  'sync.waiting': '{count} change(s) waiting to sync',
+  'sync.synced': 'All changes synced',
+
+  'account.title': 'Account',
+  'account.local': 'Local Workspace',
+  'account.localSubtitle': 'This browser only',
+  'account.guest': 'Guest',
+  'account.guestSubtitle': 'Not backed up',
+  'account.saveTitle': 'Save Your Workspace',
+  'account.localHint': 'Firebase is not configured, so tasks, notes and notices are saved in this browser only (IndexedDB). Set the VITE_FIREBASE_* environment variables to enable accounts and sync. Use Backup to move data between browsers.',
+  'account.signOut': 'Sign out',
+  'account.signupTab': 'Create account',
+  'account.signinTab': 'Sign in',
+  'account.signupHint': 'Your current guest tasks, notes and notices move into the new account.',
+  'account.signinHint': 'Signing in to an existing account switches to that account’s workspace. Guest data stays behind.',
+  'account.email': 'Email',
+  'account.password': 'Password',
+  'account.signupButton': 'Create Account',
+  'account.signinButton': 'Sign In',
+  'account.or': 'or',
+  'account.switchProvider': 'Switch to that {provider} account instead',
+
+  'authError.invalidEmail': 'That email address looks invalid.',
+  'authError.missingPassword': 'Enter a password.',
+  'authError.weakPassword': 'Password should be at least 6 characters.',
+  'authError.emailInUse': 'An account already exists for this email. Sign in instead.',
+  'authError.credentialInUse': 'This sign-in is already linked to another account.',
+  'authError.providerLinked': 'This workspace is already linked to that provider.',
+  'authError.wrongPassword': 'Wrong email or password.',
+  'authError.userNotFound': 'No account found for this email.',
+  'authError.popupClosed': 'The sign-in window was closed.',
+  'authError.notAllowed': 'This sign-in method is not enabled for the project.',
+  'authError.network': 'Network error. Check your connection.',
+  'authError.unknown': 'Something went wrong. Please try again.',
+
+  'calendars.title': 'Calendars',
+  'calendars.new': 'New calendar',
+  'calendars.show': 'Show {name}',
+  'calendars.active': 'New items and the journal use this calendar',
+  'calendars.activate': 'Use for new items and the journal',
+  'calendars.manage': 'Manage {name}',
+  'calendars.manageHint': '{role} · Manage',
+  'calendars.name': 'Calendar name',
+  'calendars.create': 'Create calendar',
+  'calendars.createButton': 'Create',
+  'calendars.invitations': 'Invitations',
+  'calendars.join': 'Join {name}',
+  'calendars.decline': 'Decline {name}',
+
+  'calendarSettings.label': '{name} settings',
+  'calendarSettings.members': 'Members',
+  'calendarSettings.you': '(you)',
+  'calendarSettings.roleOf': 'Role of {name}',
+  'calendarSettings.remove': 'Remove {name}',
+  'calendarSettings.localHint': 'This calendar is saved in this browser only. Set up Firebase to invite other people.',
+  'calendarSettings.invite': 'Invite',
+  'calendarSettings.emailPlaceholder': 'Email (empty for a link)',
+  'calendarSettings.inviteEmail': 'Invite email',
+  'calendarSettings.inviteRole': 'Invite role',
+  'calendarSettings.createInvite': 'Create invite',
+  'calendarSettings.anyone': 'Anyone with the link',
+  'calendarSettings.copyLink': 'Copy invite link',
+  'calendarSettings.revoke': 'Revoke',
+  'calendarSettings.revokeInvite': 'Revoke invite',
+  'calendarSettings.delete': 'Delete calendar',
+  'calendarSettings.leave': 'Leave calendar',
+  'calendarSettings.confirmLeave': 'Leave "{name}"? You will need a new invitation to join again.',
+  'calendarSettings.confirmDelete': 'Delete "{name}" with all of its tasks, notes and notices for every member?',
+  'calendarSettings.mailSubject': 'Join "{name}" on FocusBoard',
+  'calendarSettings.mailBody': 'You are invited to "{name}" as {role}.\n\n{link}',
+
+  'invite.title': 'Calendar Invitation',
+  'invite.alreadyMember': 'You are already a member of "{calendar}".',
+  'invite.join': 'Join "{calendar}" as {role}?',
+  'invite.joinButton': 'Join Calendar',
+
+  'calendar.previous': 'Previous',
+  'calendar.next': 'Next',
+  'calendar.month': 'Month',
+  'calendar.week': 'Week',
+  'calendar.day': 'Day',
+  'calendar.today': 'Today',
+  'calendar.todayHint': 'Today (T)',
+  'calendar.importIcs': 'Import .ics',
+  'calendar.exportIcs': 'Export .ics',
+  'calendar.more': '+{count} more',
+  'calendar.weekColumn': 'Wk',
+  'calendar.weekNumber': 'Week {week}',
+  'calendar.mood': 'Mood: {mood}',
+  'calendar.personal': 'Personal',
+  'schedule.allDay': 'All day',
+
+  'filter.clear': 'Clear',
+
+  'history.undoLast': 'Undo last change',
+  'history.redoLast': 'Redo last change',
+  'history.undoHint': 'Undo {label} (Ctrl+Z)',
+  'history.redoHint': 'Redo {label} (Ctrl+Shift+Z)',
+  'history.nothingToUndo': 'Nothing to undo',
+  'history.nothingToRedo': 'Nothing to redo',
+  'history.rollOver': 'Roll over task',
+  'history.rollOverMany': 'Roll over tasks',
+
+  'notice.toggle': 'Notices',
+  'notice.title': 'Important Notices',
+  'notice.archive': 'Archive',
+  'notice.openArchive': 'Notice archive',
+  'notice.backToNotices': 'Back to notices',
+  'notice.empty': 'No Notices',
+  'notice.archiveEmpty': 'Archive Empty',
+  'notice.add': 'Add notice',
+  'notice.edit': 'Edit notice',
+  'notice.delete': 'Delete notice',
+  'notice.show': 'Show notice',
+  'notice.hide': 'Hide notice',
+  'notice.pin': 'Pin notice',
+  'notice.unpin': 'Unpin notice',
+  'notice.restore': 'Restore notice',
+
+  'noticeModal.newTitle': 'New Notice',
+  'noticeModal.editTitle': 'Edit Notice',
+  'noticeModal.message': 'Message',
+  'noticeModal.messagePlaceholder': 'Important message...',
+  'noticeModal.post': 'Post Notice',
+  'noticeModal.update': 'Update Notice',
+
+  'panel.selectedDate': 'Selected Date',
+  'panel.search': 'Search tasks, notes, notices...',
+  'panel.searchHint': 'Filters: priority:high is:done is:open mood:😫 project:name tag:name before:YYYY-MM-DD after:YYYY-MM-DD "exact phrase"',
+  'panel.todo': 'To-Do',
+  'panel.journal': 'Journal',
+  'panel.tasks': 'Tasks ({count})',
+
+  'task.add': 'Add task',
+  'task.edit': 'Edit task',
+  'task.delete': 'Delete task',
+  'task.copy': 'Copy task',
+  'task.move': 'Move task',
+  'task.complete': 'Complete task',
+  'task.reopen': 'Reopen task',
+  'task.restore': 'Restore task',
+  'task.editMemo': 'Edit memo',
+  'task.editChecklist': 'Edit checklist',
+  'task.empty': 'No Tasks',
+  'task.markDone': 'Mark as done',
+  'task.markNotDone': 'Mark as not done',
+  'task.markDoneNamed': 'Mark {text} as done',
+  'task.memo': 'Detail / Memo',
+  'task.memoPlaceholder': 'Add details...',
+  'task.overdue': 'Overdue',
+  'task.overdueCount': 'Overdue ({count})',
+  'task.postponed': 'Postponed {count}× · first planned for {date}',
+  'task.reminderCount': '{count} reminder(s)',
+  'task.rollAll': 'Roll all to today',
+  'task.rollOver': 'Roll over to today',
+  'task.rollOverNamed': 'Roll over {text} to today',
+  'task.selectStart': 'Select tasks',
+  'task.selectDone': 'Done selecting',
+  'task.selectAll': 'Select all',
+  'task.selectNamed': 'Select {text}',
+  'task.selected': '{count} selected',
+  'task.rangeHint': 'Shift-click to select a range',
+
+  'bulk.complete': 'Complete',
+  'bulk.reopen': 'Reopen',
+  'bulk.setPriority': 'Set priority',
+  'bulk.priorityPlaceholder': 'Priority…',
+  'bulk.deleteSelected': 'Delete selected',
+  'bulk.targetDate': 'Target date',
+  'bulk.move': 'Move',
+  'bulk.moveSelected': 'Move selected',
+  'bulk.copy': 'Copy',
+  'bulk.copySelected': 'Copy selected',
+  'bulk.taskCount': '{count} task',
+  'bulk.tasksCount': '{count} tasks',
+  'bulk.completed': 'Completed {tasks}',
+  'bulk.reopened': 'Reopened {tasks}',
+  'bulk.deleted': 'Deleted {tasks}',
+  'bulk.prioritySet': 'Set {tasks} to {priority} priority',
+  'bulk.moved': 'Moved {tasks} to {date}',
+  'bulk.copied': 'Copied {tasks} to {date}',
+
+  'checklist.title': 'Checklist',
+  'checklist.autoComplete': 'Auto-complete',
+  'checklist.check': 'Check {text}',
+  'checklist.uncheck': 'Uncheck {text}',
+  'checklist.moveUp': 'Move up',
+  'checklist.moveDown': 'Move down',
+  'checklist.delete': 'Delete step',
+  'checklist.placeholder': 'Add a step...',
+  'checklist.add': 'Add step',
+
+  'taskModal.newTitle': 'New Task',
+  'taskModal.editTitle': 'Edit Task',
+  'taskModal.thisOccurrence': 'This occurrence',
+  'taskModal.allOccurrences': 'All occurrences',
+  'taskModal.name': 'Task Name',
+  'taskModal.namePlaceholder': 'What needs to be done?',
+  'taskModal.priority': 'Priority',
+  'taskModal.projectAndTags': 'Project & Tags',
+  'taskModal.project': 'Project',
+  'taskModal.noProject': 'No project',
+  'taskModal.startsOn': 'Starts On',
+  'taskModal.time': 'Time',
+  'taskModal.timeHint': '(empty = all day)',
+  'taskModal.add': 'Add Task',
+  'taskModal.update': 'Update Task',
+
+  'repeat.title': 'Repeat',
+  'repeat.preset.none': 'None',
+  'repeat.preset.daily': 'Daily',
+  'repeat.preset.weekdays': 'Weekdays',
+  'repeat.preset.weekly': 'Weekly',
+  'repeat.preset.monthly': 'Monthly',
+  'repeat.preset.yearly': 'Yearly',
+  'repeat.every': 'Every',
+  'repeat.unit.daily': 'day(s)',
+  'repeat.unit.weekly': 'week(s)',
+  'repeat.unit.monthly': 'month(s)',
+  'repeat.unit.yearly': 'year(s)',
+  'repeat.monthlyDate': 'On day {day}',
+  'repeat.monthlyNth': 'On the {ordinal} {weekday}',
+  'repeat.never': 'Never ends',
+  'repeat.endsOn': 'Ends on',
+  'repeat.endsAfter': 'Ends after',
+  'repeat.times': 'times',
+  'repeat.every.daily': 'Daily',
+  'repeat.every.weekly': 'Every week',
+  'repeat.every.monthly': 'Every month',
+  'repeat.every.yearly': 'Every year',
+  'repeat.everyN.daily': 'Every {count} days',
+  'repeat.everyN.weekly': 'Every {count} weeks',
+  'repeat.everyN.monthly': 'Every {count} months',
+  'repeat.everyN.yearly': 'Every {count} years',
+  'repeat.everyWeekday': 'Every weekday',
+  'repeat.onWeekdays': '{rule} on {days}',
+  'repeat.onNth': '{rule} on the {ordinal} {weekday}',
+  'repeat.onDay': '{rule} on day {day}',
+  'repeat.until': '{rule} · until {date}',
+  'repeat.count': '{rule} · {count} times',
+  'repeat.ordinal.1': '1st',
+  'repeat.ordinal.2': '2nd',
+  'repeat.ordinal.3': '3rd',
+  'repeat.ordinal.4': '4th',
+  'repeat.ordinal.-1': 'last',
+
+  'reminder.title': 'Reminders',
+  'reminder.add': 'Add reminder',
+  'reminder.addPlaceholder': 'Add reminder...',
+  'reminder.remove': 'Remove reminder {reminder}',
+  'reminder.daysBeforeLabel': 'Days before',
+  'reminder.time': 'Reminder time',
+  'reminder.addCustom': 'Add custom reminder',
+  'reminder.allow': 'Allow notifications in this browser',
+  'reminder.blocked': 'Notifications are blocked for this site.',
+  'reminder.unsupported': 'This browser does not support notifications.',
+  'reminder.atStart': 'At start time',
+  'reminder.hoursBefore': '{count}h before',
+  'reminder.minutesBefore': '{count} min before',
+  'reminder.onTheDay': 'At {time} on the day',
+  'reminder.dayBefore': '{count} day before at {time}',
+  'reminder.daysBefore': '{count} days before at {time}',
+  'reminder.snooze': 'Snooze {count} min',
+  'reminder.dismiss': 'Dismiss',
+
+  'move.title': 'Move to date',
+  'move.heading': 'Move to Date',
+  'move.copy': 'Copy',
+  'move.move': 'Move',
+
+  'deleteRecurring.title': 'Delete Recurring Task',
+  'deleteRecurring.question': '"{text}" repeats. Which occurrences do you want to delete?',
+  'deleteRecurring.only': 'Only {date}',
+  'deleteRecurring.all': 'All occurrences',
+
+  'journal.title': "Today's Note",
+  'journal.write': 'Write',
+  'journal.split': 'Split view',
+  'journal.preview': 'Preview',
+  'journal.history': 'Version history',
+  'journal.placeholder': 'How was your day on {date}? \nWrite your thoughts here... (Markdown supported)',
+  'journal.empty': 'Nothing written yet.',
+  'journal.edit': 'Journal edit',
+
+  'template.retro.name': 'Daily retro',
+  'template.retro.content': '## What went well\n- \n\n## What to improve\n- \n\n## Tomorrow\n- [ ] ',
+  'template.gratitude.name': 'Gratitude',
+  'template.gratitude.content': '## Three good things\n1. \n2. \n3. \n\n## Notes\n',
+  'template.meeting.name': 'Meeting notes',
+  'template.meeting.content': '# Meeting · {{weekday}} {{date}}\n\n**Attendees:** \n\n## Notes\n- \n\n## Action items\n- [ ] ',
+
+  'noteHistory.title': 'History · {date}',
+  'noteHistory.close': 'Close history',
+  'noteHistory.empty': 'No earlier versions yet',
+  'noteHistory.emptyVersion': '(empty)',
+  'noteHistory.changes': 'Changes since this version',
+  'noteHistory.moodChange': 'mood {from} → {to}',
+  'noteHistory.restore': 'Restore this version',
+
+  'checkIn.mood': 'Mood of the day',
+  'checkIn.energy': 'Energy',
+  'checkIn.stress': 'Stress',
+  'checkIn.clearEnergy': 'Clear energy',
+  'checkIn.clearStress': 'Clear stress',
+
+  'mood.level.1': 'Awful',
+  'mood.level.2': 'Bad',
+  'mood.level.3': 'Okay',
+  'mood.level.4': 'Good',
+  'mood.level.5': 'Great',
+  'mood.activity.exercise': 'Exercise',
+  'mood.activity.sleep': 'Slept well',
+  'mood.activity.meetings': 'Meetings',
+  'mood.activity.social': 'Social',
+  'mood.activity.outdoors': 'Outdoors',
+
+  'progress.title': 'Daily Progress',
+  'progress.steps': 'Steps',
+  'progress.stepsHint': 'Count checklist steps toward progress',
+
+  'quickAdd.label': 'Quick add',
+  'quickAdd.placeholder': 'Quick add: Review PR tomorrow 3pm !high #work',
+  'quickAdd.hint': 'Dates, times, !priority, #tags and repeats in English or Korean (e.g. 내일 오후 2시 회의, 매주 월요일)',
+  'quickAdd.submit': 'Add quick task',
+  'quickAdd.preview': 'Quick add preview',
+  'quickAdd.noTitle': 'Add a title',
+  'quickAdd.newTag': '{name} (new)',
+
+  'search.results': 'Results ({count})',
+  'search.tasks': 'Tasks ({count})',
+  'search.notes': 'Journal ({count})',
+  'search.notices': 'Notices ({count})',
+  'search.empty': 'No Results',
+  'search.emptyHint': 'Try priority:high, is:open, mood:😫, before:2026-10-01 or "a phrase"',
+  'searchError.priority': 'priority must be low, medium or high',
+  'searchError.is': 'is must be done or open',
+  'searchError.mood': 'mood must be 1-{max}, {labels} or {emojis}',
+  'searchError.date': '{key} must be YYYY-MM-DD',
+
+  'palette.title': 'Command palette',
+  'palette.hint': 'Command palette (Ctrl+K) · ? for shortcuts',
+  'palette.input': 'Command',
+  'palette.placeholder': 'Type a command, a date (2026-10-20, tomorrow, +3) or search...',
+  'palette.commands': 'Commands',
+  'palette.empty': 'No matching commands',
+  'palette.today': 'Go to today',
+  'palette.notices': 'Open notices',
+  'palette.tabTasks': 'Switch to To-Do',
+  'palette.tabJournal': 'Switch to Journal',
+  'palette.search': 'Search',
+  'palette.viewMonth': 'Month view',
+  'palette.viewWeek': 'Week view',
+  'palette.viewDay': 'Day view',
+  'palette.previous': 'Previous period',
+  'palette.next': 'Next period',
+  'palette.undo': 'Undo {label}',
+  'palette.redo': 'Redo {label}',
+  'palette.analytics': 'Open analytics',
+  'palette.trash': 'Open trash',
+  'palette.backup': 'Open backup',
+  'palette.settings': 'Open settings',
+  'palette.goToDate': 'Go to {date}',
+  'palette.searchFor': 'Search for "{term}"',
+
+  'shortcuts.title': 'Keyboard shortcuts',
+  'shortcuts.heading': 'Keyboard Shortcuts',
+  'shortcuts.note': 'Single-key shortcuts are off while typing. On a Mac, use Cmd instead of Ctrl.',
+  'shortcuts.general': 'General',
+  'shortcuts.calendar': 'Calendar',
+  'shortcuts.tasks': 'Tasks',
+  'shortcuts.palette': 'Open the command palette',
+  'shortcuts.search': 'Search',
+  'shortcuts.help': 'Show keyboard shortcuts',
+  'shortcuts.undo': 'Undo',
+  'shortcuts.redo': 'Redo',
+  'shortcuts.today': 'Go to today',
+  'shortcuts.day': 'Previous / next day',
+  'shortcuts.week': 'Previous / next week',
+  'shortcuts.newTask': 'New task',
+  'shortcuts.nextTask': 'Next / previous task',
+  'shortcuts.toggleTask': 'Complete or reopen the task',
+
+  'trash.hint': 'Deleted tasks stay here for {days} days before they are removed for good.',
+  'trash.daysLeft': '{count} days left',
+  'trash.restore': 'Restore',
+  'trash.restoreNamed': 'Restore {text}',
+  'trash.deleteForever': 'Delete forever',
+  'trash.deleteForeverNamed': 'Delete {text} forever',
+  'trash.empty': 'Trash is empty',
+  'trash.emptyButton': 'Empty Trash',
+
+  'backup.title': 'Backup & Restore',
+  'backup.export': 'Export',
+  'backup.download': 'Download JSON backup',
+  'backup.summary': '{tasks} tasks · {notes} notes · {notices} notices · {categories} projects & tags · {templates} templates',
+  'backup.restore': 'Restore',
+  'backup.chooseFile': 'Choose a backup file',
+  'backup.unreadable': 'Could not read JSON: {reason}',
+  'backup.invalid': 'Invalid backup',
+  'backup.merge': 'Merge',
+  'backup.replace': 'Replace',
+  'backup.dryRun': 'Dry run',
+  'backup.add': 'Add',
+  'backup.update': 'Update',
+  'backup.skip': 'Skip',
+  'backup.collection.tasks': 'Tasks',
+  'backup.collection.notes': 'Notes',
+  'backup.collection.notices': 'Notices',
+  'backup.collection.projects': 'Projects',
+  'backup.collection.tags': 'Tags',
+  'backup.collection.templates': 'Templates',
+  'backup.collection.settings': 'Settings',
+  'backup.replaceButton': 'Replace Workspace',
+  'backup.mergeButton': 'Merge Into Workspace',
+  'backup.nothing': 'Nothing to restore',
+
+  'analytics.range.7d': '7D',
+  'analytics.range.30d': '30D',
+  'analytics.range.90d': '90D',
+  'analytics.range.1y': '1Y',
+  'analytics.invalidRange': 'Choose a valid date range.',
+  'analytics.completion': 'Completion',
+  'analytics.tasksDone': 'Tasks Done',
+  'analytics.currentStreak': 'Current Streak',
+  'analytics.longestStreak': 'Longest Streak',
+  'analytics.days': '{count}d',
+  'analytics.streakHint': 'All tasks done',
+  'analytics.completionRate': 'Completion Rate',
+  'analytics.period.day': 'day',
+  'analytics.period.week': 'week',
+  'analytics.period.month': 'month',
+  'analytics.byPriority': 'By Priority',
+  'analytics.moodTimeline': 'Mood Timeline',
+  'analytics.energy': 'energy {value}',
+  'analytics.stress': 'stress {value}',
+  'analytics.noMood': 'No Mood Data',
+  'analytics.moodByActivity': 'Mood by Activity',
+  'analytics.activityAverage': '{average} avg · {days}d',
+  'analytics.overallAverage': 'Overall average {average} / {max}',
+  'analytics.noActivity': 'No Activity Data',
+  'analytics.heatmap': '{year} Activity',
+  'analytics.heatmapDay': '{date}: {done} done / {total}',
+  'analytics.less': 'Less',
+  'analytics.more': 'More',
+
+  'settings.title': 'Settings',
+  'settings.locale': 'Language & Calendar',
+  'settings.language': 'Language',
+  'settings.weekStart': 'Week starts on',
+  'settings.weekNumbers': 'Show week numbers',
+  'settings.weekNumbersHint': 'ISO 8601 week numbers (weeks start on Monday, week 1 contains the first Thursday) next to each row of the month grid.',
+  'settings.tasks': 'Tasks',
+  'settings.autoRollover': 'Roll over unfinished tasks automatically',
+  'settings.autoRolloverHint': 'At the start of each day, incomplete tasks from earlier days move to today. Repeating tasks are left alone.',
+  'settings.projects.title': 'Projects',
+  'settings.projects.placeholder': 'New project name',
+  'settings.projects.add': 'Add project',
+  'settings.tags.title': 'Tags',
+  'settings.tags.placeholder': 'New tag name',
+  'settings.tags.add': 'Add tag',
+  'settings.name': 'Name',
+  'settings.taskCount': '{count} tasks',
+  'settings.deleteNamed': 'Delete {name}',
+  'settings.removeNamed': 'Remove {name}',
+  'settings.noneYet': 'None yet',
+  'settings.add': 'Add',
+  'settings.cancel': 'Cancel',
+  'settings.templates': 'Journal Templates',
+  'settings.builtIn': 'Built-in',
+  'settings.templateName': 'Template name',
+  'settings.templateContent': 'Template content',
+  'settings.templatePlaceholder': '## Highlights\n- \n\nMarkdown, {{date}} and {{weekday}} are supported',
+  'settings.addTemplate': 'Add template',
+  'settings.updateTemplate': 'Update template',
+  'settings.moodScale': 'Mood Scale',
+  'settings.level': 'Level {level}',
+  'settings.levelEmoji': 'Level {level} emoji',
+  'settings.levelLabel': 'Level {level} label',
+  'settings.removeLevel': 'Remove level {level}',
+  'settings.addLevel': 'Add level',
+  'settings.activities': 'Activities',
+  'settings.activityEmoji': 'Activity emoji',
+  'settings.newActivity': 'New activity',
+  'settings.addActivity': 'Add activity',
+  'settings.resetMood': 'Reset to defaults',
+  'settings.saveMood': 'Save mood scale',
+
+  'confirm.unsavedJournal': 'You have unsaved journal changes for {date}.\n\nOK: save and continue\nCancel: stay on this day',
+  'confirm.emptyTrash': 'Permanently delete {count} item(s)? This cannot be undone.',
+
+  'toast.undo': 'Undo',
+  'toast.show': 'Show',
+  'toast.undone': 'Undone: {label}',
+  'toast.redone': 'Redone: {label}',
+  'toast.writeFailed': '{action} failed: {reason}',
+  'toast.draftRestored': 'Restored unsaved journal draft',
+  'toast.autoRolledOver': 'Rolled {count} unfinished task(s) over to today',
+  'toast.rolledOver': 'Rolled {count} tasks over to today',
+  'toast.inviteInvalid': 'This invitation is no longer valid',
+  'toast.joined': 'Joined {calendar} as {role}',
+  'toast.noticeDeleted': 'Notice deleted',
+  'toast.taskAdded': 'Added "{text}" on {date}',
+  'toast.taskDeleted': 'Deleted "{text}"',
+  'toast.trashRestored': 'Restored "{text}"',
+  'toast.imported': 'Imported {count} items · {created} new, {updated} updated',
+  'toast.importFailed': 'Could not import this .ics file',
+  'toast.restored': 'Restored {count} changes',
+  'toast.restoreQueued': 'Restore queued: {count} changes will sync when you are back online',
+  'toast.restoreFailed': 'Restore failed in {where}: {reason}',
+  'toast.restorePart': 'part {index} of {total} ({collections})',
+  'toast.restorePartial': 'the other parts were restored',
+
+  // trackWrite()의 작업 이름 (실패 알림에 쓴다)
+  'write.taskSave': 'Task save',
+  'write.taskUpdate': 'Task update',
+  'write.taskDelete': 'Task delete',
+  'write.taskMove': 'Task move',
+  'write.taskRollover': 'Task rollover',
+  'write.bulkUpdate': 'Bulk update',
+  'write.memoSave': 'Memo save',
+  'write.checklistSave': 'Checklist save',
+  'write.noteSave': 'Note save',
+  'write.noticeSave': 'Notice save',
+  'write.noticeUpdate': 'Notice update',
+  'write.noticeDelete': 'Notice delete',
+  'write.moodMigration': 'Mood migration',
+  'write.categorySave': 'Category save',
+  'write.categoryDelete': 'Category delete',
+  'write.templateSave': 'Template save',
+  'write.templateDelete': 'Template delete',
+  'write.settingsSave': 'Settings save',
+  'write.calendarSave': 'Calendar save',
+  'write.calendarDelete': 'Calendar delete',
+  'write.memberUpdate': 'Member update',
+  'write.invite': 'Invite',
+  'write.joinCalendar': 'Join calendar',
+  'write.leaveCalendar': 'Leave calendar',
+  'write.declineInvite': 'Decline invite',
+  'write.trashRestore': 'Trash restore',
+  'write.trashDelete': 'Trash delete',
+  'write.trashCleanup': 'Trash cleanup',
+  'write.import': 'Import',
+  'write.restore': 'Restore',
+  'write.undo': 'Undo',
+  'write.redo': 'Redo',
+};
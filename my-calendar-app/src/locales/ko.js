@@ -0,0 +1,587 @@
+// src/locales/ko.js
+// 한국어 문구. 키와 '{자리}'는 en.js와 같아야 한다 (i18n.test.js가 확인)
+
+export default {
+  'nav.dashboard': '대시보드',
+  'nav.schedule': '일정',
+  'nav.analytics': '통계',
+  'nav.backup': '백업',
+  'nav.trash': '휴지통',
+  'nav.settings': '설정',
+
+  'common.calendar': '캘린더',
+  'common.date': '날짜',
+  'common.edit': '수정',
+  'common.delete': '삭제',
+  'common.save': '저장',
+  'common.saved': '저장됨!',
+  'common.close': '닫기',
+  'common.sync': '동기화',
+  'common.waitingToSync': '동기화 대기 중',
+  'common.viewOnly': '보기 전용',
+
+  'priority.high': '높음',
+  'priority.medium': '보통',
+  'priority.low': '낮음',
+
+  'role.owner': '소유자',
+  'role.editor': '편집자',
+  'role.viewer': '보기 전용',
+
+  'color.indigo': '남색',
+  'color.sky': '하늘색',
+  'color.emerald': '초록색',
+  'color.amber': '호박색',
+  'color.orange': '주황색',
+  'color.rose': '장미색',
+  'color.violet': '보라색',
+  'color.slate': '회색',
+
+  'sync.online': '온라인',
+  'sync.offline': '오프라인',
+  'sync.pending': '{count}개 대기',
+  'sync.waiting': '동기화를 기다리는 변경 {count}개',
+  'sync.synced': '모든 변경이 동기화됨',
+
+  'account.title': '계정',
+  'account.local': '로컬 작업 공간',
+  'account.localSubtitle': '이 브라우저에만 저장',
+  'account.guest': '게스트',
+  'account.guestSubtitle': '백업되지 않음',
+  'account.saveTitle': '작업 공간 저장하기',
+  'account.localHint': 'Firebase가 설정되지 않아 할 일, 일기, 공지를 이 브라우저(IndexedDB)에만 저장합니다. 계정과 동기화를 쓰려면 VITE_FIREBASE_* 환경 변수를 설정하세요. 다른 브라우저로 옮길 때는 백업을 쓰세요.',
+  'account.signOut': '로그아웃',
+  'account.signupTab': '계정 만들기',
+  'account.signinTab': '로그인',
+  'account.signupHint': '지금 게스트로 만든 할 일, 일기, 공지가 새 계정으로 옮겨집니다.',
+  'account.signinHint': '기존 계정으로 로그인하면 그 계정의 작업 공간으로 바뀝니다. 게스트 데이터는 옮겨지지 않습니다.',
+  'account.email': '이메일',
+  'account.password': '비밀번호',
+  'account.signupButton': '계정 만들기',
+  'account.signinButton': '로그인',
+  'account.or': '또는',
+  'account.switchProvider': '대신 그 {provider} 계정으로 전환',
+
+  'authError.invalidEmail': '이메일 주소가 올바르지 않습니다.',
+  'authError.missingPassword': '비밀번호를 입력하세요.',
+  'authError.weakPassword': '비밀번호는 6자 이상이어야 합니다.',
+  'authError.emailInUse': '이 이메일로 만든 계정이 이미 있습니다. 로그인하세요.',
+  'authError.credentialInUse': '이 로그인 방법은 이미 다른 계정에 연결되어 있습니다.',
+  'authError.providerLinked': '이 작업 공간은 이미 그 로그인 방법에 연결되어 있습니다.',
+  'authError.wrongPassword': '이메일 또는 비밀번호가 틀렸습니다.',
+  'authError.userNotFound': '이 이메일로 만든 계정이 없습니다.',
+  'authError.popupClosed': '로그인 창이 닫혔습니다.',
+  'authError.notAllowed': '이 프로젝트에서는 이 로그인 방법을 쓸 수 없습니다.',
+  'authError.network': '네트워크 오류입니다. 연결을 확인하세요.',
+  'authError.unknown': '문제가 생겼습니다. 다시 시도하세요.',
+
+  'calendars.title': '캘린더',
+  'calendars.new': '새 캘린더',
+  'calendars.show': '{name} 보기',
+  'calendars.active': '새 항목과 일기가 이 캘린더에 저장됩니다',
+  'calendars.activate': '새 항목과 일기에 이 캘린더 쓰기',
+  'calendars.manage': '{name} 관리',
+  'calendars.manageHint': '{role} · 관리',
+  'calendars.name': '캘린더 이름',
+  'calendars.create': '캘린더 만들기',
+  'calendars.createButton': '만들기',
+  'calendars.invitations': '초대',
+  'calendars.join': '{name} 참여',
+  'calendars.decline': '{name} 거절',
+
+  'calendarSettings.label': '{name} 설정',
+  'calendarSettings.members': '멤버',
+  'calendarSettings.you': '(나)',
+  'calendarSettings.roleOf': '{name}의 역할',
+  'calendarSettings.remove': '{name} 내보내기',
+  'calendarSettings.localHint': '이 캘린더는 이 브라우저에만 저장됩니다. 다른 사람을 초대하려면 Firebase를 설정하세요.',
+  'calendarSettings.invite': '초대',
+  'calendarSettings.emailPlaceholder': '이메일 (비우면 링크)',
+  'calendarSettings.inviteEmail': '초대할 이메일',
+  'calendarSettings.inviteRole': '초대 역할',
+  'calendarSettings.createInvite': '초대 만들기',
+  'calendarSettings.anyone': '링크가 있는 모든 사람',
+  'calendarSettings.copyLink': '초대 링크 복사',
+  'calendarSettings.revoke': '취소',
+  'calendarSettings.revokeInvite': '초대 취소',
+  'calendarSettings.delete': '캘린더 삭제',
+  'calendarSettings.leave': '캘린더 나가기',
+  'calendarSettings.confirmLeave': '"{name}"에서 나갈까요? 다시 참여하려면 새 초대가 필요합니다.',
+  'calendarSettings.confirmDelete': '"{name}"와 그 안의 할 일, 일기, 공지를 모든 멤버에게서 삭제할까요?',
+  'calendarSettings.mailSubject': 'FocusBoard의 "{name}"에 참여하세요',
+  'calendarSettings.mailBody': '"{name}"에 {role}(으)로 초대되었습니다.\n\n{link}',
+
+  'invite.title': '캘린더 초대',
+  'invite.alreadyMember': '이미 "{calendar}"의 멤버입니다.',
+  'invite.join': '"{calendar}"에 {role}(으)로 참여할까요?',
+  'invite.joinButton': '캘린더 참여',
+
+  'calendar.previous': '이전',
+  'calendar.next': '다음',
+  'calendar.month': '월간',
+  'calendar.week': '주간',
+  'calendar.day': '일간',
+  'calendar.today': '오늘',
+  'calendar.todayHint': '오늘 (T)',
+  'calendar.importIcs': '.ics 가져오기',
+  'calendar.exportIcs': '.ics 내보내기',
+  'calendar.more': '+{count}개 더',
+  'calendar.weekColumn': '주',
+  'calendar.weekNumber': '{week}주차',
+  'calendar.mood': '무드: {mood}',
+  'calendar.personal': '개인',
+  'schedule.allDay': '종일',
+
+  'filter.clear': '지우기',
+
+  'history.undoLast': '마지막 변경 되돌리기',
+  'history.redoLast': '마지막 변경 다시 하기',
+  'history.undoHint': '{label} 되돌리기 (Ctrl+Z)',
+  'history.redoHint': '{label} 다시 하기 (Ctrl+Shift+Z)',
+  'history.nothingToUndo': '되돌릴 변경이 없습니다',
+  'history.nothingToRedo': '다시 할 변경이 없습니다',
+  'history.rollOver': '할 일 넘기기',
+  'history.rollOverMany': '할 일 여러 개 넘기기',
+
+  'notice.toggle': '공지',
+  'notice.title': '중요 공지',
+  'notice.archive': '보관함',
+  'notice.openArchive': '공지 보관함',
+  'notice.backToNotices': '공지로 돌아가기',
+  'notice.empty': '공지 없음',
+  'notice.archiveEmpty': '보관함 비어 있음',
+  'notice.add': '공지 추가',
+  'notice.edit': '공지 수정',
+  'notice.delete': '공지 삭제',
+  'notice.show': '공지 보이기',
+  'notice.hide': '공지 숨기기',
+  'notice.pin': '공지 고정',
+  'notice.unpin': '공지 고정 해제',
+  'notice.restore': '공지 복원',
+
+  'noticeModal.newTitle': '새 공지',
+  'noticeModal.editTitle': '공지 수정',
+  'noticeModal.message': '내용',
+  'noticeModal.messagePlaceholder': '중요한 내용...',
+  'noticeModal.post': '공지 올리기',
+  'noticeModal.update': '공지 수정',
+
+  'panel.selectedDate': '선택한 날짜',
+  'panel.search': '할 일, 일기, 공지 검색...',
+  'panel.searchHint': '필터: priority:high is:done is:open mood:😫 project:이름 tag:이름 before:YYYY-MM-DD after:YYYY-MM-DD "정확한 문구"',
+  'panel.todo': '할 일',
+  'panel.journal': '일기',
+  'panel.tasks': '할 일 ({count})',
+
+  'task.add': '할 일 추가',
+  'task.edit': '할 일 수정',
+  'task.delete': '할 일 삭제',
+  'task.copy': '할 일 복사',
+  'task.move': '할 일 이동',
+  'task.complete': '할 일 완료',
+  'task.reopen': '할 일 다시 열기',
+  'task.restore': '할 일 복원',
+  'task.editMemo': '메모 수정',
+  'task.editChecklist': '체크리스트 수정',
+  'task.empty': '할 일 없음',
+  'task.markDone': '완료로 표시',
+  'task.markNotDone': '미완료로 표시',
+  'task.markDoneNamed': '{text} 완료로 표시',
+  'task.memo': '상세 / 메모',
+  'task.memoPlaceholder': '자세한 내용 추가...',
+  'task.overdue': '기한 지남',
+  'task.overdueCount': '기한 지남 ({count})',
+  'task.postponed': '{count}번 미룸 · 처음 계획한 날 {date}',
+  'task.reminderCount': '알림 {count}개',
+  'task.rollAll': '모두 오늘로 넘기기',
+  'task.rollOver': '오늘로 넘기기',
+  'task.rollOverNamed': '{text} 오늘로 넘기기',
+  'task.selectStart': '할 일 선택',
+  'task.selectDone': '선택 끝내기',
+  'task.selectAll': '모두 선택',
+  'task.selectNamed': '{text} 선택',
+  'task.selected': '{count}개 선택됨',
+  'task.rangeHint': 'Shift-클릭으로 범위 선택',
+
+  'bulk.complete': '완료',
+  'bulk.reopen': '다시 열기',
+  'bulk.setPriority': '우선순위 설정',
+  'bulk.priorityPlaceholder': '우선순위…',
+  'bulk.deleteSelected': '선택한 항목 삭제',
+  'bulk.targetDate': '옮길 날짜',
+  'bulk.move': '이동',
+  'bulk.moveSelected': '선택한 항목 이동',
+  'bulk.copy': '복사',
+  'bulk.copySelected': '선택한 항목 복사',
+  'bulk.taskCount': '할 일 {count}개',
+  'bulk.tasksCount': '할 일 {count}개',
+  'bulk.completed': '{tasks} 완료',
+  'bulk.reopened': '{tasks} 다시 열기',
+  'bulk.deleted': '{tasks} 삭제',
+  'bulk.prioritySet': '{tasks}의 우선순위를 {priority}(으)로 설정',
+  'bulk.moved': '{tasks}를 {date}로 이동',
+  'bulk.copied': '{tasks}를 {date}로 복사',
+
+  'checklist.title': '체크리스트',
+  'checklist.autoComplete': '모두 체크하면 완료',
+  'checklist.check': '{text} 체크',
+  'checklist.uncheck': '{text} 체크 해제',
+  'checklist.moveUp': '위로',
+  'checklist.moveDown': '아래로',
+  'checklist.delete': '단계 삭제',
+  'checklist.placeholder': '단계 추가...',
+  'checklist.add': '단계 추가',
+
+  'taskModal.newTitle': '새 할 일',
+  'taskModal.editTitle': '할 일 수정',
+  'taskModal.thisOccurrence': '이번 일정만',
+  'taskModal.allOccurrences': '모든 반복 일정',
+  'taskModal.name': '할 일 이름',
+  'taskModal.namePlaceholder': '무엇을 해야 하나요?',
+  'taskModal.priority': '우선순위',
+  'taskModal.projectAndTags': '프로젝트 및 태그',
+  'taskModal.project': '프로젝트',
+  'taskModal.noProject': '프로젝트 없음',
+  'taskModal.startsOn': '시작일',
+  'taskModal.time': '시간',
+  'taskModal.timeHint': '(비우면 종일)',
+  'taskModal.add': '할 일 추가',
+  'taskModal.update': '할 일 수정',
+
+  'repeat.title': '반복',
+  'repeat.preset.none': '안 함',
+  'repeat.preset.daily': '매일',
+  'repeat.preset.weekdays': '평일',
+  'repeat.preset.weekly': '매주',
+  'repeat.preset.monthly': '매월',
+  'repeat.preset.yearly': '매년',
+  'repeat.every': '반복 간격',
+  'repeat.unit.daily': '일마다',
+  'repeat.unit.weekly': '주마다',
+  'repeat.unit.monthly': '개월마다',
+  'repeat.unit.yearly': '년마다',
+  'repeat.monthlyDate': '매월 {day}일',
+  'repeat.monthlyNth': '{ordinal} {weekday}요일',
+  'repeat.never': '끝나지 않음',
+  'repeat.endsOn': '종료일',
+  'repeat.endsAfter': '반복 횟수',
+  'repeat.times': '회',
+  'repeat.every.daily': '매일',
+  'repeat.every.weekly': '매주',
+  'repeat.every.monthly': '매월',
+  'repeat.every.yearly': '매년',
+  'repeat.everyN.daily': '{count}일마다',
+  'repeat.everyN.weekly': '{count}주마다',
+  'repeat.everyN.monthly': '{count}개월마다',
+  'repeat.everyN.yearly': '{count}년마다',
+  'repeat.everyWeekday': '평일마다',
+  'repeat.onWeekdays': '{rule} {days}',
+  'repeat.onNth': '{rule} {ordinal} {weekday}요일',
+  'repeat.onDay': '{rule} {day}일',
+  'repeat.until': '{rule} · {date}까지',
+  'repeat.count': '{rule} · {count}회',
+  'repeat.ordinal.1': '첫째',
+  'repeat.ordinal.2': '둘째',
+  'repeat.ordinal.3': '셋째',
+  'repeat.ordinal.4': '넷째',
+  'repeat.ordinal.-1': '마지막',
+
+  'reminder.title': '알림',
+  'reminder.add': '알림 추가',
+  'reminder.addPlaceholder': '알림 추가...',
+  'reminder.remove': '알림 삭제: {reminder}',
+  'reminder.daysBeforeLabel': '며칠 전',
+  'reminder.time': '알림 시각',
+  'reminder.addCustom': '직접 정한 알림 추가',
+  'reminder.allow': '이 브라우저에서 알림 허용',
+  'reminder.blocked': '이 사이트의 알림이 차단되어 있습니다.',
+  'reminder.unsupported': '이 브라우저는 알림을 지원하지 않습니다.',
+  'reminder.atStart': '시작 시각',
+  'reminder.hoursBefore': '{count}시간 전',
+  'reminder.minutesBefore': '{count}분 전',
+  'reminder.onTheDay': '당일 {time}',
+  'reminder.dayBefore': '{count}일 전 {time}',
+  'reminder.daysBefore': '{count}일 전 {time}',
+  'reminder.snooze': '{count}분 뒤 다시 알림',
+  'reminder.dismiss': '닫기',
+
+  'move.title': '날짜 옮기기',
+  'move.heading': '날짜 옮기기',
+  'move.copy': '복사',
+  'move.move': '이동',
+
+  'deleteRecurring.title': '반복 일정 삭제',
+  'deleteRecurring.question': '"{text}"은(는) 반복 일정입니다. 어떤 일정을 삭제할까요?',
+  'deleteRecurring.only': '{date} 일정만',
+  'deleteRecurring.all': '모든 반복 일정',
+
+  'journal.title': '오늘의 노트',
+  'journal.write': '쓰기',
+  'journal.split': '나란히 보기',
+  'journal.preview': '미리 보기',
+  'journal.history': '버전 기록',
+  'journal.placeholder': '{date}은 어떤 하루였나요? \n여기에 생각을 적어 보세요... (마크다운 지원)',
+  'journal.empty': '아직 쓴 내용이 없습니다.',
+  'journal.edit': '일기 수정',
+
+  'template.retro.name': '하루 회고',
+  'template.retro.content': '## 잘한 점\n- \n\n## 아쉬운 점\n- \n\n## 내일 할 일\n- [ ] ',
+  'template.gratitude.name': '감사 일기',
+  'template.gratitude.content': '## 감사한 일 세 가지\n1. \n2. \n3. \n\n## 메모\n',
+  'template.meeting.name': '회의록',
+  'template.meeting.content': '# 회의 · {{weekday}} {{date}}\n\n**참석자:** \n\n## 내용\n- \n\n## 할 일\n- [ ] ',
+
+  'noteHistory.title': '기록 · {date}',
+  'noteHistory.close': '기록 닫기',
+  'noteHistory.empty': '이전 버전이 아직 없습니다',
+  'noteHistory.emptyVersion': '(비어 있음)',
+  'noteHistory.changes': '이 버전 이후 바뀐 내용',
+  'noteHistory.moodChange': '무드 {from} → {to}',
+  'noteHistory.restore': '이 버전으로 되돌리기',
+
+  'checkIn.mood': '오늘의 무드',
+  'checkIn.energy': '에너지',
+  'checkIn.stress': '스트레스',
+  'checkIn.clearEnergy': '에너지 지우기',
+  'checkIn.clearStress': '스트레스 지우기',
+
+  'mood.level.1': '최악',
+  'mood.level.2': '나쁨',
+  'mood.level.3': '보통',
+  'mood.level.4': '좋음',
+  'mood.level.5': '최고',
+  'mood.activity.exercise': '운동',
+  'mood.activity.sleep': '숙면',
+  'mood.activity.meetings': '회의',
+  'mood.activity.social': '모임',
+  'mood.activity.outdoors': '야외 활동',
+
+  'progress.title': '오늘의 진행률',
+  'progress.steps': '단계',
+  'progress.stepsHint': '체크리스트 단계도 진행률에 포함',
+
+  'quickAdd.label': '빠른 추가',
+  'quickAdd.placeholder': '빠른 추가: 내일 오후 3시 PR 리뷰 !high #work',
+  'quickAdd.hint': '날짜, 시간, !우선순위, #태그, 반복을 한국어나 영어로 (예: 내일 오후 2시 회의, 매주 월요일)',
+  'quickAdd.submit': '빠른 할 일 추가',
+  'quickAdd.preview': '빠른 추가 미리 보기',
+  'quickAdd.noTitle': '제목을 입력하세요',
+  'quickAdd.newTag': '{name} (새 태그)',
+
+  'search.results': '검색 결과 ({count})',
+  'search.tasks': '할 일 ({count})',
+  'search.notes': '일기 ({count})',
+  'search.notices': '공지 ({count})',
+  'search.empty': '결과 없음',
+  'search.emptyHint': 'priority:high, is:open, mood:😫, before:2026-10-01 또는 "문구"로 찾아 보세요',
+  'searchError.priority': 'priority는 low, medium, high 중 하나여야 합니다',
+  'searchError.is': 'is는 done 또는 open이어야 합니다',
+  'searchError.mood': 'mood는 1-{max}, {labels} 또는 {emojis} 중 하나여야 합니다',
+  'searchError.date': '{key}는 YYYY-MM-DD 형식이어야 합니다',
+
+  'palette.title': '명령 팔레트',
+  'palette.hint': '명령 팔레트 (Ctrl+K) · 단축키는 ?',
+  'palette.input': '명령',
+  'palette.placeholder': '명령, 날짜 (2026-10-20, 내일, +3) 또는 검색어를 입력...',
+  'palette.commands': '명령',
+  'palette.empty': '맞는 명령이 없습니다',
+  'palette.today': '오늘로 이동',
+  'palette.notices': '공지 열기',
+  'palette.tabTasks': '할 일로 전환',
+  'palette.tabJournal': '일기로 전환',
+  'palette.search': '검색',
+  'palette.viewMonth': '월간 보기',
+  'palette.viewWeek': '주간 보기',
+  'palette.viewDay': '일간 보기',
+  'palette.previous': '이전 기간',
+  'palette.next': '다음 기간',
+  'palette.undo': '{label} 되돌리기',
+  'palette.redo': '{label} 다시 하기',
+  'palette.analytics': '통계 열기',
+  'palette.trash': '휴지통 열기',
+  'palette.backup': '백업 열기',
+  'palette.settings': '설정 열기',
+  'palette.goToDate': '{date}로 이동',
+  'palette.searchFor': '"{term}" 검색',
+
+  'shortcuts.title': '단축키',
+  'shortcuts.heading': '단축키',
+  'shortcuts.note': '입력 중에는 한 글자 단축키가 꺼집니다. Mac에서는 Ctrl 대신 Cmd를 쓰세요.',
+  'shortcuts.general': '일반',
+  'shortcuts.calendar': '캘린더',
+  'shortcuts.tasks': '할 일',
+  'shortcuts.palette': '명령 팔레트 열기',
+  'shortcuts.search': '검색',
+  'shortcuts.help': '단축키 보기',
+  'shortcuts.undo': '되돌리기',
+  'shortcuts.redo': '다시 하기',
+  'shortcuts.today': '오늘로 이동',
+  'shortcuts.day': '이전 / 다음 날',
+  'shortcuts.week': '이전 / 다음 주',
+  'shortcuts.newTask': '새 할 일',
+  'shortcuts.nextTask': '다음 / 이전 할 일',
+  'shortcuts.toggleTask': '할 일 완료 또는 다시 열기',
+
+  'trash.hint': '삭제한 할 일은 {days}일 동안 여기 있다가 완전히 지워집니다.',
+  'trash.daysLeft': '{count}일 남음',
+  'trash.restore': '복원',
+  'trash.restoreNamed': '{text} 복원',
+  'trash.deleteForever': '영구 삭제',
+  'trash.deleteForeverNamed': '{text} 영구 삭제',
+  'trash.empty': '휴지통이 비어 있습니다',
+  'trash.emptyButton': '휴지통 비우기',
+
+  'backup.title': '백업 및 복원',
+  'backup.export': '내보내기',
+  'backup.download': 'JSON 백업 내려받기',
+  'backup.summary': '할 일 {tasks}개 · 일기 {notes}개 · 공지 {notices}개 · 프로젝트 및 태그 {categories}개 · 템플릿 {templates}개',
+  'backup.restore': '복원',
+  'backup.chooseFile': '백업 파일 선택',
+  'backup.unreadable': 'JSON을 읽을 수 없습니다: {reason}',
+  'backup.invalid': '올바르지 않은 백업',
+  'backup.merge': '합치기',
+  'backup.replace': '바꾸기',
+  'backup.dryRun': '미리 확인',
+  'backup.add': '추가',
+  'backup.update': '수정',
+  'backup.skip': '건너뜀',
+  'backup.collection.tasks': '할 일',
+  'backup.collection.notes': '일기',
+  'backup.collection.notices': '공지',
+  'backup.collection.projects': '프로젝트',
+  'backup.collection.tags': '태그',
+  'backup.collection.templates': '템플릿',
+  'backup.collection.settings': '설정',
+  'backup.replaceButton': '작업 공간 바꾸기',
+  'backup.mergeButton': '작업 공간에 합치기',
+  'backup.nothing': '복원할 내용이 없습니다',
+
+  'analytics.range.7d': '7일',
+  'analytics.range.30d': '30일',
+  'analytics.range.90d': '90일',
+  'analytics.range.1y': '1년',
+  'analytics.invalidRange': '올바른 기간을 고르세요.',
+  'analytics.completion': '완료율',
+  'analytics.tasksDone': '완료한 할 일',
+  'analytics.currentStreak': '현재 연속 기록',
+  'analytics.longestStreak': '최장 연속 기록',
+  'analytics.days': '{count}일',
+  'analytics.streakHint': '할 일을 모두 끝낸 날',
+  'analytics.completionRate': '완료율 추이',
+  'analytics.period.day': '일',
+  'analytics.period.week': '주',
+  'analytics.period.month': '월',
+  'analytics.byPriority': '우선순위별',
+  'analytics.moodTimeline': '무드 변화',
+  'analytics.energy': '에너지 {value}',
+  'analytics.stress': '스트레스 {value}',
+  'analytics.noMood': '무드 기록 없음',
+  'analytics.moodByActivity': '활동별 무드',
+  'analytics.activityAverage': '평균 {average} · {days}일',
+  'analytics.overallAverage': '전체 평균 {average} / {max}',
+  'analytics.noActivity': '활동 기록 없음',
+  'analytics.heatmap': '{year}년 활동',
+  'analytics.heatmapDay': '{date}: {total}개 중 {done}개 완료',
+  'analytics.less': '적음',
+  'analytics.more': '많음',
+
+  'settings.title': '설정',
+  'settings.locale': '언어 및 달력',
+  'settings.language': '언어',
+  'settings.weekStart': '한 주의 시작',
+  'settings.weekNumbers': '주 번호 표시',
+  'settings.weekNumbersHint': '월 달력 각 줄 옆에 ISO 8601 주 번호를 보여준다 (월요일 시작, 첫 목요일이 든 주가 1주차).',
+  'settings.tasks': '할 일',
+  'settings.autoRollover': '끝내지 못한 할 일을 자동으로 넘기기',
+  'settings.autoRolloverHint': '하루가 시작될 때 지난 날의 미완료 할 일을 오늘로 옮깁니다. 반복 일정은 그대로 둡니다.',
+  'settings.projects.title': '프로젝트',
+  'settings.projects.placeholder': '새 프로젝트 이름',
+  'settings.projects.add': '프로젝트 추가',
+  'settings.tags.title': '태그',
+  'settings.tags.placeholder': '새 태그 이름',
+  'settings.tags.add': '태그 추가',
+  'settings.name': '이름',
+  'settings.taskCount': '할 일 {count}개',
+  'settings.deleteNamed': '{name} 삭제',
+  'settings.removeNamed': '{name} 빼기',
+  'settings.noneYet': '아직 없음',
+  'settings.add': '추가',
+  'settings.cancel': '취소',
+  'settings.templates': '일기 템플릿',
+  'settings.builtIn': '기본',
+  'settings.templateName': '템플릿 이름',
+  'settings.templateContent': '템플릿 내용',
+  'settings.templatePlaceholder': '## 오늘의 하이라이트\n- \n\n마크다운, {{date}}, {{weekday}}를 쓸 수 있습니다',
+  'settings.addTemplate': '템플릿 추가',
+  'settings.updateTemplate': '템플릿 수정',
+  'settings.moodScale': '무드 척도',
+  'settings.level': '{level}단계',
+  'settings.levelEmoji': '{level}단계 이모지',
+  'settings.levelLabel': '{level}단계 이름',
+  'settings.removeLevel': '{level}단계 삭제',
+  'settings.addLevel': '단계 추가',
+  'settings.activities': '활동',
+  'settings.activityEmoji': '활동 이모지',
+  'settings.newActivity': '새 활동',
+  'settings.addActivity': '활동 추가',
+  'settings.resetMood': '기본값으로 되돌리기',
+  'settings.saveMood': '무드 척도 저장',
+
+  'confirm.unsavedJournal': '{date}의 일기에 저장하지 않은 변경이 있습니다.\n\n확인: 저장하고 계속\n취소: 이 날짜에 머물기',
+  'confirm.emptyTrash': '{count}개 항목을 영구 삭제할까요? 되돌릴 수 없습니다.',
+
+  'toast.undo': '되돌리기',
+  'toast.show': '보기',
+  'toast.undone': '되돌림: {label}',
+  'toast.redone': '다시 함: {label}',
+  'toast.writeFailed': '{action} 실패: {reason}',
+  'toast.draftRestored': '저장하지 않은 일기 초안을 복원했습니다',
+  'toast.autoRolledOver': '끝내지 못한 할 일 {count}개를 오늘로 넘겼습니다',
+  'toast.rolledOver': '할 일 {count}개를 오늘로 넘겼습니다',
+  'toast.inviteInvalid': '더 이상 쓸 수 없는 초대입니다',
+  'toast.joined': '{calendar}에 {role}(으)로 참여했습니다',
+  'toast.noticeDeleted': '공지를 삭제했습니다',
+  'toast.taskAdded': '{date}에 "{text}" 추가',
+  'toast.taskDeleted': '"{text}" 삭제',
+  'toast.trashRestored': '"{text}" 복원',
+  'toast.imported': '{count}개 가져옴 · 새 항목 {created}개, 수정 {updated}개',
+  'toast.importFailed': '이 .ics 파일을 가져올 수 없습니다',
+  'toast.restored': '변경 {count}개를 복원했습니다',
+  'toast.restoreQueued': '복원 대기 중: 다시 온라인이 되면 변경 {count}개가 동기화됩니다',
+  'toast.restoreFailed': '{where}에서 복원 실패: {reason}',
+  'toast.restorePart': '{total}개 중 {index}번째 묶음 ({collections})',
+  'toast.restorePartial': '나머지 묶음은 복원되었습니다',
+
+  'write.taskSave': '할 일 저장',
+  'write.taskUpdate': '할 일 수정',
+  'write.taskDelete': '할 일 삭제',
+  'write.taskMove': '할 일 이동',
+  'write.taskRollover': '할 일 넘기기',
+  'write.bulkUpdate': '일괄 변경',
+  'write.memoSave': '메모 저장',
+  'write.checklistSave': '체크리스트 저장',
+  'write.noteSave': '일기 저장',
+  'write.noticeSave': '공지 저장',
+  'write.noticeUpdate': '공지 수정',
+  'write.noticeDelete': '공지 삭제',
+  'write.moodMigration': '무드 변환',
+  'write.categorySave': '분류 저장',
+  'write.categoryDelete': '분류 삭제',
+  'write.templateSave': '템플릿 저장',
+  'write.templateDelete': '템플릿 삭제',
+  'write.settingsSave': '설정 저장',
+  'write.calendarSave': '캘린더 저장',
+  'write.calendarDelete': '캘린더 삭제',
+  'write.memberUpdate': '멤버 변경',
+  'write.invite': '초대',
+  'write.joinCalendar': '캘린더 참여',
+  'write.leaveCalendar': '캘린더 나가기',
+  'write.declineInvite': '초대 거절',
+  'write.trashRestore': '휴지통 복원',
+  'write.trashDelete': '휴지통 삭제',
+  'write.trashCleanup': '휴지통 정리',
+  'write.import': '가져오기',
+  'write.restore': '복원',
+  'write.undo': '되돌리기',
+  'write.redo': '다시 하기',
+};
@@ -0,0 +1,117 @@
+// src/markdown.js
+// 일기용 작은 Markdown 파서. HTML 문자열이 아니라 블록/인라인 트리를 만들고 MarkdownView가 React로 그린다
+// (dangerouslySetInnerHTML 없음 -> 일기 내용에 HTML이 있어도 글자 그대로 보인다)
+//
+// 지원: # 제목(1~3), - / * / 1. 목록, - [ ] 체크박스, ``` 코드 블록, > 인용, --- 구분선
+//       인라인 **굵게** *기울임* `코드` [링크](https://...) 와 http(s) 주소 자동 링크
+// 예전에 저장한 일반 텍스트 일기는 문단으로 그대로 보인다 (줄바꿈 유지)
+
+const HEADING_RE = /^(#{1,3})\s+(.*)$/;
+const LIST_RE = /^\s*([-*]|\d+\.)\s+(.*)$/;
+const CHECK_RE = /^\[( |x|X)\]\s?(.*)$/;
+const FENCE_RE = /^```(.*)$/;
+const HR_RE = /^\s*(-{3,}|\*{3,})\s*$/;
+const QUOTE_RE = /^>\s?(.*)$/;
+
+const INLINE_RE = /`([^`]+)`|\*\*(.+?)\*\*|\*([^*\s][^*]*?)\*|\[([^\]]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s)]+)/g;
+const SAFE_HREF_RE = /^(https?:|mailto:)/i;
+
+// 인라인 -> [{ type: 'text' | 'code' | 'strong' | 'em' | 'link', text, children, href }]
+export const parseInline = (text) => {
+  const nodes = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE_RE)) {
+    if (match.index > last) nodes.push({ type: 'text', text: text.slice(last, match.index) });
+    const [whole, code, strong, em, label, href, url] = match;
+    if (code !== undefined) nodes.push({ type: 'code', text: code });
+    else if (strong !== undefined) nodes.push({ type: 'strong', children: parseInline(strong) });
+    else if (em !== undefined) nodes.push({ type: 'em', children: parseInline(em) });
+    else if (label !== undefined) {
+      nodes.push(SAFE_HREF_RE.test(href)
+        ? { type: 'link', href, children: parseInline(label) }
+        : { type: 'text', text: whole });
+    } else nodes.push({ type: 'link', href: url, children: [{ type: 'text', text: url }] });
+    last = match.index + whole.length;
+  }
+  if (last < text.length) nodes.push({ type: 'text', text: text.slice(last) });
+  return nodes;
+};
+
+// 블록 -> [{ type: 'heading' | 'list' | 'code' | 'quote' | 'hr' | 'paragraph', ... }]
+// 목록 항목에는 원문 줄 번호(line)를 남겨서 체크박스를 누르면 원문을 고칠 수 있게 한다
+export const parseMarkdown = (source = '') => {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) { i++; continue; }
+
+    const fence = line.match(FENCE_RE);
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length && !FENCE_RE.test(lines[i])) body.push(lines[i++]);
+      i++; // 닫는 ``` (없으면 끝까지 코드)
+      blocks.push({ type: 'code', lang: fence[1].trim(), text: body.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+      i++;
+      continue;
+    }
+
+    if (HR_RE.test(line)) {
+      blocks.push({ type: 'hr' });
+      i++;
+      continue;
+    }
+
+    if (QUOTE_RE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_RE.test(lines[i])) quoted.push(lines[i++].match(QUOTE_RE)[1]);
+      blocks.push({ type: 'quote', lines: quoted.map(parseInline) });
+      continue;
+    }
+
+    const listItem = line.match(LIST_RE);
+    if (listItem) {
+      const ordered = /\d/.test(listItem[1]);
+      const items = [];
+      while (i < lines.length) {
+        const m = lines[i].match(LIST_RE);
+        if (!m || /\d/.test(m[1]) !== ordered) break;
+        const check = m[2].match(CHECK_RE);
+        items.push({
+          line: i,
+          checked: check ? check[1] !== ' ' : null,
+          children: parseInline(check ? check[2] : m[2]),
+        });
+        i++;
+      }
+      blocks.push({ type: 'list', ordered, items });
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && !FENCE_RE.test(lines[i]) && !HEADING_RE.test(lines[i])
+      && !HR_RE.test(lines[i]) && !QUOTE_RE.test(lines[i]) && !LIST_RE.test(lines[i])) {
+      paragraph.push(lines[i++]);
+    }
+    blocks.push({ type: 'paragraph', lines: paragraph.map(parseInline) });
+  }
+  return blocks;
+};
+
+// 미리보기에서 체크박스를 누르면 원문의 해당 줄 [ ] <-> [x]
+export const toggleCheckbox = (source, line) => {
+  const lines = source.split('\n');
+  if (lines[line] === undefined) return source;
+  lines[line] = lines[line].replace(/\[( |x|X)\]/, (box) => (box === '[ ]' ? '[x]' : '[ ]'));
+  return lines.join('\n');
+};
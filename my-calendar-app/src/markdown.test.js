@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { parseMarkdown, parseInline, toggleCheckbox } from './markdown';
+import { fillTemplate } from './journalTemplates';
+
+describe('parseMarkdown', () => {
+  it('keeps plain-text notes as paragraphs with their line breaks', () => {
+    const blocks = parseMarkdown('Long day.\nShipped it anyway.\n\n#1 priority tomorrow: rest');
+    expect(blocks.map(b => b.type)).toEqual(['paragraph', 'paragraph']);
+    expect(blocks[0].lines).toHaveLength(2);
+    expect(blocks[1].lines[0]).toEqual([{ type: 'text', text: '#1 priority tomorrow: rest' }]);
+  });
+
+  it('parses headings, lists, checkboxes, quotes, rules and code', () => {
+    const blocks = parseMarkdown([
+      '## Wins',
+      '- shipped',
+      '- [x] review',
+      '1. first',
+      '> quoted',
+      '---',
+      '```js',
+      '**not bold**',
+      '```',
+    ].join('\n'));
+
+    expect(blocks.map(b => b.type)).toEqual(['heading', 'list', 'list', 'quote', 'hr', 'code']);
+    expect(blocks[0].level).toBe(2);
+    expect(blocks[1].items.map(item => [item.line, item.checked])).toEqual([[1, null], [2, true]]);
+    expect(blocks[2].ordered).toBe(true);
+    expect(blocks[5]).toEqual({ type: 'code', lang: 'js', text: '**not bold**' });
+  });
+
+  it('parses inline formatting and only links safe URLs', () => {
+    expect(parseInline('**bold** and `code`')).toEqual([
+      { type: 'strong', children: [{ type: 'text', text: 'bold' }] },
+      { type: 'text', text: ' and ' },
+      { type: 'code', text: 'code' },
+    ]);
+    expect(parseInline('[docs](https://example.com)')[0]).toMatchObject({ type: 'link', href: 'https://example.com' });
+    expect(parseInline('[x](javascript:alert(1))')[0].type).toBe('text');
+    expect(parseInline('see https://example.com/a')[1]).toMatchObject({ type: 'link', href: 'https://example.com/a' });
+  });
+});
+
+describe('journal helpers', () => {
+  it('toggles a checkbox on the given source line', () => {
+    const source = '- [ ] one\n- [x] two';
+    expect(toggleCheckbox(source, 0)).toBe('- [x] one\n- [x] two');
+    expect(toggleCheckbox(source, 1)).toBe('- [ ] one\n- [ ] two');
+  });
+
+  it('fills template placeholders', () => {
+    expect(fillTemplate('# {{weekday}} {{date}}', '2026-10-15')).toBe('# Thursday 2026-10-15');
+  });
+});
@@ -0,0 +1,93 @@
+// src/mood.js
+// 하루 체크인(무드 / 에너지 / 스트레스 / 활동) 모델과 무드 척도 설정
+//
+// 노트 문서 필드
+//   mood: 척도 값(1..levels.length) 또는 null   — 예전 노트는 이모지 문자열('😄' 등)이라 읽을 때 변환
+//   energy / stress: 1..5 또는 null (선택)
+//   activities: 활동 id 배열 (예: ['exercise', 'meetings'])
+// 척도 / 활동 목록은 settings 컬렉션의 'mood' 문서 ({ levels, activities })에 저장하고, 없으면 기본값
+
+import { DEFAULT_I18N } from './i18n';
+
+export const MOOD_SETTINGS_ID = 'mood';
+export const MIN_LEVELS = 3;
+export const MAX_LEVELS = 7;
+export const SLIDER_MAX = 5;
+
+export const DEFAULT_MOOD_LEVELS = [
+  { value: 1, emoji: '😫', label: 'Awful' },
+  { value: 2, emoji: '😕', label: 'Bad' },
+  { value: 3, emoji: '😐', label: 'Okay' },
+  { value: 4, emoji: '🙂', label: 'Good' },
+  { value: 5, emoji: '😄', label: 'Great' },
+];
+
+export const DEFAULT_ACTIVITIES = [
+  { id: 'exercise', emoji: '🏃', label: 'Exercise' },
+  { id: 'sleep', emoji: '😴', label: 'Slept well' },
+  { id: 'meetings', emoji: '👥', label: 'Meetings' },
+  { id: 'social', emoji: '🎉', label: 'Social' },
+  { id: 'outdoors', emoji: '🌳', label: 'Outdoors' },
+];
+
+// 화면 언어로 이름을 붙인 기본 척도 / 활동 (저장된 설정의 이름은 사용자가 쓴 그대로 둔다)
+export const defaultMoodSettings = ({ t } = DEFAULT_I18N) => ({
+  levels: DEFAULT_MOOD_LEVELS.map(level => ({ ...level, label: t(`mood.level.${level.value}`) })),
+  activities: DEFAULT_ACTIVITIES.map(activity => ({ ...activity, label: t(`mood.activity.${activity.id}`) })),
+});
+
+// 예전 4단계 이모지 -> 기본 5단계 척도 값
+export const LEGACY_MOODS = { '😄': 5, '🙂': 4, '😐': 3, '😫': 1 };
+
+export const EMPTY_CHECK_IN = { mood: null, energy: null, stress: null, activities: [] };
+
+export const normalizeMood = (mood) => {
+  if (typeof mood === 'string') return LEGACY_MOODS[mood] || null;
+  return Number.isInteger(mood) ? mood : null;
+};
+
+// 설정 문서 -> { levels, activities } (값은 항상 1부터 차례대로)
+export const normalizeMoodSettings = (doc, i18n = DEFAULT_I18N) => {
+  const defaults = defaultMoodSettings(i18n);
+  const levels = doc && Array.isArray(doc.levels) && doc.levels.length >= MIN_LEVELS ? doc.levels : defaults.levels;
+  return {
+    levels: levels.slice(0, MAX_LEVELS).map((level, i) => ({ ...level, value: i + 1 })),
+    activities: doc && Array.isArray(doc.activities) ? doc.activities : defaults.activities,
+  };
+};
+
+// 노트 문서(또는 draft / 버전 기록) -> 체크인
+export const checkInOf = (note) => ({
+  mood: normalizeMood(note && note.mood),
+  energy: note && Number.isInteger(note.energy) ? note.energy : null,
+  stress: note && Number.isInteger(note.stress) ? note.stress : null,
+  activities: (note && note.activities) || [],
+});
+
+export const sameCheckIn = (a, b) => a.mood === b.mood && a.energy === b.energy && a.stress === b.stress
+  && a.activities.length === b.activities.length && a.activities.every(id => b.activities.includes(id));
+
+export const isCheckInEmpty = (checkIn) => sameCheckIn(checkIn, EMPTY_CHECK_IN);
+
+export const moodLevel = (value, levels) => levels.find(level => level.value === value) || null;
+
+export const moodEmoji = (value, levels) => (moodLevel(value, levels) || {}).emoji || '';
+
+// 월 그리드 점 / 타임라인 막대 색 (낮을수록 붉고 높을수록 초록)
+const MOOD_COLORS = ['bg-rose-400', 'bg-orange-300', 'bg-amber-300', 'bg-lime-400', 'bg-emerald-400'];
+
+export const moodColor = (value, levels) => {
+  if (!value) return '';
+  const ratio = levels.length > 1 ? (value - 1) / (levels.length - 1) : 1;
+  return MOOD_COLORS[Math.round(ratio * (MOOD_COLORS.length - 1))];
+};
+
+// 검색어 mood:4 / mood:good / mood:🙂 -> 척도 값 (모르면 null)
+export const resolveMoodQuery = (text, levels) => {
+  if (/^\d+$/.test(text)) return moodLevel(Number(text), levels) ? Number(text) : null;
+  const level = levels.find(l => l.emoji === text || l.label.toLowerCase() === text.toLowerCase());
+  return level ? level.value : normalizeMood(text);
+};
+
+// 예전 이모지 무드를 숫자로 바꿔 저장할 노트
+export const needsMoodMigration = (note) => typeof note.mood === 'string';
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_MOOD_LEVELS, DEFAULT_ACTIVITIES, normalizeMood, normalizeMoodSettings, checkInOf,
+  sameCheckIn, isCheckInEmpty, moodColor, resolveMoodQuery, needsMoodMigration,
+} from './mood';
+
+describe('normalizeMood', () => {
+  it('maps legacy emojis to the default scale and keeps numbers', () => {
+    expect(normalizeMood('😄')).toBe(5);
+    expect(normalizeMood('😫')).toBe(1);
+    expect(normalizeMood('🙃')).toBeNull();
+    expect(normalizeMood(3)).toBe(3);
+    expect(normalizeMood(null)).toBeNull();
+    expect(normalizeMood(undefined)).toBeNull();
+  });
+
+  it('flags only emoji moods for migration', () => {
+    expect(needsMoodMigration({ mood: '🙂' })).toBe(true);
+    expect(needsMoodMigration({ mood: 4 })).toBe(false);
+    expect(needsMoodMigration({})).toBe(false);
+  });
+});
+
+describe('normalizeMoodSettings', () => {
+  it('falls back to defaults', () => {
+    expect(normalizeMoodSettings(null)).toEqual({ levels: DEFAULT_MOOD_LEVELS, activities: DEFAULT_ACTIVITIES });
+    expect(normalizeMoodSettings({ levels: [{ emoji: 'a', label: 'A' }] }).levels).toEqual(DEFAULT_MOOD_LEVELS);
+  });
+
+  it('renumbers levels and caps the scale at seven', () => {
+    const levels = Array.from({ length: 9 }, (_, i) => ({ value: 10 - i, emoji: String(i), label: `L${i}` }));
+    const settings = normalizeMoodSettings({ levels, activities: [] });
+    expect(settings.levels.map(l => l.value)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(settings.levels[0].label).toBe('L0');
+    expect(settings.activities).toEqual([]);
+  });
+});
+
+describe('check-ins', () => {
+  it('reads a check-in from a note, including legacy moods', () => {
+    expect(checkInOf({ mood: '🙂', energy: 3, activities: ['sleep'] })).toEqual({ mood: 4, energy: 3, stress: null, activities: ['sleep'] });
+    expect(isCheckInEmpty(checkInOf(null))).toBe(true);
+  });
+
+  it('compares activities regardless of order', () => {
+    const a = { mood: 2, energy: null, stress: 4, activities: ['sleep', 'social'] };
+    expect(sameCheckIn(a, { ...a, activities: ['social', 'sleep'] })).toBe(true);
+    expect(sameCheckIn(a, { ...a, stress: 3 })).toBe(false);
+  });
+});
+
+describe('scale helpers', () => {
+  it('spreads colors from low to high on any scale length', () => {
+    expect(moodColor(1, DEFAULT_MOOD_LEVELS)).toBe('bg-rose-400');
+    expect(moodColor(5, DEFAULT_MOOD_LEVELS)).toBe('bg-emerald-400');
+    expect(moodColor(2, DEFAULT_MOOD_LEVELS.slice(0, 3))).toBe('bg-amber-300');
+    expect(moodColor(null, DEFAULT_MOOD_LEVELS)).toBe('');
+  });
+
+  it('resolves search values by number, label or emoji', () => {
+    expect(resolveMoodQuery('4', DEFAULT_MOOD_LEVELS)).toBe(4);
+    expect(resolveMoodQuery('9', DEFAULT_MOOD_LEVELS)).toBeNull();
+    expect(resolveMoodQuery('great', DEFAULT_MOOD_LEVELS)).toBe(5);
+    expect(resolveMoodQuery('😕', DEFAULT_MOOD_LEVELS)).toBe(2);
+    expect(resolveMoodQuery('🙃', DEFAULT_MOOD_LEVELS)).toBeNull();
+  });
+});
@@ -0,0 +1,39 @@
+// src/notices.js
+// 공지 목록 분류 / 정렬 / 배지 계산 (App과 테스트에서 사용)
+//   활성: 숨기지 않았고 targetDate가 오늘 이후(오늘 포함). 고정(pinned) 먼저, 그 다음 가까운 날짜 순
+//   보관함: 숨긴 공지 + 날짜가 지나 자동 만료된 공지. 최근 날짜 순
+//   읽음: readAt 이후에 수정(updatedAt)되지 않았으면 읽은 것으로 본다
+
+import { parseDate } from './dateUtils';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isExpired = (notice, todayStr) => notice.targetDate < todayStr;
+
+export const isArchived = (notice, todayStr) => Boolean(notice.isHidden) || isExpired(notice, todayStr);
+
+export const isUnread = (notice) => !notice.readAt || Boolean(notice.updatedAt && notice.updatedAt > notice.readAt);
+
+export const activeNotices = (notices, todayStr) => notices
+  .filter(n => !isArchived(n, todayStr))
+  .sort((a, b) => (Boolean(b.pinned) - Boolean(a.pinned)) || a.targetDate.localeCompare(b.targetDate));
+
+export const archivedNotices = (notices, todayStr) => notices
+  .filter(n => isArchived(n, todayStr))
+  .sort((a, b) => b.targetDate.localeCompare(a.targetDate));
+
+// 배지: 다가오는(활성) 공지 중 아직 안 읽은 것
+export const unreadCount = (notices, todayStr) => activeNotices(notices, todayStr).filter(isUnread).length;
+
+// 'D-3' / 'D-Day' / 'D+2'
+export const countdownLabel = (targetDate, todayStr) => {
+  const diff = Math.round((parseDate(targetDate) - parseDate(todayStr)) / DAY_MS);
+  if (diff === 0) return 'D-Day';
+  return diff > 0 ? `D-${diff}` : `D+${-diff}`;
+};
+
+// 보관함에서 되살리기: 숨김 해제, 만료된 공지는 오늘 날짜로 옮긴다
+export const restorePatch = (notice, todayStr) => ({
+  isHidden: false,
+  ...(isExpired(notice, todayStr) ? { targetDate: todayStr } : {}),
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { activeNotices, archivedNotices, unreadCount, countdownLabel, restorePatch } from './notices';
+
+const TODAY = '2026-10-15';
+const notice = (id, targetDate, extra = {}) => ({ id, content: id, targetDate, isHidden: false, ...extra });
+
+describe('notice board', () => {
+  const notices = [
+    notice('later', '2026-10-30'),
+    notice('soon', '2026-10-16'),
+    notice('pinned', '2026-11-20', { pinned: true }),
+    notice('today', TODAY),
+    notice('expired', '2026-10-14'),
+    notice('hidden', '2026-10-20', { isHidden: true }),
+  ];
+
+  it('lists pinned notices first, then the nearest date', () => {
+    expect(activeNotices(notices, TODAY).map(n => n.id)).toEqual(['pinned', 'today', 'soon', 'later']);
+  });
+
+  it('archives hidden and expired notices, newest first', () => {
+    expect(archivedNotices(notices, TODAY).map(n => n.id)).toEqual(['hidden', 'expired']);
+  });
+
+  it('counts only upcoming unread notices', () => {
+    const read = [
+      notice('read', '2026-10-20', { readAt: '2026-10-14T10:00:00.000Z' }),
+      notice('edited', '2026-10-20', { readAt: '2026-10-14T10:00:00.000Z', updatedAt: '2026-10-14T12:00:00.000Z' }),
+      notice('unread', '2026-10-20'),
+      notice('expired', '2026-10-01'),
+    ];
+    expect(unreadCount(read, TODAY)).toBe(2);
+  });
+
+  it('labels the countdown', () => {
+    expect(countdownLabel('2026-10-18', TODAY)).toBe('D-3');
+    expect(countdownLabel(TODAY, TODAY)).toBe('D-Day');
+    expect(countdownLabel('2026-10-13', TODAY)).toBe('D+2');
+    // 서머타임 경계를 넘어도 하루 단위
+    expect(countdownLabel('2026-11-05', TODAY)).toBe('D-21');
+  });
+
+  it('restores hidden notices as-is and moves expired ones to today', () => {
+    expect(restorePatch(notice('hidden', '2026-10-20', { isHidden: true }), TODAY)).toEqual({ isHidden: false });
+    expect(restorePatch(notice('expired', '2026-10-01'), TODAY)).toEqual({ isHidden: false, targetDate: TODAY });
+  });
+});
@@ -0,0 +1,80 @@
+// src/notifications.js
+// 브라우저 알림 연결부: 권한, 서비스 워커(public/sw.js) 등록, 알림 표시, 울림/다시 알림 상태 저장.
+// 언제 울릴지는 reminders.js가 계산하고, 열린 탭이 주기적으로 확인해서 서비스 워커로 띄운다.
+// 서비스 워커가 띄운 알림은 탭이 백그라운드여도 보이고, '다시 알림' / '닫기' 버튼을 쓸 수 있다.
+
+import { SNOOZE_MINUTES } from './reminders';
+import { DEFAULT_I18N } from './i18n';
+
+const STATE_KEY = 'focusboard.reminders';
+const EMPTY_STATE = { fired: {}, snoozed: {} };
+
+export const notificationPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+export const requestNotificationPermission = async () => {
+  if (typeof Notification === 'undefined') return 'unsupported';
+  return Notification.requestPermission();
+};
+
+export const loadReminderState = () => {
+  try {
+    return { ...EMPTY_STATE, ...JSON.parse(localStorage.getItem(STATE_KEY) || '{}') };
+  } catch {
+    return EMPTY_STATE;
+  }
+};
+
+export const saveReminderState = (state) => {
+  localStorage.setItem(STATE_KEY, JSON.stringify(state));
+};
+
+// 등록은 한 번만 하고, 알림을 띄울 때는 등록이 끝날 때까지 기다린다
+// (앱을 열자마자 이미 시각이 지난 알림을 확인하므로, 기다리지 않으면 버튼 없는 일반 알림으로 나간다)
+let registering = null;
+
+export const registerReminderWorker = () => {
+  if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+  if (!registering) {
+    registering = navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((error) => {
+      console.error("Service Worker Error:", error);
+      return null;
+    });
+  }
+  return registering;
+};
+
+// entry: collectReminders() 항목
+export const showReminderNotification = async (entry, { t } = DEFAULT_I18N) => {
+  const options = {
+    body: entry.body,
+    tag: entry.key,
+    data: { key: entry.key, date: entry.date, kind: entry.kind },
+  };
+  const registration = await registerReminderWorker();
+  if (registration) {
+    const actions = [
+      { action: 'snooze', title: t('reminder.snooze', { count: SNOOZE_MINUTES }) },
+      { action: 'dismiss', title: t('reminder.dismiss') },
+    ];
+    // 서비스 워커가 다시 띄우는 알림도 같은 언어의 버튼을 쓰도록 data에 함께 넣는다
+    return registration.showNotification(entry.title, {
+      ...options,
+      data: { ...options.data, actions },
+      requireInteraction: true,
+      actions,
+    });
+  }
+  // 서비스 워커를 못 쓰는 환경: 버튼 없는 일반 알림
+  new Notification(entry.title, options);
+  return undefined;
+};
+
+// 서비스 워커 -> 페이지 메시지 ({ type: 'reminder-snooze' | 'reminder-open', key, date, kind })
+export const onReminderMessage = (handler) => {
+  if (!('serviceWorker' in navigator)) return () => {};
+  const listener = (event) => {
+    if (event.data && String(event.data.type).startsWith('reminder-')) handler(event.data);
+  };
+  navigator.serviceWorker.addEventListener('message', listener);
+  return () => navigator.serviceWorker.removeEventListener('message', listener);
+};
@@ -0,0 +1,54 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+const entry = { key: 'task:a:0', title: 'Standup', body: '09:30', date: '2026-10-15', kind: 'task' };
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.resetModules();
+});
+
+describe('showReminderNotification', () => {
+  it('waits for the service worker so due reminders keep their buttons', async () => {
+    const showNotification = vi.fn(() => Promise.resolve());
+    let finishRegistration;
+    const register = vi.fn(() => new Promise((resolve) => { finishRegistration = () => resolve({ showNotification }); }));
+    vi.stubGlobal('navigator', { serviceWorker: { register } });
+    const FallbackNotification = vi.fn();
+    vi.stubGlobal('Notification', FallbackNotification);
+    const { registerReminderWorker, showReminderNotification } = await import('./notifications');
+
+    registerReminderWorker();
+    const shown = showReminderNotification(entry);
+    finishRegistration();
+    await shown;
+
+    expect(register).toHaveBeenCalledTimes(1);
+    expect(FallbackNotification).not.toHaveBeenCalled();
+    expect(showNotification).toHaveBeenCalledWith('Standup', expect.objectContaining({
+      tag: 'task:a:0',
+      actions: [expect.objectContaining({ action: 'snooze' }), expect.objectContaining({ action: 'dismiss' })],
+    }));
+  });
+
+  it('sends the localized button titles along for the service worker to reuse', async () => {
+    const showNotification = vi.fn(() => Promise.resolve());
+    vi.stubGlobal('navigator', { serviceWorker: { register: vi.fn(() => Promise.resolve({ showNotification })) } });
+    const { showReminderNotification } = await import('./notifications');
+    const { createI18n } = await import('./i18n');
+
+    await showReminderNotification(entry, createI18n({ language: 'ko', weekStart: 0 }));
+    const [, options] = showNotification.mock.calls[0];
+    expect(options.actions.map(a => a.title)).toEqual(['10분 뒤 다시 알림', '닫기']);
+    expect(options.data).toMatchObject({ key: 'task:a:0', actions: options.actions });
+  });
+
+  it('falls back to a plain notification without a service worker', async () => {
+    vi.stubGlobal('navigator', {});
+    const FallbackNotification = vi.fn();
+    vi.stubGlobal('Notification', FallbackNotification);
+    const { showReminderNotification } = await import('./notifications');
+
+    await showReminderNotification(entry);
+    expect(FallbackNotification).toHaveBeenCalledWith('Standup', expect.objectContaining({ body: '09:30' }));
+  });
+});
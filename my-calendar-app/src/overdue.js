@@ -0,0 +1,39 @@
+// src/overdue.js
+// 지난 날짜에 남은 할 일(Overdue)과 오늘로 넘기기(roll over)
+//   Overdue: 반복 일정이 아닌, 완료하지 않은 할 일 중 date가 오늘보다 이전인 것 (오래된 순)
+//            반복 일정의 지난 발생은 다음 발생이 다시 오므로 넘기지 않는다
+//   미루기 기록: 할 일 문서의 postponements 배열에 { from, to, at }을 쌓는다
+//   자동 넘기기: settings 컬렉션의 'tasks' 문서 { autoRollover } 가 켜져 있으면 날이 바뀔 때 오늘로 옮긴다
+
+import { isRecurring } from './recurrence';
+import { DEFAULT_I18N } from './i18n';
+
+export const TASK_SETTINGS_ID = 'tasks';
+
+export const normalizeTaskSettings = (doc) => ({
+  autoRollover: Boolean(doc && doc.autoRollover),
+});
+
+export const isOverdue = (task, todayStr) => !isRecurring(task) && !task.isOccurrence && !task.completed && task.date < todayStr;
+
+export const overdueTasks = (tasks, todayStr) => tasks
+  .filter(t => isOverdue(t, todayStr))
+  .sort((a, b) => a.date.localeCompare(b.date) || (a.startTime || '').localeCompare(b.startTime || ''));
+
+export const postponeCount = (task) => (task.postponements || []).length;
+
+// 날짜를 옮기는 patch. 끝내지 않은 할 일을 뒤로 미룰 때만 미루기 기록을 남긴다 (앞당기기 / 완료한 일은 제외)
+export const postponePatch = (task, dateStr, now) => {
+  if (task.completed || dateStr <= task.date) return { date: dateStr };
+  return {
+    date: dateStr,
+    postponements: [...(task.postponements || []), { from: task.date, to: dateStr, at: new Date(now).toISOString() }],
+  };
+};
+
+// 'Postponed 2× · first planned for 2026-10-12'
+export const postponeLabel = (task, { t } = DEFAULT_I18N) => {
+  const count = postponeCount(task);
+  if (!count) return '';
+  return t('task.postponed', { count, date: task.postponements[0].from });
+};
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { isOverdue, overdueTasks, postponePatch, postponeCount, postponeLabel, normalizeTaskSettings } from './overdue';
+
+const TODAY = '2026-10-15';
+const NOW = Date.parse('2026-10-15T09:00:00.000Z');
+const task = (id, date, extra = {}) => ({ id, text: id, date, completed: false, ...extra });
+
+describe('overdue tasks', () => {
+  const tasks = [
+    task('today', TODAY),
+    task('old', '2026-10-01'),
+    task('done', '2026-10-10', { completed: true }),
+    task('late-morning', '2026-10-12', { startTime: '11:00' }),
+    task('early-morning', '2026-10-12', { startTime: '08:00' }),
+    task('series', '2026-10-01', { repeat: { freq: 'daily', interval: 1 } }),
+  ];
+
+  it('gathers incomplete one-off tasks from past dates, oldest first', () => {
+    expect(overdueTasks(tasks, TODAY).map(t => t.id)).toEqual(['old', 'early-morning', 'late-morning']);
+  });
+
+  it('leaves repeating tasks and their occurrences alone', () => {
+    expect(isOverdue(tasks[5], TODAY)).toBe(false);
+    expect(isOverdue({ ...task('s::2026-10-02', '2026-10-02'), isOccurrence: true }, TODAY)).toBe(false);
+  });
+});
+
+describe('postponing', () => {
+  it('records every move to a later date', () => {
+    const first = { ...task('a', '2026-10-12'), ...postponePatch(task('a', '2026-10-12'), '2026-10-14', NOW) };
+    const second = { ...first, ...postponePatch(first, TODAY, NOW) };
+    expect(second.date).toBe(TODAY);
+    expect(postponeCount(second)).toBe(2);
+    expect(second.postponements[0]).toEqual({ from: '2026-10-12', to: '2026-10-14', at: '2026-10-15T09:00:00.000Z' });
+    expect(postponeLabel(second)).toBe('Postponed 2× · first planned for 2026-10-12');
+  });
+
+  it('does not count moving earlier or moving finished tasks', () => {
+    expect(postponePatch(task('a', TODAY), '2026-10-10', NOW)).toEqual({ date: '2026-10-10' });
+    expect(postponePatch(task('a', '2026-10-10', { completed: true }), TODAY, NOW)).toEqual({ date: TODAY });
+    expect(postponeLabel(task('a', TODAY))).toBe('');
+  });
+});
+
+describe('normalizeTaskSettings', () => {
+  it('turns automatic roll-over off by default', () => {
+    expect(normalizeTaskSettings(undefined)).toEqual({ autoRollover: false });
+    expect(normalizeTaskSettings({ autoRollover: true })).toEqual({ autoRollover: true });
+  });
+});
@@ -0,0 +1,301 @@
+// src/quickAdd.js
+// 빠른 추가: "Review PR tomorrow 3pm !high #work every Monday" / "내일 오후 2시 회의" 같은 한 줄을 할 일 필드로 나눈다.
+// 알아본 부분은 제목에서 빼고 parts에 남겨서 저장 전에 미리보기로 보여준다. 같은 종류는 처음 나온 것만 쓴다 (태그 제외).
+//
+//   날짜    today / tomorrow / day after tomorrow / fri / next monday / in 3 days / next week / oct 20 / 20 Oct / 10/20 / 2026-10-20
+//           오늘 / 내일 / 모레 / 글피 / 금요일 / 다음 주 월요일 / 3일 후 / 2주 뒤 / 다음 주 / 10월 20일 / 20일
+//   시간    3pm / 3:30 pm / 15:00 / at 9 / noon / 3-5pm          오후 2시 / 9시 30분 / 2시 반 / 정오 / 오후 2시~4시
+//           오전·오후 없이 쓴 1~7시는 오후로 본다 ("2시 회의", "at 3" = 14:00, 15:00)
+//   중요도  !high !medium !low (!h !m !l)   !높음 !보통 !낮음
+//   태그    #work (이름으로 찾고, 없으면 App이 새 태그를 만든다)
+//   반복    daily / every day / every other week / every 2 months / every weekday / every mon and wed / yearly
+//           매일 / 격일 / 매주 / 격주 / 매주 월,수 / 월요일마다 / 평일마다 / 매달 / 매년 / 3일마다
+// 반복 요일만 있고 날짜가 없으면 오늘부터 처음 맞는 요일에 시작한다.
+
+import { formatDate, parseDate, addDays, daysInMonth } from './dateUtils';
+import { WEEKDAYS } from './recurrence';
+
+const EN_WEEKDAY = '(sun(?:day)?|mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:r|rs|rsday)?|fri(?:day)?|sat(?:urday)?)';
+const EN_MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t|tember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const KO_WEEKDAY = '([일월화수목금토])';
+const KO_PARTICLE = '(?:에|까지|부터)?';
+
+const EN_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const EN_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const KO_DAYS = '일월화수목금토';
+const KO_AM = ['오전', '아침', '새벽'];
+
+export const PRIORITY_WORDS = {
+  high: 'high', h: 'high', '높음': 'high', '긴급': 'high',
+  medium: 'medium', med: 'medium', m: 'medium', '보통': 'medium', '중간': 'medium',
+  low: 'low', l: 'low', '낮음': 'low',
+};
+
+// 앞뒤가 공백 / 문장 끝인 토큰만 (한글에는 \b가 통하지 않는다)
+const token = (source) => new RegExp(`(?<=^|\\s)(?:${source})(?=$|[\\s,.])`, 'gi');
+
+const enDay = (word) => EN_DAYS.indexOf(word.slice(0, 3).toLowerCase());
+const koDay = (char) => KO_DAYS.indexOf(char);
+const enMonth = (word) => EN_MONTHS.indexOf(word.slice(0, 3).toLowerCase());
+
+const hhmm = (hour, minute) => `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+
+// meridiem: 'am' | 'pm' | null. 없으면 1~7시는 오후 (앞에 0을 붙여 쓴 시각은 그대로)
+const toTime = (hourText, minute, meridiem) => {
+  let hour = Number(hourText);
+  if (hour > 23 || minute > 59 || (meridiem && (hour < 1 || hour > 12))) return null;
+  if (meridiem === 'pm' && hour < 12) hour += 12;
+  if (meridiem === 'am' && hour === 12) hour = 0;
+  if (!meridiem && hour >= 1 && hour <= 7 && !hourText.startsWith('0')) hour += 12;
+  return hhmm(hour, minute);
+};
+
+// 범위의 앞쪽에 오전 / 오후가 없으면 뒤쪽을 따른다 (3-5pm, 11-1pm은 11am)
+const rangeMeridiem = (startHour, endHour, endMeridiem) => {
+  if (!endMeridiem) return null;
+  const flip = Number(startHour) % 12 > Number(endHour) % 12;
+  return flip ? (endMeridiem === 'pm' ? 'am' : 'pm') : endMeridiem;
+};
+
+const koMeridiem = (word) => (!word ? null : KO_AM.includes(word) ? 'am' : 'pm');
+const koMinute = (minute, half) => (half ? 30 : Number(minute || 0));
+
+// 오늘 이후(오늘 포함) 처음 오는 weekday
+const upcoming = (today, weekday) => addDays(today, (weekday - today.getDay() + 7) % 7);
+// 다음 주(일요일 시작)의 weekday
+const nextWeekDay = (today, weekday) => addDays(today, 7 - today.getDay() + weekday);
+
+// 연도가 없는 날짜는 지났으면 내년
+const monthDay = (today, month, day, year) => {
+  if (month < 0 || month > 11) return null;
+  const y = year ? Number(year.length === 2 ? `20${year}` : year) : today.getFullYear();
+  if (day < 1 || day > daysInMonth(y, month)) return null;
+  const date = new Date(y, month, day);
+  return !year && date < today ? monthDay(today, month, day, String(y + 1)) : formatDate(date);
+};
+
+const addMonths = (today, n) => {
+  const month = today.getMonth() + n;
+  const last = daysInMonth(today.getFullYear() + Math.floor(month / 12), ((month % 12) + 12) % 12);
+  return new Date(today.getFullYear(), month, Math.min(today.getDate(), last));
+};
+
+const COUNT_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5 };
+const shiftBy = (today, count, unit) => {
+  const n = COUNT_WORDS[String(count).toLowerCase()] || Number(count);
+  if (/^(day|일)/i.test(unit)) return addDays(today, n);
+  if (/^(week|주)/i.test(unit)) return addDays(today, n * 7);
+  return addMonths(today, n);
+};
+
+const weekdayList = (text, read) => [...new Set(text.match(read.pattern).map(read.day))].sort();
+const EN_LIST = { pattern: new RegExp(EN_WEEKDAY, 'gi'), day: enDay };
+const KO_LIST = { pattern: /[일월화수목금토]/g, day: koDay };
+
+const FREQS = {
+  day: 'daily', daily: 'daily', '일': 'daily', '날': 'daily',
+  week: 'weekly', weekly: 'weekly', '주': 'weekly',
+  month: 'monthly', monthly: 'monthly', '달': 'monthly', '개월': 'monthly', '월': 'monthly',
+  year: 'yearly', yearly: 'yearly', annually: 'yearly', '년': 'yearly', '해': 'yearly',
+};
+const rule = (freq, interval = 1, byWeekday = null) => ({
+  freq, interval, ...(byWeekday ? { byWeekday } : {}), until: null, count: null,
+});
+
+// kind별 규칙. 순서가 중요하다: 반복("every monday")과 시간("3 days"가 아닌 "3pm")을 날짜보다 먼저 본다
+const RULES = [
+  // --- 반복 ---
+  { kind: 'repeat', pattern: token('every\\s+weekday|weekdays|평일\\s*마다|매주\\s*평일'), read: () => rule('weekly', 1, WEEKDAYS) },
+  {
+    kind: 'repeat',
+    pattern: token(`every\\s+(other\\s+)?(${EN_WEEKDAY}(?:\\s*(?:,|and|&|/)\\s*${EN_WEEKDAY})*)`),
+    read: (m) => rule('weekly', m[1] ? 2 : 1, weekdayList(m[2], EN_LIST)),
+  },
+  {
+    kind: 'repeat',
+    pattern: token(`(매주|격주)\\s*(${KO_WEEKDAY}(?:요일)?(?:\\s*[,·/]?\\s*${KO_WEEKDAY}(?:요일)?)*)(?:\\s*마다)?`),
+    read: (m) => rule('weekly', m[1] === '격주' ? 2 : 1, weekdayList(m[2].replace(/요일/g, ''), KO_LIST)),
+  },
+  { kind: 'repeat', pattern: token(`${KO_WEEKDAY}요일\\s*마다`), read: (m) => rule('weekly', 1, [koDay(m[1])]) },
+  {
+    kind: 'repeat',
+    pattern: token('every\\s+(?:(other)\\s+|(\\d+)\\s+)?(day|week|month|year)s?'),
+    read: (m) => rule(FREQS[m[3].toLowerCase()], m[1] ? 2 : Number(m[2] || 1)),
+  },
+  { kind: 'repeat', pattern: token('(daily|weekly|monthly|yearly|annually)'), read: (m) => rule(FREQS[m[1].toLowerCase()]) },
+  { kind: 'repeat', pattern: token('매일|날마다'), read: () => rule('daily') },
+  { kind: 'repeat', pattern: token('격일'), read: () => rule('daily', 2) },
+  { kind: 'repeat', pattern: token('격주'), read: () => rule('weekly', 2) },
+  { kind: 'repeat', pattern: token('매(주|달|월|년|해)'), read: (m) => rule(FREQS[m[1]]) },
+  { kind: 'repeat', pattern: token('(\\d+)\\s*(일|주|개월|달|년)\\s*마다'), read: (m) => rule(FREQS[m[2]], Number(m[1])) },
+
+  // --- 시간 ---
+  {
+    kind: 'time',
+    pattern: token('(?:at\\s+)?(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)?(?:\\s*[-–~]\\s*(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)?)?'),
+    read: (m) => {
+      const [, h1, m1, mer1, h2, m2, mer2] = m;
+      // 숫자만 있으면 ("3 days") 시간이 아니다
+      if (!mer1 && !mer2 && !m1 && !/^at\s/i.test(m[0])) return null;
+      if (h2 && !mer2 && !m2 && !mer1) return null;
+      const startTime = toTime(h1, Number(m1 || 0), mer1 ? mer1.toLowerCase() : rangeMeridiem(h1, h2, mer2 && mer2.toLowerCase()));
+      const endTime = h2 ? toTime(h2, Number(m2 || 0), mer2 ? mer2.toLowerCase() : (mer1 ? mer1.toLowerCase() : null)) : null;
+      if (!startTime || (h2 && !endTime)) return null;
+      return { startTime, endTime: endTime && endTime > startTime ? endTime : null };
+    },
+  },
+  { kind: 'time', pattern: token('(?:at\\s+)?(noon|midnight)|정오|자정'), read: (m) => ({ startTime: /noon|정오/i.test(m[0]) ? '12:00' : '00:00', endTime: null }) },
+  {
+    kind: 'time',
+    pattern: token(
+      '(오전|오후|아침|낮|저녁|밤|새벽)?\\s*(\\d{1,2})\\s*시\\s*(?:(\\d{1,2})\\s*분|(반))?'
+      + '(?:\\s*(?:~|-|부터)\\s*(오전|오후|아침|낮|저녁|밤|새벽)?\\s*(\\d{1,2})\\s*시\\s*(?:(\\d{1,2})\\s*분|(반))?)?'
+      + KO_PARTICLE
+    ),
+    read: (m) => {
+      const [, w1, h1, min1, half1, w2, h2, min2, half2] = m;
+      const startTime = toTime(h1, koMinute(min1, half1), koMeridiem(w1));
+      const endTime = h2 ? toTime(h2, koMinute(min2, half2), koMeridiem(w2 || w1)) : null;
+      if (!startTime || (h2 && !endTime)) return null;
+      return { startTime, endTime: endTime && endTime > startTime ? endTime : null };
+    },
+  },
+
+  // --- 날짜 ---
+  {
+    kind: 'date',
+    pattern: token('(?:on\\s+)?(\\d{4})-(\\d{1,2})-(\\d{1,2})'),
+    read: (m, { today }) => monthDay(today, Number(m[2]) - 1, Number(m[3]), m[1]),
+  },
+  {
+    kind: 'date',
+    pattern: token(`(?:on\\s+)?${EN_MONTH}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`),
+    read: (m, { today }) => monthDay(today, enMonth(m[1]), Number(m[2]), m[3]),
+  },
+  {
+    kind: 'date',
+    pattern: token(`(?:on\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+${EN_MONTH}\\.?(?:,?\\s+(\\d{4}))?`),
+    read: (m, { today }) => monthDay(today, enMonth(m[2]), Number(m[1]), m[3]),
+  },
+  {
+    kind: 'date',
+    pattern: token('(?:on\\s+)?(\\d{1,2})/(\\d{1,2})(?:/(\\d{2}|\\d{4}))?'),
+    read: (m, { today }) => monthDay(today, Number(m[1]) - 1, Number(m[2]), m[3]),
+  },
+  {
+    kind: 'date',
+    pattern: token(`(?:(\\d{4})\\s*년\\s*)?(\\d{1,2})\\s*월\\s*(\\d{1,2})\\s*일${KO_PARTICLE}`),
+    read: (m, { today }) => monthDay(today, Number(m[2]) - 1, Number(m[3]), m[1]),
+  },
+  { kind: 'date', pattern: token('(the\\s+)?day\\s+after\\s+tomorrow'), read: (m, { today }) => formatDate(addDays(today, 2)) },
+  {
+    kind: 'date',
+    pattern: token(`(today|tonight|tomorrow|tmrw?|tmr|오늘|내일|모레|글피)${KO_PARTICLE}`),
+    read: (m, { today }) => {
+      const offsets = { today: 0, tonight: 0, tomorrow: 1, tmr: 1, tmrw: 1, tmw: 1, '오늘': 0, '내일': 1, '모레': 2, '글피': 3 };
+      return formatDate(addDays(today, offsets[m[1].toLowerCase()]));
+    },
+  },
+  {
+    kind: 'date',
+    pattern: token('in\\s+(\\d+|an?|one|two|three|four|five)\\s+(day|week|month)s?'),
+    read: (m, { today }) => formatDate(shiftBy(today, m[1], m[2])),
+  },
+  {
+    kind: 'date',
+    pattern: token(`(\\d+)\\s*(일|주|개월|달)\\s*(?:후|뒤)${KO_PARTICLE}`),
+    read: (m, { today }) => formatDate(shiftBy(today, m[1], m[2])),
+  },
+  {
+    kind: 'date',
+    pattern: token(`(?:on\\s+)?(?:(this|next)\\s+)?${EN_WEEKDAY}`),
+    read: (m, { today }) => formatDate((m[1] || '').toLowerCase() === 'next' ? nextWeekDay(today, enDay(m[2])) : upcoming(today, enDay(m[2]))),
+  },
+  {
+    kind: 'date',
+    pattern: token(`(?:(다음|담|이번)\\s*주\\s*)?${KO_WEEKDAY}요일${KO_PARTICLE}`),
+    read: (m, { today }) => formatDate(m[1] && m[1] !== '이번' ? nextWeekDay(today, koDay(m[2])) : upcoming(today, koDay(m[2]))),
+  },
+  // 다음 주 = 다음 주 월요일, 다음 달 = 다음 달 같은 날
+  { kind: 'date', pattern: token('next\\s+week|(?:다음|담)\\s*주에?'), read: (m, { today }) => formatDate(nextWeekDay(today, 1)) },
+  { kind: 'date', pattern: token('next\\s+month|다음\\s*달에?'), read: (m, { today }) => formatDate(addMonths(today, 1)) },
+  {
+    kind: 'date',
+    pattern: token(`(\\d{1,2})\\s*일${KO_PARTICLE}`),
+    read: (m, { today }) => {
+      const day = Number(m[1]);
+      if (day >= today.getDate()) return monthDay(today, today.getMonth(), day, String(today.getFullYear()));
+      const next = addMonths(new Date(today.getFullYear(), today.getMonth(), 1), 1);
+      return monthDay(next, next.getMonth(), day, String(next.getFullYear()));
+    },
+  },
+
+  // --- 중요도 / 태그 ---
+  {
+    kind: 'priority',
+    pattern: token('!([a-z가-힣]+)'),
+    read: (m) => PRIORITY_WORDS[m[1].toLowerCase()] || null,
+  },
+  { kind: 'tag', pattern: token('#([^\\s#!,.]+)'), read: (m) => m[1] },
+];
+
+// 토큰을 지운 자리에 남은 구두점 정리: 앞 단어에 붙이고('fix login #work, call' -> 'fix login, call'),
+// 겹치면 마지막 것만 두고, 앞뒤에 매달린 것은 지운다('Email bob@x.com re: #proj.' -> 'Email bob@x.com re')
+const cleanTitle = (rest) => rest
+  .replace(/\s+/g, ' ')
+  .replace(/ ([.,:;])/g, '$1')
+  .replace(/[.,:;]+(?=[.,:;])/g, '')
+  .trim()
+  .replace(/^[.,:;\s]+|[.,:;\s]+$/g, '');
+
+// today: 오늘 (Date) / defaultDate: 날짜가 없을 때 쓸 날짜 (YYYY-MM-DD, 보통 선택한 날짜)
+// -> { text, date, startTime, endTime, priority, tagNames, repeat, parts: [{ kind, text }] } (priority / repeat는 없으면 null)
+export const parseQuickAdd = (input, { today = new Date(), defaultDate = formatDate(today) } = {}) => {
+  const day = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const found = {};
+  const parts = [];
+  const tagNames = [];
+  let rest = ` ${input} `;
+
+  RULES.forEach(({ kind, pattern, read }) => {
+    if (kind !== 'tag' && found[kind] !== undefined) return;
+    // 태그는 전부, 나머지는 처음 알아본 것 하나만 쓴다
+    const accepted = [];
+    for (const match of rest.matchAll(pattern)) {
+      const value = read(match, { today: day });
+      if (value === null || value === undefined) continue;
+      accepted.push({ match, value });
+      if (kind !== 'tag') break;
+    }
+    accepted.forEach(({ match, value }) => {
+      parts.push({ kind, text: match[0].trim() });
+      if (kind !== 'tag') found[kind] = value;
+      else if (!tagNames.some(name => name.toLowerCase() === value.toLowerCase())) tagNames.push(value);
+    });
+    // 뒤에서부터 지워야 앞쪽 위치가 바뀌지 않는다
+    [...accepted].reverse().forEach(({ match }) => {
+      rest = `${rest.slice(0, match.index)} ${rest.slice(match.index + match[0].length)}`;
+    });
+  });
+
+  const repeat = found.repeat || null;
+  let date = found.date || null;
+  if (!date && repeat && repeat.byWeekday) {
+    // 반복 요일 중 오늘부터 처음 오는 날
+    date = formatDate(repeat.byWeekday.map(weekday => upcoming(day, weekday)).sort((a, b) => a - b)[0]);
+  }
+
+  return {
+    text: cleanTitle(rest),
+    date: date || defaultDate,
+    startTime: found.time ? found.time.startTime : null,
+    endTime: found.time ? found.time.endTime : null,
+    priority: found.priority || null,
+    tagNames,
+    repeat,
+    parts,
+  };
+};
+
+// 미리보기용 날짜 표시 (locale: i18n.locale, 예: en-US "Fri, Oct 16" / ko-KR "10월 16일 (금)")
+export const describeQuickDate = (dateStr, locale = 'en-US') => parseDate(dateStr).toLocaleDateString(locale, { weekday: 'short', month: 'short', day: 'numeric' });
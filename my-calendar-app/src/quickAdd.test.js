@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuickAdd, describeQuickDate } from './quickAdd';
+
+// 2026-10-15는 목요일
+const today = new Date(2026, 9, 15, 9, 0);
+const parse = (input) => parseQuickAdd(input, { today });
+const weekly = (byWeekday, interval = 1) => ({ freq: 'weekly', interval, byWeekday, until: null, count: null });
+
+describe('quick add in English', () => {
+  it('reads date, time, priority, tags and repeat and keeps the rest as the title', () => {
+    expect(parse('Review PR tomorrow 3pm !high #work every Monday')).toMatchObject({
+      text: 'Review PR',
+      date: '2026-10-16',
+      startTime: '15:00',
+      endTime: null,
+      priority: 'high',
+      tagNames: ['work'],
+      repeat: weekly([1]),
+    });
+  });
+
+  it('understands weekdays, relative days and calendar dates', () => {
+    expect(parse('Call mom fri').date).toBe('2026-10-16');
+    expect(parse('Call mom next fri').date).toBe('2026-10-23');
+    expect(parse('Read in 3 days').date).toBe('2026-10-18');
+    expect(parse('Dentist 10/20 3-4pm')).toMatchObject({ text: 'Dentist', date: '2026-10-20', startTime: '15:00', endTime: '16:00' });
+    expect(parse('Ship it on Nov 2nd, 2027').date).toBe('2027-11-02');
+    // 지난 날짜는 내년
+    expect(parse('Taxes mar 1').date).toBe('2027-03-01');
+  });
+
+  it('starts a weekday repeat on the first matching day', () => {
+    expect(parse('Gym every mon, wed and fri at 7')).toMatchObject({ text: 'Gym', date: '2026-10-16', startTime: '19:00', repeat: weekly([1, 3, 5]) });
+    expect(parse('Standup weekdays 9:30am')).toMatchObject({ date: '2026-10-15', startTime: '09:30', repeat: weekly([1, 2, 3, 4, 5]) });
+    expect(parse('Review every other week').repeat).toMatchObject({ freq: 'weekly', interval: 2 });
+  });
+
+  it('stops tags at trailing punctuation', () => {
+    expect(parse('fix login #work, call Kim')).toMatchObject({ text: 'fix login, call Kim', tagNames: ['work'] });
+    expect(parse('Ship #release.')).toMatchObject({ tagNames: ['release'] });
+  });
+
+  it('drops punctuation left dangling by removed tokens', () => {
+    expect(parse('Email bob@x.com re: #proj.')).toMatchObject({ text: 'Email bob@x.com re', tagNames: ['proj'] });
+    expect(parse('Standup: #team, bring notes')).toMatchObject({ text: 'Standup, bring notes', tagNames: ['team'] });
+    expect(parse('#home, buy milk, eggs.')).toMatchObject({ text: 'buy milk, eggs' });
+    expect(parse('1:1 with Kim fri')).toMatchObject({ text: '1:1 with Kim' });
+  });
+
+  it('leaves plain numbers and unknown words in the title', () => {
+    expect(parse('Write 2 pages !urgent')).toMatchObject({ text: 'Write 2 pages !urgent', date: '2026-10-15', startTime: null, priority: null, parts: [] });
+    expect(parseQuickAdd('Water plants', { today, defaultDate: '2026-10-20' }).date).toBe('2026-10-20');
+  });
+});
+
+describe('quick add in Korean', () => {
+  it('reads 내일 오후 2시 and treats early hours without 오전 as afternoon', () => {
+    expect(parse('내일 오후 2시 회의')).toMatchObject({ text: '회의', date: '2026-10-16', startTime: '14:00' });
+    expect(parse('2시 반 치과 #건강')).toMatchObject({ text: '치과', startTime: '14:30', tagNames: ['건강'] });
+    expect(parse('오전 7시 달리기').startTime).toBe('07:00');
+  });
+
+  it('reads ranges, next week and relative days', () => {
+    expect(parse('다음 주 월요일 오전 10시~11시 30분 주간회의 !높음')).toMatchObject({
+      text: '주간회의', date: '2026-10-19', startTime: '10:00', endTime: '11:30', priority: 'high',
+    });
+    expect(parse('3일 후 보고서 제출')).toMatchObject({ text: '보고서 제출', date: '2026-10-18' });
+    expect(parse('12월 24일에 선물 사기')).toMatchObject({ text: '선물 사기', date: '2026-12-24' });
+    expect(parse('모레 장보기').date).toBe('2026-10-17');
+  });
+
+  it('reads repeats', () => {
+    expect(parse('매주 월수금 운동').repeat).toEqual(weekly([1, 3, 5]));
+    expect(parse('격주 화요일 1:1')).toMatchObject({ text: '1:1', date: '2026-10-20', repeat: weekly([2], 2) });
+    expect(parse('월요일마다 분리수거')).toMatchObject({ text: '분리수거', date: '2026-10-19', repeat: weekly([1]) });
+    expect(parse('매일 물 마시기').repeat).toMatchObject({ freq: 'daily', interval: 1 });
+    expect(parse('매달 25일 월세').repeat).toMatchObject({ freq: 'monthly' });
+  });
+});
+
+describe('describeQuickDate', () => {
+  it('formats the preview date in the UI language', () => {
+    expect(describeQuickDate('2026-10-16')).toBe('Fri, Oct 16');
+    expect(describeQuickDate('2026-10-16', 'ko-KR')).toBe('10월 16일 (금)');
+  });
+});
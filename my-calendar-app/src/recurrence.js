@@ -0,0 +1,170 @@
+// src/recurrence.js
+// RRULE 스타일 반복 규칙. 반복 일정은 시리즈 문서 1개만 저장하고,
+// 화면에 필요한 기간만큼 발생(occurrence)을 계산해서 펼친다.
+//
+// task.repeat = {
+//   freq: 'daily' | 'weekly' | 'monthly' | 'yearly',
+//   interval: 1,                  // N일/주/월/년 마다
+//   byWeekday: [1, 3],            // weekly 전용 (0=일 ~ 6=토)
+//   monthlyMode: 'date' | 'nth',  // monthly 전용: 매월 15일 / 매월 둘째 화요일
+//   setPos: 2,                    // monthlyMode 'nth' 전용 (1~4, -1 = 마지막)
+//   until: 'YYYY-MM-DD' | null,   // 종료일 (포함)
+//   count: number | null,         // 총 반복 횟수
+// }
+//
+// 발생별 예외는 시리즈 문서에 함께 저장한다.
+// - exdates: 삭제된 발생 날짜 목록
+// - completedDates: 완료된 발생 날짜 목록
+// - overrides: { 'YYYY-MM-DD': { text, priority, ... } } 발생별 수정 내용
+
+import { formatDate, parseDate, addDays, diffDays, daysInMonth } from './dateUtils';
+import { DEFAULT_I18N } from './i18n';
+
+export const WEEKDAYS = [1, 2, 3, 4, 5];
+
+// 무한 루프 방지용 안전장치 (일 단위 반복 기준 약 100년)
+const MAX_SCAN_DAYS = 36600;
+
+export const isRecurring = (task) => Boolean(task && task.repeat && task.repeat.freq);
+
+// 발생 id: 시리즈 id + 날짜. 문서 id와 겹치지 않도록 구분자를 둔다.
+export const occurrenceId = (seriesId, dateStr) => `${seriesId}::${dateStr}`;
+
+// 날짜가 그 달의 몇 번째 요일인지 (1~5)
+const nthOfMonth = (date) => Math.ceil(date.getDate() / 7);
+const isLastOfMonth = (date) => date.getDate() + 7 > daysInMonth(date.getFullYear(), date.getMonth());
+
+export const getSetPos = (date) => (nthOfMonth(date) === 5 ? -1 : nthOfMonth(date));
+
+// start(시리즈 시작일)를 기준으로 date가 규칙에 맞는 날인지
+export const matchesRule = (rule, start, date) => {
+  const interval = Math.max(1, Number(rule.interval) || 1);
+  const days = diffDays(start, date);
+  if (days < 0) return false;
+
+  switch (rule.freq) {
+    case 'daily':
+      return days % interval === 0;
+    case 'weekly': {
+      const weekdays = rule.byWeekday && rule.byWeekday.length ? rule.byWeekday : [start.getDay()];
+      if (!weekdays.includes(date.getDay())) return false;
+      // 주 단위 간격은 시작일이 속한 주(일요일 시작) 기준으로 센다
+      const weeks = Math.floor(diffDays(addDays(start, -start.getDay()), date) / 7);
+      return weeks % interval === 0;
+    }
+    case 'monthly': {
+      const months = (date.getFullYear() - start.getFullYear()) * 12 + date.getMonth() - start.getMonth();
+      if (months % interval !== 0) return false;
+      if (rule.monthlyMode === 'nth') {
+        if (date.getDay() !== start.getDay()) return false;
+        const setPos = rule.setPos || getSetPos(start);
+        return setPos === -1 ? isLastOfMonth(date) : nthOfMonth(date) === setPos;
+      }
+      // 31일 같은 날짜가 없는 달은 건너뛴다 (RFC 5545 동작과 동일)
+      return date.getDate() === start.getDate();
+    }
+    case 'yearly': {
+      const years = date.getFullYear() - start.getFullYear();
+      return years % interval === 0
+        && date.getMonth() === start.getMonth()
+        && date.getDate() === start.getDate();
+    }
+    default:
+      return false;
+  }
+};
+
+// 시리즈의 발생 날짜 목록 (from~to, 포함). count가 있으면 시작일부터 세어야 하므로 처음부터 훑는다.
+export const occurrenceDates = (task, from, to) => {
+  const rule = task.repeat;
+  const start = parseDate(task.date);
+  const rangeEnd = parseDate(rule.until && rule.until < to ? rule.until : to);
+  const rangeStart = parseDate(from);
+  const scanFrom = rule.count ? start : (rangeStart > start ? rangeStart : start);
+
+  const dates = [];
+  let seen = 0;
+  let cursor = scanFrom;
+  for (let i = 0; cursor <= rangeEnd && i < MAX_SCAN_DAYS; i++, cursor = addDays(cursor, 1)) {
+    if (!matchesRule(rule, start, cursor)) continue;
+    seen += 1;
+    if (rule.count && seen > rule.count) break;
+    if (cursor >= rangeStart) dates.push(formatDate(cursor));
+  }
+  return dates;
+};
+
+// 시리즈 문서 하나를 발생 객체들로 펼친다. 발생은 시리즈 필드 + 발생별 수정 내용을 합친 값.
+export const expandTask = (task, from, to) => {
+  const exdates = task.exdates || [];
+  const completedDates = task.completedDates || [];
+  const overrides = task.overrides || {};
+
+  return occurrenceDates(task, from, to)
+    .filter(dateStr => !exdates.includes(dateStr))
+    .map(dateStr => ({
+      ...task,
+      ...(overrides[dateStr] || {}),
+      id: occurrenceId(task.id, dateStr),
+      seriesId: task.id,
+      seriesStart: task.date,
+      date: dateStr,
+      completed: completedDates.includes(dateStr),
+      isOccurrence: true,
+    }));
+};
+
+// 일반 일정은 기간 안에 있으면 그대로, 반복 일정은 발생으로 펼쳐서 반환
+export const expandTasks = (tasks, from, to) => tasks.flatMap(t => {
+  if (isRecurring(t)) return expandTask(t, from, to);
+  return t.date >= from && t.date <= to ? [t] : [];
+});
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+// 키 순서와 상관없이 같은 규칙인지 (저장소에서 읽은 규칙은 키 순서가 바뀌어 있을 수 있다)
+const sameRule = (a, b) => {
+  if (!a || !b) return !a && !b;
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])].every(key => sameValue(a[key], b[key]));
+};
+
+// 시리즈 전체를 고치는 patch에 발생별 예외 정리를 더한다. 예외는 발생 날짜를 키로 저장하므로
+// - 시작일이나 반복 규칙이 바뀌면 새 발생과 맞지 않으니 exdates / completedDates / overrides를 모두 비우고
+// - 그대로면 이번에 바꾼 필드만 overrides에서 빼서 새 값이 모든 발생에 보이게 한다
+export const seriesEditPatch = (series, patch) => {
+  if (!isRecurring(series)) return patch;
+  if (('date' in patch && patch.date !== series.date) || ('repeat' in patch && !sameRule(series.repeat, patch.repeat))) {
+    return { ...patch, exdates: [], completedDates: [], overrides: {} };
+  }
+  const changed = Object.keys(patch).filter(key => !sameValue(patch[key], series[key]));
+  const current = series.overrides || {};
+  const overrides = Object.fromEntries(Object.entries(current)
+    .map(([dateStr, fields]) => [dateStr, Object.fromEntries(Object.entries(fields).filter(([key]) => !changed.includes(key)))])
+    .filter(([, fields]) => Object.keys(fields).length));
+  return sameValue(overrides, current) ? patch : { ...patch, overrides };
+};
+
+// 사람이 읽을 수 있는 규칙 설명 (예: "Every 2 weeks on Mon, Wed · 10 times")
+export const describeRule = (rule, startDateStr, { t, formatWeekday } = DEFAULT_I18N) => {
+  if (!rule || !rule.freq) return '';
+  const interval = Math.max(1, Number(rule.interval) || 1);
+  const start = startDateStr ? parseDate(startDateStr) : null;
+  let text = interval === 1 ? t(`repeat.every.${rule.freq}`) : t(`repeat.everyN.${rule.freq}`, { count: interval });
+
+  if (rule.freq === 'weekly') {
+    const weekdays = rule.byWeekday && rule.byWeekday.length ? [...rule.byWeekday].sort() : (start ? [start.getDay()] : []);
+    if (interval === 1 && weekdays.join() === WEEKDAYS.join()) text = t('repeat.everyWeekday');
+    else if (weekdays.length) text = t('repeat.onWeekdays', { rule: text, days: weekdays.map(d => formatWeekday(d)).join(', ') });
+  }
+  if (rule.freq === 'monthly' && start) {
+    if (rule.monthlyMode === 'nth') {
+      const setPos = rule.setPos || getSetPos(start);
+      text = t('repeat.onNth', { rule: text, ordinal: t(`repeat.ordinal.${setPos}`), weekday: formatWeekday(start.getDay()) });
+    } else {
+      text = t('repeat.onDay', { rule: text, day: start.getDate() });
+    }
+  }
+  if (rule.until) text = t('repeat.until', { rule: text, date: rule.until });
+  else if (rule.count) text = t('repeat.count', { rule: text, count: rule.count });
+  return text;
+};
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { seriesEditPatch, expandTask } from './recurrence';
+
+describe('seriesEditPatch', () => {
+  const series = {
+    id: 's1',
+    date: '2026-10-01',
+    text: 'Standup',
+    priority: 'medium',
+    repeat: { freq: 'daily', interval: 1, until: null, count: null },
+    exdates: ['2026-10-03'],
+    completedDates: ['2026-10-02'],
+    overrides: { '2026-10-04': { text: 'Retro', priority: 'high', description: 'Bring notes' } },
+  };
+  const edit = (fields) => ({ date: series.date, text: series.text, priority: series.priority, repeat: series.repeat, ...fields });
+
+  it('clears exceptions keyed by the old dates when the start date or rule changes', () => {
+    const cleared = { exdates: [], completedDates: [], overrides: {} };
+    expect(seriesEditPatch(series, edit({ date: '2026-10-05' }))).toMatchObject(cleared);
+    expect(seriesEditPatch(series, edit({ repeat: { freq: 'weekly', interval: 1, until: null, count: null } }))).toMatchObject(cleared);
+    expect(seriesEditPatch(series, edit({ repeat: null }))).toMatchObject(cleared);
+
+    const moved = { ...series, ...seriesEditPatch(series, edit({ date: '2026-10-02' })) };
+    expect(expandTask(moved, '2026-10-02', '2026-10-04').map(o => [o.date, o.text, o.completed]))
+      .toEqual([['2026-10-02', 'Standup', false], ['2026-10-03', 'Standup', false], ['2026-10-04', 'Standup', false]]);
+  });
+
+  it('keeps exceptions for the same schedule and drops only the fields the edit changed', () => {
+    // 키 순서가 달라도 같은 규칙
+    const sameRule = { count: null, until: null, interval: 1, freq: 'daily' };
+    expect(seriesEditPatch(series, edit({ repeat: sameRule }))).toEqual(edit({ repeat: sameRule }));
+
+    const patch = seriesEditPatch(series, edit({ text: 'Daily sync' }));
+    expect(patch.overrides).toEqual({ '2026-10-04': { priority: 'high', description: 'Bring notes' } });
+    expect(patch).not.toHaveProperty('exdates');
+    expect(patch).not.toHaveProperty('completedDates');
+
+    const emptied = seriesEditPatch({ ...series, overrides: { '2026-10-04': { text: 'Retro' } } }, edit({ text: 'Daily sync' }));
+    expect(emptied.overrides).toEqual({});
+  });
+
+  it('leaves one-off tasks alone', () => {
+    const task = { id: 't1', date: '2026-10-01', text: 'Call', repeat: null };
+    expect(seriesEditPatch(task, { date: '2026-10-02', text: 'Call', repeat: null })).toEqual({ date: '2026-10-02', text: 'Call', repeat: null });
+    expect(seriesEditPatch(undefined, { text: 'Call' })).toEqual({ text: 'Call' });
+  });
+});
@@ -0,0 +1,115 @@
+// src/reminders.js
+// 할 일 / 공지 알림 계산. 설정은 문서에 reminders 배열로 저장한다.
+//   { id, offsetDays, time }  날짜 기준: offsetDays일 전 time 시각 (0 = 당일)
+//   { id, minutesBefore }     시간 지정 할 일의 시작 n분 전 (종일 일정이면 09:00 기준)
+// 언제 울렸는지 / 다시 알림(snooze) 상태는 브라우저별로 따로 관리한다 (notifications.js)
+
+import { formatDate, parseDate, addDays } from './dateUtils';
+import { expandTasks } from './recurrence';
+import { timeToMinutes } from './scheduleLayout';
+import { DEFAULT_I18N } from './i18n';
+
+export const DEFAULT_REMINDER_TIME = '09:00';
+export const MAX_OFFSET_DAYS = 7;
+export const SNOOZE_MINUTES = 10;
+// 탭이 닫혀 있던 사이 지나간 알림은 이 시간 안쪽일 때만 늦게라도 보낸다
+export const LATE_GRACE_MS = 60 * 60 * 1000;
+
+// 화면 이름은 describeReminder(preset.reminder)로 만든다
+export const REMINDER_PRESETS = [
+  { key: 'day-of', reminder: { offsetDays: 0, time: DEFAULT_REMINDER_TIME } },
+  { key: 'day-before', reminder: { offsetDays: 1, time: DEFAULT_REMINDER_TIME } },
+  { key: 'at-start', reminder: { minutesBefore: 0 }, timedOnly: true },
+  { key: '15-min', reminder: { minutesBefore: 15 }, timedOnly: true },
+  { key: '1-hour', reminder: { minutesBefore: 60 }, timedOnly: true },
+];
+
+export const createReminder = (fields) => ({ id: crypto.randomUUID(), ...fields });
+
+export const isSameReminder = (a, b) => (
+  a.minutesBefore === b.minutesBefore && a.offsetDays === b.offsetDays && a.time === b.time
+);
+
+export const describeReminder = (reminder, { t } = DEFAULT_I18N) => {
+  if (reminder.minutesBefore !== undefined) {
+    if (reminder.minutesBefore === 0) return t('reminder.atStart');
+    if (reminder.minutesBefore % 60 === 0) return t('reminder.hoursBefore', { count: reminder.minutesBefore / 60 });
+    return t('reminder.minutesBefore', { count: reminder.minutesBefore });
+  }
+  if (!reminder.offsetDays) return t('reminder.onTheDay', { time: reminder.time });
+  return t(reminder.offsetDays > 1 ? 'reminder.daysBefore' : 'reminder.dayBefore', { count: reminder.offsetDays, time: reminder.time });
+};
+
+// dateStr 날짜의 항목에 대한 알림 시각 (ms)
+export const reminderAt = (reminder, dateStr, startTime) => {
+  const day = parseDate(dateStr);
+  if (reminder.minutesBefore !== undefined) {
+    const start = timeToMinutes(startTime || DEFAULT_REMINDER_TIME);
+    return day.getTime() + (start - reminder.minutesBefore) * 60 * 1000;
+  }
+  const at = addDays(day, -(reminder.offsetDays || 0));
+  at.setMinutes(timeToMinutes(reminder.time || DEFAULT_REMINDER_TIME));
+  return at.getTime();
+};
+
+// now 전후로 울릴 수 있는 알림 목록 [{ key, at, kind, itemId, date, title, body }]
+// 완료된 할 일과 숨긴 공지는 제외. 반복 일정은 발생마다 따로 (key에 날짜 포함)
+export const collectReminders = ({ tasks = [], notices = [] }, now, i18n = DEFAULT_I18N) => {
+  const today = new Date(now);
+  const from = formatDate(addDays(today, -1));
+  const to = formatDate(addDays(today, MAX_OFFSET_DAYS + 1));
+  const entries = [];
+
+  expandTasks(tasks.filter(t => t.reminders && t.reminders.length), from, to)
+    .filter(t => !t.completed)
+    .forEach(t => (t.reminders || []).forEach(r => entries.push({
+      key: `task:${t.id}:${r.id}`,
+      at: reminderAt(r, t.date, t.startTime),
+      kind: 'task',
+      itemId: t.seriesId || t.id,
+      date: t.date,
+      title: t.text,
+      body: `${t.startTime ? `${t.date} ${t.startTime}` : t.date} · ${describeReminder(r, i18n)}`,
+    })));
+
+  notices
+    .filter(n => !n.isHidden && n.reminders && n.reminders.length && n.targetDate >= from && n.targetDate <= to)
+    .forEach(n => n.reminders.forEach(r => entries.push({
+      key: `notice:${n.id}:${r.id}`,
+      at: reminderAt(r, n.targetDate),
+      kind: 'notice',
+      itemId: n.id,
+      date: n.targetDate,
+      title: `📣 ${n.content}`,
+      body: `${n.targetDate} · ${describeReminder(r, i18n)}`,
+    })));
+
+  return entries.sort((a, b) => a.at - b.at);
+};
+
+// 지금 보내야 할 알림. state: { fired: { key: ms }, snoozed: { key: untilMs } }
+export const dueReminders = (entries, now, state) => entries.filter(entry => {
+  const snoozedUntil = state.snoozed[entry.key];
+  if (snoozedUntil) return snoozedUntil <= now;
+  return !state.fired[entry.key] && entry.at <= now && entry.at > now - LATE_GRACE_MS;
+});
+
+export const markFired = (state, key, now) => {
+  const snoozed = { ...state.snoozed };
+  delete snoozed[key];
+  return { fired: { ...state.fired, [key]: now }, snoozed };
+};
+
+export const snoozeReminder = (state, key, now) => ({
+  ...state,
+  snoozed: { ...state.snoozed, [key]: now + SNOOZE_MINUTES * 60 * 1000 },
+});
+
+// 오래된 기록 정리 (collectReminders 범위를 벗어난 것들)
+export const pruneReminderState = (state, now) => {
+  const cutoff = now - (MAX_OFFSET_DAYS + 2) * 24 * 60 * 60 * 1000;
+  return {
+    fired: Object.fromEntries(Object.entries(state.fired).filter(([, at]) => at > cutoff)),
+    snoozed: Object.fromEntries(Object.entries(state.snoozed).filter(([, until]) => until > cutoff)),
+  };
+};
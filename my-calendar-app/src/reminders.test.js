@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import {
+  reminderAt,
+  describeReminder,
+  collectReminders,
+  dueReminders,
+  markFired,
+  snoozeReminder,
+  pruneReminderState,
+  SNOOZE_MINUTES,
+} from './reminders';
+
+const at = (dateStr, time) => {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const [h, min] = time.split(':').map(Number);
+  return new Date(y, m - 1, d, h, min).getTime();
+};
+
+const EMPTY = { fired: {}, snoozed: {} };
+
+describe('reminder times', () => {
+  it('resolves day-based and start-relative reminders', () => {
+    expect(reminderAt({ offsetDays: 0, time: '09:00' }, '2026-10-15')).toBe(at('2026-10-15', '09:00'));
+    expect(reminderAt({ offsetDays: 1, time: '18:30' }, '2026-10-01')).toBe(at('2026-09-30', '18:30'));
+    expect(reminderAt({ minutesBefore: 15 }, '2026-10-15', '10:00')).toBe(at('2026-10-15', '09:45'));
+    expect(reminderAt({ minutesBefore: 60 }, '2026-10-15', '00:30')).toBe(at('2026-10-14', '23:30'));
+  });
+
+  it('describes reminders', () => {
+    expect(describeReminder({ offsetDays: 0, time: '09:00' })).toBe('At 09:00 on the day');
+    expect(describeReminder({ offsetDays: 2, time: '08:00' })).toBe('2 days before at 08:00');
+    expect(describeReminder({ minutesBefore: 60 })).toBe('1h before');
+    expect(describeReminder({ minutesBefore: 0 })).toBe('At start time');
+  });
+});
+
+describe('collecting reminders', () => {
+  const now = at('2026-10-15', '09:00');
+  const dayOf = { id: 'r1', offsetDays: 0, time: '09:00' };
+
+  it('expands recurring tasks and skips completed tasks and hidden notices', () => {
+    const entries = collectReminders({
+      tasks: [
+        { id: 'daily', text: 'Standup', date: '2026-10-01', repeat: { freq: 'daily', interval: 1 }, completedDates: ['2026-10-14'], reminders: [dayOf] },
+        { id: 'done', text: 'Done', date: '2026-10-15', completed: true, reminders: [dayOf] },
+        { id: 'plain', text: 'No reminder', date: '2026-10-15' },
+      ],
+      notices: [
+        { id: 'n1', content: 'Payday', targetDate: '2026-10-16', reminders: [{ id: 'r2', offsetDays: 1, time: '09:00' }] },
+        { id: 'n2', content: 'Hidden', targetDate: '2026-10-16', isHidden: true, reminders: [dayOf] },
+      ],
+    }, now);
+
+    const keys = entries.map(e => e.key);
+    expect(keys).toContain('task:daily::2026-10-15:r1');
+    expect(keys).not.toContain('task:daily::2026-10-14:r1');
+    expect(keys.some(k => k.startsWith('task:done'))).toBe(false);
+    expect(keys).toContain('notice:n1:r2');
+    expect(keys.some(k => k.startsWith('notice:n2'))).toBe(false);
+    expect(entries.find(e => e.key === 'notice:n1:r2')).toMatchObject({ at: now, kind: 'notice', date: '2026-10-16' });
+  });
+});
+
+describe('reminder state', () => {
+  const entry = { key: 'task:t1:r1', at: at('2026-10-15', '09:00') };
+
+  it('fires once, within the grace window', () => {
+    expect(dueReminders([entry], entry.at - 1, EMPTY)).toEqual([]);
+    expect(dueReminders([entry], entry.at + 1000, EMPTY)).toEqual([entry]);
+    expect(dueReminders([entry], entry.at + 2 * 60 * 60 * 1000, EMPTY)).toEqual([]);
+
+    const fired = markFired(EMPTY, entry.key, entry.at);
+    expect(dueReminders([entry], entry.at + 1000, fired)).toEqual([]);
+  });
+
+  it('fires again after a snooze', () => {
+    const fired = markFired(EMPTY, entry.key, entry.at);
+    const snoozed = snoozeReminder(fired, entry.key, entry.at);
+    const later = entry.at + SNOOZE_MINUTES * 60 * 1000;
+    expect(dueReminders([entry], later - 1, snoozed)).toEqual([]);
+    expect(dueReminders([entry], later, snoozed)).toEqual([entry]);
+    expect(markFired(snoozed, entry.key, later).snoozed).toEqual({});
+  });
+
+  it('prunes old entries', () => {
+    const state = { fired: { old: 0, recent: entry.at }, snoozed: { old: 0 } };
+    expect(pruneReminderState(state, entry.at)).toEqual({ fired: { recent: entry.at }, snoozed: {} });
+  });
+});
@@ -0,0 +1,68 @@
+// src/scheduleLayout.js
+// Week/Day 타임라인 배치 계산. 시간이 겹치는 일정은 같은 묶음(cluster) 안에서 열을 나눠 나란히 놓는다.
+
+export const DEFAULT_DURATION = 60; // 종료 시간이 없는 일정의 기본 길이(분)
+export const DAY_MINUTES = 24 * 60;
+
+// 'HH:MM' -> 분
+export const timeToMinutes = (time) => {
+  if (!time) return null;
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+};
+
+export const minutesToTime = (minutes) => {
+  const clamped = Math.max(0, Math.min(DAY_MINUTES - 1, minutes));
+  return `${String(Math.floor(clamped / 60)).padStart(2, '0')}:${String(clamped % 60).padStart(2, '0')}`;
+};
+
+export const isAllDay = (task) => !task.startTime;
+
+// 목록 표시용 시간 범위 (예: "09:00–10:30")
+export const formatTimeRange = (task) => {
+  if (isAllDay(task)) return '';
+  return task.endTime ? `${task.startTime}–${task.endTime}` : task.startTime;
+};
+
+// 일정의 [시작, 종료) 분 단위 구간. 종료가 없거나 시작보다 빠르면 기본 길이 사용
+export const taskSpan = (task) => {
+  const start = timeToMinutes(task.startTime);
+  const end = timeToMinutes(task.endTime);
+  return { start, end: end !== null && end > start ? end : Math.min(start + DEFAULT_DURATION, DAY_MINUTES) };
+};
+
+// 시간 지정 일정 목록 -> [{ task, start, end, col, cols }]
+export const layoutDayEvents = (tasks) => {
+  const events = tasks
+    .filter(t => !isAllDay(t))
+    .map(task => ({ task, ...taskSpan(task) }))
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const result = [];
+  let cluster = [];
+  let columns = []; // 각 열의 마지막 종료 시간
+  let clusterEnd = -1;
+
+  const flush = () => {
+    cluster.forEach(e => { e.cols = columns.length; });
+    result.push(...cluster);
+    cluster = [];
+    columns = [];
+  };
+
+  events.forEach(event => {
+    if (cluster.length && event.start >= clusterEnd) flush();
+    let col = columns.findIndex(end => end <= event.start);
+    if (col === -1) {
+      col = columns.length;
+      columns.push(event.end);
+    } else {
+      columns[col] = event.end;
+    }
+    cluster.push({ ...event, col });
+    clusterEnd = cluster.length === 1 ? event.end : Math.max(clusterEnd, event.end);
+  });
+  if (cluster.length) flush();
+
+  return result;
+};
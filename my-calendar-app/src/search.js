@@ -0,0 +1,137 @@
+// src/search.js
+// 통합 검색: 할 일(text / description / 체크리스트), 일기(content), 공지(content)
+//
+// 검색어 문법 (공백으로 구분, 모든 조건을 만족해야 함)
+//   report            포함된 단어 (대소문자 무시)
+//   "weekly report"   따옴표 안은 한 구절로
+//   priority:high     low | medium | high (할 일만)
+//   is:done / is:open 완료 여부 (할 일만)
+//   mood:4 / mood:good / mood:😫  일기 무드 — 척도 값, 이름, 이모지 (일기만)
+//   project:work      프로젝트 이름 / tag:urgent 태그 이름 (할 일만)
+//   before:2026-10-01 / after:2026-10-01  해당 날짜 이전 / 이후 (그 날짜는 제외)
+
+import { DEFAULT_MOOD_LEVELS, normalizeMood, resolveMoodQuery, moodEmoji } from './mood';
+import { getSubtasks } from './subtasks';
+import { DEFAULT_I18N } from './i18n';
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const PRIORITIES = ['low', 'medium', 'high'];
+const TOKEN_RE = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+
+// 종류별로 적용할 수 있는 필터. 다른 종류 전용 필터가 있으면 그 종류는 결과에서 빠진다
+const KIND_FILTERS = {
+  tasks: ['priority', 'is', 'project', 'tag'],
+  notes: ['mood'],
+  notices: [],
+};
+
+// levels: 무드 척도 (mood 필터 검증용) / t: 오류 문구 번역
+const FILTER_VALIDATORS = {
+  priority: (v, levels, t) => PRIORITIES.includes(v) || t('searchError.priority'),
+  is: (v, levels, t) => ['done', 'open'].includes(v) || t('searchError.is'),
+  mood: (v, levels, t) => resolveMoodQuery(v, levels) !== null || t('searchError.mood', {
+    max: levels.length,
+    labels: levels.map(l => l.label.toLowerCase()).join(', '),
+    emojis: levels.map(l => l.emoji).join(' '),
+  }),
+  before: (v, levels, t) => DATE_RE.test(v) || t('searchError.date', { key: 'before' }),
+  after: (v, levels, t) => DATE_RE.test(v) || t('searchError.date', { key: 'after' }),
+  project: () => true,
+  tag: () => true,
+};
+
+// 검색어 -> { words, filters, errors }. 모르는 key:value는 그냥 단어로 취급 (errors는 i18n 언어로)
+export const parseQuery = (input, levels = DEFAULT_MOOD_LEVELS, { t } = DEFAULT_I18N) => {
+  const words = [];
+  const filters = {};
+  const errors = [];
+  for (const match of input.matchAll(TOKEN_RE)) {
+    const key = (match[1] || match[3] || '').toLowerCase();
+    const value = match[2] !== undefined ? match[2] : match[4];
+    if (key && FILTER_VALIDATORS[key]) {
+      const normalized = ['priority', 'is'].includes(key) ? value.toLowerCase() : value;
+      const valid = FILTER_VALIDATORS[key](normalized, levels, t);
+      if (valid === true) filters[key] = normalized;
+      else errors.push(valid);
+      continue;
+    }
+    const word = match[5] !== undefined ? match[5] : match[0];
+    if (word.trim()) words.push(word.toLowerCase());
+  }
+  return { words, filters, errors };
+};
+
+export const isQueryEmpty = (query) => query.words.length === 0 && Object.keys(query.filters).length === 0;
+
+const appliesTo = (kind, filters) => Object.keys(filters).every(key => (
+  key === 'before' || key === 'after' || KIND_FILTERS[kind].includes(key)
+));
+
+const inDateRange = (date, filters) => (
+  (!filters.before || date < filters.before) && (!filters.after || date > filters.after)
+);
+
+const containsAll = (fields, words) => {
+  const haystack = fields.filter(Boolean).join('\n').toLowerCase();
+  return words.every(word => haystack.includes(word));
+};
+
+const byDateDesc = (a, b) => b.date.localeCompare(a.date);
+
+// 결과: { tasks, notes, notices } — 각 항목은 { id, date, title, body, item }
+// tasks는 반복 일정을 시리즈 단위로 한 번만 (날짜는 시작일), notes의 title은 무드 이모지
+export const searchAll = ({ tasks = [], notes = [], notices = [], projects = [], tags = [], moodLevels = DEFAULT_MOOD_LEVELS }, query) => {
+  const { words, filters } = query;
+  const mood = filters.mood ? resolveMoodQuery(filters.mood, moodLevels) : null;
+  const nameMatches = (list, id, name) => list.some(x => x.id === id && x.name.toLowerCase() === name.toLowerCase());
+
+  const taskResults = !appliesTo('tasks', filters) ? [] : tasks
+    .filter(t => {
+      if (filters.priority && t.priority !== filters.priority) return false;
+      if (filters.is === 'done' && !t.completed) return false;
+      if (filters.is === 'open' && t.completed) return false;
+      if (filters.project && !nameMatches(projects, t.projectId, filters.project)) return false;
+      if (filters.tag && !(t.tagIds || []).some(id => nameMatches(tags, id, filters.tag))) return false;
+      return inDateRange(t.date, filters)
+        && containsAll([t.text, t.description, ...getSubtasks(t).map(s => s.text)], words);
+    })
+    .map(t => ({ id: t.id, date: t.date, title: t.text || '', body: t.description || '', item: t }));
+
+  const noteResults = !appliesTo('notes', filters) ? [] : notes
+    .filter(n => (!filters.mood || normalizeMood(n.mood) === mood)
+      && inDateRange(n.id, filters)
+      && (words.length > 0 ? containsAll([n.content], words) : Boolean(n.content || n.mood)))
+    .map(n => ({ id: n.id, date: n.id, title: moodEmoji(normalizeMood(n.mood), moodLevels), body: n.content || '', item: n }));
+
+  const noticeResults = !appliesTo('notices', filters) ? [] : notices
+    .filter(n => inDateRange(n.targetDate, filters) && containsAll([n.content], words))
+    .map(n => ({ id: n.id, date: n.targetDate, title: '', body: n.content || '', item: n }));
+
+  return {
+    tasks: taskResults.sort(byDateDesc),
+    notes: noteResults.sort(byDateDesc),
+    notices: noticeResults.sort(byDateDesc),
+  };
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 하이라이트용 조각: [{ text, match }]
+export const highlightSegments = (text, words) => {
+  if (!text || words.length === 0) return [{ text: text || '', match: false }];
+  const pattern = new RegExp(`(${words.map(escapeRegExp).join('|')})`, 'gi');
+  return text.split(pattern)
+    .filter(Boolean)
+    .map(part => ({ text: part, match: words.includes(part.toLowerCase()) }));
+};
+
+// 긴 본문은 첫 일치 위치 주변만 잘라서 보여준다
+export const snippet = (text, words, radius = 60) => {
+  if (!text) return '';
+  const lower = text.toLowerCase();
+  const hits = words.map(w => lower.indexOf(w)).filter(i => i >= 0);
+  const first = hits.length ? Math.min(...hits) : 0;
+  const start = Math.max(0, first - radius);
+  const end = Math.min(text.length, first + radius * 2);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuery, isQueryEmpty, searchAll, highlightSegments, snippet } from './search';
+
+const data = {
+  tasks: [
+    { id: 't1', date: '2026-09-20', text: 'Quarterly report', priority: 'high', completed: true, description: 'Send to finance' },
+    { id: 't2', date: '2026-10-05', text: 'Team sync', priority: 'low', completed: false, description: 'Discuss the weekly report', projectId: 'p1', tagIds: ['g1'] },
+    { id: 't3', date: '2026-10-01', text: 'Standup', priority: 'medium', completed: false, subtasks: [{ id: 's', text: 'Report blockers', done: false }], repeat: { freq: 'daily', interval: 1 } },
+  ],
+  notes: [
+    { id: '2026-09-30', content: 'Rough day, the report slipped', mood: '😫' },
+    { id: '2026-10-02', content: 'Great weekly report review', mood: '😄' },
+    { id: '2026-10-03', content: '', mood: '😫' },
+  ],
+  notices: [
+    { id: 'n1', targetDate: '2026-10-10', content: 'Report deadline moved' },
+    { id: 'n2', targetDate: '2026-10-12', content: 'Office closed' },
+  ],
+  projects: [{ id: 'p1', name: 'Work' }],
+  tags: [{ id: 'g1', name: 'meeting' }],
+};
+
+const ids = (results) => Object.fromEntries(Object.entries(results).map(([kind, list]) => [kind, list.map(r => r.id)]));
+const search = (input) => ids(searchAll(data, parseQuery(input)));
+
+describe('parseQuery', () => {
+  it('splits words, quoted phrases and filters', () => {
+    expect(parseQuery('Report "weekly review" priority:HIGH is:open before:2026-10-01 mood:😫')).toEqual({
+      words: ['report', 'weekly review'],
+      filters: { priority: 'high', is: 'open', before: '2026-10-01', mood: '😫' },
+      errors: [],
+    });
+  });
+
+  it('accepts quoted filter values and keeps unknown keys as words', () => {
+    expect(parseQuery('project:"Side Work" http://x').filters).toEqual({ project: 'Side Work' });
+    expect(parseQuery('project:"Side Work" http://x').words).toEqual(['http://x']);
+  });
+
+  it('reports invalid filter values', () => {
+    const query = parseQuery('priority:urgent after:tomorrow mood:🙃');
+    expect(query.filters).toEqual({});
+    expect(query.errors).toHaveLength(3);
+    expect(isQueryEmpty(query)).toBe(true);
+  });
+});
+
+describe('searchAll', () => {
+  it('searches task text, descriptions, checklists, notes and notices', () => {
+    expect(search('report')).toEqual({
+      tasks: ['t2', 't3', 't1'],
+      notes: ['2026-10-02', '2026-09-30'],
+      notices: ['n1'],
+    });
+  });
+
+  it('matches every word and whole phrases', () => {
+    expect(search('weekly report')).toEqual({ tasks: ['t2'], notes: ['2026-10-02'], notices: [] });
+    expect(search('"report review"')).toEqual({ tasks: [], notes: ['2026-10-02'], notices: [] });
+  });
+
+  it('limits to tasks for task-only filters', () => {
+    expect(search('priority:high')).toEqual({ tasks: ['t1'], notes: [], notices: [] });
+    expect(search('is:open report')).toEqual({ tasks: ['t2', 't3'], notes: [], notices: [] });
+    expect(search('is:done')).toEqual({ tasks: ['t1'], notes: [], notices: [] });
+    expect(search('project:work tag:Meeting')).toEqual({ tasks: ['t2'], notes: [], notices: [] });
+  });
+
+  it('filters notes by mood, including notes without text', () => {
+    expect(search('mood:😫')).toEqual({ tasks: [], notes: ['2026-10-03', '2026-09-30'], notices: [] });
+    expect(search('mood:great')).toEqual({ tasks: [], notes: ['2026-10-02'], notices: [] });
+    expect(search('mood:5')).toEqual(search('mood:😄'));
+  });
+
+  it('applies date ranges to every kind (exclusive)', () => {
+    expect(search('report after:2026-10-01')).toEqual({ tasks: ['t2'], notes: ['2026-10-02'], notices: ['n1'] });
+    expect(search('before:2026-10-01')).toEqual({ tasks: ['t1'], notes: ['2026-09-30'], notices: [] });
+  });
+});
+
+describe('highlighting', () => {
+  it('marks matched words case-insensitively', () => {
+    expect(highlightSegments('Weekly Report review', ['report', 'week'])).toEqual([
+      { text: 'Week', match: true },
+      { text: 'ly ', match: false },
+      { text: 'Report', match: true },
+      { text: ' review', match: false },
+    ]);
+    expect(highlightSegments('a+b (c)', ['(c)'])).toEqual([{ text: 'a+b ', match: false }, { text: '(c)', match: true }]);
+  });
+
+  it('cuts long text around the first match', () => {
+    const text = `${'x'.repeat(100)} needle ${'y'.repeat(200)}`;
+    const result = snippet(text, ['needle'], 10);
+    expect(result.startsWith('…')).toBe(true);
+    expect(result.endsWith('…')).toBe(true);
+    expect(result).toContain('needle');
+    expect(snippet('short', ['nothing'])).toBe('short');
+  });
+});
@@ -0,0 +1,97 @@
+// src/shortcuts.js
+// 키보드 단축키와 명령 팔레트 (App과 도움말 / 팔레트 컴포넌트에서 사용)
+//   shortcutFor(event)가 키 입력을 동작 이름으로 바꾸고, 실제 동작은 App이 정한다
+//   글자 하나짜리 단축키는 입력 중(input / textarea / select / contentEditable)이거나 수정 키를 누르면 무시한다
+
+import { formatDate, parseDate, addDays } from './dateUtils';
+
+// 도움말에 보여줄 목록 (keys는 차례로 누르는 게 아니라 함께 누르는 키, label은 i18n 번역 키)
+export const SHORTCUT_GROUPS = [
+  {
+    label: 'shortcuts.general',
+    items: [
+      { keys: ['Ctrl', 'K'], label: 'shortcuts.palette' },
+      { keys: ['/'], label: 'shortcuts.search' },
+      { keys: ['?'], label: 'shortcuts.help' },
+      { keys: ['Ctrl', 'Z'], label: 'shortcuts.undo' },
+      { keys: ['Ctrl', 'Shift', 'Z'], label: 'shortcuts.redo' },
+    ],
+  },
+  {
+    label: 'shortcuts.calendar',
+    items: [
+      { keys: ['T'], label: 'shortcuts.today' },
+      { keys: ['←', '→'], label: 'shortcuts.day' },
+      { keys: ['↑', '↓'], label: 'shortcuts.week' },
+    ],
+  },
+  {
+    label: 'shortcuts.tasks',
+    items: [
+      { keys: ['N'], label: 'shortcuts.newTask' },
+      { keys: ['J', 'K'], label: 'shortcuts.nextTask' },
+      { keys: ['X'], label: 'shortcuts.toggleTask' },
+    ],
+  },
+];
+
+const SINGLE_KEYS = {
+  n: 'newTask',
+  t: 'today',
+  j: 'nextTask',
+  k: 'previousTask',
+  x: 'toggleTask',
+  '/': 'search',
+  '?': 'help',
+  ArrowLeft: 'previousDay',
+  ArrowRight: 'nextDay',
+  ArrowUp: 'previousWeek',
+  ArrowDown: 'nextWeek',
+  Escape: 'close',
+};
+
+export const isTypingTarget = (el) => Boolean(el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName)));
+
+// 키 입력 -> 동작 이름 (없으면 null). Ctrl 대신 Cmd도 된다
+export const shortcutFor = (e) => {
+  const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+  if (e.ctrlKey || e.metaKey) {
+    if (e.altKey) return null;
+    if (key === 'k') return 'palette';
+    // 입력 중에는 브라우저의 글자 되돌리기를 그대로 둔다
+    if (isTypingTarget(e.target)) return null;
+    if (key === 'z') return e.shiftKey ? 'redo' : 'undo';
+    if (key === 'y') return 'redo';
+    return null;
+  }
+  if (e.altKey || isTypingTarget(e.target)) return null;
+  return SINGLE_KEYS[key] || null;
+};
+
+// 목록에서 현재 항목 다음 / 이전 id (끝에서 멈춤, 현재 항목이 없으면 첫 항목부터)
+export const stepId = (ids, currentId, step) => {
+  if (ids.length === 0) return null;
+  const index = ids.indexOf(currentId);
+  if (index === -1) return step > 0 ? ids[0] : ids[ids.length - 1];
+  return ids[Math.min(ids.length - 1, Math.max(0, index + step))];
+};
+
+// 팔레트에 입력한 날짜: YYYY-MM-DD, today / tomorrow / yesterday, +3 / -2 (오늘부터 며칠)
+export const parseDateQuery = (query, today) => {
+  const text = query.trim().toLowerCase();
+  const words = { today: 0, tomorrow: 1, yesterday: -1 };
+  if (text in words) return formatDate(addDays(today, words[text]));
+  const offset = /^([+-])(\d{1,3})$/.exec(text);
+  if (offset) return formatDate(addDays(today, Number(offset[1] + offset[2])));
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+  return formatDate(parseDate(text)) === text ? text : null;
+};
+
+// 모든 단어가 label이나 keywords에 들어 있는 명령만 (입력한 순서와 상관없이)
+export const matchCommands = (commands, query) => {
+  const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  return commands.filter(command => {
+    const text = `${command.label} ${command.keywords || ''}`.toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+};
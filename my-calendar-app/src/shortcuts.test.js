@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { shortcutFor, stepId, parseDateQuery, matchCommands } from './shortcuts';
+
+const key = (k, extra = {}) => ({ key: k, target: { tagName: 'BODY' }, ...extra });
+const TODAY = new Date(2026, 9, 15, 9, 0);
+
+describe('shortcutFor', () => {
+  it('maps single keys and modifier combinations to actions', () => {
+    expect(shortcutFor(key('n'))).toBe('newTask');
+    expect(shortcutFor(key('X', { shiftKey: true }))).toBe('toggleTask');
+    expect(shortcutFor(key('ArrowUp'))).toBe('previousWeek');
+    expect(shortcutFor(key('k', { metaKey: true }))).toBe('palette');
+    expect(shortcutFor(key('z', { ctrlKey: true }))).toBe('undo');
+    expect(shortcutFor(key('Z', { ctrlKey: true, shiftKey: true }))).toBe('redo');
+    expect(shortcutFor(key('y', { ctrlKey: true }))).toBe('redo');
+    expect(shortcutFor(key('q'))).toBeNull();
+    expect(shortcutFor(key('n', { ctrlKey: true }))).toBeNull();
+  });
+
+  it('leaves typing alone except for the palette', () => {
+    const input = { tagName: 'INPUT' };
+    expect(shortcutFor(key('n', { target: input }))).toBeNull();
+    expect(shortcutFor(key('z', { ctrlKey: true, target: { tagName: 'DIV', isContentEditable: true } }))).toBeNull();
+    expect(shortcutFor(key('k', { ctrlKey: true, target: input }))).toBe('palette');
+  });
+});
+
+describe('stepId', () => {
+  it('starts at an end and stops at the edges', () => {
+    expect(stepId(['a', 'b', 'c'], null, 1)).toBe('a');
+    expect(stepId(['a', 'b', 'c'], null, -1)).toBe('c');
+    expect(stepId(['a', 'b', 'c'], 'b', 1)).toBe('c');
+    expect(stepId(['a', 'b', 'c'], 'c', 1)).toBe('c');
+    expect(stepId(['a', 'b', 'c'], 'a', -1)).toBe('a');
+    expect(stepId([], 'a', 1)).toBeNull();
+  });
+});
+
+describe('palette input', () => {
+  it('reads dates, relative days and words', () => {
+    expect(parseDateQuery('2026-11-02', TODAY)).toBe('2026-11-02');
+    expect(parseDateQuery(' Tomorrow ', TODAY)).toBe('2026-10-16');
+    expect(parseDateQuery('+20', TODAY)).toBe('2026-11-04');
+    expect(parseDateQuery('-15', TODAY)).toBe('2026-09-30');
+    expect(parseDateQuery('2026-02-30', TODAY)).toBeNull();
+    expect(parseDateQuery('groceries', TODAY)).toBeNull();
+  });
+
+  it('matches every word against labels and keywords', () => {
+    const commands = [{ id: 'a', label: 'Add task', keywords: 'new todo' }, { id: 'n', label: 'Add notice' }];
+    expect(matchCommands(commands, 'add').map(c => c.id)).toEqual(['a', 'n']);
+    expect(matchCommands(commands, 'new ADD').map(c => c.id)).toEqual(['a']);
+    expect(matchCommands(commands, '  ')).toHaveLength(2);
+  });
+});
@@ -0,0 +1,164 @@
+// src/storage/firestoreBackend.js
+// Firestore 구현. 경로는 artifacts/{appId}/users/{uid}/{collection}/{id} (기존 데이터와 동일)
+// 공유 캘린더는 artifacts/{appId}/calendars/{calendarId}(/{collection}/{id}), 초대는 artifacts/{appId}/invites/{id}
+
+import {
+  collection,
+  doc,
+  onSnapshot,
+  setDoc,
+  deleteDoc,
+  updateDoc,
+  query,
+  where,
+  getDoc,
+  getDocs,
+  writeBatch,
+  arrayUnion,
+  arrayRemove,
+  deleteField,
+} from 'firebase/firestore';
+import { signInAnonymously, onAuthStateChanged } from 'firebase/auth';
+import { auth, db } from '../firebase';
+import { isOp, opName } from './ops';
+import { CALENDAR_COLLECTIONS, newCalendarDoc, newInviteDoc, joinPatch, leavePatch, normalizeEmail } from './sharing';
+
+const appId = import.meta.env.VITE_FIREBASE_APP_ID || 'premium-modern-dashboard';
+
+const FIELD_VALUES = {
+  arrayUnion: (op) => arrayUnion(...op.values),
+  arrayRemove: (op) => arrayRemove(...op.values),
+  deleteField: () => deleteField(),
+};
+
+// 저장소 공통 연산(ops.js) -> Firestore FieldValue
+const toFirestore = (data) => Object.fromEntries(Object.entries(data).map(([key, value]) => {
+  if (!isOp(value)) return [key, value];
+  return [key, FIELD_VALUES[opName(value)](value)];
+}));
+
+// onNext(items, { pendingIds }) — includeMetadataChanges로 서버 반영 완료 시점에도 다시 호출
+const listen = (target, onNext, onError) => onSnapshot(
+  target,
+  { includeMetadataChanges: true },
+  (snapshot) => onNext(
+    snapshot.docs.map(d => ({ id: d.id, ...d.data() })),
+    { pendingIds: new Set(snapshot.docs.filter(d => d.metadata.hasPendingWrites).map(d => d.id)) }
+  ),
+  onError
+);
+
+// segments: ['users', uid, 'tasks'] / ['calendars', calendarId, 'tasks'] 등 artifacts/{appId} 아래 컬렉션 경로
+const createRepository = (...segments) => {
+  const col = () => collection(db, 'artifacts', appId, ...segments);
+  const ref = (id) => doc(db, 'artifacts', appId, ...segments, id);
+
+  return {
+    subscribe: (onNext, onError) => listen(query(col()), onNext, onError),
+    get: async (id) => {
+      const snapshot = await getDoc(ref(id));
+      return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+    },
+    set: (id, data, options = {}) => setDoc(ref(id), toFirestore(data), { merge: Boolean(options.merge) }),
+    update: (id, patch) => updateDoc(ref(id), toFirestore(patch)),
+    remove: (id) => deleteDoc(ref(id)),
+    ref,
+  };
+};
+
+// ops: [{ type: 'set' | 'update' | 'delete', collection, id, data }] 를 하나의 writeBatch로 커밋
+const withBatch = (repos) => ({
+  ...repos,
+  batch: (ops) => {
+    const batch = writeBatch(db);
+    ops.forEach(({ type, collection: name, id, data }) => {
+      const target = repos[name].ref(id);
+      if (type === 'set') batch.set(target, toFirestore(data));
+      else if (type === 'update') batch.update(target, toFirestore(data));
+      else batch.delete(target);
+    });
+    return batch.commit();
+  },
+});
+
+export const createFirestoreBackend = () => ({
+  kind: 'firestore',
+
+  // 로그인된 계정이 없으면(첫 방문, 로그아웃 직후) 익명 계정으로 시작한다
+  watchUser: (callback) => onAuthStateChanged(auth, async (currentUser) => {
+    callback(currentUser);
+    if (currentUser) return;
+    try {
+      await signInAnonymously(auth);
+    } catch (error) {
+      console.error("Auth Error:", error);
+    }
+  }),
+
+  forUser: (uid) => withBatch(Object.fromEntries(
+    ['tasks', 'notes', 'notices', 'projects', 'tags', 'templates', 'settings', 'trash'].map(name => [name, createRepository('users', uid, name)])
+  )),
+
+  // 공유 캘린더의 tasks / notes / notices (개인 저장소와 같은 인터페이스)
+  forCalendar: (calendarId) => withBatch(Object.fromEntries(
+    CALENDAR_COLLECTIONS.map(name => [name, createRepository('calendars', calendarId, name)])
+  )),
+
+  sharing: (user) => {
+    const calendars = createRepository('calendars');
+    const invites = createRepository('invites');
+    const noop = () => {};
+
+    return {
+      subscribeCalendars: (onNext, onError) => listen(
+        query(collection(db, 'artifacts', appId, 'calendars'), where('memberIds', 'array-contains', user.uid)), onNext, onError
+      ),
+      createCalendar: async (data) => {
+        const id = crypto.randomUUID();
+        await calendars.set(id, newCalendarDoc(user, data));
+        return id;
+      },
+      updateCalendar: (id, patch) => calendars.update(id, patch),
+      // 하위 컬렉션은 자동으로 지워지지 않으므로 문서와 초대를 먼저 지운다 (배치당 쓰기 500개 제한)
+      deleteCalendar: async (id) => {
+        const snapshots = await Promise.all([
+          ...CALENDAR_COLLECTIONS.map(name => getDocs(collection(db, 'artifacts', appId, 'calendars', id, name))),
+          getDocs(query(collection(db, 'artifacts', appId, 'invites'), where('calendarId', '==', id))),
+        ]);
+        const refs = snapshots.flatMap(snapshot => snapshot.docs.map(d => d.ref));
+        for (let i = 0; i < refs.length; i += 450) {
+          const batch = writeBatch(db);
+          refs.slice(i, i + 450).forEach(target => batch.delete(target));
+          await batch.commit();
+        }
+        await calendars.remove(id);
+      },
+      setMemberRole: (calendarId, uid, role) => calendars.update(calendarId, { [`members.${uid}`]: role }),
+      removeMember: (calendarId, uid) => calendars.update(calendarId, leavePatch(uid)),
+
+      subscribeInvites: (calendarId, onNext, onError) => listen(
+        query(collection(db, 'artifacts', appId, 'invites'), where('calendarId', '==', calendarId)), onNext, onError
+      ),
+      // 이메일 초대는 로그인한 이메일과 같은 것만 (익명 계정은 없음)
+      subscribeMyInvites: (onNext, onError) => {
+        const email = normalizeEmail(user.email);
+        if (!email) {
+          onNext([], { pendingIds: new Set() });
+          return noop;
+        }
+        return listen(query(collection(db, 'artifacts', appId, 'invites'), where('email', '==', email)), onNext, onError);
+      },
+      createInvite: async (calendar, options) => {
+        const id = crypto.randomUUID();
+        await invites.set(id, newInviteDoc(user, calendar, options));
+        return id;
+      },
+      getInvite: (id) => invites.get(id),
+      deleteInvite: (id) => invites.remove(id),
+      acceptInvite: async (invite) => {
+        await calendars.update(invite.calendarId, joinPatch(user, invite));
+        if (invite.email) await invites.remove(invite.id);
+      },
+    };
+  },
+});
@@ -0,0 +1,39 @@
+// src/storage/index.js
+// 저장소 선택. 컴포넌트는 Firestore를 직접 부르지 않고 storage.forUser(uid)의 저장소를 쓴다.
+//
+// 저장소 인터페이스 (tasks / notes / notices / projects / tags / templates / settings / trash 공통)
+//   subscribe(onNext(items, { pendingIds }), onError) -> unsubscribe
+//   get(id) -> Promise<item | null>
+//   set(id, data, { merge }) -> Promise
+//   update(id, patch) -> Promise   ('a.b.c' 중첩 경로, ops.js의 arrayUnion / arrayRemove 지원)
+//   remove(id) -> Promise
+// + batch([{ type: 'set' | 'update' | 'delete', collection, id, data }]) -> Promise   (update의 data는 patch)
+//
+// 공유 캘린더 (형식과 sharing(user) 인터페이스는 sharing.js 참고)
+//   storage.forCalendar(calendarId) -> { tasks, notes, notices, trash, batch } (위와 같은 저장소 인터페이스)
+//   storage.sharing(user) -> 캘린더 목록 / 멤버 역할 / 초대
+//
+// VITE_STORAGE_BACKEND: 'firestore' | 'local' (IndexedDB) | 'memory'
+// 지정하지 않으면 Firebase 설정이 있을 때 firestore, 없으면 local
+
+import { isFirebaseConfigured } from '../firebase';
+import { createFirestoreBackend } from './firestoreBackend';
+import { createLocalBackend } from './localBackend';
+
+export { arrayUnion, arrayRemove, deleteField } from './ops';
+
+export const createStorage = (kind) => {
+  if (kind === 'memory') return createLocalBackend({ persist: false });
+  if (kind === 'local') return createLocalBackend();
+  return createFirestoreBackend();
+};
+
+const resolveKind = () => {
+  const requested = import.meta.env.VITE_STORAGE_BACKEND;
+  if (requested === 'local' || requested === 'memory') return requested;
+  if (isFirebaseConfigured) return 'firestore';
+  if (requested === 'firestore') console.warn('[storage] Firebase is not configured, using local storage');
+  return 'local';
+};
+
+export const storage = createStorage(resolveKind());
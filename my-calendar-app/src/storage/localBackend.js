@@ -0,0 +1,212 @@
+// src/storage/localBackend.js
+// Firebase 없이 동작하는 로컬 구현. 메모리에 두고 IndexedDB에 저장한다.
+// persist: false 이면 순수 메모리 저장소 (테스트용)
+// 공유 캘린더도 같은 형식으로 'shared/...' 경로에 둔다. 보안 규칙이 없으므로 역할은 화면에서만 지켜진다.
+
+import { applyPatch, mergeData } from './ops';
+import { CALENDAR_COLLECTIONS, newCalendarDoc, newInviteDoc, joinPatch, leavePatch, normalizeEmail } from './sharing';
+
+const DB_NAME = 'focusboard-local';
+const STORE = 'docs';
+
+// 로컬 모드에서는 로그인 없이 이 브라우저 전용 사용자 하나만 있다
+export const LOCAL_USER = {
+  uid: 'local',
+  isLocal: true,
+  isAnonymous: false,
+  displayName: null,
+  email: null,
+  photoURL: null,
+  providerData: [],
+};
+
+const CALENDARS = 'shared/calendars';
+const INVITES = 'shared/invites';
+const calendarPath = (calendarId, name) => `${CALENDARS}/${calendarId}/${name}`;
+
+// --- IndexedDB 헬퍼 (Promise 래퍼) ---
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+  return requestToPromise(request);
+};
+
+export const createLocalBackend = ({ persist = true } = {}) => {
+  const collections = new Map(); // `${uid}/${name}` -> Map(id -> data)
+  const listeners = new Map(); // `${uid}/${name}` -> Set(callback)
+  const canPersist = persist && typeof indexedDB !== 'undefined';
+
+  const getCollection = (path) => {
+    if (!collections.has(path)) collections.set(path, new Map());
+    return collections.get(path);
+  };
+
+  // 시작할 때 IndexedDB 내용을 메모리로 한 번에 읽어 온다
+  const database = canPersist ? openDatabase().catch((error) => {
+    console.warn('[storage] IndexedDB unavailable, falling back to memory:', error);
+    return null;
+  }) : Promise.resolve(null);
+
+  const ready = database.then(async (idb) => {
+    if (!idb) return;
+    const tx = idb.transaction(STORE, 'readonly');
+    const [keys, values] = await Promise.all([
+      requestToPromise(tx.objectStore(STORE).getAllKeys()),
+      requestToPromise(tx.objectStore(STORE).getAll()),
+    ]);
+    keys.forEach((key, i) => {
+      const slash = key.lastIndexOf('/');
+      getCollection(key.slice(0, slash)).set(key.slice(slash + 1), values[i]);
+    });
+  });
+
+  // writes: [{ key, data | null }] 를 한 트랜잭션으로 저장 (null = 삭제)
+  const persistWrites = async (writes) => {
+    const idb = await database;
+    if (!idb) return;
+    const tx = idb.transaction(STORE, 'readwrite');
+    writes.forEach(({ key, data }) => {
+      if (data === null) tx.objectStore(STORE).delete(key);
+      else tx.objectStore(STORE).put(data, key);
+    });
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+  };
+
+  const snapshotOf = (path) => [...getCollection(path).entries()].map(([id, data]) => ({ id, ...data }));
+
+  const notify = (paths) => {
+    new Set(paths).forEach(path => {
+      const items = snapshotOf(path);
+      (listeners.get(path) || []).forEach(callback => callback(items, { pendingIds: new Set() }));
+    });
+  };
+
+  // 메모리에 바로 반영하고 구독자에게 알린 뒤, 저장 완료 Promise를 돌려준다
+  // 모두 아니면 전무: 먼저 전부 계산해 보고(같은 문서를 여러 번 바꾸면 앞의 결과 위에서), 하나라도 throw 하면 아무것도 바꾸지 않는다
+  const commit = async (changes) => {
+    await ready;
+    const staged = new Map(); // `${path}/${id}` -> { path, id, data }
+    changes.forEach(({ path, id, compute }) => {
+      const key = `${path}/${id}`;
+      const items = getCollection(path);
+      const current = staged.has(key) ? staged.get(key).data : items.get(id);
+      const data = compute(current === null ? undefined : current);
+      staged.set(key, { path, id, data });
+    });
+    const writes = [...staged.entries()].map(([key, { path, id, data }]) => {
+      if (data === null) getCollection(path).delete(id);
+      else getCollection(path).set(id, data);
+      return { key, data };
+    });
+    notify(changes.map(c => c.path));
+    await persistWrites(writes);
+  };
+
+  const createRepository = (path) => ({
+    subscribe: (onNext) => {
+      if (!listeners.has(path)) listeners.set(path, new Set());
+      listeners.get(path).add(onNext);
+      ready.then(() => {
+        if (listeners.get(path).has(onNext)) onNext(snapshotOf(path), { pendingIds: new Set() });
+      });
+      return () => listeners.get(path).delete(onNext);
+    },
+    get: async (id) => {
+      await ready;
+      const data = getCollection(path).get(id);
+      return data ? { id, ...data } : null;
+    },
+    set: (id, data, options = {}) => commit([{
+      path, id, compute: (current) => (options.merge ? mergeData(current, data) : mergeData({}, data)),
+    }]),
+    update: (id, patch) => commit([{
+      path, id, compute: (current) => {
+        if (!current) throw new Error(`No document to update: ${path}/${id}`);
+        return applyPatch(current, patch);
+      },
+    }]),
+    remove: (id) => commit([{ path, id, compute: () => null }]),
+  });
+
+  // names의 저장소들 + 한 번에 커밋하는 batch([{ type: 'set' | 'update' | 'delete', collection, id, data }])
+  // update의 data는 repo.update와 같은 patch
+  const withBatch = (names, pathOf) => ({
+    ...Object.fromEntries(names.map(name => [name, createRepository(pathOf(name))])),
+    batch: (ops) => commit(ops.map(({ type, collection: name, id, data }) => ({
+      path: pathOf(name),
+      id,
+      compute: (current) => {
+        if (type === 'set') return mergeData({}, data);
+        if (type === 'delete') return null;
+        if (!current) throw new Error(`No document to update: ${pathOf(name)}/${id}`);
+        return applyPatch(current, data);
+      },
+    }))),
+  });
+
+  return {
+    kind: persist ? 'local' : 'memory',
+
+    watchUser: (callback) => {
+      callback(LOCAL_USER);
+      return () => {};
+    },
+
+    forUser: (uid) => withBatch(
+      ['tasks', 'notes', 'notices', 'projects', 'tags', 'templates', 'settings', 'trash'], (name) => `${uid}/${name}`
+    ),
+
+    forCalendar: (calendarId) => withBatch(CALENDAR_COLLECTIONS, (name) => calendarPath(calendarId, name)),
+
+    sharing: (user) => {
+      const calendars = createRepository(CALENDARS);
+      const invites = createRepository(INVITES);
+      const filtered = (repo, predicate) => (onNext) => repo.subscribe((items, meta) => onNext(items.filter(predicate), meta));
+
+      return {
+        subscribeCalendars: filtered(calendars, c => (c.memberIds || []).includes(user.uid)),
+        createCalendar: async (data) => {
+          const id = crypto.randomUUID();
+          await calendars.set(id, newCalendarDoc(user, data));
+          return id;
+        },
+        updateCalendar: (id, patch) => calendars.update(id, patch),
+        deleteCalendar: async (id) => {
+          await ready;
+          const changes = [
+            ...CALENDAR_COLLECTIONS.flatMap(name => [...getCollection(calendarPath(id, name)).keys()]
+              .map(docId => ({ path: calendarPath(id, name), id: docId }))),
+            ...snapshotOf(INVITES).filter(i => i.calendarId === id).map(i => ({ path: INVITES, id: i.id })),
+            { path: CALENDARS, id },
+          ];
+          await commit(changes.map(change => ({ ...change, compute: () => null })));
+        },
+        setMemberRole: (calendarId, uid, role) => calendars.update(calendarId, { [`members.${uid}`]: role }),
+        removeMember: (calendarId, uid) => calendars.update(calendarId, leavePatch(uid)),
+
+        subscribeInvites: (calendarId, onNext) => filtered(invites, i => i.calendarId === calendarId)(onNext),
+        subscribeMyInvites: (onNext) => filtered(invites, i => Boolean(i.email) && i.email === normalizeEmail(user.email))(onNext),
+        createInvite: async (calendar, options) => {
+          const id = crypto.randomUUID();
+          await invites.set(id, newInviteDoc(user, calendar, options));
+          return id;
+        },
+        getInvite: (id) => invites.get(id),
+        deleteInvite: (id) => invites.remove(id),
+        acceptInvite: async (invite) => {
+          await calendars.update(invite.calendarId, joinPatch(user, invite));
+          if (invite.email) await invites.remove(invite.id);
+        },
+      };
+    },
+  };
+};
@@ -0,0 +1,175 @@
+import { describe, it, expect } from 'vitest';
+import { createLocalBackend, LOCAL_USER } from './localBackend';
+import { arrayUnion, arrayRemove, deleteField } from './ops';
+
+const setup = () => createLocalBackend({ persist: false }).forUser(LOCAL_USER.uid);
+
+// 구독해서 첫 스냅샷만 받는다
+const readAll = (collection) => new Promise((resolve) => {
+  const unsubscribe = collection.subscribe((items) => {
+    unsubscribe();
+    resolve(items);
+  });
+});
+
+describe('local storage backend (memory)', () => {
+  it('sets, merges and removes documents', async () => {
+    const repo = setup();
+    await repo.notes.set('2026-10-15', { content: 'hello', mood: '🙂' });
+    await repo.notes.set('2026-10-15', { content: 'edited' }, { merge: true });
+    expect(await repo.notes.get('2026-10-15')).toEqual({ id: '2026-10-15', content: 'edited', mood: '🙂' });
+
+    await repo.notes.set('2026-10-15', { content: 'replaced' });
+    expect(await repo.notes.get('2026-10-15')).toEqual({ id: '2026-10-15', content: 'replaced' });
+
+    await repo.notes.remove('2026-10-15');
+    expect(await repo.notes.get('2026-10-15')).toBeNull();
+  });
+
+  it('applies dotted paths and array operations like updateDoc', async () => {
+    const repo = setup();
+    await repo.tasks.set('a', { text: 'Standup', exdates: ['2026-10-01'] });
+    await repo.tasks.update('a', {
+      exdates: arrayUnion('2026-10-02', '2026-10-01'),
+      'overrides.2026-10-03.text': 'Retro',
+    });
+    expect(await repo.tasks.get('a')).toMatchObject({
+      exdates: ['2026-10-01', '2026-10-02'],
+      overrides: { '2026-10-03': { text: 'Retro' } },
+    });
+
+    await repo.tasks.update('a', { exdates: arrayRemove('2026-10-01') });
+    expect((await repo.tasks.get('a')).exdates).toEqual(['2026-10-02']);
+  });
+
+  it('deletes fields with deleteField', async () => {
+    const repo = setup();
+    await repo.settings.set('x', { a: 1, nested: { b: 2, c: 3 } });
+    await repo.settings.update('x', { a: deleteField(), 'nested.b': deleteField() });
+    expect(await repo.settings.get('x')).toEqual({ id: 'x', nested: { c: 3 } });
+  });
+
+  it('rejects updates to missing documents', async () => {
+    const repo = setup();
+    await expect(repo.tasks.update('missing', { completed: true })).rejects.toThrow('No document to update');
+  });
+
+  it('notifies subscribers and commits batches together', async () => {
+    const repo = setup();
+    const snapshots = [];
+    const unsubscribe = repo.tasks.subscribe((items, { pendingIds }) => {
+      expect(pendingIds.size).toBe(0);
+      snapshots.push(items.map(item => item.id));
+    });
+
+    await repo.tasks.set('a', { text: 'A' });
+    await repo.batch([
+      { type: 'delete', collection: 'tasks', id: 'a' },
+      { type: 'set', collection: 'tasks', id: 'b', data: { text: 'B' } },
+      { type: 'set', collection: 'notices', id: 'n', data: { content: 'N' } },
+    ]);
+    unsubscribe();
+    await repo.tasks.set('c', { text: 'C' });
+    await repo.batch([{ type: 'update', collection: 'tasks', id: 'b', data: { done: true, text: deleteField() } }]);
+
+    expect(snapshots).toEqual([[], ['a'], ['b']]);
+    expect(await readAll(repo.notices)).toEqual([{ id: 'n', content: 'N' }]);
+    expect(await repo.tasks.get('b')).toEqual({ id: 'b', done: true });
+    await expect(repo.batch([{ type: 'update', collection: 'tasks', id: 'x', data: { done: true } }])).rejects.toThrow('No document');
+  });
+
+  it('applies nothing when one op in a batch fails', async () => {
+    const repo = setup();
+    await repo.tasks.set('a', { text: 'A' });
+    const snapshots = [];
+    const unsubscribe = repo.tasks.subscribe((items) => snapshots.push(items.map(item => item.text)));
+
+    await expect(repo.batch([
+      { type: 'update', collection: 'tasks', id: 'a', data: { text: 'A2' } },
+      { type: 'set', collection: 'tasks', id: 'b', data: { text: 'B' } },
+      { type: 'set', collection: 'notices', id: 'n', data: { content: 'N' } },
+      { type: 'update', collection: 'tasks', id: 'missing', data: { done: true } },
+    ])).rejects.toThrow('No document to update');
+    unsubscribe();
+
+    expect(snapshots).toEqual([['A']]);
+    expect(await readAll(repo.tasks)).toEqual([{ id: 'a', text: 'A' }]);
+    expect(await readAll(repo.notices)).toEqual([]);
+
+    // 같은 배치 안에서는 앞의 op 결과 위에 다음 op를 계산한다
+    await repo.batch([
+      { type: 'set', collection: 'tasks', id: 'c', data: { text: 'C' } },
+      { type: 'update', collection: 'tasks', id: 'c', data: { done: true } },
+    ]);
+    expect(await repo.tasks.get('c')).toEqual({ id: 'c', text: 'C', done: true });
+    await expect(repo.batch([
+      { type: 'delete', collection: 'tasks', id: 'c' },
+      { type: 'update', collection: 'tasks', id: 'c', data: { done: false } },
+    ])).rejects.toThrow('No document to update');
+    expect(await repo.tasks.get('c')).toMatchObject({ done: true });
+  });
+
+  it('keeps users apart', async () => {
+    const backend = createLocalBackend({ persist: false });
+    await backend.forUser('one').tasks.set('a', { text: 'A' });
+    expect(await readAll(backend.forUser('two').tasks)).toEqual([]);
+  });
+});
+
+describe('shared calendars (memory)', () => {
+  const owner = { uid: 'owner', displayName: 'Olivia', email: 'olivia@example.com' };
+  const guest = { uid: 'guest', displayName: null, email: 'Gabe@Example.com' };
+
+  it('creates calendars and lists them only for members', async () => {
+    const backend = createLocalBackend({ persist: false });
+    const id = await backend.sharing(owner).createCalendar({ name: 'Team', color: 'sky' });
+
+    const [calendar] = await readAll({ subscribe: backend.sharing(owner).subscribeCalendars });
+    expect(calendar).toMatchObject({ id, name: 'Team', ownerId: 'owner', members: { owner: 'owner' }, memberIds: ['owner'], memberNames: { owner: 'Olivia' } });
+    expect(await readAll({ subscribe: backend.sharing(guest).subscribeCalendars })).toEqual([]);
+  });
+
+  it('joins through link and email invites, and leaves again', async () => {
+    const backend = createLocalBackend({ persist: false });
+    const sharing = backend.sharing(owner);
+    const id = await sharing.createCalendar({ name: 'Team', color: 'sky' });
+    const calendar = { id, name: 'Team' };
+
+    const emailInvite = await sharing.createInvite(calendar, { role: 'editor', email: ' gabe@example.com ' });
+    const [pending] = await readAll({ subscribe: backend.sharing(guest).subscribeMyInvites });
+    expect(pending).toMatchObject({ id: emailInvite, calendarName: 'Team', role: 'editor', email: 'gabe@example.com' });
+
+    await backend.sharing(guest).acceptInvite(pending);
+    expect(await sharing.getInvite(emailInvite)).toBeNull();
+    expect((await readAll({ subscribe: backend.sharing(guest).subscribeCalendars }))[0]).toMatchObject({
+      members: { owner: 'owner', guest: 'editor' }, memberIds: ['owner', 'guest'], memberNames: { guest: 'Gabe@Example.com' },
+    });
+
+    // 링크 초대는 쓴 뒤에도 남는다
+    const linkInvite = await sharing.createInvite(calendar, { role: 'viewer', email: '' });
+    await backend.sharing({ uid: 'third' }).acceptInvite(await sharing.getInvite(linkInvite));
+    expect(await sharing.getInvite(linkInvite)).toMatchObject({ email: null });
+
+    await sharing.setMemberRole(id, 'third', 'editor');
+    await sharing.removeMember(id, 'guest');
+    const [updated] = await readAll({ subscribe: sharing.subscribeCalendars });
+    expect(updated.members).toEqual({ owner: 'owner', third: 'editor' });
+    expect(updated.memberIds).toEqual(['owner', 'third']);
+  });
+
+  it('shares calendar data between members and deletes it with the calendar', async () => {
+    const backend = createLocalBackend({ persist: false });
+    const id = await backend.sharing(owner).createCalendar({ name: 'Team', color: 'sky' });
+    await backend.sharing(owner).createInvite({ id, name: 'Team' }, { role: 'viewer' });
+    await backend.forCalendar(id).tasks.set('t', { text: 'Launch' });
+    await backend.forCalendar(id).batch([{ type: 'set', collection: 'notices', id: 'n', data: { content: 'Freeze' } }]);
+    expect(await readAll(backend.forCalendar(id).tasks)).toEqual([{ id: 't', text: 'Launch' }]);
+    expect(await readAll(backend.forUser('owner').tasks)).toEqual([]);
+
+    await backend.sharing(owner).deleteCalendar(id);
+    expect(await readAll(backend.forCalendar(id).tasks)).toEqual([]);
+    expect(await readAll(backend.forCalendar(id).notices)).toEqual([]);
+    expect(await readAll({ subscribe: (onNext) => backend.sharing(owner).subscribeInvites(id, onNext) })).toEqual([]);
+    expect(await readAll({ subscribe: backend.sharing(owner).subscribeCalendars })).toEqual([]);
+  });
+});
@@ -0,0 +1,53 @@
+// src/storage/ops.js
+// 저장소 구현과 무관한 업데이트 연산. Firestore 백엔드는 arrayUnion / arrayRemove / deleteField로 바꾸고,
+// 로컬 백엔드는 applyPatch로 직접 적용한다.
+
+const OP = '__storageOp';
+
+export const arrayUnion = (...values) => ({ [OP]: 'arrayUnion', values });
+export const arrayRemove = (...values) => ({ [OP]: 'arrayRemove', values });
+export const deleteField = () => ({ [OP]: 'deleteField' });
+
+export const isOp = (value) => Boolean(value && typeof value === 'object' && value[OP]);
+export const opName = (value) => value[OP];
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const applyValue = (current, value) => {
+  if (!isOp(value)) return clone(value);
+  const list = Array.isArray(current) ? current : [];
+  if (value[OP] === 'arrayUnion') return [...list, ...value.values.filter(v => !list.includes(v))];
+  return list.filter(v => !value.values.includes(v));
+};
+
+// updateDoc과 같은 규칙: 'overrides.2026-10-01.text' 처럼 점으로 중첩 필드를 가리킨다
+export const applyPatch = (data, patch) => {
+  const next = clone(data) || {};
+  Object.entries(patch).forEach(([path, value]) => {
+    const keys = path.split('.');
+    let target = next;
+    keys.slice(0, -1).forEach(key => {
+      if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+      target = target[key];
+    });
+    const last = keys[keys.length - 1];
+    if (isOp(value) && value[OP] === 'deleteField') delete target[last];
+    else target[last] = applyValue(target[last], value);
+  });
+  return next;
+};
+
+// setDoc(..., { merge: true })과 같은 규칙: 객체는 깊게 합치고 나머지는 덮어쓴다
+export const mergeData = (data, incoming) => {
+  const next = clone(data) || {};
+  Object.entries(incoming).forEach(([key, value]) => {
+    if (isOp(value) && value[OP] === 'deleteField') {
+      delete next[key];
+    } else if (value && typeof value === 'object' && !Array.isArray(value) && !isOp(value)) {
+      next[key] = mergeData(next[key] && typeof next[key] === 'object' ? next[key] : {}, value);
+    } else {
+      next[key] = applyValue(next[key], value);
+    }
+  });
+  return next;
+};
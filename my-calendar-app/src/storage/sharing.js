@@ -0,0 +1,58 @@
+// src/storage/sharing.js
+// 공유 캘린더 문서 형식 (두 백엔드 공통). 역할 검사는 Firestore 보안 규칙(firestore.rules)이 맡는다.
+//
+//   calendars/{calendarId}
+//     { name, color, ownerId, members: { uid: 'owner' | 'editor' | 'viewer' }, memberIds: [uid], memberNames: { uid: name }, createdAt }
+//     memberIds는 '내가 멤버인 캘린더' 쿼리(array-contains)용으로 members의 키와 항상 같게 유지한다
+//   calendars/{calendarId}/tasks | notes | notices | trash/{id}   개인 캘린더와 같은 문서 형식
+//   invites/{inviteId}
+//     { calendarId, calendarName, role, email | null, createdBy, createdAt }
+//     email이 없으면 링크 초대 (취소 전까지 여러 명), 있으면 그 이메일 계정만 한 번 쓰고 지운다
+//
+// sharing(user) 인터페이스
+//   subscribeCalendars(onNext, onError) / createCalendar({ name, color }) -> id / updateCalendar(id, patch) / deleteCalendar(id)
+//   setMemberRole(calendarId, uid, role) / removeMember(calendarId, uid)
+//   subscribeInvites(calendarId, onNext, onError) / subscribeMyInvites(onNext, onError)
+//   createInvite(calendar, { role, email }) -> id / getInvite(id) / deleteInvite(id) / acceptInvite(invite)
+
+import { arrayUnion, arrayRemove, deleteField } from './ops';
+
+export const CALENDAR_COLLECTIONS = ['tasks', 'notes', 'notices', 'trash'];
+
+export const memberName = (user) => user.displayName || user.email || 'Guest';
+
+export const normalizeEmail = (email) => (email ? email.trim().toLowerCase() : null);
+
+export const newCalendarDoc = (user, { name, color }) => ({
+  name,
+  color,
+  ownerId: user.uid,
+  members: { [user.uid]: 'owner' },
+  memberIds: [user.uid],
+  memberNames: { [user.uid]: memberName(user) },
+  createdAt: new Date().toISOString(),
+});
+
+export const newInviteDoc = (user, calendar, { role, email }) => ({
+  calendarId: calendar.id,
+  calendarName: calendar.name,
+  role,
+  email: normalizeEmail(email) || null,
+  createdBy: user.uid,
+  createdAt: new Date().toISOString(),
+});
+
+// 초대 수락 patch. lastInviteId는 보안 규칙이 초대 문서를 찾아 역할을 확인하는 데 쓴다
+export const joinPatch = (user, invite) => ({
+  [`members.${user.uid}`]: invite.role,
+  [`memberNames.${user.uid}`]: memberName(user),
+  memberIds: arrayUnion(user.uid),
+  lastInviteId: invite.id,
+});
+
+// 멤버 내보내기 / 나가기
+export const leavePatch = (uid) => ({
+  [`members.${uid}`]: deleteField(),
+  [`memberNames.${uid}`]: deleteField(),
+  memberIds: arrayRemove(uid),
+});
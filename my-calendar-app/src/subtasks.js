@@ -0,0 +1,49 @@
+// src/subtasks.js
+// 할 일 안의 체크리스트 (task.subtasks: [{ id, text, done }], 배열 순서 = 표시 순서)
+// 반복 일정의 발생은 overrides.{date}.subtasks 에 그 날짜의 체크리스트를 따로 저장한다.
+
+export const getSubtasks = (task) => task.subtasks || [];
+
+export const subtaskCounts = (task) => {
+  const subtasks = getSubtasks(task);
+  return { done: subtasks.filter(s => s.done).length, total: subtasks.length };
+};
+
+// 할 일 행 / 캘린더 칩에 표시할 '2/5' (체크리스트가 없으면 null)
+export const subtaskLabel = (task) => {
+  const { done, total } = subtaskCounts(task);
+  return total > 0 ? `${done}/${total}` : null;
+};
+
+export const allSubtasksDone = (subtasks) => subtasks.length > 0 && subtasks.every(s => s.done);
+
+// --- 목록 편집 (모두 새 배열을 돌려준다) ---
+
+export const addSubtask = (subtasks, text) => [...subtasks, { id: crypto.randomUUID(), text: text.trim(), done: false }];
+
+export const toggleSubtask = (subtasks, id) => subtasks.map(s => (s.id === id ? { ...s, done: !s.done } : s));
+
+export const removeSubtask = (subtasks, id) => subtasks.filter(s => s.id !== id);
+
+// direction: -1(위로) / 1(아래로). 범위를 벗어나면 그대로
+export const moveSubtask = (subtasks, id, direction) => {
+  const from = subtasks.findIndex(s => s.id === id);
+  const to = from + direction;
+  if (from < 0 || to < 0 || to >= subtasks.length) return subtasks;
+  const next = [...subtasks];
+  [next[from], next[to]] = [next[to], next[from]];
+  return next;
+};
+
+// 진행률 계산용 완료 정도 (0~1). countSubtasks면 완료 안 된 할 일은 체크리스트 비율만큼 센다
+export const taskCompletion = (task, countSubtasks) => {
+  if (task.completed) return 1;
+  const { done, total } = subtaskCounts(task);
+  return countSubtasks && total > 0 ? done / total : 0;
+};
+
+export const dailyProgress = (tasks, countSubtasks) => {
+  if (tasks.length === 0) return 0;
+  const sum = tasks.reduce((acc, t) => acc + taskCompletion(t, countSubtasks), 0);
+  return Math.round((sum / tasks.length) * 100);
+};
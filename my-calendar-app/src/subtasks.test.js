@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+  subtaskLabel,
+  allSubtasksDone,
+  addSubtask,
+  toggleSubtask,
+  removeSubtask,
+  moveSubtask,
+  dailyProgress,
+} from './subtasks';
+
+const steps = (...flags) => flags.map((done, i) => ({ id: `s${i}`, text: `Step ${i}`, done }));
+
+describe('subtask list editing', () => {
+  it('adds, toggles and removes steps without mutating the input', () => {
+    const original = steps(false);
+    const added = addSubtask(original, '  Review  ');
+    expect(original).toHaveLength(1);
+    expect(added[1]).toMatchObject({ text: 'Review', done: false });
+
+    const toggled = toggleSubtask(added, 's0');
+    expect(toggled.map(s => s.done)).toEqual([true, false]);
+    expect(removeSubtask(toggled, 's0').map(s => s.text)).toEqual(['Review']);
+  });
+
+  it('reorders within bounds', () => {
+    const list = steps(false, false, false);
+    expect(moveSubtask(list, 's2', -1).map(s => s.id)).toEqual(['s0', 's2', 's1']);
+    expect(moveSubtask(list, 's0', 1).map(s => s.id)).toEqual(['s1', 's0', 's2']);
+    expect(moveSubtask(list, 's0', -1)).toBe(list);
+    expect(moveSubtask(list, 's2', 1)).toBe(list);
+  });
+
+  it('knows when every step is done', () => {
+    expect(allSubtasksDone([])).toBe(false);
+    expect(allSubtasksDone(steps(true, false))).toBe(false);
+    expect(allSubtasksDone(steps(true, true))).toBe(true);
+  });
+});
+
+describe('subtask progress', () => {
+  it('labels partial progress', () => {
+    expect(subtaskLabel({ subtasks: steps(true, false, true) })).toBe('2/3');
+    expect(subtaskLabel({})).toBeNull();
+  });
+
+  it('counts checklist steps toward daily progress only when asked', () => {
+    const tasks = [
+      { completed: true },
+      { completed: false, subtasks: steps(true, false) },
+      { completed: false },
+      { completed: false, subtasks: steps(true, true, true, false) },
+    ];
+    expect(dailyProgress(tasks, false)).toBe(25);
+    expect(dailyProgress(tasks, true)).toBe(Math.round(((1 + 0.5 + 0 + 0.75) / 4) * 100));
+    expect(dailyProgress([], true)).toBe(0);
+  });
+});
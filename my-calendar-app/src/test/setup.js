@@ -0,0 +1,12 @@
+// src/test/setup.js
+// vitest 공통 설정 (vite.config.js의 test.setupFiles)
+
+import { afterEach } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+// globals를 쓰지 않으므로 testing-library 자동 정리가 돌지 않는다
+// 브라우저별 설정(focusboard.*)도 테스트마다 초기화
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+});
@@ -0,0 +1,25 @@
+// src/trash.js
+// 휴지통: 지운 할 일은 바로 없애지 않고 같은 캘린더의 trash 컬렉션에 30일 동안 남긴다.
+//   trash/{원래 문서 id}  { collection: 'tasks', data: 원래 문서(id 제외), deletedAt }
+// 되살리면 같은 id로 원래 컬렉션에 다시 쓰고, 30일이 지나면 App이 지운다
+
+export const TRASH_COLLECTION = 'trash';
+export const TRASH_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// doc: 지운 문서 (화면에서 붙인 id / calendarId는 빼고 저장)
+export const trashDoc = (collection, { id, calendarId, ...data }, now = Date.now()) => ({
+  collection,
+  data,
+  deletedAt: new Date(now).toISOString(),
+});
+
+export const isExpired = (item, now = Date.now()) => Date.parse(item.deletedAt) + TRASH_DAYS * DAY_MS <= now;
+
+// 영구 삭제까지 남은 날 (오늘 지운 것은 30)
+export const daysLeft = (item, now = Date.now()) =>
+  Math.max(0, Math.ceil((Date.parse(item.deletedAt) + TRASH_DAYS * DAY_MS - now) / DAY_MS));
+
+// 최근에 지운 것부터
+export const sortTrash = (items) => [...items].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { trashDoc, isExpired, daysLeft, sortTrash, TRASH_DAYS } from './trash';
+
+const NOW = Date.parse('2026-10-15T09:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const item = (id, deletedAt) => ({ id, collection: 'tasks', data: { text: id }, deletedAt: new Date(deletedAt).toISOString() });
+
+describe('trash', () => {
+  it('keeps the deleted document without its id and calendar tag', () => {
+    expect(trashDoc('tasks', { id: 't1', calendarId: 'team', text: 'Plan', date: '2026-10-15' }, NOW)).toEqual({
+      collection: 'tasks',
+      data: { text: 'Plan', date: '2026-10-15' },
+      deletedAt: '2026-10-15T09:00:00.000Z',
+    });
+  });
+
+  it(`counts down ${TRASH_DAYS} days and then expires`, () => {
+    expect(daysLeft(item('a', NOW), NOW)).toBe(30);
+    expect(daysLeft(item('a', NOW - 29.5 * DAY_MS), NOW)).toBe(1);
+    expect(isExpired(item('a', NOW - 29.5 * DAY_MS), NOW)).toBe(false);
+    expect(isExpired(item('a', NOW - 30 * DAY_MS), NOW)).toBe(true);
+    expect(daysLeft(item('a', NOW - 31 * DAY_MS), NOW)).toBe(0);
+  });
+
+  it('lists the most recently deleted first', () => {
+    expect(sortTrash([item('old', NOW - DAY_MS), item('new', NOW)]).map(i => i.id)).toEqual(['new', 'old']);
+  });
+});
@@ -4,4 +4,12 @@ import react from '@vitejs/plugin-react'
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // npm test: Firebase 없이 인메모리 저장소로 실행 (CI / 오프라인)
+  test: {
+    environment: 'jsdom',
+    setupFiles: './src/test/setup.js',
+    env: {
+      VITE_STORAGE_BACKEND: 'memory',
+    },
+  },
 })